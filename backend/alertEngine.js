@@ -0,0 +1,100 @@
+// Background Alert Engine
+// Checks every active alert on a poll: price and day-change alerts against the shared quote
+// cache (one quote per symbol however many alerts watch it), position and drawdown alerts
+// against their portfolio valued at those quotes. Triggered alerts go through
+// alerts.triggerAlert, which stores them in the inbox and notifies listeners.
+const alerts = require('./alerts');
+const portfolio = require('./portfolioManager');
+const quoteCache = require('./quoteCache');
+const { historicalVolatility } = require('./optionPricing');
+
+const POLL_INTERVAL = parseInt(process.env.ALERT_ENGINE_INTERVAL) || 30 * 1000;
+
+async function getCurrentPrice(symbol) {
+  const quote = await quoteCache.getQuote(symbol, POLL_INTERVAL);
+  return quote.price;
+}
+
+async function getVolatility(symbol) {
+  const candles = await quoteCache.getDailyCandles(symbol);
+  return historicalVolatility(candles);
+}
+
+// Percent P/L of everything held in a symbol, or null without a position
+function positionPercent(valued, symbol) {
+  const positions = valued.openPositions.filter(p => p.symbol === symbol);
+  const costBasis = positions.reduce((sum, p) => sum + Math.abs(p.costBasis), 0);
+  if (costBasis === 0) return null;
+  return (positions.reduce((sum, p) => sum + p.unrealizedPL, 0) / costBasis) * 100;
+}
+
+// Percent below the portfolio's peak equity (snapshots and the current value)
+async function drawdownPercent(valued) {
+  const peak = Math.max(valued.totalPortfolioValue, await portfolio.getPeakEquity() ?? -Infinity);
+  return peak > 0 ? ((peak - valued.totalPortfolioValue) / peak) * 100 : 0;
+}
+
+// What an alert's threshold is compared with, or null if it can't be checked this time
+async function currentValue(alert, { quotes, valuations }) {
+  if (alert.type === 'price_above' || alert.type === 'price_below' || alert.type === 'percent_change') {
+    if (!quotes.has(alert.symbol)) {
+      quotes.set(alert.symbol, quoteCache.getQuote(alert.symbol, POLL_INTERVAL).catch(err => {
+        console.log(`Alert engine skipping ${alert.symbol}: ${err.message}`);
+        return null;
+      }));
+    }
+    const quote = await quotes.get(alert.symbol);
+    if (!quote) return null;
+    if (alert.type !== 'percent_change') return quote.price;
+    return quote.previousClose > 0 ? ((quote.price - quote.previousClose) / quote.previousClose) * 100 : null;
+  }
+
+  if (!valuations.has(alert.portfolioId)) {
+    valuations.set(alert.portfolioId, portfolio.usePortfolio(alert.portfolioId, async () => {
+      const valued = await portfolio.getPortfolio(getCurrentPrice, { getVolatility });
+      return { valued, drawdown: await drawdownPercent(valued) };
+    }).catch(err => {
+      console.log(`Alert engine skipping portfolio ${alert.portfolioId}: ${err.message}`);
+      return null;
+    }));
+  }
+  const valuation = await valuations.get(alert.portfolioId);
+  if (!valuation) return null;
+  return alert.type === 'position_pl' ? positionPercent(valuation.valued, alert.symbol) : valuation.drawdown;
+}
+
+let running = false;
+
+// One pass over all active alerts. Returns the alerts that fired.
+async function evaluateAlerts() {
+  if (running) return []; // Previous pass still waiting on quotes
+  running = true;
+
+  const triggered = [];
+  try {
+    const context = { quotes: new Map(), valuations: new Map() };
+    for (const alert of await alerts.listAlerts({ status: 'active' })) {
+      const value = await currentValue(alert, context);
+      if (value == null || !alerts.isTriggered(alert, value)) continue;
+
+      const fired = await alerts.triggerAlert(alert.id, value);
+      console.log(`🔔 Alert triggered: ${fired.message}`);
+      triggered.push(fired);
+    }
+  } catch (error) {
+    console.error('Alert engine error:', error.message);
+  } finally {
+    running = false;
+  }
+  return triggered;
+}
+
+function start() {
+  setInterval(evaluateAlerts, POLL_INTERVAL);
+  evaluateAlerts();
+}
+
+module.exports = {
+  start,
+  evaluateAlerts
+};
@@ -0,0 +1,209 @@
+// Price and Portfolio Alerts
+// An alert watches one condition and fires once; alertEngine.js checks the active ones
+// against the shared quote cache and the valued portfolios. Triggered alerts stay in the
+// inbox (unread until marked read) and are pushed to anyone listening (the SSE stream).
+// Alerts store the id of the portfolio they watch; its name, the description and the message
+// are worked out when alerts are read, so a renamed portfolio shows up under its new name.
+//
+// Types (threshold units in brackets):
+//   price_above / price_below - a symbol trades at or above / at or below a price [$]
+//   percent_change            - a symbol's change on the day reaches the threshold: positive
+//                               for a rise of at least that much, negative for a drop [%]
+//   position_pl               - unrealized P/L of everything held in a symbol reaches the
+//                               threshold (e.g. -10 for a 10% loss) in one portfolio [%]
+//   portfolio_drawdown        - a portfolio's equity falls that far below its peak [%]
+const crypto = require('crypto');
+const store = require('./portfolioStore');
+const portfolio = require('./portfolioManager');
+
+const ALERT_TYPES = {
+  price_above: { symbol: true, portfolio: false },
+  price_below: { symbol: true, portfolio: false },
+  percent_change: { symbol: true, portfolio: false },
+  position_pl: { symbol: true, portfolio: true },
+  portfolio_drawdown: { symbol: false, portfolio: true }
+};
+
+const MAX_NOTE_LENGTH = 200;
+
+const formatPercent = value => `${Math.abs(value).toFixed(2).replace(/\.?0+$/, '')}%`;
+
+// What the alert watches for, e.g. "AAPL above $200.00" or "Main down 10% from its peak"
+function describeAlert(alert) {
+  switch (alert.type) {
+    case 'price_above':
+      return `${alert.symbol} above $${alert.threshold.toFixed(2)}`;
+    case 'price_below':
+      return `${alert.symbol} below $${alert.threshold.toFixed(2)}`;
+    case 'percent_change':
+      return `${alert.symbol} ${alert.threshold >= 0 ? 'up' : 'down'} ${formatPercent(alert.threshold)} on the day`;
+    case 'position_pl':
+      return `${alert.symbol} position ${alert.threshold >= 0 ? 'up' : 'down'} ${formatPercent(alert.threshold)} in ${alert.portfolioName}`;
+    case 'portfolio_drawdown':
+      return `${alert.portfolioName} down ${formatPercent(alert.threshold)} from its peak`;
+    default:
+      return alert.type;
+  }
+}
+
+// The value an alert compares with its threshold, as shown when it fires
+function formatValue(alert, value) {
+  if (alert.type === 'price_above' || alert.type === 'price_below') return `$${value.toFixed(2)}`;
+  if (alert.type === 'portfolio_drawdown') return `${formatPercent(value)} below the peak`;
+  return `${value >= 0 ? '+' : '-'}${formatPercent(value)}`;
+}
+
+// Whether `value` (price, percent change, P/L percent or drawdown percent) reaches the threshold
+function isTriggered(alert, value) {
+  switch (alert.type) {
+    case 'price_above':
+      return value >= alert.threshold;
+    case 'price_below':
+      return value <= alert.threshold;
+    case 'percent_change':
+    case 'position_pl':
+      return alert.threshold >= 0 ? value >= alert.threshold : value <= alert.threshold;
+    case 'portfolio_drawdown':
+      return value >= alert.threshold;
+    default:
+      return false;
+  }
+}
+
+// Called with each alert as it is triggered
+const triggerListeners = [];
+
+function onAlertTriggered(listener) {
+  triggerListeners.push(listener);
+}
+
+async function portfolioNames() {
+  return new Map((await portfolio.listPortfolios()).map(entry => [entry.id, entry.name]));
+}
+
+// A stored alert as shown: with its portfolio's name, the description and, once
+// triggered, the message
+function presentAlert(alert, names) {
+  const shown = { ...alert };
+  if (alert.portfolioId) {
+    shown.portfolioName = names.get(alert.portfolioId) || 'a deleted portfolio';
+  }
+  shown.description = describeAlert(shown);
+  if (alert.status === 'triggered') {
+    shown.message = `${shown.description} (now ${formatValue(alert, alert.triggeredValue)})`;
+  }
+  return shown;
+}
+
+async function listAlerts({ status } = {}) {
+  const names = await portfolioNames();
+  return store.listAlerts({ status }).map(alert => presentAlert(alert, names));
+}
+
+// Price alerts belong to no portfolio; position and drawdown alerts default to the active one
+async function createAlert({ type, symbol, threshold, portfolioId, note }) {
+  const definition = ALERT_TYPES[type];
+  if (!definition) {
+    throw new Error(`Unknown alert type: ${type}. Use one of ${Object.keys(ALERT_TYPES).join(', ')}`);
+  }
+
+  const value = Number(threshold);
+  if (!Number.isFinite(value) || value === 0) {
+    throw new Error('Threshold must be a non-zero number');
+  }
+  if ((type === 'price_above' || type === 'price_below' || type === 'portfolio_drawdown') && value < 0) {
+    throw new Error(type === 'portfolio_drawdown' ? 'Drawdown must be a positive percentage' : 'Price must be greater than zero');
+  }
+  if (type === 'portfolio_drawdown' && value >= 100) {
+    throw new Error('Drawdown must be less than 100%');
+  }
+
+  const alert = {
+    id: crypto.randomUUID(),
+    type,
+    threshold: value,
+    status: 'active',
+    createdAt: new Date().toISOString()
+  };
+
+  if (definition.symbol) {
+    alert.symbol = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+    if (!/^[A-Z][A-Z0-9.-]{0,9}$/.test(alert.symbol)) {
+      throw new Error(`Invalid symbol: ${alert.symbol || '(blank)'}`);
+    }
+  }
+
+  const names = await portfolioNames();
+  if (definition.portfolio) {
+    const id = portfolioId || await portfolio.getActivePortfolioId();
+    if (!names.has(id)) {
+      throw new Error(`Portfolio not found: ${id}`);
+    }
+    alert.portfolioId = id;
+  }
+
+  if (note) {
+    alert.note = String(note).trim().slice(0, MAX_NOTE_LENGTH);
+  }
+
+  return presentAlert(store.saveAlert(alert), names);
+}
+
+function findAlert(alertId) {
+  const alert = store.getAlert(alertId);
+  if (!alert) {
+    throw new Error(`Alert not found: ${alertId}`);
+  }
+  return alert;
+}
+
+async function deleteAlert(alertId) {
+  const alert = findAlert(alertId);
+  store.deleteAlert(alertId);
+  return presentAlert(alert, await portfolioNames());
+}
+
+async function markRead(alertId) {
+  const alert = findAlert(alertId);
+  if (alert.status !== 'triggered') {
+    throw new Error('Only triggered alerts can be marked read');
+  }
+  const saved = store.saveAlert({ ...alert, readAt: alert.readAt || new Date().toISOString() });
+  return presentAlert(saved, await portfolioNames());
+}
+
+async function markAllRead() {
+  store.markAlertsRead(new Date().toISOString());
+}
+
+// Fire an active alert at `value` and tell the listeners. Returns the triggered alert.
+async function triggerAlert(alertId, value) {
+  const saved = store.saveAlert({
+    ...findAlert(alertId),
+    status: 'triggered',
+    triggeredAt: new Date().toISOString(),
+    triggeredValue: value
+  });
+  const triggered = presentAlert(saved, await portfolioNames());
+
+  for (const listener of triggerListeners) {
+    try {
+      listener(triggered);
+    } catch (err) {
+      console.error('Alert listener error:', err.message);
+    }
+  }
+  return triggered;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  listAlerts,
+  createAlert,
+  deleteAlert,
+  markRead,
+  markAllRead,
+  isTriggered,
+  triggerAlert,
+  onAlertTriggered
+};
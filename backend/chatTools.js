@@ -0,0 +1,395 @@
+// Claude Tool Definitions for the Research Chat
+// The model decides what to look up or trade by calling these tools; each call is
+// executed against portfolioManager, the watchlists and alerts, the quote functions or the order tickets, and
+// recorded in a transcript so the UI can show exactly what was run.
+const portfolio = require('./portfolioManager');
+const watchlists = require('./watchlists');
+const alerts = require('./alerts');
+
+const toolDefinitions = [
+  {
+    name: 'get_quote',
+    description: 'Get the real-time quote and company profile for a stock symbol: price, daily change, high/low, previous close, market cap and industry.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Ticker symbol, e.g. AAPL' }
+      },
+      required: ['symbol']
+    }
+  },
+  {
+    name: 'get_portfolio',
+    description: 'Get the paper trading portfolio: cash balance, open positions with current values and P/L, open orders, closed trades, total return and (for margin accounts) buying power and margin status.',
+    input_schema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'get_market_movers',
+    description: 'Get the biggest movers (by absolute percent change today) from a sample of large-cap S&P 500 stocks.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: 'How many movers to return (default 10)' }
+      }
+    }
+  },
+  {
+    name: 'get_watchlists',
+    description: 'Get the user\'s watchlists with the current price and daily change of every symbol on them.',
+    input_schema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'add_to_watchlist',
+    description: 'Add a stock symbol to a watchlist, e.g. "add PLTR to my watchlist". Uses the user\'s first watchlist unless they name one; naming a watchlist that doesn\'t exist creates it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Ticker symbol' },
+        watchlist: { type: 'string', description: 'Watchlist name. Omit for the default watchlist.' }
+      },
+      required: ['symbol']
+    }
+  },
+  {
+    name: 'remove_from_watchlist',
+    description: 'Remove a stock symbol from a watchlist. Uses the user\'s first watchlist unless they name one.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Ticker symbol' },
+        watchlist: { type: 'string', description: 'Watchlist name. Omit for the default watchlist.' }
+      },
+      required: ['symbol']
+    }
+  },
+  {
+    name: 'create_alert',
+    description: 'Create an alert that notifies the user in the app when a condition is met, e.g. "tell me if NVDA drops below 150" or "alert me if my portfolio falls 10% from its peak". Alerts fire once. Types: price_above / price_below (threshold is a price), percent_change (threshold is the day\'s percent change: positive for a rise, negative for a drop), position_pl (threshold is the unrealized P/L percent of the position in the active portfolio, e.g. -10 for a 10% loss), portfolio_drawdown (threshold is the percent drop of the active portfolio from its peak equity).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['price_above', 'price_below', 'percent_change', 'position_pl', 'portfolio_drawdown'],
+          description: 'What to watch'
+        },
+        symbol: { type: 'string', description: 'Ticker symbol (not used for portfolio_drawdown)' },
+        threshold: { type: 'number', description: 'Price for price alerts, percent for the others' },
+        note: { type: 'string', description: 'Optional reminder shown with the alert' }
+      },
+      required: ['type', 'threshold']
+    }
+  },
+  {
+    name: 'get_alerts',
+    description: 'List the user\'s alerts: active ones still being watched and triggered ones with when they fired.',
+    input_schema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'buy_stock',
+    description: 'Prepare an order to buy shares of a stock at the current market price. Creates a pending order ticket that the user must confirm before anything is bought. Only use this when the user explicitly asks to buy shares.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Ticker symbol' },
+        shares: { type: 'integer', description: 'Number of shares to buy' }
+      },
+      required: ['symbol', 'shares']
+    }
+  },
+  {
+    name: 'sell_stock',
+    description: 'Prepare an order to sell all or part of a stock position at the current market price. Creates a pending order ticket that the user must confirm. Only use this when the user explicitly asks to sell.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Ticker symbol of the position to sell' },
+        shares: { type: 'integer', description: 'Number of shares to sell. Omit to sell the whole position.' },
+        lot_method: {
+          type: 'string',
+          enum: ['fifo', 'lifo', 'hifo', 'specific'],
+          description: 'Which tax lots to sell first: fifo (oldest, default), lifo (newest), hifo (highest cost) or specific (requires lot_id)'
+        },
+        lot_id: { type: 'string', description: 'Position id of the lot to sell when lot_method is specific' }
+      },
+      required: ['symbol']
+    }
+  },
+  {
+    name: 'short_stock',
+    description: 'Prepare an order to sell a stock short (borrow and sell shares) at the current market price. Requires a margin account. Creates a pending order ticket that the user must confirm. Only use this when the user explicitly asks to short.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Ticker symbol' },
+        shares: { type: 'integer', description: 'Number of shares to short' }
+      },
+      required: ['symbol', 'shares']
+    }
+  },
+  {
+    name: 'cover_short',
+    description: 'Prepare a buy-to-cover order that closes all or part of a short position at the current market price. Creates a pending order ticket that the user must confirm.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Ticker symbol of the short position' },
+        shares: { type: 'integer', description: 'Number of shares to cover. Omit to cover the whole short.' }
+      },
+      required: ['symbol']
+    }
+  },
+  {
+    name: 'buy_option',
+    description: 'Prepare an order to buy call or put option contracts at the given premium per share. Creates a pending order ticket that the user must confirm. Only use this when the user explicitly asks to buy options.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Underlying ticker symbol' },
+        option_type: { type: 'string', enum: ['call', 'put'] },
+        strike: { type: 'number', description: 'Strike price' },
+        premium: { type: 'number', description: 'Premium per share (the contract costs premium x 100)' },
+        contracts: { type: 'integer', description: 'Number of contracts' },
+        expiration: { type: 'string', description: 'Expiration date, YYYY-MM-DD (usually a Friday)' }
+      },
+      required: ['symbol', 'option_type', 'strike', 'premium', 'contracts', 'expiration']
+    }
+  },
+  {
+    name: 'place_order',
+    description: 'Prepare a conditional stock order that rests until its price is reached, e.g. "buy 50 AAPL if it drops to 180" (limit buy at 180), "sell my TSLA if it falls below 400" (stop sell at 400), "sell NVDA if it rises to 200" (limit sell at 200) or "trail a 5% stop on MSFT" (trailing stop sell). Creates a pending order ticket that the user must confirm.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Ticker symbol' },
+        side: { type: 'string', enum: ['buy', 'sell'] },
+        quantity: { type: 'integer', description: 'Number of shares' },
+        order_type: {
+          type: 'string',
+          enum: ['limit', 'stop', 'stop_limit', 'trailing_stop'],
+          description: 'limit: buy at or below / sell at or above limit_price. stop: market order once price crosses stop_price. stop_limit: becomes a limit order at limit_price once stop_price is crossed. trailing_stop: stop that follows the best price by trail_amount or trail_percent.'
+        },
+        limit_price: { type: 'number', description: 'Limit price (limit and stop_limit orders)' },
+        stop_price: { type: 'number', description: 'Stop price (stop and stop_limit orders)' },
+        trail_amount: { type: 'number', description: 'Trailing distance in dollars (trailing_stop)' },
+        trail_percent: { type: 'number', description: 'Trailing distance in percent (trailing_stop)' },
+        time_in_force: { type: 'string', enum: ['day', 'gtc'], description: 'day (expires at today\'s close, default) or gtc (good till cancelled)' }
+      },
+      required: ['symbol', 'side', 'quantity', 'order_type']
+    }
+  },
+  {
+    name: 'sell_option',
+    description: 'Prepare an order to write (sell to open) call or put contracts at the given premium per share. Calls must be covered by 100 shares per contract already held; puts are cash-secured at the strike. Creates a pending order ticket that the user must confirm. Only use this when the user explicitly asks to sell or write options.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Underlying ticker symbol' },
+        option_type: { type: 'string', enum: ['call', 'put'] },
+        strike: { type: 'number', description: 'Strike price' },
+        premium: { type: 'number', description: 'Premium per share received (the contract pays premium x 100)' },
+        contracts: { type: 'integer', description: 'Number of contracts' },
+        expiration: { type: 'string', description: 'Expiration date, YYYY-MM-DD (usually a Friday)' }
+      },
+      required: ['symbol', 'option_type', 'strike', 'premium', 'contracts', 'expiration']
+    }
+  },
+  {
+    name: 'open_strategy',
+    description: 'Prepare a multi-leg option strategy as a single order ticket the user must confirm: vertical (two calls or two puts, one bought and one sold), straddle (call and put at the same strike, both bought or both sold), strangle (call above put strike, both bought or both sold), iron_condor (buy put < sell put <= sell call < buy call, or the reverse for a long condor) or covered_call (one sold call; 100 shares per contract are bought with it). All legs share the expiration and contract count.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Underlying ticker symbol' },
+        strategy: { type: 'string', enum: ['vertical', 'straddle', 'strangle', 'iron_condor', 'covered_call'] },
+        expiration: { type: 'string', description: 'Expiration date for every leg, YYYY-MM-DD' },
+        contracts: { type: 'integer', description: 'Number of contracts per leg' },
+        legs: {
+          type: 'array',
+          description: 'The option legs',
+          items: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: ['buy', 'sell'] },
+              option_type: { type: 'string', enum: ['call', 'put'] },
+              strike: { type: 'number', description: 'Strike price' },
+              premium: { type: 'number', description: 'Premium per share for this leg' }
+            },
+            required: ['action', 'option_type', 'strike', 'premium']
+          }
+        }
+      },
+      required: ['symbol', 'strategy', 'expiration', 'contracts', 'legs']
+    }
+  },
+  {
+    name: 'close_option',
+    description: 'Prepare an order to close an open single option position at the given premium per share - sells back an option that was bought, or buys back one that was written. Creates a pending order ticket that the user must confirm. Use get_portfolio first to find the position id. Strategy legs are closed with close_strategy instead.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        position_id: { type: 'string', description: 'Id of the open option position' },
+        exit_premium: { type: 'number', description: 'Premium per share received (or paid, for a written option) to close' }
+      },
+      required: ['position_id', 'exit_premium']
+    }
+  },
+  {
+    name: 'close_strategy',
+    description: 'Prepare an order to close every leg of an open option strategy at current market marks. Creates a pending order ticket that the user must confirm. Use get_portfolio first to find the strategy id (holdings with type "strategy").',
+    input_schema: {
+      type: 'object',
+      properties: {
+        strategy_id: { type: 'string', description: 'Id of the open strategy' }
+      },
+      required: ['strategy_id']
+    }
+  }
+];
+
+// Build the tool executor. Quote helpers come from server.js so the tools share its cache.
+function createChatTools({ fetchStockData, getMarketMovers, getWatchlistQuotes, getCurrentPrice, getVolatility, orderTickets }) {
+  const handlers = {
+    async get_quote({ symbol }) {
+      return fetchStockData(symbol.toUpperCase());
+    },
+
+    async get_portfolio() {
+      return portfolio.getPortfolio(getCurrentPrice, { getVolatility });
+    },
+
+    async get_market_movers({ limit = 10 }) {
+      const movers = await getMarketMovers();
+      return movers.slice(0, limit);
+    },
+
+    async get_watchlists() {
+      const lists = await watchlists.listWatchlists();
+      return Promise.all(lists.map(async ({ id, name, symbols }) => ({
+        id,
+        name,
+        quotes: await getWatchlistQuotes(symbols)
+      })));
+    },
+
+    async add_to_watchlist({ symbol, watchlist }) {
+      const { id } = await watchlists.resolveWatchlist(watchlist, { create: true });
+      return watchlists.addSymbol(id, symbol);
+    },
+
+    async remove_from_watchlist({ symbol, watchlist }) {
+      const { id } = await watchlists.resolveWatchlist(watchlist);
+      return watchlists.removeSymbol(id, symbol);
+    },
+
+    async create_alert({ type, symbol, threshold, note }) {
+      return alerts.createAlert({ type, symbol, threshold, note });
+    },
+
+    async get_alerts() {
+      return alerts.listAlerts();
+    },
+
+    // Trading tools only create pending tickets - the user confirms them in the UI
+    async buy_stock({ symbol, shares }) {
+      return orderTickets.createTicket('buy_stock', { symbol: symbol.toUpperCase(), shares });
+    },
+
+    async sell_stock({ symbol, shares, lot_method, lot_id }) {
+      return orderTickets.createTicket('sell_stock', {
+        symbol: symbol.toUpperCase(),
+        shares,
+        lot_method: lot_method || (lot_id ? 'specific' : 'fifo'),
+        lot_id
+      });
+    },
+
+    async short_stock({ symbol, shares }) {
+      return orderTickets.createTicket('short_stock', { symbol: symbol.toUpperCase(), shares });
+    },
+
+    async cover_short({ symbol, shares }) {
+      return orderTickets.createTicket('cover_short', { symbol: symbol.toUpperCase(), shares });
+    },
+
+    async buy_option({ symbol, option_type, strike, premium, contracts, expiration }) {
+      return orderTickets.createTicket('buy_option', {
+        symbol: symbol.toUpperCase(),
+        option_type,
+        strike,
+        premium,
+        contracts,
+        expiration
+      });
+    },
+
+    async sell_option({ symbol, option_type, strike, premium, contracts, expiration }) {
+      return orderTickets.createTicket('sell_option', {
+        symbol: symbol.toUpperCase(),
+        option_type,
+        strike,
+        premium,
+        contracts,
+        expiration
+      });
+    },
+
+    async open_strategy({ symbol, strategy, expiration, contracts, legs }) {
+      return orderTickets.createTicket('open_strategy', {
+        symbol: symbol.toUpperCase(),
+        strategy,
+        expiration,
+        contracts,
+        legs
+      });
+    },
+
+    async close_strategy({ strategy_id }) {
+      return orderTickets.createTicket('close_strategy', { strategy_id });
+    },
+
+    async close_option({ position_id, exit_premium }) {
+      return orderTickets.createTicket('close_option', { position_id, exit_premium });
+    },
+
+    async place_order(input) {
+      return orderTickets.createTicket('place_order', { ...input, symbol: input.symbol.toUpperCase() });
+    }
+  };
+
+  // Run one tool call; failures are returned to the model rather than thrown
+  async function executeTool(name, input) {
+    const handler = handlers[name];
+    if (!handler) {
+      return { isError: true, result: { error: `Unknown tool: ${name}` } };
+    }
+
+    try {
+      return { isError: false, result: await handler(input || {}) };
+    } catch (error) {
+      return { isError: true, result: { error: error.message } };
+    }
+  }
+
+  return { executeTool };
+}
+
+// Tools that change a watchlist, so the UI knows to reload them
+const WATCHLIST_TOOLS = ['add_to_watchlist', 'remove_from_watchlist'];
+
+// Tools that create alerts, so the UI reloads its inbox
+const ALERT_TOOLS = ['create_alert'];
+
+// Tools that produce order tickets, as opposed to read-only lookups
+const TRADE_TOOLS = [
+  'buy_stock', 'sell_stock', 'short_stock', 'cover_short',
+  'buy_option', 'sell_option', 'open_strategy', 'close_option', 'close_strategy', 'place_order'
+];
+
+module.exports = {
+  toolDefinitions,
+  createChatTools,
+  TRADE_TOOLS,
+  WATCHLIST_TOOLS,
+  ALERT_TOOLS
+};
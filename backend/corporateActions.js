@@ -0,0 +1,58 @@
+// Daily Corporate Actions Job
+// Shortly after each market close, pulls splits and dividends for every symbol a portfolio
+// holds (or recently held) and applies them (see portfolioManager): lots are adjusted for
+// splits, dividends are recorded at the ex-date and paid on the pay date. Also runs once at
+// startup to catch up on anything that happened while the server was down. Covers every
+// portfolio, not just the active one.
+const portfolio = require('./portfolioManager');
+const quoteCache = require('./quoteCache');
+const { nextMarketClose } = require('./marketHours');
+
+const RUN_DELAY = 10 * 60 * 1000; // After the close, before the equity snapshots
+
+async function runCorporateActions() {
+  const applied = [];
+  try {
+    for (const { id, name } of await portfolio.listPortfolios()) {
+      for (const symbol of await portfolio.usePortfolio(id, portfolio.getCorporateActionSymbols)) {
+        let actions;
+        try {
+          actions = await quoteCache.getCorporateActions(symbol);
+        } catch (err) {
+          // Try again on the next run; nothing is applied until the provider answers
+          console.log(`No corporate actions for ${symbol}: ${err.message}`);
+          continue;
+        }
+
+        const records = await portfolio.usePortfolio(id, () => portfolio.applyCorporateActions(symbol, actions));
+        for (const record of records) {
+          console.log(record.type === 'split'
+            ? `Split applied in ${name}: ${record.toFactor}-for-${record.fromFactor} ${symbol} (${record.effectiveDate})`
+            : `Dividend ${record.status} in ${name}: ${symbol} $${record.amount.toFixed(2)} (ex ${record.effectiveDate}, pay ${record.payDate})`);
+        }
+        applied.push(...records);
+      }
+    }
+  } catch (error) {
+    console.error('Corporate actions error:', error.message);
+  }
+  return applied;
+}
+
+function scheduleNextRun() {
+  const runAt = nextMarketClose(new Date()).getTime() + RUN_DELAY;
+  setTimeout(async () => {
+    await runCorporateActions();
+    scheduleNextRun();
+  }, runAt - Date.now());
+}
+
+function start() {
+  runCorporateActions();
+  scheduleNextRun();
+}
+
+module.exports = {
+  start,
+  runCorporateActions
+};
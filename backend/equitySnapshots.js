@@ -0,0 +1,77 @@
+// Equity Snapshot Job
+// Records every portfolio's cash, positions value and total equity shortly after each
+// market close, and snapshots a portfolio again a few seconds after any trade or cash
+// movement (batched, so a multi-leg close is one snapshot). Portfolios with no snapshots
+// yet get one at startup so their curve has a starting point.
+const portfolio = require('./portfolioManager');
+const quoteCache = require('./quoteCache');
+const { nextMarketClose } = require('./marketHours');
+const { historicalVolatility } = require('./optionPricing');
+
+const SNAPSHOT_DELAY = 20 * 60 * 1000; // After the close, and after option expirations have settled
+const TRADE_SNAPSHOT_DELAY = 5 * 1000; // Wait for the rest of a burst of fills
+
+// Ledger events that change what the account holds
+const TRADE_EVENTS = ['fill', 'option_settlement', 'deposit', 'withdrawal', 'dividend', 'reset', 'import'];
+
+async function getCurrentPrice(symbol) {
+  const quote = await quoteCache.getQuote(symbol);
+  return quote.price;
+}
+
+async function getVolatility(symbol) {
+  const candles = await quoteCache.getDailyCandles(symbol);
+  return historicalVolatility(candles);
+}
+
+async function snapshotPortfolio(portfolioId, reason) {
+  try {
+    return await portfolio.usePortfolio(portfolioId, () => portfolio.recordSnapshot(getCurrentPrice, { getVolatility, reason }));
+  } catch (error) {
+    console.error(`Equity snapshot error (${portfolioId}):`, error.message);
+    return null;
+  }
+}
+
+// Snapshot every portfolio (archived ones are left as they were)
+async function runSnapshots(reason = 'close', { onlyNew = false } = {}) {
+  const taken = [];
+  for (const { id, archived } of await portfolio.listPortfolios()) {
+    if (archived) continue;
+    if (onlyNew && await portfolio.usePortfolio(id, portfolio.hasSnapshots)) continue;
+    const snapshot = await snapshotPortfolio(id, reason);
+    if (snapshot) taken.push(snapshot);
+  }
+  return taken;
+}
+
+const pendingTradeSnapshots = new Map(); // portfolio id -> timer
+
+function queueTradeSnapshot(portfolioId, entries) {
+  if (!entries.some(entry => TRADE_EVENTS.includes(entry.type))) return;
+
+  clearTimeout(pendingTradeSnapshots.get(portfolioId));
+  pendingTradeSnapshots.set(portfolioId, setTimeout(() => {
+    pendingTradeSnapshots.delete(portfolioId);
+    snapshotPortfolio(portfolioId, 'trade');
+  }, TRADE_SNAPSHOT_DELAY));
+}
+
+function scheduleNextRun() {
+  const runAt = nextMarketClose(new Date()).getTime() + SNAPSHOT_DELAY;
+  setTimeout(async () => {
+    await runSnapshots('close').catch(error => console.error('Equity snapshot error:', error.message));
+    scheduleNextRun();
+  }, runAt - Date.now());
+}
+
+function start() {
+  portfolio.onLedgerEntries(queueTradeSnapshot);
+  runSnapshots('startup', { onlyNew: true }).catch(error => console.error('Equity snapshot error:', error.message));
+  scheduleNextRun();
+}
+
+module.exports = {
+  start,
+  runSnapshots
+};
@@ -0,0 +1,145 @@
+// Fill Costs
+// Commissions, regulatory fees and slippage for paper fills, so results look like what a
+// live account would get. Each portfolio has a fee schedule and a slippage model; every
+// fill is priced through them and stores the fees and slippage it paid.
+//
+// Fee schedule: { perShare, perContract, perOrder, percent, minimum, regulatoryFees }
+//   commission = perShare x shares (or perContract x contracts) + perOrder + percent of the
+//   trade value, but at least `minimum`. regulatoryFees adds the SEC fee and FINRA TAF to sales.
+// Slippage: { model: 'none'|'fixed'|'range', bps, rangeFraction }
+//   fixed - fills `bps` basis points worse than the quote
+//   range - fills `rangeFraction` of the day's high-low range worse (stocks; options and
+//           stocks without a range fall back to `bps`)
+
+const DEFAULT_FEE_SCHEDULE = {
+  perShare: 0,
+  perContract: 0,
+  perOrder: 0,
+  percent: 0,
+  minimum: 0,
+  regulatoryFees: false
+};
+
+const DEFAULT_SLIPPAGE = {
+  model: 'none',
+  bps: 0,
+  rangeFraction: 0
+};
+
+const SLIPPAGE_MODELS = ['none', 'fixed', 'range'];
+
+// Regulatory fees on sales (2025 rates), each rounded up to the cent
+const SEC_FEE_RATE = 27.80 / 1000000;   // Section 31 fee per dollar of proceeds
+const FINRA_TAF_PER_SHARE = 0.000166;
+const FINRA_TAF_PER_CONTRACT = 0.00279;
+const FINRA_TAF_MAX = 8.30;             // Per trade, stock sales
+
+const CONTRACT_SIZE = 100;
+
+const roundCents = value => Math.round(value * 100) / 100;
+const ceilCents = value => Math.ceil(value * 100 - 1e-9) / 100;
+
+// Apply changes to a fee schedule, rejecting negative or non-numeric amounts
+function updateFeeSchedule(current, changes) {
+  const schedule = { ...DEFAULT_FEE_SCHEDULE, ...current };
+  for (const [field, value] of Object.entries(changes || {})) {
+    if (!(field in DEFAULT_FEE_SCHEDULE)) {
+      throw new Error(`Unknown fee setting: ${field}`);
+    }
+    if (field === 'regulatoryFees') {
+      schedule.regulatoryFees = Boolean(value);
+      continue;
+    }
+    const amount = Number(value);
+    if (!(amount >= 0)) {
+      throw new Error(`Fee setting ${field} must be zero or more`);
+    }
+    schedule[field] = amount;
+  }
+  if (schedule.percent > 10) {
+    throw new Error('Percentage commission cannot be more than 10%');
+  }
+  return schedule;
+}
+
+// Apply changes to a slippage model
+function updateSlippage(current, changes) {
+  const slippage = { ...DEFAULT_SLIPPAGE, ...current };
+  for (const [field, value] of Object.entries(changes || {})) {
+    if (field === 'model') {
+      if (!SLIPPAGE_MODELS.includes(value)) {
+        throw new Error(`Slippage model must be one of ${SLIPPAGE_MODELS.join(', ')}`);
+      }
+      slippage.model = value;
+    } else if (field === 'bps' || field === 'rangeFraction') {
+      const amount = Number(value);
+      if (!(amount >= 0) || (field === 'bps' && amount > 1000) || (field === 'rangeFraction' && amount > 1)) {
+        throw new Error(field === 'bps' ? 'Slippage must be between 0 and 1000 bps' : 'Range fraction must be between 0 and 1');
+      }
+      slippage[field] = amount;
+    } else {
+      throw new Error(`Unknown slippage setting: ${field}`);
+    }
+  }
+  return slippage;
+}
+
+// How far against the order the fill moves from `price`
+function slippageOffset({ kind, price, dayRange }, slippage) {
+  if (slippage.model === 'none') return 0;
+  if (slippage.model === 'range' && kind === 'stock' && dayRange && dayRange.high > dayRange.low) {
+    return slippage.rangeFraction * (dayRange.high - dayRange.low);
+  }
+  return price * (slippage.bps / 10000);
+}
+
+function commission({ kind, quantity, tradeValue }, schedule) {
+  const perUnit = kind === 'option' ? schedule.perContract : schedule.perShare;
+  const total = perUnit * quantity + schedule.perOrder + tradeValue * (schedule.percent / 100);
+  return roundCents(Math.max(total, schedule.minimum));
+}
+
+function regulatoryFees({ kind, side, quantity, tradeValue }, schedule) {
+  if (!schedule.regulatoryFees || side !== 'sell') return 0;
+  const sec = ceilCents(tradeValue * SEC_FEE_RATE);
+  const taf = kind === 'option'
+    ? ceilCents(quantity * FINRA_TAF_PER_CONTRACT)
+    : ceilCents(Math.min(quantity * FINRA_TAF_PER_SHARE, FINRA_TAF_MAX));
+  return roundCents(sec + taf);
+}
+
+// Price a fill. `side` is 'buy' (buy, cover, buy to close) or 'sell' (sell, short, write);
+// `price` is the quoted share price or option premium and `quantity` shares or contracts.
+// A limit order never fills past its limit. Returns { price, slippage, commission,
+// regulatoryFees, fees } - slippage and fees in dollars.
+function priceFill({ kind, side, quantity, price, dayRange = null, limitPrice = null }, schedule = DEFAULT_FEE_SCHEDULE, slippage = DEFAULT_SLIPPAGE) {
+  const offset = slippageOffset({ kind, price, dayRange }, { ...DEFAULT_SLIPPAGE, ...slippage });
+  let fillPrice = side === 'buy' ? price + offset : Math.max(0.01, price - offset);
+  fillPrice = offset > 0 ? roundCents(fillPrice) : fillPrice;
+  if (limitPrice != null) {
+    fillPrice = side === 'buy' ? Math.min(fillPrice, Math.max(limitPrice, price)) : Math.max(fillPrice, Math.min(limitPrice, price));
+  }
+
+  const multiplier = kind === 'option' ? CONTRACT_SIZE : 1;
+  const tradeValue = fillPrice * quantity * multiplier;
+  const fullSchedule = { ...DEFAULT_FEE_SCHEDULE, ...schedule };
+  const commissionCharged = commission({ kind, quantity, tradeValue }, fullSchedule);
+  const regulatory = regulatoryFees({ kind, side, quantity, tradeValue }, fullSchedule);
+
+  return {
+    price: fillPrice,
+    slippage: roundCents(Math.abs(fillPrice - price) * quantity * multiplier),
+    commission: commissionCharged,
+    regulatoryFees: regulatory,
+    fees: roundCents(commissionCharged + regulatory)
+  };
+}
+
+module.exports = {
+  DEFAULT_FEE_SCHEDULE,
+  DEFAULT_SLIPPAGE,
+  SLIPPAGE_MODELS,
+  updateFeeSchedule,
+  updateSlippage,
+  priceFill
+};
@@ -0,0 +1,215 @@
+// Portfolio Ledger
+// Every change to an account is appended to its ledger as an event: deposits, withdrawals,
+// fills, fees, dividends, option settlements, resets, plus the non-cash changes (orders,
+// settings) that replay needs. Each event carries its cash amount, the cash balance after it
+// and the state changes it made, so replaying the events in order rebuilds the account as
+// of any point in time. The ledger is the record: portfolios are loaded by replaying it
+// (see portfolioManager.loadPortfolio). The account tables are a projection of it, written
+// in the same transaction as the events for queries and exports; compareStates checks they
+// still match the replay (the server does it for every portfolio at startup).
+//
+// Event: { seq, type, timestamp, symbol, description, amount, balance, changes }
+// changes: { account: { field: value }, openPositions: { upsert: [record], remove: [id] }, ... }
+// Only the last event of a save carries changes - the events before it only move cash.
+
+const EVENT_TYPES = [
+  'deposit',           // Cash added (including a new portfolio's starting capital)
+  'withdrawal',        // Cash taken out
+  'fill',              // A trade: stock or option bought/sold, strategy opened/closed
+  'fee',               // Charges such as short stock borrow fees
+  'dividend',          // Dividends received (or paid on short positions)
+  'split',             // Stock split applied to lots, options and orders
+  'option_settlement', // Exercise, assignment, cash settlement or expiry
+  'reset',             // Portfolio reset to its starting capital
+  'order',             // Resting order placed, updated or cancelled
+  'order_tracking',    // Trailing stop moved by the order engine (kept for replay, not listed)
+  'account',           // Account settings or margin call status changed
+  'import'             // Opening state of an imported, cloned or pre-ledger portfolio
+];
+
+// Account-level fields tracked by the ledger (cash balance is carried by every event instead)
+const ACCOUNT_FIELDS = [
+  'startingCapital', 'totalPL', 'accountType', 'marginSettings', 'optionSettlement', 'marginCallSince', 'benchmark',
+  'feeSchedule', 'slippage'
+];
+
+// Lists of records, matched by id
+const COLLECTIONS = ['openPositions', 'closedTrades', 'orders', 'strategies', 'corporateActions'];
+
+// The state before the first event
+function emptyState() {
+  return {
+    balance: 0,
+    startingCapital: 0,
+    openPositions: [],
+    closedTrades: [],
+    orders: [],
+    strategies: [],
+    corporateActions: [],
+    totalPL: 0,
+    marginCallSince: null
+  };
+}
+
+// Deep copy of the tracked part of a portfolio, to diff against once it has been changed
+function snapshotState(portfolio) {
+  const snapshot = { balance: portfolio.balance };
+  for (const field of [...ACCOUNT_FIELDS, ...COLLECTIONS]) {
+    if (portfolio[field] !== undefined) {
+      snapshot[field] = JSON.parse(JSON.stringify(portfolio[field]));
+    }
+  }
+  return snapshot;
+}
+
+// What changed between two states, or null if nothing did
+function diffState(before, after) {
+  const changes = {};
+
+  const account = {};
+  for (const field of ACCOUNT_FIELDS) {
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      account[field] = after[field] ?? null;
+    }
+  }
+  if (Object.keys(account).length > 0) {
+    changes.account = account;
+  }
+
+  for (const collection of COLLECTIONS) {
+    const previous = new Map((before[collection] || []).map(record => [record.id, JSON.stringify(record)]));
+    const current = after[collection] || [];
+    const currentIds = new Set(current.map(record => record.id));
+
+    const upsert = current.filter(record => previous.get(record.id) !== JSON.stringify(record));
+    const remove = [...previous.keys()].filter(id => !currentIds.has(id));
+
+    if (upsert.length > 0 || remove.length > 0) {
+      changes[collection] = { upsert, remove };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Turn the events recorded during one update into ledger entries: each gets the running
+// cash balance, the last one carries the state changes. A change with no event at all gets a
+// generic account event, so the ledger always replays to exactly the saved state. Cash that
+// moved without an event is a bug in whatever changed it, so the save fails instead.
+function buildEntries(before, after, recorded = [], timestamp = new Date().toISOString()) {
+  const events = recorded.map(event => ({ ...event }));
+  const changes = diffState(before, after);
+
+  const recordedCash = events.reduce((sum, event) => sum + event.amount, 0);
+  const unexplained = (after.balance - before.balance) - recordedCash;
+  if (Math.abs(unexplained) >= 0.005) {
+    throw new Error(`Cash moved by ${unexplained < 0 ? '-' : ''}$${Math.abs(unexplained).toFixed(2)} with no ledger event to account for it`);
+  }
+
+  if (events.length === 0) {
+    if (!changes) return [];
+    events.push({ type: 'account', amount: 0, description: 'Account updated' });
+  }
+
+  let balance = before.balance;
+  return events.map((event, i) => {
+    const last = i === events.length - 1;
+    balance += event.amount;
+    return {
+      type: event.type,
+      timestamp,
+      symbol: event.symbol || null,
+      description: event.description || null,
+      amount: event.amount,
+      balance: last ? after.balance : balance, // Exact on the last entry, whatever the rounding
+      changes: last ? changes : null
+    };
+  });
+}
+
+// Apply one event to a state (in place)
+function applyEvent(state, event) {
+  state.balance = event.balance;
+
+  const changes = event.changes || {};
+  Object.assign(state, changes.account || {});
+
+  for (const collection of COLLECTIONS) {
+    if (!changes[collection]) continue;
+    const { upsert, remove } = changes[collection];
+    const removed = new Set(remove);
+    const records = state[collection].filter(record => !removed.has(record.id));
+
+    for (const record of upsert) {
+      const index = records.findIndex(r => r.id === record.id);
+      if (index >= 0) {
+        records[index] = record;
+      } else {
+        records.push(record);
+      }
+    }
+    state[collection] = records;
+  }
+
+  return state;
+}
+
+// Rebuild a state from events in ledger order
+function replay(events) {
+  return events.reduce(applyEvent, emptyState());
+}
+
+// Records with sorted keys and null fields left out, so they compare equal however they
+// were built (in code, or read back from the tables)
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] != null)
+      .map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+const sameValue = (a, b) => JSON.stringify(canonical(a ?? null)) === JSON.stringify(canonical(b ?? null));
+
+// Where a replayed state differs from the saved one, e.g. ["balance", "orders abc-123"];
+// empty when the ledger accounts for everything in the tables
+function compareStates(replayed, saved) {
+  const differences = [];
+
+  if (Math.abs(replayed.balance - saved.balance) >= 0.005) {
+    differences.push('balance');
+  }
+  for (const field of ACCOUNT_FIELDS) {
+    if (!sameValue(replayed[field], saved[field])) {
+      differences.push(field);
+    }
+  }
+  for (const collection of COLLECTIONS) {
+    const expected = new Map((replayed[collection] || []).map(record => [record.id, record]));
+    const actual = new Map((saved[collection] || []).map(record => [record.id, record]));
+    for (const id of new Set([...expected.keys(), ...actual.keys()])) {
+      if (!sameValue(expected.get(id), actual.get(id))) {
+        differences.push(`${collection} ${id}`);
+      }
+    }
+  }
+
+  return differences;
+}
+
+// Bookkeeping events that replay needs but the ledger view leaves out
+const HIDDEN_EVENT_TYPES = ['order_tracking'];
+
+module.exports = {
+  EVENT_TYPES,
+  HIDDEN_EVENT_TYPES,
+  emptyState,
+  snapshotState,
+  diffState,
+  buildEntries,
+  applyEvent,
+  replay,
+  compareStates
+};
@@ -0,0 +1,468 @@
+// Market Data Provider Layer
+// Every provider exposes the same four calls:
+//   getQuote(symbol)   -> { symbol, price, high, low, open, previousClose, timestamp }
+//   getProfile(symbol) -> { name, marketCap (millions USD), industry }
+//   getCandles(symbol, from, to) -> [{ time, open, high, low, close, volume }] (daily bars, unix seconds)
+//   getOptionChain(symbol) -> [{ expiration (YYYY-MM-DD), optionType, strike, bid, ask, last,
+//                                volume, openInterest, impliedVolatility, delta, gamma, theta, vega }]
+//     (one entry per contract; fields the provider doesn't report are null)
+//   getCorporateActions(symbol, from, to) -> { splits: [{ date, fromFactor, toFactor }],
+//                                             dividends: [{ exDate, payDate, amount }] }
+//     (events between two YYYY-MM-DD dates; a 4-for-1 split is fromFactor 1, toFactor 4 and
+//     dividend amounts are cash per share)
+// Providers are tried in the order given by MARKET_DATA_PROVIDERS (e.g. "finnhub,alphavantage")
+// and we fail over to the next one when a call errors out or gets rate limited.
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { createRateLimiter } = require('./rateLimiter');
+
+const FIXTURE_FILE = process.env.MARKET_DATA_FIXTURE
+  ? path.resolve(process.env.MARKET_DATA_FIXTURE)
+  : path.join(__dirname, 'fixtures', 'marketData.json');
+
+const RECORD_FIXTURES = process.env.MARKET_DATA_RECORD === 'true';
+const FIXTURE_WRITE_DELAY = 2000; // Batch the recordings of one request into one file write
+const RATE_LIMIT_COOLDOWN = 60 * 1000; // Skip a provider for 1 minute after a 429
+
+// Finnhub's free tier allows 60 calls/minute across the whole API key, so every
+// Finnhub request from every route goes through this one limiter
+const finnhubLimiter = createRateLimiter({
+  perMinute: parseInt(process.env.FINNHUB_RATE_LIMIT) || 60,
+  burst: 30
+});
+
+// Tag an error as a rate limit so callers and the failover logic can tell it apart
+function rateLimitError(providerName) {
+  const error = new Error(`${providerName} rate limit exceeded`);
+  error.rateLimited = true;
+  return error;
+}
+
+// FINNHUB PROVIDER
+function createFinnhubProvider() {
+  const client = axios.create({ baseURL: 'https://finnhub.io/api/v1' });
+
+  async function request(endpoint, params) {
+    await finnhubLimiter.acquire();
+    try {
+      const response = await client.get(endpoint, {
+        params: { ...params, token: process.env.FINNHUB_API_KEY }
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 429) {
+        throw rateLimitError('Finnhub');
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: 'finnhub',
+
+    async getQuote(symbol) {
+      const quote = await request('/quote', { symbol });
+
+      if (quote.c === 0 || !quote.c) {
+        throw new Error(`No data found for symbol: ${symbol}`);
+      }
+
+      return {
+        symbol,
+        price: quote.c,
+        high: quote.h,
+        low: quote.l,
+        open: quote.o,
+        previousClose: quote.pc,
+        timestamp: quote.t
+      };
+    },
+
+    async getProfile(symbol) {
+      const profile = await request('/stock/profile2', { symbol });
+      return {
+        name: profile.name || null,
+        marketCap: profile.marketCapitalization || null, // Finnhub already reports millions
+        industry: profile.finnhubIndustry || null
+      };
+    },
+
+    async getCandles(symbol, from, to) {
+      const candles = await request('/stock/candle', { symbol, resolution: 'D', from, to });
+
+      if (candles.s !== 'ok') {
+        throw new Error(`No candle data found for symbol: ${symbol}`);
+      }
+
+      return candles.t.map((time, i) => ({
+        time,
+        open: candles.o[i],
+        high: candles.h[i],
+        low: candles.l[i],
+        close: candles.c[i],
+        volume: candles.v[i]
+      }));
+    },
+
+    async getCorporateActions(symbol, from, to) {
+      const [splits, dividends] = await Promise.all([
+        request('/stock/split', { symbol, from, to }),
+        request('/stock/dividend', { symbol, from, to })
+      ]);
+
+      return {
+        splits: (splits || []).map(split => ({
+          date: split.date,
+          fromFactor: split.fromFactor,
+          toFactor: split.toFactor
+        })),
+        dividends: (dividends || []).map(dividend => ({
+          exDate: dividend.date,
+          payDate: dividend.payDate || null,
+          amount: dividend.amount
+        }))
+      };
+    },
+
+    async getOptionChain(symbol) {
+      const chain = await request('/stock/option-chain', { symbol });
+
+      if (!chain.data || chain.data.length === 0) {
+        throw new Error(`No option chain found for symbol: ${symbol}`);
+      }
+
+      return chain.data.flatMap(expiry => [
+        ...(expiry.options.CALL || []).map(option => finnhubContract(expiry.expirationDate, 'call', option)),
+        ...(expiry.options.PUT || []).map(option => finnhubContract(expiry.expirationDate, 'put', option))
+      ]);
+    }
+  };
+}
+
+// Finnhub reports implied volatility in percent
+function finnhubContract(expiration, optionType, option) {
+  return {
+    expiration,
+    optionType,
+    strike: option.strike,
+    bid: option.bid ?? null,
+    ask: option.ask ?? null,
+    last: option.lastPrice ?? null,
+    volume: option.volume ?? null,
+    openInterest: option.openInterest ?? null,
+    impliedVolatility: option.impliedVolatility ? option.impliedVolatility / 100 : null,
+    delta: option.delta ?? null,
+    gamma: option.gamma ?? null,
+    theta: option.theta ?? null,
+    vega: option.vega ?? null
+  };
+}
+
+// ALPHA VANTAGE PROVIDER
+function createAlphaVantageProvider() {
+  const client = axios.create({ baseURL: 'https://www.alphavantage.co' });
+
+  async function request(params) {
+    const response = await client.get('/query', {
+      params: { ...params, apikey: process.env.ALPHA_VANTAGE_KEY }
+    });
+    const data = response.data;
+
+    // Alpha Vantage answers throttled requests with a 200 and a "Note"/"Information" message
+    if (data.Note || data.Information) {
+      throw rateLimitError('Alpha Vantage');
+    }
+    if (data['Error Message']) {
+      throw new Error(data['Error Message']);
+    }
+    return data;
+  }
+
+  return {
+    name: 'alphavantage',
+
+    async getQuote(symbol) {
+      const data = await request({ function: 'GLOBAL_QUOTE', symbol });
+      const quote = data['Global Quote'];
+
+      if (!quote || !parseFloat(quote['05. price'])) {
+        throw new Error(`No data found for symbol: ${symbol}`);
+      }
+
+      return {
+        symbol,
+        price: parseFloat(quote['05. price']),
+        high: parseFloat(quote['03. high']),
+        low: parseFloat(quote['04. low']),
+        open: parseFloat(quote['02. open']),
+        previousClose: parseFloat(quote['08. previous close']),
+        timestamp: Math.floor(new Date(quote['07. latest trading day']).getTime() / 1000)
+      };
+    },
+
+    async getProfile(symbol) {
+      const overview = await request({ function: 'OVERVIEW', symbol });
+      const marketCap = parseFloat(overview.MarketCapitalization);
+      return {
+        name: overview.Name || null,
+        marketCap: marketCap ? marketCap / 1000000 : null,
+        industry: overview.Industry ? titleCase(overview.Industry) : null
+      };
+    },
+
+    async getCandles(symbol, from, to) {
+      const data = await request({ function: 'TIME_SERIES_DAILY', symbol, outputsize: 'full' });
+      const series = data['Time Series (Daily)'];
+
+      if (!series) {
+        throw new Error(`No candle data found for symbol: ${symbol}`);
+      }
+
+      return Object.entries(series)
+        .map(([date, bar]) => ({
+          time: Math.floor(new Date(date).getTime() / 1000),
+          open: parseFloat(bar['1. open']),
+          high: parseFloat(bar['2. high']),
+          low: parseFloat(bar['3. low']),
+          close: parseFloat(bar['4. close']),
+          volume: parseInt(bar['5. volume'])
+        }))
+        .filter(bar => bar.time >= from && bar.time <= to)
+        .sort((a, b) => a.time - b.time);
+    },
+
+    async getCorporateActions(symbol, from, to) {
+      const splits = await request({ function: 'SPLITS', symbol });
+      const dividends = await request({ function: 'DIVIDENDS', symbol });
+      const inRange = date => date >= from && date <= to;
+
+      return {
+        splits: (splits.data || [])
+          .filter(split => inRange(split.effective_date))
+          .map(split => ({ date: split.effective_date, fromFactor: 1, toFactor: parseFloat(split.split_factor) })),
+        dividends: (dividends.data || [])
+          .filter(dividend => inRange(dividend.ex_dividend_date))
+          .map(dividend => ({
+            exDate: dividend.ex_dividend_date,
+            payDate: dividend.payment_date && dividend.payment_date !== 'None' ? dividend.payment_date : null,
+            amount: parseFloat(dividend.amount)
+          }))
+      };
+    },
+
+    async getOptionChain(symbol) {
+      const data = await request({ function: 'REALTIME_OPTIONS', symbol, require_greeks: 'true' });
+
+      if (!Array.isArray(data.data) || data.data.length === 0) {
+        throw new Error(`No option chain found for symbol: ${symbol}`);
+      }
+
+      const number = value => (value === undefined || value === '' ? null : parseFloat(value));
+      return data.data.map(option => ({
+        expiration: option.expiration,
+        optionType: option.type,
+        strike: parseFloat(option.strike),
+        bid: number(option.bid),
+        ask: number(option.ask),
+        last: number(option.last),
+        volume: number(option.volume),
+        openInterest: number(option.open_interest),
+        impliedVolatility: number(option.implied_volatility),
+        delta: number(option.delta),
+        gamma: number(option.gamma),
+        theta: number(option.theta),
+        vega: number(option.vega)
+      }));
+    }
+  };
+}
+
+// Alpha Vantage returns industries in upper case ("SEMICONDUCTORS")
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// FIXTURE PROVIDER
+// Serves recorded data from a JSON file so the app can run offline:
+// { "quotes": { "AAPL": {...} }, "profiles": { "AAPL": {...} }, "candles": { "AAPL": [...] },
+//   "optionChains": { "AAPL": [...] }, "corporateActions": { "AAPL": { splits, dividends } } }
+// A symbol with no corporate actions entry simply has had none.
+function createFixtureProvider() {
+  async function lookup(section, symbol) {
+    const fixtures = await readFixtures();
+    const entry = fixtures[section][symbol];
+    if (!entry) {
+      throw new Error(`No fixture data for ${symbol}`);
+    }
+    return entry;
+  }
+
+  return {
+    name: 'fixture',
+
+    async getQuote(symbol) {
+      const quote = await lookup('quotes', symbol);
+      return { ...quote, symbol };
+    },
+
+    async getProfile(symbol) {
+      return lookup('profiles', symbol);
+    },
+
+    async getCandles(symbol, from, to) {
+      const candles = await lookup('candles', symbol);
+      return candles.filter(bar => bar.time >= from && bar.time <= to);
+    },
+
+    async getOptionChain(symbol) {
+      return lookup('optionChains', symbol);
+    },
+
+    async getCorporateActions(symbol, from, to) {
+      const fixtures = await readFixtures();
+      const { splits = [], dividends = [] } = fixtures.corporateActions[symbol] || {};
+      return {
+        splits: splits.filter(split => split.date >= from && split.date <= to),
+        dividends: dividends.filter(dividend => dividend.exDate >= from && dividend.exDate <= to)
+      };
+    }
+  };
+}
+
+// The fixture file is parsed once and kept in memory; recordings update that copy
+let fixturesLoaded = null;
+
+function readFixtures() {
+  if (!fixturesLoaded) {
+    fixturesLoaded = fs.readFile(FIXTURE_FILE, 'utf8')
+      .then(data => JSON.parse(data))
+      .catch(() => ({}))
+      .then(data => ({ quotes: {}, profiles: {}, candles: {}, optionChains: {}, corporateActions: {}, ...data }));
+  }
+  return fixturesLoaded;
+}
+
+// Recordings land in the in-memory copy right away; the file is rewritten at most once per
+// FIXTURE_WRITE_DELAY with everything recorded since, off the request path. Writes go one
+// after another so an older copy never lands last.
+let fixtureWriteTimer = null;
+let fixtureWrites = Promise.resolve();
+
+function writeFixtures() {
+  fixtureWriteTimer = null;
+  fixtureWrites = fixtureWrites.then(async () => {
+    const fixtures = await readFixtures();
+    await fs.mkdir(path.dirname(FIXTURE_FILE), { recursive: true });
+    await fs.writeFile(FIXTURE_FILE, JSON.stringify(fixtures, null, 2));
+  }).catch(error => {
+    console.log(`Failed to save recorded fixtures: ${error.message}`);
+  });
+}
+
+// Save a live response into the fixture file (MARKET_DATA_RECORD=true)
+function recordFixture(section, symbol, value) {
+  readFixtures().then(fixtures => {
+    fixtures[section][symbol] = value;
+    if (!fixtureWriteTimer) {
+      fixtureWriteTimer = setTimeout(writeFixtures, FIXTURE_WRITE_DELAY);
+    }
+  });
+}
+
+const providerFactories = {
+  finnhub: createFinnhubProvider,
+  alphavantage: createAlphaVantageProvider,
+  fixture: createFixtureProvider
+};
+
+// Build the provider chain from config, e.g. MARKET_DATA_PROVIDERS=fixture for offline mode
+function loadProviders() {
+  const configured = process.env.MARKET_DATA_PROVIDERS
+    ? process.env.MARKET_DATA_PROVIDERS.split(',').map(name => name.trim().toLowerCase())
+    : ['finnhub', 'alphavantage'];
+
+  return configured.map(name => {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown market data provider: ${name}`);
+    }
+    return factory();
+  });
+}
+
+const providers = loadProviders();
+const cooldowns = {}; // provider name -> timestamp when it can be used again
+
+// Try each provider in order until one succeeds
+async function withFailover(method, symbol, ...args) {
+  let lastError = new Error('No market data providers configured');
+
+  for (const provider of providers) {
+    if (cooldowns[provider.name] && Date.now() < cooldowns[provider.name]) {
+      continue;
+    }
+
+    try {
+      const result = await provider[method](symbol, ...args);
+      if (RECORD_FIXTURES && provider.name !== 'fixture') {
+        const section = {
+          getQuote: 'quotes',
+          getProfile: 'profiles',
+          getCandles: 'candles',
+          getOptionChain: 'optionChains',
+          getCorporateActions: 'corporateActions'
+        }[method];
+        recordFixture(section, symbol, result);
+      }
+      return result;
+    } catch (error) {
+      if (error.rateLimited) {
+        cooldowns[provider.name] = Date.now() + RATE_LIMIT_COOLDOWN;
+      }
+      console.log(`${provider.name} ${method}(${symbol}) failed: ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+async function getQuote(symbol) {
+  return withFailover('getQuote', symbol);
+}
+
+async function getProfile(symbol) {
+  return withFailover('getProfile', symbol);
+}
+
+async function getCandles(symbol, from, to) {
+  return withFailover('getCandles', symbol, from, to);
+}
+
+async function getOptionChain(symbol) {
+  return withFailover('getOptionChain', symbol);
+}
+
+async function getCorporateActions(symbol, from, to) {
+  return withFailover('getCorporateActions', symbol, from, to);
+}
+
+// Names of the configured providers, in failover order
+function getProviderNames() {
+  return providers.map(provider => provider.name);
+}
+
+function getRateLimitStats() {
+  return { finnhub: finnhubLimiter.getStats() };
+}
+
+module.exports = {
+  getQuote,
+  getProfile,
+  getCandles,
+  getOptionChain,
+  getCorporateActions,
+  getProviderNames,
+  getRateLimitStats
+};
@@ -0,0 +1,75 @@
+// US Market Hours Helpers
+// Regular session is 9:30am-4:00pm America/New_York, Monday-Friday (holidays are ignored).
+const MARKET_TIMEZONE = 'America/New_York';
+const CLOSE_HOUR = 16;
+const SESSION_MINUTES = 6.5 * 60; // 9:30am to the 4:00pm close
+
+// Offset of New York from UTC at a given instant, in minutes (e.g. -240 during EDT)
+function newYorkOffsetMinutes(date) {
+  const label = new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIMEZONE,
+    timeZoneName: 'shortOffset'
+  }).formatToParts(date).find(part => part.type === 'timeZoneName').value; // "GMT-4"
+
+  const match = label.match(/GMT([+-])(\d+)(?::(\d+))?/);
+  if (!match) return 0;
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// Calendar date (YYYY-MM-DD) in New York for an instant
+function newYorkDate(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: MARKET_TIMEZONE }).format(date);
+}
+
+// The instant of 4:00pm New York time on a YYYY-MM-DD date
+function marketCloseOn(dateString) {
+  const noonUtc = new Date(`${dateString}T12:00:00Z`);
+  const offset = newYorkOffsetMinutes(noonUtc);
+  return new Date(Date.UTC(
+    noonUtc.getUTCFullYear(),
+    noonUtc.getUTCMonth(),
+    noonUtc.getUTCDate(),
+    CLOSE_HOUR
+  ) - offset * 60 * 1000);
+}
+
+function isWeekend(dateString) {
+  const day = new Date(`${dateString}T12:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+// Next regular-session close strictly after `from` (a day order placed after the close
+// lives until the following trading day's close)
+function nextMarketClose(from = new Date()) {
+  let dateString = newYorkDate(from);
+
+  for (let i = 0; i < 8; i++) {
+    const close = marketCloseOn(dateString);
+    if (!isWeekend(dateString) && close > from) {
+      return close;
+    }
+    const next = new Date(`${dateString}T12:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    dateString = next.toISOString().slice(0, 10);
+  }
+
+  throw new Error('Could not find next market close');
+}
+
+// Whether the regular session is open at `now`
+function isMarketOpen(now = new Date()) {
+  const dateString = newYorkDate(now);
+  if (isWeekend(dateString)) return false;
+
+  const close = marketCloseOn(dateString);
+  const open = new Date(close.getTime() - SESSION_MINUTES * 60 * 1000);
+  return now >= open && now < close;
+}
+
+module.exports = {
+  newYorkDate,
+  marketCloseOn,
+  nextMarketClose,
+  isMarketOpen
+};
@@ -0,0 +1,70 @@
+// Mock Trade Stream
+// A local stand-in for Finnhub's trade WebSocket, for development without an API key or
+// outside market hours. Prices start at the fixture quotes (see marketData.js) and random-walk
+// a few basis points per trade.
+//
+//   node mockTradeStream.js                      (listens on MOCK_STREAM_PORT, default 4001)
+//   QUOTE_STREAM_URL=ws://localhost:4001 node server.js
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+const PORT = parseInt(process.env.MOCK_STREAM_PORT) || 4001;
+const FIXTURE_FILE = process.env.MARKET_DATA_FIXTURE
+  ? path.resolve(process.env.MARKET_DATA_FIXTURE)
+  : path.join(__dirname, 'fixtures', 'marketData.json');
+const TRADE_INTERVAL = parseInt(process.env.MOCK_STREAM_INTERVAL) || 1000;
+const PING_INTERVAL = 30 * 1000;
+const MAX_STEP = 0.0015; // Largest move per trade, as a fraction of the price
+
+function loadStartingPrices() {
+  try {
+    const { quotes = {} } = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'));
+    return new Map(Object.entries(quotes).map(([symbol, quote]) => [symbol, quote.price]));
+  } catch (error) {
+    return new Map();
+  }
+}
+
+const prices = loadStartingPrices();
+
+// Next trade in a symbol; unknown symbols start at $100
+function nextTrade(symbol) {
+  const last = prices.get(symbol) || 100;
+  const price = Math.round(last * (1 + (Math.random() * 2 - 1) * MAX_STEP) * 100) / 100;
+  prices.set(symbol, price);
+  return { s: symbol, p: price, t: Date.now(), v: Math.ceil(Math.random() * 500) };
+}
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', socket => {
+  const symbols = new Set();
+
+  socket.on('message', raw => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (err) {
+      socket.send(JSON.stringify({ type: 'error', msg: 'Invalid JSON' }));
+      return;
+    }
+    if (message.type === 'subscribe') symbols.add(message.symbol);
+    if (message.type === 'unsubscribe') symbols.delete(message.symbol);
+  });
+
+  // Each tick trades a random half of the subscribed symbols, like a real feed where not
+  // every symbol prints every second
+  const trades = setInterval(() => {
+    const data = [...symbols].filter(() => Math.random() < 0.5).map(nextTrade);
+    if (data.length > 0) socket.send(JSON.stringify({ type: 'trade', data }));
+  }, TRADE_INTERVAL);
+  const pings = setInterval(() => socket.send(JSON.stringify({ type: 'ping' })), PING_INTERVAL);
+
+  socket.on('close', () => {
+    clearInterval(trades);
+    clearInterval(pings);
+  });
+});
+
+console.log(`Mock trade stream on ws://localhost:${PORT}`);
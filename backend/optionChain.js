@@ -0,0 +1,177 @@
+// Option Chains
+// Builds the chain the UI shows for one underlying: the available expirations and, for the
+// selected expiration, bid/ask/last, implied volatility and Greeks at every strike.
+// Quotes come from the market data providers; contracts they send without IV or Greeks are
+// filled in from the pricing model. When no provider has a chain for the symbol (e.g. the
+// offline fixture), a theoretical chain is generated from historical volatility instead.
+const quoteCache = require('./quoteCache');
+const { newYorkDate } = require('./marketHours');
+const { DEFAULT_VOLATILITY, priceOption, impliedVolatility, yearsToExpiry } = require('./optionPricing');
+
+const WEEKLY_EXPIRATIONS = 4; // Modeled chain: the next 4 Friday expirations...
+const MONTHLY_EXPIRATIONS = 6; // ...plus the next 6 monthly (third Friday) expirations
+const STRIKES_PER_SIDE = 10; // Modeled strikes above and below the at-the-money strike
+
+const round = value => Math.round(value * 100) / 100;
+
+// Strike spacing listed exchanges use for a stock at this price
+function strikeIncrement(price) {
+  if (price < 25) return 1;
+  if (price < 100) return 2.5;
+  if (price < 500) return 5;
+  if (price < 1000) return 10;
+  return 25;
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Upcoming weekly and monthly expirations (YYYY-MM-DD), soonest first
+function modeledExpirations(now = new Date()) {
+  const today = newYorkDate(now);
+  const expirations = new Set();
+
+  // Weeklies: Fridays that haven't closed yet
+  let friday = addDays(today, (5 - new Date(`${today}T12:00:00Z`).getUTCDay() + 7) % 7);
+  while (expirations.size < WEEKLY_EXPIRATIONS) {
+    if (yearsToExpiry(friday, now) > 0) expirations.add(friday);
+    friday = addDays(friday, 7);
+  }
+
+  // Monthlies: the third Friday of each month
+  const start = new Date(`${today}T12:00:00Z`);
+  for (let month = 0, added = 0; added < MONTHLY_EXPIRATIONS; month++) {
+    const first = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + month, 1, 12));
+    const firstFriday = 1 + (5 - first.getUTCDay() + 7) % 7;
+    const thirdFriday = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), firstFriday + 14, 12))
+      .toISOString().slice(0, 10);
+    if (yearsToExpiry(thirdFriday, now) > 0) {
+      expirations.add(thirdFriday);
+      added++;
+    }
+  }
+
+  return [...expirations].sort();
+}
+
+// Theoretical contracts around the current price. Bid and ask straddle the model price
+// with a spread that widens for pricier options.
+function modelContracts(spot, volatility, now = new Date()) {
+  const increment = strikeIncrement(spot);
+  const atTheMoney = Math.round(spot / increment) * increment;
+  const contracts = [];
+
+  for (const expiration of modeledExpirations(now)) {
+    const timeToExpiry = yearsToExpiry(expiration, now);
+
+    for (let i = -STRIKES_PER_SIDE; i <= STRIKES_PER_SIDE; i++) {
+      const strike = atTheMoney + i * increment;
+      if (strike <= 0) continue;
+
+      for (const optionType of ['call', 'put']) {
+        const { price } = priceOption({ type: optionType, spot, strike, timeToExpiry, volatility });
+        const halfSpread = Math.max(0.025, price * 0.02);
+        contracts.push({
+          expiration,
+          optionType,
+          strike,
+          bid: round(Math.max(0, price - halfSpread)),
+          ask: round(Math.max(0.05, price + halfSpread)),
+          last: null,
+          volume: null,
+          openInterest: null,
+          impliedVolatility: volatility,
+          delta: null,
+          gamma: null,
+          theta: null,
+          vega: null
+        });
+      }
+    }
+  }
+
+  return contracts;
+}
+
+// Add mid price, IV and Greeks to a contract (keeping whatever the provider reported)
+function describeContract(contract, spot, now) {
+  const timeToExpiry = yearsToExpiry(contract.expiration, now);
+  const mid = contract.bid != null && contract.ask != null && contract.ask > 0
+    ? round((contract.bid + contract.ask) / 2)
+    : contract.last;
+
+  const volatility = contract.impliedVolatility
+    || (mid ? impliedVolatility({ type: contract.optionType, spot, strike: contract.strike, timeToExpiry, premium: mid }) : null);
+
+  const greeks = contract.delta == null && volatility
+    ? priceOption({ type: contract.optionType, spot, strike: contract.strike, timeToExpiry, volatility })
+    : contract;
+
+  return {
+    bid: contract.bid,
+    ask: contract.ask,
+    last: contract.last,
+    mid,
+    volume: contract.volume,
+    openInterest: contract.openInterest,
+    impliedVolatility: volatility,
+    delta: greeks.delta ?? null,
+    gamma: greeks.gamma ?? null,
+    theta: greeks.theta ?? null,
+    vega: greeks.vega ?? null
+  };
+}
+
+function createOptionChains({ getCurrentPrice, getVolatility }) {
+  // Chain for one expiration (defaults to the nearest). Returns every expiration so the
+  // caller can switch between them.
+  async function getOptionChain(symbol, expiration, now = new Date()) {
+    const spot = await getCurrentPrice(symbol);
+
+    let contracts;
+    let source = 'market';
+    try {
+      contracts = await quoteCache.getOptionChain(symbol);
+    } catch (error) {
+      const volatility = await getVolatility(symbol).catch(() => null);
+      contracts = modelContracts(spot, volatility || DEFAULT_VOLATILITY, now);
+      source = 'model';
+    }
+
+    const live = contracts.filter(contract => yearsToExpiry(contract.expiration, now) > 0);
+    const expirations = [...new Set(live.map(contract => contract.expiration))].sort();
+
+    if (expirations.length === 0) {
+      throw new Error(`No unexpired options found for ${symbol}`);
+    }
+    if (expiration && !expirations.includes(expiration)) {
+      throw new Error(`No ${symbol} options expire on ${expiration}. Available: ${expirations.join(', ')}`);
+    }
+    const selected = expiration || expirations[0];
+
+    // One row per strike with the call and put side by side
+    const rows = new Map();
+    for (const contract of live.filter(c => c.expiration === selected)) {
+      const row = rows.get(contract.strike) || { strike: contract.strike, call: null, put: null };
+      row[contract.optionType] = describeContract(contract, spot, now);
+      rows.set(contract.strike, row);
+    }
+
+    return {
+      symbol,
+      underlyingPrice: spot,
+      source,
+      expirations,
+      expiration: selected,
+      daysToExpiry: Math.ceil(yearsToExpiry(selected, now) * 365),
+      strikes: [...rows.values()].sort((a, b) => a.strike - b.strike)
+    };
+  }
+
+  return { getOptionChain };
+}
+
+module.exports = { createOptionChains };
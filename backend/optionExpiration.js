@@ -0,0 +1,50 @@
+// Daily Option Expiration Job
+// Shortly after each market close, settles every option whose expiration has passed
+// (auto-exercise / cash settlement / expire worthless, see portfolioManager). Also runs
+// once at startup to catch up on anything that expired while the server was down.
+// Covers every portfolio, not just the active one.
+const portfolio = require('./portfolioManager');
+const quoteCache = require('./quoteCache');
+const { nextMarketClose } = require('./marketHours');
+
+const SETTLEMENT_DELAY = 15 * 60 * 1000; // Run 15 minutes after the close so closing prices are in
+
+async function getCurrentPrice(symbol) {
+  const quote = await quoteCache.getQuote(symbol);
+  return quote.price;
+}
+
+async function runExpirations() {
+  try {
+    const settled = [];
+    for (const { id, name } of await portfolio.listPortfolios()) {
+      const trades = await portfolio.usePortfolio(id, () => portfolio.settleExpiredOptions(getCurrentPrice));
+      for (const trade of trades) {
+        console.log(`Option settled in ${name} (${trade.closeReason}): ${trade.contracts} ${trade.symbol} $${trade.strike} ${trade.optionType} exp ${trade.expiration}`);
+      }
+      settled.push(...trades);
+    }
+    return settled;
+  } catch (error) {
+    console.error('Option expiration error:', error.message);
+    return [];
+  }
+}
+
+function scheduleNextRun() {
+  const runAt = nextMarketClose(new Date()).getTime() + SETTLEMENT_DELAY;
+  setTimeout(async () => {
+    await runExpirations();
+    scheduleNextRun();
+  }, runAt - Date.now());
+}
+
+function start() {
+  runExpirations();
+  scheduleNextRun();
+}
+
+module.exports = {
+  start,
+  runExpirations
+};
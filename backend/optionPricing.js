@@ -0,0 +1,187 @@
+// Option Pricing Models
+// Black-Scholes for European-style pricing and Greeks, and a Cox-Ross-Rubinstein
+// binomial tree for American options (early exercise matters for puts).
+// Inputs use annualized units: timeToExpiry in years, rate and volatility as decimals.
+const { marketCloseOn } = require('./marketHours');
+
+const RISK_FREE_RATE = parseFloat(process.env.RISK_FREE_RATE) || 0.045;
+const DEFAULT_VOLATILITY = 0.3; // Used when neither implied nor historical volatility is available
+const BINOMIAL_STEPS = 200;
+const TRADING_DAYS = 252;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Standard normal cumulative distribution (Abramowitz-Stegun 26.2.17, error < 7.5e-8)
+function normCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989422804014327 * Math.exp(-x * x / 2);
+  const p = d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x >= 0 ? 1 - p : p;
+}
+
+function normPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+function intrinsicValue(type, spot, strike) {
+  return type === 'call' ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+}
+
+// Black-Scholes price and Greeks for one share of a European option.
+// theta is per calendar day, vega per 1 volatility point (0.01).
+function blackScholes({ type, spot, strike, timeToExpiry, rate = RISK_FREE_RATE, volatility }) {
+  if (timeToExpiry <= 0 || volatility <= 0) {
+    const itm = intrinsicValue(type, spot, strike) > 0;
+    return {
+      price: intrinsicValue(type, spot, strike),
+      delta: itm ? (type === 'call' ? 1 : -1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0
+    };
+  }
+
+  const sqrtT = Math.sqrt(timeToExpiry);
+  const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * timeToExpiry) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+  const discount = Math.exp(-rate * timeToExpiry);
+
+  const gamma = normPdf(d1) / (spot * volatility * sqrtT);
+  const vega = spot * normPdf(d1) * sqrtT / 100;
+  const decay = -(spot * normPdf(d1) * volatility) / (2 * sqrtT);
+
+  if (type === 'call') {
+    return {
+      price: spot * normCdf(d1) - strike * discount * normCdf(d2),
+      delta: normCdf(d1),
+      gamma,
+      theta: (decay - rate * strike * discount * normCdf(d2)) / 365,
+      vega
+    };
+  }
+
+  return {
+    price: strike * discount * normCdf(-d2) - spot * normCdf(-d1),
+    delta: normCdf(d1) - 1,
+    gamma,
+    theta: (decay + rate * strike * discount * normCdf(-d2)) / 365,
+    vega
+  };
+}
+
+// Cox-Ross-Rubinstein binomial price for one share of an American option
+function binomialPrice({ type, spot, strike, timeToExpiry, rate = RISK_FREE_RATE, volatility, steps = BINOMIAL_STEPS }) {
+  if (timeToExpiry <= 0 || volatility <= 0) {
+    return intrinsicValue(type, spot, strike);
+  }
+
+  const dt = timeToExpiry / steps;
+  const up = Math.exp(volatility * Math.sqrt(dt));
+  const down = 1 / up;
+  const growth = Math.exp(rate * dt);
+  const pUp = (growth - down) / (up - down);
+  const discount = 1 / growth;
+
+  // Option values at expiry
+  const values = [];
+  for (let i = 0; i <= steps; i++) {
+    values.push(intrinsicValue(type, spot * Math.pow(up, steps - i) * Math.pow(down, i), strike));
+  }
+
+  // Walk back through the tree, exercising early whenever that is worth more
+  for (let step = steps - 1; step >= 0; step--) {
+    for (let i = 0; i <= step; i++) {
+      const held = discount * (pUp * values[i] + (1 - pUp) * values[i + 1]);
+      const exercised = intrinsicValue(type, spot * Math.pow(up, step - i) * Math.pow(down, i), strike);
+      values[i] = Math.max(held, exercised);
+    }
+  }
+
+  return values[0];
+}
+
+// Price and Greeks for one share of an option. American puts use the binomial tree with
+// Greeks by bump-and-reprice; calls (no dividends modeled) never benefit from early
+// exercise, so they use Black-Scholes directly.
+function priceOption({ type, spot, strike, timeToExpiry, rate = RISK_FREE_RATE, volatility, style = 'american' }) {
+  const inputs = { type, spot, strike, timeToExpiry, rate, volatility };
+
+  if (style !== 'american' || type === 'call' || timeToExpiry <= 0) {
+    return blackScholes(inputs);
+  }
+
+  const price = binomialPrice(inputs);
+  const spotBump = spot * 0.01;
+  const up = binomialPrice({ ...inputs, spot: spot + spotBump });
+  const down = binomialPrice({ ...inputs, spot: spot - spotBump });
+  const dayLater = binomialPrice({ ...inputs, timeToExpiry: Math.max(0, timeToExpiry - 1 / 365) });
+  const volUp = binomialPrice({ ...inputs, volatility: volatility + 0.01 });
+
+  return {
+    price,
+    delta: (up - down) / (2 * spotBump),
+    gamma: (up - 2 * price + down) / (spotBump * spotBump),
+    theta: dayLater - price,
+    vega: volUp - price
+  };
+}
+
+// Solve for the volatility that reproduces an observed premium (bisection).
+// Returns null when the premium is outside what any volatility can produce.
+function impliedVolatility({ type, spot, strike, timeToExpiry, rate = RISK_FREE_RATE, premium, style = 'american' }) {
+  if (timeToExpiry <= 0 || premium <= intrinsicValue(type, spot, strike)) {
+    return null;
+  }
+
+  let low = 0.001;
+  let high = 5;
+  const priceAt = volatility => priceOption({ type, spot, strike, timeToExpiry, rate, volatility, style }).price;
+
+  if (premium > priceAt(high)) {
+    return null;
+  }
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (priceAt(mid) > premium) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+    if (high - low < 1e-5) break;
+  }
+
+  return (low + high) / 2;
+}
+
+// Annualized volatility of daily log returns from candles ({ close } bars, oldest first)
+function historicalVolatility(candles) {
+  if (!candles || candles.length < 10) {
+    return null;
+  }
+
+  const returns = [];
+  for (let i = 1; i < candles.length; i++) {
+    returns.push(Math.log(candles[i].close / candles[i - 1].close));
+  }
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS);
+}
+
+// Years from now until 4pm New York on the expiration date (YYYY-MM-DD)
+function yearsToExpiry(expiration, now = new Date()) {
+  return Math.max(0, (marketCloseOn(expiration) - now) / YEAR_MS);
+}
+
+module.exports = {
+  RISK_FREE_RATE,
+  DEFAULT_VOLATILITY,
+  blackScholes,
+  binomialPrice,
+  priceOption,
+  impliedVolatility,
+  historicalVolatility,
+  intrinsicValue,
+  yearsToExpiry
+};
@@ -0,0 +1,173 @@
+// Option Strategy Math
+// Shape checks for multi-leg orders, payoff at expiration (net debit/credit, max profit,
+// max loss, breakevens) and the collateral needed to write options.
+// A leg is { side: 'long'|'short', optionType: 'call'|'put', strike, premium, contracts };
+// dollar amounts are for the whole order (premium per share x 100 x contracts).
+const { intrinsicValue } = require('./optionPricing');
+
+const STRATEGIES = ['vertical', 'straddle', 'strangle', 'iron_condor', 'covered_call'];
+
+const STRATEGY_LABELS = {
+  vertical: 'Vertical Spread',
+  straddle: 'Straddle',
+  strangle: 'Strangle',
+  iron_condor: 'Iron Condor',
+  covered_call: 'Covered Call'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// Make sure the legs actually form the named strategy
+function validateStrategyLegs(strategy, legs) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown strategy: ${strategy}. Use one of ${STRATEGIES.join(', ')}`);
+  }
+
+  for (const leg of legs) {
+    if (!['long', 'short'].includes(leg.side)) {
+      throw new Error('Each leg must be long (buy) or short (sell)');
+    }
+    if (!['call', 'put'].includes(leg.optionType)) {
+      throw new Error('Each leg must be a call or a put');
+    }
+    if (!(leg.strike > 0) || !(leg.premium > 0)) {
+      throw new Error('Each leg needs a strike and premium greater than zero');
+    }
+  }
+
+  const calls = legs.filter(leg => leg.optionType === 'call');
+  const puts = legs.filter(leg => leg.optionType === 'put');
+  const fail = message => { throw new Error(`Invalid ${STRATEGY_LABELS[strategy].toLowerCase()}: ${message}`); };
+
+  switch (strategy) {
+    case 'vertical':
+      if (legs.length !== 2 || legs[0].optionType !== legs[1].optionType) fail('needs two calls or two puts');
+      if (legs[0].side === legs[1].side) fail('needs one long and one short leg');
+      if (legs[0].strike === legs[1].strike) fail('legs need different strikes');
+      break;
+
+    case 'straddle':
+    case 'strangle':
+      if (legs.length !== 2 || calls.length !== 1 || puts.length !== 1) fail('needs one call and one put');
+      if (calls[0].side !== puts[0].side) fail('both legs must be long or both short');
+      if (strategy === 'straddle' && calls[0].strike !== puts[0].strike) fail('call and put need the same strike');
+      if (strategy === 'strangle' && calls[0].strike <= puts[0].strike) fail('call strike must be above the put strike');
+      break;
+
+    case 'iron_condor': {
+      if (legs.length !== 4 || calls.length !== 2 || puts.length !== 2) fail('needs two puts and two calls');
+      const [lowPut, highPut] = [...puts].sort((a, b) => a.strike - b.strike);
+      const [lowCall, highCall] = [...calls].sort((a, b) => a.strike - b.strike);
+      if (!(lowPut.strike < highPut.strike && highPut.strike <= lowCall.strike && lowCall.strike < highCall.strike)) {
+        fail('strikes must go put < put <= call < call');
+      }
+      // Short condor sells the inner strikes, long condor buys them
+      const inner = highPut.side;
+      const outer = inner === 'short' ? 'long' : 'short';
+      if (lowCall.side !== inner || lowPut.side !== outer || highCall.side !== outer) {
+        fail('inner strikes must be on one side and outer strikes on the other');
+      }
+      break;
+    }
+
+    case 'covered_call':
+      if (legs.length !== 1 || calls.length !== 1 || legs[0].side !== 'short') fail('needs exactly one short call');
+      break;
+
+    default:
+      break;
+  }
+}
+
+// Profit or loss of the legs (plus an optional stock leg { shares, price }) if the
+// underlying finishes at `price`
+function payoffAt(legs, price, stock = null) {
+  const options = legs.reduce((sum, leg) => {
+    const direction = leg.side === 'long' ? 1 : -1;
+    const value = intrinsicValue(leg.optionType, price, leg.strike) - leg.premium;
+    return sum + direction * value * 100 * leg.contracts;
+  }, 0);
+  return options + (stock ? stock.shares * (price - stock.price) : 0);
+}
+
+// Net premium (positive = credit received), max profit, max loss and breakevens at
+// expiration. The payoff is piecewise linear between strikes, so checking 0, each strike
+// and the slope beyond the highest strike is enough. Unlimited profit/loss is null.
+function analyzePayoff(legs, stock = null) {
+  const netPremium = legs.reduce(
+    (sum, leg) => sum + (leg.side === 'short' ? 1 : -1) * leg.premium * 100 * leg.contracts,
+    0
+  );
+
+  const points = [0, ...new Set(legs.map(leg => leg.strike))].sort((a, b) => a - b);
+  const values = points.map(price => payoffAt(legs, price, stock));
+
+  // P/L change per $1 above the highest strike
+  const slope = legs
+    .filter(leg => leg.optionType === 'call')
+    .reduce((sum, leg) => sum + (leg.side === 'long' ? 1 : -1) * 100 * leg.contracts, 0) + (stock ? stock.shares : 0);
+
+  const breakevens = [];
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [values[i - 1], values[i]];
+    if ((a < 0 && b > 0) || (a > 0 && b < 0)) {
+      breakevens.push(points[i - 1] + (-a) * (points[i] - points[i - 1]) / (b - a));
+    } else if (b === 0 && a !== 0) {
+      breakevens.push(points[i]);
+    }
+  }
+  const last = values[values.length - 1];
+  if ((last < 0 && slope > 0) || (last > 0 && slope < 0)) {
+    breakevens.push(points[points.length - 1] - last / slope);
+  }
+
+  const best = Math.max(...values);
+  const worst = Math.min(...values);
+
+  return {
+    netPremium: round(netPremium),
+    maxProfit: slope > 0 ? null : round(Math.max(0, best)),
+    maxLoss: slope < 0 ? null : round(Math.max(0, -worst)),
+    breakevens: breakevens.map(round)
+  };
+}
+
+// Collateral needed to write the legs. Short calls beyond the long calls in the order must
+// be covered by 100 shares each (pledged); everything else is secured by cash equal to the
+// worst case of the remaining legs, on top of any credit received.
+function computeCollateral(legs) {
+  const count = (side, type) => legs
+    .filter(leg => leg.side === side && leg.optionType === type)
+    .reduce((sum, leg) => sum + leg.contracts, 0);
+
+  const uncoveredCalls = Math.max(0, count('short', 'call') - count('long', 'call'));
+
+  // Take the share-covered calls out (lowest strikes first) before sizing the cash part
+  let toCover = uncoveredCalls;
+  const cashLegs = [...legs]
+    .sort((a, b) => a.strike - b.strike)
+    .map(leg => {
+      if (toCover === 0 || leg.side !== 'short' || leg.optionType !== 'call') return leg;
+      const covered = Math.min(leg.contracts, toCover);
+      toCover -= covered;
+      return { ...leg, contracts: leg.contracts - covered };
+    })
+    .filter(leg => leg.contracts > 0);
+
+  let cash = 0;
+  if (cashLegs.some(leg => leg.side === 'short')) {
+    const { maxLoss, netPremium } = analyzePayoff(cashLegs);
+    cash = Math.max(0, maxLoss + netPremium);
+  }
+
+  return { cash: round(cash), shares: uncoveredCalls * 100 };
+}
+
+module.exports = {
+  STRATEGIES,
+  STRATEGY_LABELS,
+  validateStrategyLegs,
+  payoffAt,
+  analyzePayoff,
+  computeCollateral
+};
@@ -0,0 +1,145 @@
+// Background Order Engine
+// Polls quotes for every symbol with an open order, then fills, triggers or expires
+// orders through portfolioManager. Fills happen at the polled price (paper trading), moved
+// by the portfolio's slippage model but never past a limit order's limit.
+// Every portfolio but the archived ones is checked, not just the active one. Orders only
+// fill during the regular session; outside it the last quote is stale, so they just expire.
+const portfolio = require('./portfolioManager');
+const quoteCache = require('./quoteCache');
+const { isMarketOpen } = require('./marketHours');
+
+const POLL_INTERVAL = parseInt(process.env.ORDER_ENGINE_INTERVAL) || 30 * 1000;
+
+// Decide what to do with one order at the current price.
+// Returns { fill, updates } where updates are fields to persist on the order (empty when
+// nothing about it changed).
+function evaluateOrder(order, price) {
+  const isBuy = order.side === 'buy';
+  const limitReached = isBuy ? price <= order.limitPrice : price >= order.limitPrice;
+  const stopReached = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+
+  switch (order.orderType) {
+    case 'limit':
+      return { fill: limitReached, updates: {} };
+
+    case 'stop':
+      return { fill: stopReached, updates: {} };
+
+    case 'stop_limit': {
+      // Once the stop is hit the order rests as a limit order
+      if (!order.triggeredAt) {
+        if (!stopReached) {
+          return { fill: false, updates: {} };
+        }
+        return { fill: limitReached, updates: { triggeredAt: new Date().toISOString() } };
+      }
+      return { fill: limitReached, updates: {} };
+    }
+
+    case 'trailing_stop': {
+      // Track the best price seen since placement and trail the stop behind it
+      const watermark = isBuy
+        ? Math.min(order.watermark ?? price, price)
+        : Math.max(order.watermark ?? price, price);
+      const trail = order.trailPercent ? watermark * (order.trailPercent / 100) : order.trailAmount;
+      const stopPrice = isBuy ? watermark + trail : watermark - trail;
+      const triggered = isBuy ? price >= stopPrice : price <= stopPrice;
+      const moved = watermark !== order.watermark || stopPrice !== order.stopPrice;
+
+      return { fill: triggered, updates: moved ? { watermark, stopPrice } : {} };
+    }
+
+    default:
+      return { fill: false, updates: {} };
+  }
+}
+
+async function getCurrentPrice(symbol) {
+  const quote = await quoteCache.getQuote(symbol, POLL_INTERVAL);
+  return quote.price;
+}
+
+// Expire, trail, trigger or fill one order. The portfolio functions re-check that the order
+// is still open, so an order cancelled since the list was read throws here instead of changing.
+async function processOrder(order, now, marketOpen) {
+  if (order.expiresAt && new Date(order.expiresAt) <= now) {
+    await portfolio.updateOrder(order.id, { status: 'expired' });
+    console.log(`Order ${order.id} expired: ${order.side} ${order.quantity} ${order.symbol}`);
+    return;
+  }
+  if (!marketOpen) return;
+
+  let quote;
+  try {
+    quote = await quoteCache.getQuote(order.symbol, POLL_INTERVAL);
+  } catch (err) {
+    console.log(`Order engine skipping ${order.symbol}: ${err.message}`);
+    return;
+  }
+
+  const { fill, updates } = evaluateOrder(order, quote.price);
+
+  if (!fill) {
+    if (Object.keys(updates).length === 0) return;
+    if (order.orderType === 'trailing_stop') {
+      await portfolio.trackTrailingStop(order.id, updates);
+    } else {
+      await portfolio.updateOrder(order.id, updates);
+    }
+    return;
+  }
+
+  const result = await portfolio.fillOrder(order.id, quote.price, {
+    getCurrentPrice,
+    getDayRange: async () => ({ high: quote.high, low: quote.low }),
+    updates
+  });
+  console.log(result.status === 'filled'
+    ? `Order ${order.id} filled: ${order.side} ${order.quantity} ${order.symbol} @ ${result.fillPrice}`
+    : `Order ${order.id} rejected: ${result.rejectReason}`);
+}
+
+// Check the open orders of the portfolio selected with portfolio.usePortfolio
+async function evaluatePortfolioOrders() {
+  const openOrders = await portfolio.getOrders('open');
+  const now = new Date();
+  const marketOpen = isMarketOpen(now);
+
+  for (const order of openOrders) {
+    try {
+      await processOrder(order, now, marketOpen);
+    } catch (err) {
+      console.log(`Order ${order.id} skipped: ${err.message}`);
+    }
+  }
+}
+
+let running = false;
+
+// One pass over all open orders
+async function evaluateOpenOrders() {
+  if (running) return; // Previous pass still waiting on quotes
+  running = true;
+
+  try {
+    for (const { id, archived } of await portfolio.listPortfolios()) {
+      if (archived) continue;
+      await portfolio.usePortfolio(id, evaluatePortfolioOrders);
+    }
+  } catch (error) {
+    console.error('Order engine error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  setInterval(evaluateOpenOrders, POLL_INTERVAL);
+  evaluateOpenOrders();
+}
+
+module.exports = {
+  start,
+  evaluateOrder,
+  evaluateOpenOrders
+};
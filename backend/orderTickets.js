@@ -0,0 +1,543 @@
+// Pending Order Tickets
+// Trades requested from chat are not executed right away. They become tickets with an
+// estimated price, cost and resulting cash balance, and only run once the user confirms
+// them in the UI. Unconfirmed tickets expire after TICKET_TTL.
+const crypto = require('crypto');
+const portfolio = require('./portfolioManager');
+const { validateStrategyLegs, analyzePayoff, computeCollateral, STRATEGY_LABELS } = require('./optionStrategies');
+const fillCosts = require('./fillCosts');
+
+const TICKET_TTL = 5 * 60 * 1000; // 5 minutes - after that the price estimate is stale
+
+const tickets = new Map(); // id -> ticket
+
+function ticketError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Price a fill under the account's fee schedule and slippage model. `stockData` (a stock
+// quote with the day's high and low) feeds the range slippage model.
+function estimateFill(account, { kind, side, quantity, price }, stockData = null) {
+  const dayRange = stockData ? { high: stockData.high, low: stockData.low } : null;
+  return fillCosts.priceFill({ kind, side, quantity, price, dayRange }, account.feeSchedule, account.slippage);
+}
+
+function createOrderTickets({ fetchStockData, getCurrentPrice, getVolatility, getDayRange }) {
+  // Estimate what an order will do before the user commits to it. Prices and totals include
+  // the account's slippage and fees.
+  const estimators = {
+    async buy_stock({ symbol, shares }, account) {
+      const stockData = await fetchStockData(symbol);
+      const fill = estimateFill(account, { kind: 'stock', side: 'buy', quantity: shares, price: stockData.price }, stockData);
+      const estimatedCost = shares * fill.price + fill.fees;
+      return {
+        side: 'buy',
+        assetType: 'stock',
+        quantity: shares,
+        estimatedPrice: fill.price,
+        estimatedFees: fill.fees,
+        estimatedCost,
+        cashAfter: account.balance - estimatedCost
+      };
+    },
+
+    async sell_stock({ symbol, shares, lot_method, lot_id }, account) {
+      const selected = portfolio.selectLots(account.openPositions, symbol, shares, lot_method, lot_id);
+      const quantity = selected.reduce((sum, s) => sum + s.shares, 0);
+      const costBasis = selected.reduce((sum, s) => sum + s.lot.costBasis * (s.shares / s.lot.shares), 0);
+
+      const stockData = await fetchStockData(symbol);
+      const fill = estimateFill(account, { kind: 'stock', side: 'sell', quantity, price: stockData.price }, stockData);
+      const estimatedProceeds = quantity * fill.price - fill.fees;
+      return {
+        side: 'sell',
+        assetType: 'stock',
+        quantity,
+        lotMethod: lot_method,
+        lotIds: selected.map(s => s.lot.id),
+        estimatedPrice: fill.price,
+        estimatedFees: fill.fees,
+        estimatedProceeds,
+        estimatedPL: estimatedProceeds - costBasis,
+        cashAfter: account.balance + estimatedProceeds
+      };
+    },
+
+    async short_stock({ symbol, shares }, account) {
+      if (account.accountType !== 'margin') {
+        throw new Error('Short selling requires a margin account');
+      }
+
+      const stockData = await fetchStockData(symbol);
+      const fill = estimateFill(account, { kind: 'stock', side: 'sell', quantity: shares, price: stockData.price }, stockData);
+      const estimatedProceeds = shares * fill.price - fill.fees;
+      return {
+        side: 'short',
+        assetType: 'stock',
+        quantity: shares,
+        estimatedPrice: fill.price,
+        estimatedFees: fill.fees,
+        estimatedProceeds,
+        cashAfter: account.balance + estimatedProceeds
+      };
+    },
+
+    async cover_short({ symbol, shares }, account) {
+      const selected = portfolio.selectLots(account.openPositions, symbol, shares, 'fifo', null, 'short');
+      const quantity = selected.reduce((sum, s) => sum + s.shares, 0);
+      const shortProceeds = selected.reduce((sum, s) => sum + s.lot.costBasis * (s.shares / s.lot.shares), 0);
+
+      const stockData = await fetchStockData(symbol);
+      const fill = estimateFill(account, { kind: 'stock', side: 'buy', quantity, price: stockData.price }, stockData);
+      const estimatedCost = quantity * fill.price + fill.fees;
+      return {
+        side: 'cover',
+        assetType: 'stock',
+        quantity,
+        estimatedPrice: fill.price,
+        estimatedFees: fill.fees,
+        estimatedCost,
+        estimatedPL: shortProceeds - estimatedCost,
+        cashAfter: account.balance - estimatedCost
+      };
+    },
+
+    async buy_option({ option_type, strike, premium, contracts, expiration }, account) {
+      portfolio.validateOptionOrder({ type: option_type, strike, expiration, premium, contracts });
+      const fill = estimateFill(account, { kind: 'option', side: 'buy', quantity: contracts, price: premium });
+      const estimatedCost = fill.price * 100 * contracts + fill.fees;
+      return {
+        side: 'buy',
+        assetType: 'option',
+        quantity: contracts,
+        optionType: option_type,
+        strike,
+        expiration,
+        estimatedPrice: fill.price,
+        estimatedFees: fill.fees,
+        estimatedCost,
+        cashAfter: account.balance - estimatedCost
+      };
+    },
+
+    async sell_option({ symbol, option_type, strike, premium, contracts, expiration }, account) {
+      portfolio.validateOptionOrder({ type: option_type, strike, expiration, premium, contracts });
+      const fill = estimateFill(account, { kind: 'option', side: 'sell', quantity: contracts, price: premium });
+      const estimatedProceeds = fill.price * 100 * contracts - fill.fees;
+      const collateral = computeCollateral([{ side: 'short', optionType: option_type, strike, premium, contracts }]);
+      return {
+        side: 'sell',
+        assetType: 'option',
+        quantity: contracts,
+        optionType: option_type,
+        strike,
+        expiration,
+        estimatedPrice: fill.price,
+        estimatedFees: fill.fees,
+        estimatedProceeds,
+        collateral: collateral.cash,
+        pledgedShares: collateral.shares,
+        cashAfter: account.balance + estimatedProceeds
+      };
+    },
+
+    async open_strategy({ symbol, strategy, expiration, contracts, legs }, account) {
+      const orderLegs = (legs || []).map(leg => ({
+        side: leg.action === 'sell' ? 'short' : 'long',
+        optionType: leg.option_type,
+        strike: leg.strike,
+        premium: leg.premium,
+        contracts
+      }));
+      validateStrategyLegs(strategy, orderLegs);
+      for (const leg of orderLegs) {
+        portfolio.validateOptionOrder({ type: leg.optionType, strike: leg.strike, expiration, premium: leg.premium, contracts });
+      }
+
+      // Each leg (and a covered call's shares) fills per the account's slippage model
+      const legFills = orderLegs.map(leg => estimateFill(account, { kind: 'option', side: leg.side === 'short' ? 'sell' : 'buy', quantity: contracts, price: leg.premium }));
+      const filledLegs = orderLegs.map((leg, i) => ({ ...leg, premium: legFills[i].price }));
+      let stock = null;
+      let stockFees = 0;
+      if (strategy === 'covered_call') {
+        const stockData = await fetchStockData(symbol);
+        const fill = estimateFill(account, { kind: 'stock', side: 'buy', quantity: contracts * 100, price: stockData.price }, stockData);
+        stock = { shares: contracts * 100, price: fill.price };
+        stockFees = fill.fees;
+      }
+      const payoff = analyzePayoff(filledLegs, stock);
+      const collateral = stock ? { cash: 0, shares: 0 } : computeCollateral(filledLegs);
+      const fees = legFills.reduce((sum, fill) => sum + fill.fees, 0) + stockFees;
+      const stockCost = stock ? stock.shares * stock.price : 0;
+
+      return {
+        side: payoff.netPremium >= 0 ? 'sell' : 'buy',
+        assetType: 'strategy',
+        strategy,
+        strategyLabel: STRATEGY_LABELS[strategy],
+        quantity: contracts,
+        expiration,
+        legs: filledLegs,
+        stockShares: stock ? stock.shares : 0,
+        estimatedPrice: Math.abs(payoff.netPremium) / (contracts * 100), // Net per share
+        estimatedFees: fees,
+        estimatedCost: stockCost + Math.max(0, -payoff.netPremium) || undefined,
+        estimatedProceeds: payoff.netPremium > 0 ? payoff.netPremium : undefined,
+        ...payoff,
+        collateral: collateral.cash,
+        pledgedShares: collateral.shares,
+        cashAfter: account.balance + payoff.netPremium - stockCost - fees
+      };
+    },
+
+    async close_option({ position_id, exit_premium }, account) {
+      const position = account.openPositions.find(p => p.id === position_id);
+      if (!position || position.type !== 'option') {
+        throw new Error('Option position not found');
+      }
+      if (position.strategyId) {
+        throw new Error('That option is a strategy leg - close the strategy instead');
+      }
+
+      const isShort = position.side === 'short';
+      const fill = estimateFill(account, { kind: 'option', side: isShort ? 'buy' : 'sell', quantity: position.contracts, price: exit_premium });
+      const gross = fill.price * 100 * position.contracts;
+      const amount = isShort ? gross + fill.fees : gross - fill.fees;
+      return {
+        side: isShort ? 'buy' : 'sell',
+        assetType: 'option',
+        symbol: position.symbol,
+        quantity: position.contracts,
+        optionType: position.optionType,
+        strike: position.strike,
+        expiration: position.expiration,
+        estimatedPrice: fill.price,
+        estimatedFees: fill.fees,
+        estimatedCost: isShort ? amount : undefined,
+        estimatedProceeds: isShort ? undefined : amount,
+        estimatedPL: isShort ? position.costBasis - amount : amount - position.costBasis,
+        cashAfter: account.balance + (isShort ? -amount : amount)
+      };
+    },
+
+    // Strategies close at current model marks, so the estimate is the mark-to-market value
+    async close_strategy({ strategy_id }, account) {
+      const record = account.strategies.find(s => s.id === strategy_id && s.status === 'open');
+      if (!record) {
+        throw new Error('Open strategy not found');
+      }
+
+      const valued = await portfolio.getPortfolio(getCurrentPrice, { getVolatility });
+      const holding = valued.holdings.find(h => h.strategyId === strategy_id);
+      const netValue = holding.currentValue; // Received if positive, paid if negative
+
+      return {
+        side: 'close',
+        assetType: 'strategy',
+        symbol: record.symbol,
+        strategy: record.strategy,
+        strategyLabel: STRATEGY_LABELS[record.strategy],
+        quantity: record.contracts,
+        expiration: record.expiration,
+        estimatedPrice: Math.abs(netValue) / (record.contracts * 100),
+        estimatedCost: netValue < 0 ? -netValue : undefined,
+        estimatedProceeds: netValue >= 0 ? netValue : undefined,
+        estimatedPL: holding.unrealizedPL,
+        cashAfter: account.balance + netValue
+      };
+    },
+
+    // Resting orders are estimated at the price they would trigger or fill at
+    async place_order({ symbol, side, quantity, order_type, limit_price, stop_price, time_in_force = 'day' }, account) {
+      let estimatedPrice = limit_price || stop_price;
+      if (!estimatedPrice) {
+        const stockData = await fetchStockData(symbol);
+        estimatedPrice = stockData.price;
+      }
+      const estimatedTotal = quantity * estimatedPrice;
+      return {
+        side,
+        assetType: 'stock',
+        quantity,
+        orderType: order_type,
+        timeInForce: time_in_force,
+        estimatedPrice,
+        ...(side === 'buy' ? { estimatedCost: estimatedTotal } : { estimatedProceeds: estimatedTotal }),
+        cashAfter: side === 'buy' ? account.balance - estimatedTotal : account.balance + estimatedTotal
+      };
+    }
+  };
+
+  // Run a confirmed order and describe the fill the same way the trade badge expects
+  const executors = {
+    async buy_stock({ symbol, shares }) {
+      const stockData = await fetchStockData(symbol);
+      const result = await portfolio.buyStock(symbol, shares, stockData.price, { getCurrentPrice, getDayRange });
+
+      return {
+        type: 'buy_stock',
+        symbol,
+        quantity: shares,
+        price: result.position.entryPrice,
+        cost: result.position.costBasis,
+        newBalance: result.newBalance
+      };
+    },
+
+    async sell_stock({ symbol, shares, lot_method, lot_id }) {
+      const stockData = await fetchStockData(symbol);
+      const result = await portfolio.sellStock(symbol, shares, stockData.price, {
+        method: lot_method,
+        lotId: lot_id,
+        getDayRange
+      });
+
+      return {
+        type: 'sell_stock',
+        symbol,
+        shares: result.trade.shares,
+        entryPrice: result.trade.entryPrice,
+        exitPrice: result.trade.exitPrice,
+        profitLoss: result.trade.profitLoss,
+        percentReturn: result.trade.percentReturn,
+        lotMethod: result.trade.lotMethod,
+        lots: result.trade.lots,
+        newBalance: result.newBalance
+      };
+    },
+
+    async short_stock({ symbol, shares }) {
+      const stockData = await fetchStockData(symbol);
+      const result = await portfolio.shortStock(symbol, shares, stockData.price, { getCurrentPrice, getDayRange });
+
+      return {
+        type: 'short_stock',
+        symbol,
+        quantity: shares,
+        price: result.position.entryPrice,
+        proceeds: result.position.costBasis,
+        newBalance: result.newBalance
+      };
+    },
+
+    async cover_short({ symbol, shares }) {
+      const stockData = await fetchStockData(symbol);
+      const result = await portfolio.coverShort(symbol, shares, stockData.price, { getDayRange });
+
+      return {
+        type: 'cover_short',
+        symbol,
+        shares: result.trade.shares,
+        entryPrice: result.trade.entryPrice,
+        exitPrice: result.trade.exitPrice,
+        profitLoss: result.trade.profitLoss,
+        percentReturn: result.trade.percentReturn,
+        newBalance: result.newBalance
+      };
+    },
+
+    async buy_option({ symbol, option_type, strike, premium, contracts, expiration }) {
+      const stockData = await fetchStockData(symbol);
+      const result = await portfolio.buyOption(symbol, option_type, strike, expiration, premium, contracts, {
+        underlyingPrice: stockData.price
+      });
+
+      return {
+        type: 'buy_option',
+        symbol,
+        contracts,
+        strike,
+        optionType: option_type,
+        expiration,
+        premium: result.position.entryPremium,
+        cost: result.position.costBasis,
+        newBalance: result.newBalance
+      };
+    },
+
+    async sell_option({ symbol, option_type, strike, premium, contracts, expiration }) {
+      const stockData = await fetchStockData(symbol);
+      const result = await portfolio.writeOption(symbol, option_type, strike, expiration, premium, contracts, {
+        underlyingPrice: stockData.price,
+        getCurrentPrice
+      });
+
+      return {
+        type: 'sell_option',
+        symbol,
+        contracts,
+        strike,
+        optionType: option_type,
+        expiration,
+        premium: result.position.entryPremium,
+        credit: result.position.costBasis,
+        collateral: result.position.collateral,
+        pledgedShares: result.position.pledgedShares,
+        newBalance: result.newBalance
+      };
+    },
+
+    async open_strategy({ symbol, strategy, expiration, contracts, legs }) {
+      const stockData = await fetchStockData(symbol);
+      const result = await portfolio.openStrategy({
+        strategy,
+        symbol,
+        expiration,
+        contracts,
+        legs: legs.map(leg => ({
+          side: leg.action === 'sell' ? 'short' : 'long',
+          optionType: leg.option_type,
+          strike: leg.strike,
+          premium: leg.premium
+        }))
+      }, { underlyingPrice: stockData.price, getCurrentPrice, getDayRange });
+
+      return {
+        type: 'open_strategy',
+        symbol,
+        strategyId: result.strategy.id,
+        strategy,
+        strategyLabel: STRATEGY_LABELS[strategy],
+        contracts,
+        expiration,
+        netPremium: result.strategy.netPremium,
+        maxProfit: result.strategy.maxProfit,
+        maxLoss: result.strategy.maxLoss,
+        breakevens: result.strategy.breakevens,
+        newBalance: result.newBalance
+      };
+    },
+
+    async close_strategy({ strategy_id }) {
+      const result = await portfolio.closeStrategy(strategy_id, { getCurrentPrice, getVolatility });
+
+      return {
+        type: 'close_strategy',
+        symbol: result.strategy.symbol,
+        strategyId: result.strategy.id,
+        strategy: result.strategy.strategy,
+        strategyLabel: STRATEGY_LABELS[result.strategy.strategy],
+        contracts: result.strategy.contracts,
+        profitLoss: result.strategy.realizedPL,
+        newBalance: result.newBalance
+      };
+    },
+
+    async close_option({ position_id, exit_premium }) {
+      const result = await portfolio.closeOption(position_id, exit_premium);
+
+      return {
+        type: 'close_option',
+        symbol: result.trade.symbol,
+        contracts: result.trade.contracts,
+        strike: result.trade.strike,
+        optionType: result.trade.optionType,
+        exitPremium: result.trade.exitPremium,
+        profitLoss: result.trade.profitLoss,
+        percentReturn: result.trade.percentReturn,
+        newBalance: result.newBalance
+      };
+    },
+
+    async place_order(order) {
+      const result = await portfolio.placeOrder({
+        symbol: order.symbol,
+        side: order.side,
+        quantity: order.quantity,
+        orderType: order.order_type,
+        limitPrice: order.limit_price,
+        stopPrice: order.stop_price,
+        trailAmount: order.trail_amount,
+        trailPercent: order.trail_percent,
+        timeInForce: order.time_in_force
+      });
+
+      return { type: 'place_order', ...result.order };
+    }
+  };
+
+  // Create a pending ticket for an order (action is the chat tool name)
+  async function createTicket(action, order) {
+    const estimator = estimators[action];
+    if (!estimator) {
+      throw new Error(`Unsupported order action: ${action}`);
+    }
+
+    // Tickets trade in the portfolio that was active when they were created, even if the
+    // user switches portfolios before confirming
+    const portfolioId = await portfolio.getActivePortfolioId();
+    const { name: portfolioName } = (await portfolio.listPortfolios()).find(p => p.id === portfolioId);
+    const estimate = await portfolio.usePortfolio(portfolioId, async () => estimator(order, await portfolio.getAccount()));
+
+    const now = Date.now();
+    const ticket = {
+      id: crypto.randomUUID(),
+      action,
+      symbol: order.symbol,
+      portfolioId,
+      portfolioName,
+      ...estimate,
+      order,
+      status: 'pending',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + TICKET_TTL).toISOString()
+    };
+
+    tickets.set(ticket.id, ticket);
+    return ticket;
+  }
+
+  // Look up a ticket that can still be acted on
+  function getPendingTicket(id) {
+    const ticket = tickets.get(id);
+
+    if (!ticket) {
+      throw ticketError('Order ticket not found', 404);
+    }
+    if (ticket.status === 'pending' && Date.now() > new Date(ticket.expiresAt).getTime()) {
+      ticket.status = 'expired';
+    }
+    if (ticket.status !== 'pending') {
+      throw ticketError(`Order ticket is already ${ticket.status}`, 410);
+    }
+    return ticket;
+  }
+
+  async function confirmTicket(id) {
+    const ticket = getPendingTicket(id);
+
+    // Mark it before executing so a double click can't fill the order twice
+    ticket.status = 'executing';
+    try {
+      const tradeExecuted = await portfolio.usePortfolio(ticket.portfolioId, () => executors[ticket.action](ticket.order));
+      ticket.status = 'executed';
+      return { ticket, tradeExecuted };
+    } catch (error) {
+      ticket.status = 'failed';
+      ticket.error = error.message;
+      throw error;
+    }
+  }
+
+  function cancelTicket(id) {
+    const ticket = getPendingTicket(id);
+    ticket.status = 'cancelled';
+    return ticket;
+  }
+
+  return { createTicket, confirmTicket, cancelTicket };
+}
+
+// Drop tickets well after they stop being actionable
+setInterval(() => {
+  const cutoff = Date.now() - TICKET_TTL;
+  for (const [id, ticket] of tickets) {
+    if (new Date(ticket.expiresAt).getTime() < cutoff) {
+      tickets.delete(id);
+    }
+  }
+}, 60 * 1000).unref();
+
+module.exports = { createOrderTickets, TICKET_TTL };
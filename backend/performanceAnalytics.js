@@ -0,0 +1,216 @@
+// Trading Performance Analytics
+// Summary statistics for a list of closed trades (win rate, profit factor, expectancy,
+// holding period, streaks), risk-adjusted returns for an equity history (Sharpe, Sortino,
+// max drawdown) and how that history compares with a benchmark (alpha, beta, tracking
+// error). Pure functions - portfolioManager picks the trades, snapshots and price bars.
+const { RISK_FREE_RATE } = require('./optionPricing');
+const { newYorkDate } = require('./marketHours');
+
+const TRADING_DAYS = 252;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BAR_GAP_DAYS = 5; // How far back to look for a benchmark close (weekends, holidays)
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+const mean = values => (values.length > 0 ? sum(values) / values.length : null);
+const sampleStdDev = values => {
+  const average = mean(values);
+  return Math.sqrt(sum(values.map(v => (v - average) ** 2)) / (values.length - 1));
+};
+
+// The fields of a trade worth showing next to a largest win/loss
+function summarizeTrade(trade) {
+  return trade && {
+    id: trade.id,
+    symbol: trade.symbol,
+    type: trade.type,
+    profitLoss: trade.profitLoss,
+    exitDate: trade.exitDate
+  };
+}
+
+// Longest run of wins and of losses, and the run the most recent trade is part of.
+// Breakeven trades end a run.
+function computeStreaks(trades) {
+  let longestWin = 0;
+  let longestLoss = 0;
+  let current = { type: null, length: 0 };
+
+  for (const trade of trades) {
+    const type = trade.profitLoss > 0 ? 'win' : trade.profitLoss < 0 ? 'loss' : null;
+    current = type && type === current.type ? { type, length: current.length + 1 } : { type, length: type ? 1 : 0 };
+    if (type === 'win') longestWin = Math.max(longestWin, current.length);
+    if (type === 'loss') longestLoss = Math.max(longestLoss, current.length);
+  }
+
+  return { longestWinStreak: longestWin, longestLossStreak: longestLoss, currentStreak: current };
+}
+
+// Statistics for closed trades. Profit factor is null when there are no losing trades.
+function analyzeTrades(closedTrades) {
+  const trades = [...closedTrades].sort((a, b) => a.exitDate.localeCompare(b.exitDate));
+  const wins = trades.filter(t => t.profitLoss > 0);
+  const losses = trades.filter(t => t.profitLoss < 0);
+
+  const grossProfit = sum(wins.map(t => t.profitLoss));
+  const grossLoss = -sum(losses.map(t => t.profitLoss));
+  const netProfit = grossProfit - grossLoss;
+
+  const holdingDays = trades
+    .filter(t => t.entryDate)
+    .map(t => (new Date(t.exitDate) - new Date(t.entryDate)) / DAY_MS);
+
+  const byProfit = [...trades].sort((a, b) => b.profitLoss - a.profitLoss);
+
+  return {
+    tradeCount: trades.length,
+    winCount: wins.length,
+    lossCount: losses.length,
+    winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : null,
+    grossProfit,
+    grossLoss,
+    netProfit,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    averageWin: mean(wins.map(t => t.profitLoss)),
+    averageLoss: mean(losses.map(t => t.profitLoss)),
+    expectancy: trades.length > 0 ? netProfit / trades.length : null, // Average P/L per trade
+    averageHoldingDays: mean(holdingDays),
+    largestWin: wins.length > 0 ? summarizeTrade(byProfit[0]) : null,
+    largestLoss: losses.length > 0 ? summarizeTrade(byProfit[byProfit.length - 1]) : null,
+    ...computeStreaks(trades)
+  };
+}
+
+// Closing equity for each New York trading day (the last snapshot of the day)
+function dailyEquity(snapshots) {
+  const days = new Map();
+  for (const snapshot of snapshots) {
+    days.set(newYorkDate(new Date(snapshot.takenAt)), snapshot);
+  }
+  return [...days.values()];
+}
+
+// Day-over-day returns of the daily closing equity. External cash flows - `flows` are
+// [{ timestamp, amount }] for deposits, withdrawals and resets - are taken out so adding
+// money doesn't count as a gain. Each return carries the New York dates it runs between.
+function dailyReturns(snapshots, flows = []) {
+  const days = dailyEquity(snapshots);
+  const returns = [];
+
+  for (let i = 1; i < days.length; i++) {
+    const previous = days[i - 1];
+    const current = days[i];
+    const flow = sum(flows
+      .filter(f => f.timestamp > previous.takenAt && f.timestamp <= current.takenAt)
+      .map(f => f.amount));
+    if (previous.equity > 0) {
+      returns.push({
+        from: newYorkDate(new Date(previous.takenAt)),
+        to: newYorkDate(new Date(current.takenAt)),
+        value: (current.equity - flow) / previous.equity - 1
+      });
+    }
+  }
+
+  return returns;
+}
+
+// Risk-adjusted returns from equity snapshots (oldest first). Sharpe and Sortino are
+// annualized, in excess of the risk-free rate; they need at least two daily returns.
+function analyzeEquity(snapshots, flows = []) {
+  const days = dailyEquity(snapshots);
+  const returns = dailyReturns(snapshots, flows).map(r => r.value);
+
+  let sharpeRatio = null;
+  let sortinoRatio = null;
+  if (returns.length >= 2) {
+    const target = RISK_FREE_RATE / TRADING_DAYS;
+    const excess = returns.map(r => r - target);
+    const average = mean(excess);
+    const deviation = sampleStdDev(excess);
+    const downside = Math.sqrt(mean(excess.map(r => Math.min(0, r) ** 2)));
+
+    sharpeRatio = deviation > 0 ? (average / deviation) * Math.sqrt(TRADING_DAYS) : null;
+    sortinoRatio = downside > 0 ? (average / downside) * Math.sqrt(TRADING_DAYS) : null;
+  }
+
+  // Drawdown uses every snapshot, not just daily closes, so intraday dips count
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  for (const snapshot of snapshots) {
+    peak = Math.max(peak, snapshot.equity);
+    const drawdown = peak - snapshot.equity;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+    }
+  }
+
+  return {
+    snapshotCount: snapshots.length,
+    tradingDays: days.length,
+    sharpeRatio,
+    sortinoRatio,
+    maxDrawdown,
+    maxDrawdownPercent
+  };
+}
+
+// Closing price on a New York date (YYYY-MM-DD) from daily bars ({ time, close }, oldest
+// first), falling back to the latest close in the few days before it. Null if there is none.
+function closeOn(bars, date) {
+  const cutoff = new Date(`${date}T12:00:00Z`).getTime() - BAR_GAP_DAYS * DAY_MS;
+  let close = null;
+  for (const bar of bars) {
+    const barDate = newYorkDate(new Date(bar.time * 1000));
+    if (barDate > date) break;
+    if (bar.time * 1000 >= cutoff) close = bar.close;
+  }
+  return close;
+}
+
+// Portfolio returns against a benchmark over the days both have prices for:
+//   beta           - sensitivity of daily portfolio returns to benchmark returns
+//   alpha          - annualized excess return beyond what beta explains (Jensen's alpha), in percent
+//   trackingError  - annualized volatility of the daily return difference, in percent
+// All three need at least two overlapping daily returns.
+function compareToBenchmark(snapshots, bars, flows = []) {
+  const pairs = dailyReturns(snapshots, flows)
+    .map(r => {
+      const start = closeOn(bars, r.from);
+      const end = closeOn(bars, r.to);
+      return start && end ? { portfolio: r.value, benchmark: end / start - 1 } : null;
+    })
+    .filter(Boolean);
+
+  if (pairs.length < 2) {
+    return { observations: pairs.length, alpha: null, beta: null, trackingError: null };
+  }
+
+  const target = RISK_FREE_RATE / TRADING_DAYS;
+  const portfolioExcess = pairs.map(p => p.portfolio - target);
+  const benchmarkExcess = pairs.map(p => p.benchmark - target);
+  const portfolioMean = mean(portfolioExcess);
+  const benchmarkMean = mean(benchmarkExcess);
+
+  const covariance = sum(pairs.map((p, i) => (portfolioExcess[i] - portfolioMean) * (benchmarkExcess[i] - benchmarkMean))) / (pairs.length - 1);
+  const variance = sampleStdDev(benchmarkExcess) ** 2;
+  const beta = variance > 0 ? covariance / variance : null;
+
+  return {
+    observations: pairs.length,
+    alpha: beta === null ? null : (portfolioMean - beta * benchmarkMean) * TRADING_DAYS * 100,
+    beta,
+    trackingError: sampleStdDev(pairs.map(p => p.portfolio - p.benchmark)) * Math.sqrt(TRADING_DAYS) * 100
+  };
+}
+
+module.exports = {
+  analyzeTrades,
+  analyzeEquity,
+  dailyEquity,
+  dailyReturns,
+  closeOn,
+  compareToBenchmark
+};
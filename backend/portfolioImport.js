@@ -0,0 +1,31 @@
+// Portfolio JSON Import
+// Existing portfolio.json files are imported automatically the first time the SQLite store
+// is used. This script imports any other portfolio file as a new named portfolio:
+//   node portfolioImport.js path/to/portfolio.json "Old Account"
+const fs = require('fs').promises;
+const path = require('path');
+const portfolio = require('./portfolioManager');
+
+async function importFile(file, name) {
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  await portfolio.listPortfolios(); // Let the automatic first-run import happen first - it is skipped once any portfolio exists
+  return portfolio.importPortfolio(data, { name: name || path.basename(file, '.json') });
+}
+
+if (require.main === module) {
+  const [file, name] = process.argv.slice(2);
+
+  if (!file) {
+    console.error('Usage: node portfolioImport.js <portfolio.json> [name]');
+    process.exit(1);
+  }
+
+  importFile(path.resolve(file), name)
+    .then(account => console.log(`Imported ${file} as portfolio "${account.name}" (${account.id})`))
+    .catch(error => {
+      console.error(`Import failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { importFile };
@@ -1,113 +1,965 @@
 // Portfolio Management System
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { nextMarketClose, marketCloseOn, newYorkDate } = require('./marketHours');
+const optionPricing = require('./optionPricing');
+const optionStrategies = require('./optionStrategies');
+const store = require('./portfolioStore');
+const ledger = require('./ledger');
+const performanceAnalytics = require('./performanceAnalytics');
+const taxReport = require('./taxReport');
+const tradeFiles = require('./tradeFiles');
+const fillCosts = require('./fillCosts');
 
-const PORTFOLIO_FILE = path.join(__dirname, 'portfolio.json');
+// JSON files from before the SQLite store, imported once when the store is empty
+const LEGACY_PORTFOLIO_FILE = path.join(__dirname, 'portfolio.json'); // Original single portfolio
+const LEGACY_PORTFOLIO_DIR = path.join(__dirname, 'portfolios'); // Named portfolios: index.json + <id>.json
+
+const DEFAULT_STARTING_CAPITAL = 1000000;
+
+// Margin defaults: Reg T style 50% initial / 25% maintenance, 3% annual stock borrow fee
+const DEFAULT_MARGIN_SETTINGS = {
+  initialMargin: 0.5,
+  maintenanceMargin: 0.25,
+  borrowRate: 0.03
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Index ETFs a portfolio can be measured against
+const BENCHMARKS = ['SPY', 'QQQ', 'DIA', 'IWM'];
 
 // Initialize portfolio structure
-const initializePortfolio = () => ({
-  balance: 1000000, // Starting with $1M
+const initializePortfolio = (startingCapital = DEFAULT_STARTING_CAPITAL) => ({
+  balance: startingCapital,
+  startingCapital, // Basis for totalReturn
   openPositions: [],
   closedTrades: [],
+  orders: [],
+  strategies: [], // Multi-leg option strategies; their legs are open positions tagged with strategyId
+  corporateActions: [], // Splits and dividends applied to the holdings
   totalPL: 0,
+  accountType: 'cash', // 'cash' or 'margin'
+  marginSettings: { ...DEFAULT_MARGIN_SETTINGS },
+  optionSettlement: 'physical', // In-the-money options settle into shares ('physical') or cash ('cash')
+  benchmark: 'SPY', // Index the portfolio's returns are compared with
+  feeSchedule: { ...fillCosts.DEFAULT_FEE_SCHEDULE }, // Commissions and regulatory fees charged on fills
+  slippage: { ...fillCosts.DEFAULT_SLIPPAGE }, // How far from the quote fills land
   createdAt: new Date().toISOString()
 });
 
-// Load portfolio from file
-async function loadPortfolio() {
+// PORTFOLIO REGISTRY
+
+// Every function below that loads a portfolio works on the active one, unless it runs
+// inside usePortfolio(id, fn) - background jobs use that to visit every portfolio, and
+// order tickets use it to trade in the portfolio they were created for.
+const portfolioScope = new AsyncLocalStorage();
+
+function usePortfolio(portfolioId, fn) {
+  return portfolioScope.run(portfolioId, fn);
+}
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+// Older files reused Date.now() ids, which collide when several positions or trades are
+// created in the same millisecond - give any repeated id a fresh UUID
+function dedupeIds(records = []) {
+  const seen = new Set();
+  return records.map(record => {
+    const id = record.id && !seen.has(record.id) ? record.id : crypto.randomUUID();
+    seen.add(id);
+    return { ...record, id };
+  });
+}
+
+// Add a portfolio from its JSON form (an old portfolio.json or a clone) as a new account.
+// Its ledger opens with one event holding the whole state - an import by default, or the
+// starting deposit for a brand new portfolio.
+function importPortfolio(data, { name, startingCapital, createdAt, clonedFrom, openingEvent } = {}) {
+  const capital = startingCapital || data.startingCapital || DEFAULT_STARTING_CAPITAL;
+  const portfolio = {
+    ...initializePortfolio(capital),
+    ...data,
+    startingCapital: capital,
+    openPositions: dedupeIds(data.openPositions),
+    closedTrades: dedupeIds(data.closedTrades),
+    orders: dedupeIds(data.orders),
+    strategies: dedupeIds(data.strategies),
+    corporateActions: dedupeIds(data.corporateActions)
+  };
+  const opening = openingEvent || { type: 'import', description: 'Imported portfolio' };
+  const entries = ledger.buildEntries(ledger.emptyState(), portfolio, [{ ...opening, amount: portfolio.balance }]);
+
+  const account = store.createAccount({
+    id: crypto.randomUUID(),
+    name: validatePortfolioName(name),
+    startingCapital: capital,
+    clonedFrom,
+    createdAt: createdAt || data.createdAt || new Date().toISOString()
+  }, portfolio, entries);
+  notifyLedgerListeners(account.id, entries);
+  return account;
+}
+
+const STARTING_DEPOSIT = { type: 'deposit', description: 'Starting capital' };
+
+// First run: move the JSON portfolios into the store, or start one fresh portfolio
+async function importLegacyPortfolios() {
+  let registry = null;
+  try {
+    registry = await readJson(path.join(LEGACY_PORTFOLIO_DIR, 'index.json'));
+  } catch (error) {
+    // Single-portfolio install (or a brand new one)
+  }
+
+  if (registry) {
+    for (const entry of registry.portfolios) {
+      const data = await readJson(path.join(LEGACY_PORTFOLIO_DIR, `${entry.id}.json`))
+        .catch(() => initializePortfolio(entry.startingCapital));
+      const account = importPortfolio(data, entry);
+      if (entry.archived) store.updateAccount(account.id, { archived: true, archivedAt: entry.archivedAt });
+      if (entry.id === registry.activePortfolioId) store.setActiveAccountId(account.id);
+      console.log(`Imported portfolio "${entry.name}" into ${store.DB_FILE}`);
+    }
+    return;
+  }
+
+  let legacy = null;
   try {
-    const data = await fs.readFile(PORTFOLIO_FILE, 'utf8');
-    return JSON.parse(data);
+    legacy = await readJson(LEGACY_PORTFOLIO_FILE);
   } catch (error) {
-    // If file doesn't exist, create new portfolio
-    const newPortfolio = initializePortfolio();
-    await savePortfolio(newPortfolio);
-    return newPortfolio;
+    // Nothing to import
+  }
+  const account = importPortfolio(legacy || initializePortfolio(), {
+    name: 'Main',
+    openingEvent: legacy ? null : STARTING_DEPOSIT
+  });
+  store.setActiveAccountId(account.id);
+  if (legacy) {
+    console.log(`Imported ${LEGACY_PORTFOLIO_FILE} into ${store.DB_FILE} as portfolio "Main"`);
   }
 }
 
-// Save portfolio to file
+let storeReady = null; // Shared so concurrent first requests only import once
+
+// The active portfolio's id, importing the JSON files first if the store is empty
+async function getActivePortfolioId() {
+  if (store.listAccounts().length === 0) {
+    storeReady = storeReady || importLegacyPortfolios().finally(() => { storeReady = null; });
+    await storeReady;
+  }
+  return store.getActiveAccountId() || store.listAccounts()[0].id;
+}
+
+function findEntry(portfolioId) {
+  const entry = store.getAccount(portfolioId);
+  if (!entry) {
+    throw new Error(`Portfolio not found: ${portfolioId}`);
+  }
+  return entry;
+}
+
+// Names are shown in the switcher, so keep them non-empty and unique
+function validatePortfolioName(name, exceptId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Portfolio name is required');
+  }
+  if (trimmed.length > 50) {
+    throw new Error('Portfolio name must be 50 characters or fewer');
+  }
+  if (store.listAccounts().some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A portfolio named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+async function describeEntry(entry) {
+  return { ...entry, active: entry.id === await getActivePortfolioId() };
+}
+
+async function listPortfolios() {
+  const activeId = await getActivePortfolioId();
+  return store.listAccounts().map(entry => ({ ...entry, active: entry.id === activeId }));
+}
+
+async function createPortfolio({ name, startingCapital = DEFAULT_STARTING_CAPITAL }) {
+  await getActivePortfolioId();
+  const capital = Number(startingCapital);
+  if (!(capital > 0)) {
+    throw new Error('Starting capital must be greater than zero');
+  }
+
+  return describeEntry(importPortfolio(initializePortfolio(capital), {
+    name,
+    startingCapital: capital,
+    openingEvent: STARTING_DEPOSIT
+  }));
+}
+
+async function renamePortfolio(portfolioId, name) {
+  findEntry(portfolioId);
+  return describeEntry(store.updateAccount(portfolioId, { name: validatePortfolioName(name, portfolioId) }));
+}
+
+// Copy a portfolio's cash, positions and history into a new portfolio
+async function clonePortfolio(portfolioId, { name } = {}) {
+  const source = findEntry(portfolioId);
+  const state = await usePortfolio(portfolioId, loadPortfolio);
+  const { id, ...copy } = state;
+
+  return describeEntry(importPortfolio(copy, {
+    name: name || `${source.name} (copy)`,
+    startingCapital: source.startingCapital,
+    clonedFrom: source.id,
+    createdAt: new Date().toISOString(),
+    openingEvent: { type: 'import', description: `Copied from "${source.name}"` }
+  }));
+}
+
+// Archived portfolios keep their history but drop out of the switcher until restored
+async function archivePortfolio(portfolioId, archived = true) {
+  findEntry(portfolioId);
+  if (archived && portfolioId === await getActivePortfolioId()) {
+    throw new Error('Switch to another portfolio before archiving this one');
+  }
+
+  return describeEntry(store.updateAccount(portfolioId, {
+    archived: Boolean(archived),
+    archivedAt: archived ? new Date().toISOString() : null
+  }));
+}
+
+async function deletePortfolio(portfolioId) {
+  const entry = findEntry(portfolioId);
+  if (portfolioId === await getActivePortfolioId()) {
+    throw new Error('Switch to another portfolio before deleting this one');
+  }
+
+  store.deleteAccount(portfolioId);
+  replayedStates.delete(portfolioId);
+  return entry;
+}
+
+async function setActivePortfolio(portfolioId) {
+  const entry = findEntry(portfolioId);
+  if (entry.archived) {
+    throw new Error(`Portfolio "${entry.name}" is archived. Restore it before switching to it`);
+  }
+
+  store.setActiveAccountId(portfolioId);
+  return describeEntry(entry);
+}
+
+// What each loaded portfolio looked like when loaded, and the ledger events recorded
+// against it since - savePortfolio turns them into ledger entries
+const loadedStates = new WeakMap();
+const recordedEvents = new WeakMap();
+const bookedEntries = new WeakMap(); // Entries already built by bookEvents, saved with the rest
+
+// Called with (portfolioId, entries) after ledger entries are saved (e.g. to snapshot equity
+// after a trade). Listeners run inside the portfolio's lock, so they must not wait on it.
+const ledgerListeners = [];
+
+function onLedgerEntries(listener) {
+  ledgerListeners.push(listener);
+}
+
+function notifyLedgerListeners(portfolioId, entries) {
+  if (entries.length === 0) return;
+  for (const listener of ledgerListeners) {
+    try {
+      listener(portfolioId, entries);
+    } catch (err) {
+      console.error('Ledger listener error:', err.message);
+    }
+  }
+}
+
+// Each portfolio's state as of its last replayed ledger event, so loading it again only
+// has to apply the events saved since
+const replayedStates = new Map(); // portfolio id -> { seq, state }
+
+// A portfolio's current state, rebuilt from its ledger
+function replayPortfolio(portfolioId) {
+  const replayed = replayedStates.get(portfolioId) || { seq: 0, state: ledger.emptyState() };
+  const events = store.listEvents(portfolioId, { afterSeq: replayed.seq, includeChanges: true });
+  if (events.length > 0) {
+    events.forEach(event => ledger.applyEvent(replayed.state, event));
+    replayed.seq = events[events.length - 1].seq;
+    replayedStates.set(portfolioId, replayed);
+  }
+  // A copy: the loaded portfolio is changed in place
+  return structuredClone(store.normalizeState(replayed.state));
+}
+
+// Load the active portfolio (or the one selected with usePortfolio). Its state comes from
+// replaying the ledger; the account tables are what savePortfolio projects it to.
+async function loadPortfolio() {
+  const portfolioId = portfolioScope.getStore() || await getActivePortfolioId();
+  const account = findEntry(portfolioId);
+  const data = { id: account.id, ...replayPortfolio(portfolioId), createdAt: account.createdAt };
+  // Fill in fields added after older portfolios were stored
+  const portfolio = { ...initializePortfolio(data.startingCapital), ...data };
+  // Diff against the replayed state, so defaults filled in here reach the ledger when saved
+  loadedStates.set(portfolio, ledger.snapshotState(data));
+  return portfolio;
+}
+
+// Note a ledger event on a loaded portfolio. `amount` is the cash it moved (negative = paid out).
+function recordEvent(portfolio, type, amount, { symbol, description } = {}) {
+  const events = recordedEvents.get(portfolio) || [];
+  events.push({ type, amount, symbol, description });
+  recordedEvents.set(portfolio, events);
+}
+
+// Turn the events recorded so far into ledger entries dated `timestamp`, carrying the changes
+// made up to now. Lets one save book several steps at their own times (the trades of an
+// import, each on its trade date); savePortfolio writes them ahead of anything recorded after.
+function bookEvents(portfolio, timestamp) {
+  const entries = ledger.buildEntries(loadedStates.get(portfolio), portfolio, recordedEvents.get(portfolio), timestamp);
+  bookedEntries.set(portfolio, [...(bookedEntries.get(portfolio) || []), ...entries]);
+  loadedStates.set(portfolio, ledger.snapshotState(portfolio));
+  recordedEvents.delete(portfolio);
+}
+
+// FILL COSTS
+
+// Price a fill under the portfolio's fee schedule and slippage model (see fillCosts.js).
+// getDayRange(symbol) -> { high, low } feeds the range slippage model; without it, or if
+// it fails, the model falls back to its fixed bps.
+async function priceFill(portfolio, { kind, side, symbol, quantity, price, limitPrice }, getDayRange) {
+  let dayRange = null;
+  if (kind === 'stock' && portfolio.slippage.model === 'range' && getDayRange) {
+    dayRange = await getDayRange(symbol).catch(() => null);
+  }
+  return fillCosts.priceFill({ kind, side, quantity, price, dayRange, limitPrice }, portfolio.feeSchedule, portfolio.slippage);
+}
+
+// Book a fill's commission and regulatory fees as their own ledger event
+function recordFees(portfolio, fill, symbol, what) {
+  if (fill.fees > 0) {
+    recordEvent(portfolio, 'fee', -fill.fees, { symbol, description: `Commission and fees on ${what}` });
+  }
+}
+
+// Save portfolio and append its ledger events (one SQLite transaction)
 async function savePortfolio(portfolio) {
-  await fs.writeFile(PORTFOLIO_FILE, JSON.stringify(portfolio, null, 2));
+  const entries = [
+    ...(bookedEntries.get(portfolio) || []),
+    ...ledger.buildEntries(loadedStates.get(portfolio), portfolio, recordedEvents.get(portfolio))
+  ];
+  store.savePortfolioState(portfolio.id, portfolio, entries);
+
+  loadedStates.set(portfolio, ledger.snapshotState(portfolio));
+  recordedEvents.delete(portfolio);
+  bookedEntries.delete(portfolio);
+  notifyLedgerListeners(portfolio.id, entries);
 }
 
-// Buy stock
-async function buyStock(symbol, shares, price) {
-  const portfolio = await loadPortfolio();
-  const cost = shares * price;
+const pendingUpdates = new Map(); // portfolio id -> promise for the last queued update
+
+// Run a load -> change -> save sequence with nothing else touching the same portfolio in
+// between, so two trades arriving together can't overwrite each other's changes
+async function lockPortfolio(fn) {
+  const portfolioId = portfolioScope.getStore() || await getActivePortfolioId();
+  const previous = pendingUpdates.get(portfolioId) || Promise.resolve();
+  const current = previous.then(() => usePortfolio(portfolioId, fn));
+  const tail = current.catch(() => {}); // A failed update must not block the next one
+
+  pendingUpdates.set(portfolioId, tail);
+  tail.then(() => {
+    if (pendingUpdates.get(portfolioId) === tail) pendingUpdates.delete(portfolioId);
+  });
+  return current;
+}
+
+// Cash set aside as collateral for written options (cash-secured puts and credit spreads)
+function reservedCash(portfolio) {
+  const singles = portfolio.openPositions.reduce((sum, p) => sum + (p.collateral || 0), 0);
+  const strategies = portfolio.strategies
+    .filter(s => s.status === 'open')
+    .reduce((sum, s) => sum + (s.collateral || 0), 0);
+  return singles + strategies;
+}
+
+// Shares of a symbol pledged to cover written calls - they can't be sold until the calls close.
+// (A covered-call strategy's calls are covered by its own stock lot instead.)
+function pledgedShares(portfolio, symbol) {
+  const singles = portfolio.openPositions
+    .filter(p => p.symbol === symbol)
+    .reduce((sum, p) => sum + (p.pledgedShares || 0), 0);
+  const strategies = portfolio.strategies
+    .filter(s => s.status === 'open' && s.symbol === symbol)
+    .reduce((sum, s) => sum + (s.pledgedShares || 0), 0);
+  return singles + strategies;
+}
+
+// Long shares held outside of strategies
+function longShares(portfolio, symbol) {
+  return portfolio.openPositions
+    .filter(p => p.type === 'stock' && p.symbol === symbol && positionSide(p) === 'long' && !p.strategyId)
+    .reduce((sum, lot) => sum + lot.shares, 0);
+}
+
+// Make sure an order costing `cost` fits the account: cash on hand (less option collateral)
+// for cash accounts, buying power for margin accounts (existing positions valued via getCurrentPrice)
+async function checkBuyingPower(portfolio, cost, getCurrentPrice) {
+  if (portfolio.accountType !== 'margin') {
+    const available = portfolio.balance - reservedCash(portfolio);
+    if (cost > available) {
+      throw new Error(`Insufficient funds. Available: $${available.toFixed(2)}, Required: $${cost.toFixed(2)}`);
+    }
+    return;
+  }
   
-  if (cost > portfolio.balance) {
-    throw new Error(`Insufficient funds. Available: $${portfolio.balance.toFixed(2)}, Required: $${cost.toFixed(2)}`);
+  const valued = await valuePositions(portfolio.openPositions, getCurrentPrice);
+  const { buyingPower } = computeMarginStatus(portfolio, valued);
+  
+  if (cost > buyingPower) {
+    throw new Error(`Insufficient buying power. Available: $${buyingPower.toFixed(2)}, Required: $${cost.toFixed(2)}`);
   }
+}
+
+// Opening trades are in whole shares; only reverse splits leave fractional lots to sell
+function validateShareQuantity(shares) {
+  if (!(shares > 0)) {
+    throw new Error('Share quantity must be greater than zero');
+  }
+  if (!Number.isInteger(shares)) {
+    throw new Error('Share quantity must be a whole number');
+  }
+}
+
+// Open a long lot on an already-loaded portfolio. Shared by stock buys and order fills.
+async function addLongLot(portfolio, symbol, shares, price, { getCurrentPrice, getDayRange, limitPrice } = {}) {
+  validateShareQuantity(shares);
+  const fill = await priceFill(portfolio, { kind: 'stock', side: 'buy', symbol, quantity: shares, price, limitPrice }, getDayRange);
+  const cost = shares * fill.price + fill.fees;
+  
+  await checkBuyingPower(portfolio, cost, getCurrentPrice);
   
   const position = {
-    id: Date.now().toString(),
+    id: crypto.randomUUID(),
     type: 'stock',
+    side: 'long',
     symbol,
     shares,
-    entryPrice: price,
+    entryPrice: fill.price,
     entryDate: new Date().toISOString(),
-    costBasis: cost
+    costBasis: cost,
+    fees: fill.fees,
+    slippage: fill.slippage
   };
   
   portfolio.balance -= cost;
   portfolio.openPositions.push(position);
-  await savePortfolio(portfolio);
+  recordEvent(portfolio, 'fill', -shares * fill.price, { symbol, description: `Bought ${shares} ${symbol} @ $${fill.price.toFixed(2)}` });
+  recordFees(portfolio, fill, symbol, `buying ${shares} ${symbol}`);
   
-  return { success: true, position, newBalance: portfolio.balance };
+  return position;
 }
 
-// Sell stock
-async function sellStock(symbol, currentPrice) {
-  const portfolio = await loadPortfolio();
+// Buy stock (getCurrentPrice is only needed to value existing positions on margin accounts).
+// `price` is the quote; the fill lands per the slippage model, never above `limitPrice`, and
+// the lot's cost basis includes its fees.
+async function buyStock(symbol, shares, price, options = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const position = await addLongLot(portfolio, symbol, shares, price, options);
+    await savePortfolio(portfolio);
+    
+    return { success: true, position, newBalance: portfolio.balance };
+  });
+}
+
+// Lot selection methods for sells
+const LOT_METHODS = ['fifo', 'lifo', 'hifo', 'specific'];
+
+// Stock positions opened before short selling existed have no side and are longs
+function positionSide(position) {
+  return position.side || 'long';
+}
+
+// Pick which lots (stock positions) a sell of `shares` consumes, without changing anything.
+// Returns [{ lot, shares }] in the order they are consumed. Covering a short uses side 'short'.
+function selectLots(openPositions, symbol, shares, method = 'fifo', lotId = null, side = 'long') {
+  if (!LOT_METHODS.includes(method)) {
+    throw new Error(`Unknown lot method: ${method}. Use one of ${LOT_METHODS.join(', ')}`);
+  }
   
-  // Find the position
-  const positionIndex = portfolio.openPositions.findIndex(
-    p => p.type === 'stock' && p.symbol === symbol
-  );
+  let lots = openPositions.filter(p => p.type === 'stock' && p.symbol === symbol && positionSide(p) === side);
   
-  if (positionIndex === -1) {
-    throw new Error(`No open position found for ${symbol}`);
+  if (lots.length === 0) {
+    throw new Error(`No open ${side} position found for ${symbol}`);
   }
   
-  const position = portfolio.openPositions[positionIndex];
-  const proceeds = position.shares * currentPrice;
-  const profitLoss = proceeds - position.costBasis;
-  const percentReturn = (profitLoss / position.costBasis) * 100;
+  if (method === 'specific') {
+    lots = lots.filter(p => p.id === lotId);
+    if (lots.length === 0) {
+      throw new Error(`Lot ${lotId} not found for ${symbol}`);
+    }
+  } else if (method === 'fifo') {
+    lots.sort((a, b) => new Date(a.entryDate) - new Date(b.entryDate));
+  } else if (method === 'lifo') {
+    lots.sort((a, b) => new Date(b.entryDate) - new Date(a.entryDate));
+  } else if (method === 'hifo') {
+    lots.sort((a, b) => b.entryPrice - a.entryPrice);
+  }
+  
+  const available = lots.reduce((sum, lot) => sum + lot.shares, 0);
+  const sharesToSell = shares == null ? available : shares;
+  
+  if (!(sharesToSell > 0)) {
+    throw new Error('Share quantity must be greater than zero');
+  }
+  if (sharesToSell > available) {
+    throw new Error(`Cannot ${side === 'short' ? 'cover' : 'sell'} ${sharesToSell} shares of ${symbol}. Available: ${available}`);
+  }
+  
+  const selected = [];
+  let remaining = sharesToSell;
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const take = Math.min(lot.shares, remaining);
+    selected.push({ lot, shares: take });
+    remaining -= take;
+  }
+  
+  return selected;
+}
+
+// Close `shares` of long lots at `currentPrice` on an already-loaded portfolio and record
+// the closed trade. Shared by stock sells, put exercise and call assignment; only the
+// latter (allowPledged) may touch shares pledged against written calls. `event` overrides
+// how the sale is booked in the ledger. `fill` carries the sale's fees and slippage (see
+// priceFill); settlement deliveries have none. With `asOf` (ISO timestamp) only lots opened
+// by then can be sold.
+function closeLongLots(portfolio, symbol, shares, currentPrice, { method = 'fifo', lotId = null, allowPledged = false, event = {}, fill = null, asOf = null } = {}) {
+  const candidates = portfolio.openPositions
+    .filter(p => allowPledged || !p.strategyId)
+    .filter(p => !asOf || p.entryDate <= asOf);
+  const selected = selectLots(candidates, symbol, shares, method, lotId);
+  
+  if (!allowPledged) {
+    const pledged = pledgedShares(portfolio, symbol);
+    const selling = selected.reduce((sum, { shares: lotShares }) => sum + lotShares, 0);
+    if (pledged > 0 && selling > longShares(portfolio, symbol) - pledged) {
+      throw new Error(`${pledged} shares of ${symbol} are pledged against written calls. Free to sell: ${longShares(portfolio, symbol) - pledged}`);
+    }
+  }
+  
+  // Close or shrink each lot, keeping cost basis and fees proportional to the shares left
+  const lotsConsumed = selected.map(({ lot, shares: lotShares }) => {
+    const lotCost = lot.costBasis * (lotShares / lot.shares);
+    const lotFees = (lot.fees || 0) * (lotShares / lot.shares);
+    const lotSlippage = (lot.slippage || 0) * (lotShares / lot.shares);
+    
+    if (lotShares === lot.shares) {
+      portfolio.openPositions = portfolio.openPositions.filter(p => p.id !== lot.id);
+    } else {
+      lot.shares -= lotShares;
+      lot.costBasis -= lotCost;
+      if (lot.fees) lot.fees -= lotFees;
+      if (lot.slippage) lot.slippage -= lotSlippage;
+    }
+    
+    return {
+      lotId: lot.id,
+      shares: lotShares,
+      entryPrice: lot.entryPrice,
+      entryDate: lot.entryDate,
+      costBasis: lotCost,
+      fees: lotFees,
+      slippage: lotSlippage
+    };
+  });
+  
+  const exitFees = fill ? fill.fees : 0;
+  const sharesSold = lotsConsumed.reduce((sum, lot) => sum + lot.shares, 0);
+  const costBasis = lotsConsumed.reduce((sum, lot) => sum + lot.costBasis, 0);
+  const grossProceeds = sharesSold * currentPrice;
+  const proceeds = grossProceeds - exitFees;
+  const profitLoss = proceeds - costBasis;
+  const percentReturn = (profitLoss / costBasis) * 100;
   
   // Create closed trade record
   const closedTrade = {
-    ...position,
+    id: crypto.randomUUID(),
+    type: 'stock',
+    symbol,
+    shares: sharesSold,
+    entryPrice: lotsConsumed.reduce((sum, lot) => sum + lot.entryPrice * lot.shares, 0) / sharesSold, // Weighted across the lots sold
+    entryDate: lotsConsumed.map(lot => lot.entryDate).sort()[0], // Oldest lot sold
+    costBasis,
     exitPrice: currentPrice,
     exitDate: new Date().toISOString(),
-    proceeds,
+    proceeds, // Net of the sale's fees
     profitLoss,
-    percentReturn
+    percentReturn,
+    exitFees,
+    fees: lotsConsumed.reduce((sum, lot) => sum + lot.fees, 0) + exitFees, // Buying and selling
+    slippage: lotsConsumed.reduce((sum, lot) => sum + lot.slippage, 0) + (fill ? fill.slippage : 0),
+    lotMethod: method,
+    lots: lotsConsumed
   };
   
   // Update portfolio
   portfolio.balance += proceeds;
   portfolio.totalPL += profitLoss;
-  portfolio.openPositions.splice(positionIndex, 1);
   portfolio.closedTrades.push(closedTrade);
+  recordEvent(portfolio, event.type || 'fill', grossProceeds, {
+    symbol,
+    description: event.description || `Sold ${sharesSold} ${symbol} @ $${currentPrice.toFixed(2)}`
+  });
+  if (fill) {
+    recordFees(portfolio, fill, symbol, `selling ${sharesSold} ${symbol}`);
+  }
+  
+  return closedTrade;
+}
+
+// Sell long lots on an already-loaded portfolio at a fill priced from `currentPrice`.
+// Shared by stock sells and order fills.
+async function sellLongLots(portfolio, symbol, shares, currentPrice, { method = 'fifo', lotId = null, getDayRange, limitPrice } = {}) {
+  // Fees depend on the share count, so work out what the sell covers first
+  const quantity = selectLots(portfolio.openPositions.filter(p => !p.strategyId), symbol, shares, method, lotId)
+    .reduce((sum, { shares: lotShares }) => sum + lotShares, 0);
+  const fill = await priceFill(portfolio, { kind: 'stock', side: 'sell', symbol, quantity, price: currentPrice, limitPrice }, getDayRange);
+  return closeLongLots(portfolio, symbol, quantity, fill.price, { method, lotId, fill });
+}
+
+// Sell stock - `shares` defaults to the whole position, lots are consumed per `method`.
+// The fill lands per the slippage model (never below `limitPrice`) and fees come off the proceeds.
+async function sellStock(symbol, shares, currentPrice, options = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const closedTrade = await sellLongLots(portfolio, symbol, shares, currentPrice, options);
+    await savePortfolio(portfolio);
+    
+    return { success: true, trade: closedTrade, newBalance: portfolio.balance };
+  });
+}
+
+// SHORT SELLING (margin accounts only)
+
+// Sell short - borrow shares and sell them, crediting the proceeds to cash
+async function shortStock(symbol, shares, price, { getCurrentPrice, getDayRange, limitPrice } = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    
+    if (portfolio.accountType !== 'margin') {
+      throw new Error('Short selling requires a margin account');
+    }
+    validateShareQuantity(shares);
+    
+    const fill = await priceFill(portfolio, { kind: 'stock', side: 'sell', symbol, quantity: shares, price, limitPrice }, getDayRange);
+    const proceeds = shares * fill.price - fill.fees;
+    await checkBuyingPower(portfolio, shares * fill.price, getCurrentPrice);
+    
+    const now = new Date().toISOString();
+    const position = {
+      id: crypto.randomUUID(),
+      type: 'stock',
+      side: 'short',
+      symbol,
+      shares,
+      entryPrice: fill.price,
+      entryDate: now,
+      costBasis: proceeds, // For shorts this is the proceeds received, net of fees
+      fees: fill.fees,
+      slippage: fill.slippage,
+      borrowRate: portfolio.marginSettings.borrowRate,
+      accruedBorrowCost: 0,
+      lastAccrualDate: now
+    };
+    
+    portfolio.balance += proceeds;
+    portfolio.openPositions.push(position);
+    recordEvent(portfolio, 'fill', shares * fill.price, { symbol, description: `Sold short ${shares} ${symbol} @ $${fill.price.toFixed(2)}` });
+    recordFees(portfolio, fill, symbol, `shorting ${shares} ${symbol}`);
+    await savePortfolio(portfolio);
+    
+    return { success: true, position, newBalance: portfolio.balance };
+  });
+}
+
+// Buy to cover - close all or part of a short position. The fill lands per the slippage
+// model (never above `limitPrice`) and fees are added to the cost of buying back.
+async function coverShort(symbol, shares, currentPrice, { method = 'fifo', lotId = null, getDayRange, limitPrice } = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    
+    const selected = selectLots(portfolio.openPositions, symbol, shares, method, lotId, 'short');
+    const quantity = selected.reduce((sum, { shares: lotShares }) => sum + lotShares, 0);
+    const fill = await priceFill(portfolio, { kind: 'stock', side: 'buy', symbol, quantity, price: currentPrice, limitPrice }, getDayRange);
+    
+    const lotsConsumed = selected.map(({ lot, shares: lotShares }) => {
+      const fraction = lotShares / lot.shares;
+      const lotProceeds = lot.costBasis * fraction;
+      const lotBorrowCost = lot.accruedBorrowCost * fraction;
+      const lotFees = (lot.fees || 0) * fraction;
+      const lotSlippage = (lot.slippage || 0) * fraction;
+      
+      if (lotShares === lot.shares) {
+        portfolio.openPositions = portfolio.openPositions.filter(p => p.id !== lot.id);
+      } else {
+        lot.shares -= lotShares;
+        lot.costBasis -= lotProceeds;
+        lot.accruedBorrowCost -= lotBorrowCost;
+        if (lot.fees) lot.fees -= lotFees;
+        if (lot.slippage) lot.slippage -= lotSlippage;
+      }
+      
+      return {
+        lotId: lot.id,
+        shares: lotShares,
+        entryPrice: lot.entryPrice,
+        entryDate: lot.entryDate,
+        costBasis: lotProceeds,
+        borrowCost: lotBorrowCost,
+        fees: lotFees,
+        slippage: lotSlippage
+      };
+    });
+    
+    const sharesCovered = lotsConsumed.reduce((sum, lot) => sum + lot.shares, 0);
+    const shortProceeds = lotsConsumed.reduce((sum, lot) => sum + lot.costBasis, 0);
+    const borrowCost = lotsConsumed.reduce((sum, lot) => sum + lot.borrowCost, 0);
+    const coverCost = sharesCovered * fill.price + fill.fees;
+    // Borrow fees were already charged to cash as they accrued, but they count against the trade
+    const profitLoss = shortProceeds - coverCost - borrowCost;
+    const percentReturn = (profitLoss / shortProceeds) * 100;
+    
+    const closedTrade = {
+      id: crypto.randomUUID(),
+      type: 'stock',
+      side: 'short',
+      symbol,
+      shares: sharesCovered,
+      entryPrice: lotsConsumed.reduce((sum, lot) => sum + lot.entryPrice * lot.shares, 0) / sharesCovered,
+      entryDate: lotsConsumed.map(lot => lot.entryDate).sort()[0],
+      costBasis: shortProceeds,
+      exitPrice: fill.price,
+      exitDate: new Date().toISOString(),
+      proceeds: coverCost, // Cash paid to buy the shares back, fees included
+      borrowCost,
+      profitLoss,
+      percentReturn,
+      exitFees: fill.fees,
+      fees: lotsConsumed.reduce((sum, lot) => sum + lot.fees, 0) + fill.fees, // Shorting and covering
+      slippage: lotsConsumed.reduce((sum, lot) => sum + lot.slippage, 0) + fill.slippage,
+      lotMethod: method,
+      lots: lotsConsumed
+    };
+    
+    portfolio.balance -= coverCost;
+    portfolio.totalPL += profitLoss;
+    portfolio.closedTrades.push(closedTrade);
+    recordEvent(portfolio, 'fill', -sharesCovered * fill.price, {
+      symbol,
+      description: `Bought to cover ${sharesCovered} ${symbol} @ $${fill.price.toFixed(2)}`
+    });
+    recordFees(portfolio, fill, symbol, `covering ${sharesCovered} ${symbol}`);
+    
+    await savePortfolio(portfolio);
+    
+    return { success: true, trade: closedTrade, newBalance: portfolio.balance };
+  });
+}
+
+// Charge stock borrow fees on short positions for each full day since the last accrual.
+// Fees accrue on the current market value at the position's annual borrow rate (360-day year).
+function accrueBorrowCosts(portfolio, valuedPositions, now = Date.now()) {
+  let charged = 0;
   
-  await savePortfolio(portfolio);
+  for (const valued of valuedPositions) {
+    if (valued.type !== 'stock' || valued.side !== 'short' || !valued.currentPrice) continue;
+    
+    const position = portfolio.openPositions.find(p => p.id === valued.id);
+    const days = Math.floor((now - new Date(position.lastAccrualDate).getTime()) / DAY_MS);
+    if (days < 1) continue;
+    
+    const fee = position.shares * valued.currentPrice * (position.borrowRate / 360) * days;
+    position.accruedBorrowCost += fee;
+    position.lastAccrualDate = new Date(new Date(position.lastAccrualDate).getTime() + days * DAY_MS).toISOString();
+    valued.accruedBorrowCost = position.accruedBorrowCost;
+    valued.lastAccrualDate = position.lastAccrualDate;
+    portfolio.balance -= fee;
+    recordEvent(portfolio, 'fee', -fee, {
+      symbol: position.symbol,
+      description: `Borrow fee on ${position.shares} ${position.symbol} short (${days} day${days === 1 ? '' : 's'})`
+    });
+    charged += fee;
+  }
   
-  return { success: true, trade: closedTrade, newBalance: portfolio.balance };
+  return charged;
 }
 
-// Buy option
-async function buyOption(symbol, type, strike, expiration, premium, contracts) {
-  const portfolio = await loadPortfolio();
-  const cost = premium * 100 * contracts; // Options are per 100 shares
+// Margin figures for an account given valued positions:
+//   equity              = cash + long market value - short market value
+//   marginUsed          = exposure financed beyond equity (margin loan / uncovered shorts)
+//   buyingPower         = how much more stock can be bought or shorted at initial margin
+//   maintenanceExcess   = equity above the maintenance requirement (negative = margin call)
+// Long options are not marginable, so they count at 100% in both requirements, and cash
+// held as collateral for written options is added on top.
+function computeMarginStatus(portfolio, valuedPositions) {
+  let longStockValue = 0;
+  let shortStockValue = 0;
+  let optionValue = 0;
+  let shortOptionValue = 0;
   
-  if (cost > portfolio.balance) {
-    throw new Error(`Insufficient funds. Available: $${portfolio.balance.toFixed(2)}, Required: $${cost.toFixed(2)}`);
+  for (const position of valuedPositions) {
+    if (position.type === 'stock' && position.side === 'short') {
+      shortStockValue += -position.currentValue;
+    } else if (position.type === 'stock') {
+      longStockValue += position.currentValue;
+    } else if (position.side === 'short') {
+      shortOptionValue += -position.currentValue;
+    } else {
+      optionValue += position.currentValue;
+    }
   }
   
-  const position = {
-    id: Date.now().toString(),
+  const equity = portfolio.balance + longStockValue + optionValue - shortStockValue - shortOptionValue;
+  const collateral = reservedCash(portfolio);
+  
+  if (portfolio.accountType !== 'margin') {
+    return {
+      accountType: 'cash',
+      equity,
+      buyingPower: Math.max(0, portfolio.balance - collateral),
+      collateral,
+      marginUsed: 0,
+      maintenanceRequirement: 0,
+      maintenanceExcess: equity,
+      marginCall: false
+    };
+  }
+  
+  const { initialMargin, maintenanceMargin } = portfolio.marginSettings;
+  const stockExposure = longStockValue + shortStockValue;
+  const initialRequirement = initialMargin * stockExposure + optionValue + collateral;
+  const maintenanceRequirement = maintenanceMargin * stockExposure + optionValue + collateral;
+  const maintenanceExcess = equity - maintenanceRequirement;
+  
+  return {
+    accountType: 'margin',
+    equity,
+    buyingPower: Math.max(0, (equity - initialRequirement) / initialMargin),
+    collateral,
+    marginUsed: Math.max(0, stockExposure + optionValue - equity),
+    initialRequirement,
+    maintenanceRequirement,
+    maintenanceExcess,
+    marginCall: maintenanceExcess < 0
+  };
+}
+
+// Switch between cash and margin accounts and adjust margin, option settlement, benchmark,
+// fee schedule and slippage settings (the last two take partial changes)
+async function updateAccountSettings({ accountType, initialMargin, maintenanceMargin, borrowRate, optionSettlement, benchmark, feeSchedule, slippage }) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    
+    if (accountType !== undefined) {
+      if (!['cash', 'margin'].includes(accountType)) {
+        throw new Error('Account type must be cash or margin');
+      }
+      if (accountType === 'cash' && portfolio.openPositions.some(p => p.type === 'stock' && p.side === 'short')) {
+        throw new Error('Cover all short positions before switching to a cash account');
+      }
+      if (accountType === 'cash' && portfolio.balance < 0) {
+        throw new Error('Pay off the margin loan before switching to a cash account');
+      }
+      portfolio.accountType = accountType;
+    }
+    
+    if (optionSettlement !== undefined) {
+      if (!OPTION_SETTLEMENTS.includes(optionSettlement)) {
+        throw new Error('Option settlement must be physical or cash');
+      }
+      portfolio.optionSettlement = optionSettlement;
+    }
+    
+    if (benchmark !== undefined) {
+      const symbol = String(benchmark).toUpperCase();
+      if (!BENCHMARKS.includes(symbol)) {
+        throw new Error(`Benchmark must be one of ${BENCHMARKS.join(', ')}`);
+      }
+      portfolio.benchmark = symbol;
+    }
+    
+    if (feeSchedule !== undefined) {
+      portfolio.feeSchedule = fillCosts.updateFeeSchedule(portfolio.feeSchedule, feeSchedule);
+    }
+    if (slippage !== undefined) {
+      portfolio.slippage = fillCosts.updateSlippage(portfolio.slippage, slippage);
+    }
+    
+    const settings = { ...portfolio.marginSettings };
+    if (initialMargin !== undefined) settings.initialMargin = initialMargin;
+    if (maintenanceMargin !== undefined) settings.maintenanceMargin = maintenanceMargin;
+    if (borrowRate !== undefined) settings.borrowRate = borrowRate;
+    
+    if (!(settings.initialMargin > 0 && settings.initialMargin <= 1)) {
+      throw new Error('Initial margin must be between 0 and 1');
+    }
+    if (!(settings.maintenanceMargin > 0 && settings.maintenanceMargin <= settings.initialMargin)) {
+      throw new Error('Maintenance margin must be above 0 and no higher than initial margin');
+    }
+    if (!(settings.borrowRate >= 0)) {
+      throw new Error('Borrow rate cannot be negative');
+    }
+    
+    portfolio.marginSettings = settings;
+    recordEvent(portfolio, 'account', 0, { description: 'Account settings updated' });
+    await savePortfolio(portfolio);
+    
+    return {
+      success: true,
+      accountType: portfolio.accountType,
+      marginSettings: portfolio.marginSettings,
+      optionSettlement: portfolio.optionSettlement,
+      benchmark: portfolio.benchmark,
+      feeSchedule: portfolio.feeSchedule,
+      slippage: portfolio.slippage
+    };
+  });
+}
+
+// Reject option orders with a missing or already-passed expiration or nonsensical terms
+function validateOptionOrder({ type, strike, expiration, premium, contracts }) {
+  if (!['call', 'put'].includes(type)) {
+    throw new Error('Option type must be call or put');
+  }
+  if (!(strike > 0) || !(premium > 0) || !(contracts > 0)) {
+    throw new Error('Strike, premium and contracts must be greater than zero');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(expiration || '') || isNaN(new Date(expiration).getTime())) {
+    throw new Error('Expiration must be a date in YYYY-MM-DD format');
+  }
+  if (marketCloseOn(expiration) <= new Date()) {
+    throw new Error(`Option expiring ${expiration} has already expired`);
+  }
+}
+
+// Ledger wording for an option position, e.g. "2 AAPL 2026-11-20 $260 call"
+function describeContract(position) {
+  return `${position.contracts} ${position.symbol} ${position.expiration} $${position.strike} ${position.optionType}`;
+}
+
+// Build an option position. When the underlying price at entry is known, the implied
+// volatility of the premium is stored and used to mark the position until it's closed.
+function createOptionPosition({ id, side, symbol, type, strike, expiration, premium, contracts, underlyingPrice }) {
+  return {
+    id,
     type: 'option',
+    side, // 'long' (bought) or 'short' (written)
     optionType: type, // 'call' or 'put'
     symbol,
     strike,
@@ -115,68 +967,1141 @@ async function buyOption(symbol, type, strike, expiration, premium, contracts) {
     contracts,
     entryPremium: premium,
     entryDate: new Date().toISOString(),
-    costBasis: cost
+    costBasis: premium * 100 * contracts, // Premium paid, or received when written
+    underlyingPriceAtEntry: underlyingPrice || null,
+    impliedVolatility: underlyingPrice
+      ? optionPricing.impliedVolatility({
+        type,
+        spot: underlyingPrice,
+        strike,
+        timeToExpiry: optionPricing.yearsToExpiry(expiration),
+        premium
+      })
+      : null
   };
+}
+
+// Buy option. `premium` is the quote; the fill lands per the slippage model, never above
+// `limitPrice`, and the position's cost basis includes its fees.
+async function buyOption(symbol, type, strike, expiration, premium, contracts, { underlyingPrice, limitPrice } = {}) {
+  validateOptionOrder({ type, strike, expiration, premium, contracts });
   
-  portfolio.balance -= cost;
-  portfolio.openPositions.push(position);
-  await savePortfolio(portfolio);
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const fill = await priceFill(portfolio, { kind: 'option', side: 'buy', quantity: contracts, price: premium, limitPrice });
+    const cost = fill.price * 100 * contracts + fill.fees; // Options are per 100 shares
+    
+    // Options can't be bought on margin, so they always need the cash
+    const available = portfolio.balance - reservedCash(portfolio);
+    if (cost > available) {
+      throw new Error(`Insufficient funds. Available: $${available.toFixed(2)}, Required: $${cost.toFixed(2)}`);
+    }
+    
+    const position = {
+      ...createOptionPosition({
+        id: crypto.randomUUID(),
+        side: 'long',
+        symbol,
+        type,
+        strike,
+        expiration,
+        premium: fill.price,
+        contracts,
+        underlyingPrice
+      }),
+      costBasis: cost,
+      fees: fill.fees,
+      slippage: fill.slippage
+    };
+    
+    portfolio.balance -= cost;
+    portfolio.openPositions.push(position);
+    recordEvent(portfolio, 'fill', -fill.price * 100 * contracts, { symbol, description: `Bought ${describeContract(position)} @ $${fill.price.toFixed(2)}` });
+    recordFees(portfolio, fill, symbol, `buying ${describeContract(position)}`);
+    await savePortfolio(portfolio);
+    
+    return { success: true, position, newBalance: portfolio.balance };
+  });
+}
+
+// Make sure `shares` of a symbol are held and not already pledged against other calls
+function checkSharesToPledge(portfolio, symbol, shares) {
+  const free = longShares(portfolio, symbol) - pledgedShares(portfolio, symbol);
+  if (shares > free) {
+    throw new Error(`Writing calls on ${symbol} needs ${shares} shares to cover them. Unpledged shares held: ${free}`);
+  }
+}
+
+// Write (sell to open) an option. Calls must be covered by shares already held, which are
+// pledged until the call closes; puts are cash-secured at the strike. The credit is the
+// fill (per the slippage model, never below `limitPrice`) less fees.
+async function writeOption(symbol, type, strike, expiration, premium, contracts, { underlyingPrice, getCurrentPrice, limitPrice } = {}) {
+  validateOptionOrder({ type, strike, expiration, premium, contracts });
   
-  return { success: true, position, newBalance: portfolio.balance };
+  const collateral = optionStrategies.computeCollateral([
+    { side: 'short', optionType: type, strike, premium, contracts }
+  ]);
+  
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const fill = await priceFill(portfolio, { kind: 'option', side: 'sell', quantity: contracts, price: premium, limitPrice });
+    const credit = fill.price * 100 * contracts - fill.fees;
+    
+    checkSharesToPledge(portfolio, symbol, collateral.shares);
+    if (collateral.cash > credit) {
+      await checkBuyingPower(portfolio, collateral.cash - credit, getCurrentPrice);
+    }
+    
+    const position = {
+      ...createOptionPosition({
+        id: crypto.randomUUID(),
+        side: 'short',
+        symbol,
+        type,
+        strike,
+        expiration,
+        premium: fill.price,
+        contracts,
+        underlyingPrice
+      }),
+      costBasis: credit, // Premium received, net of fees
+      fees: fill.fees,
+      slippage: fill.slippage,
+      collateral: collateral.cash,
+      pledgedShares: collateral.shares
+    };
+    
+    portfolio.balance += credit;
+    portfolio.openPositions.push(position);
+    recordEvent(portfolio, 'fill', fill.price * 100 * contracts, { symbol, description: `Wrote ${describeContract(position)} @ $${fill.price.toFixed(2)}` });
+    recordFees(portfolio, fill, symbol, `writing ${describeContract(position)}`);
+    await savePortfolio(portfolio);
+    
+    return { success: true, position, newBalance: portfolio.balance };
+  });
 }
 
-// Close option
-async function closeOption(positionId, exitPremium) {
-  const portfolio = await loadPortfolio();
+// Open a multi-leg strategy as one order. `legs` are [{ side, optionType, strike, premium }]
+// sharing one expiration and contract count. A covered call also buys 100 shares per
+// contract at `underlyingPrice`. Each leg and the shares fill per the slippage model. The legs
+// become open positions tagged with the strategy id, and the strategy record keeps the net
+// premium, payoff profile and collateral worked out from the fills.
+async function openStrategy({ strategy, symbol, expiration, contracts, legs }, { underlyingPrice, getCurrentPrice, getDayRange } = {}) {
+  const orderLegs = (legs || []).map(leg => ({
+    side: leg.side,
+    optionType: leg.optionType,
+    strike: leg.strike,
+    premium: leg.premium,
+    contracts
+  }));
   
-  const positionIndex = portfolio.openPositions.findIndex(
-    p => p.id === positionId
-  );
+  optionStrategies.validateStrategyLegs(strategy, orderLegs);
+  for (const leg of orderLegs) {
+    validateOptionOrder({ type: leg.optionType, strike: leg.strike, expiration, premium: leg.premium, contracts });
+  }
+  if (strategy === 'covered_call' && !(underlyingPrice > 0)) {
+    throw new Error('A covered call needs the current stock price to buy the shares');
+  }
+  
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    
+    const legFills = await Promise.all(orderLegs.map(leg => priceFill(portfolio, {
+      kind: 'option',
+      side: leg.side === 'short' ? 'sell' : 'buy',
+      symbol,
+      quantity: contracts,
+      price: leg.premium
+    })));
+    const filledLegs = orderLegs.map((leg, i) => ({ ...leg, premium: legFills[i].price }));
+    const stockFill = strategy === 'covered_call'
+      ? await priceFill(portfolio, { kind: 'stock', side: 'buy', symbol, quantity: contracts * 100, price: underlyingPrice }, getDayRange)
+      : null;
+    const stock = stockFill ? { shares: contracts * 100, price: stockFill.price } : null;
+    
+    const payoff = optionStrategies.analyzePayoff(filledLegs, stock);
+    // The covered call's own shares cover its call, so it pledges nothing else
+    const collateral = stock ? { cash: 0, shares: 0 } : optionStrategies.computeCollateral(filledLegs);
+    checkSharesToPledge(portfolio, symbol, collateral.shares);
+    
+    const legFees = legFills.map(fill => fill.fees);
+    const stockFees = stockFill ? stockFill.fees : 0;
+    const fees = legFees.reduce((sum, fee) => sum + fee, 0) + stockFees;
+    
+    const stockCost = stock ? stock.shares * stock.price + stockFees : 0;
+    const cashNeeded = stockCost + collateral.cash - payoff.netPremium + (fees - stockFees);
+    if (cashNeeded > 0) {
+      await checkBuyingPower(portfolio, cashNeeded, getCurrentPrice);
+    }
+    
+    const strategyId = crypto.randomUUID();
+    const positions = filledLegs.map((leg, i) => {
+      const position = createOptionPosition({
+        id: `${strategyId}-${i + 1}`,
+        side: leg.side,
+        symbol,
+        type: leg.optionType,
+        strike: leg.strike,
+        expiration,
+        premium: leg.premium,
+        contracts,
+        underlyingPrice
+      });
+      return {
+        ...position,
+        // Fees add to what a long leg cost and come off what a short leg brought in
+        costBasis: position.costBasis + (leg.side === 'short' ? -legFees[i] : legFees[i]),
+        fees: legFees[i],
+        slippage: legFills[i].slippage,
+        strategyId
+      };
+    });
+    
+    if (stock) {
+      positions.push({
+        id: `${strategyId}-stock`,
+        type: 'stock',
+        side: 'long',
+        symbol,
+        shares: stock.shares,
+        entryPrice: stock.price,
+        entryDate: new Date().toISOString(),
+        costBasis: stockCost,
+        fees: stockFees,
+        slippage: stockFill.slippage,
+        strategyId
+      });
+    }
+    
+    const record = {
+      id: strategyId,
+      strategy,
+      symbol,
+      expiration,
+      contracts,
+      legIds: positions.map(p => p.id),
+      stockLotId: stock ? `${strategyId}-stock` : null,
+      ...payoff,
+      collateral: collateral.cash,
+      pledgedShares: collateral.shares,
+      status: 'open',
+      openedAt: new Date().toISOString()
+    };
+    
+    portfolio.balance += payoff.netPremium - stockCost - (fees - stockFees);
+    portfolio.openPositions.push(...positions);
+    portfolio.strategies.push(record);
+    recordEvent(portfolio, 'fill', payoff.netPremium - (stockCost - stockFees), {
+      symbol,
+      description: `Opened ${contracts} ${symbol} ${expiration} ${optionStrategies.STRATEGY_LABELS[strategy].toLowerCase()}`
+    });
+    recordFees(portfolio, { fees }, symbol, `opening the ${optionStrategies.STRATEGY_LABELS[strategy].toLowerCase()}`);
+    await savePortfolio(portfolio);
+    
+    return { success: true, strategy: record, positions, newBalance: portfolio.balance };
+  });
+}
+
+// Close an option position at `exitPremium` on an already-loaded portfolio: sell a long
+// option back, or buy a written one back. `fill` carries the closing fees and slippage
+// (see priceFill); without one the close is free.
+function closeOptionPosition(portfolio, position, exitPremium, closeReason = 'closed', fill = null) {
+  const gross = exitPremium * 100 * position.contracts;
+  const exitFees = fill ? fill.fees : 0;
+  const isShort = position.side === 'short';
+  const amount = isShort ? gross + exitFees : gross - exitFees;
+  const profitLoss = isShort ? position.costBasis - amount : amount - position.costBasis;
+  
+  const closedTrade = {
+    ...position,
+    exitPremium,
+    exitDate: new Date().toISOString(),
+    proceeds: amount, // Cash received, or paid to buy back a written option, net of fees
+    profitLoss,
+    percentReturn: (profitLoss / position.costBasis) * 100,
+    closeReason,
+    exitFees,
+    fees: (position.fees || 0) + exitFees, // Opening and closing
+    slippage: (position.slippage || 0) + (fill ? fill.slippage : 0)
+  };
   
-  if (positionIndex === -1) {
-    throw new Error('Position not found');
+  portfolio.balance += isShort ? -amount : amount;
+  portfolio.totalPL += profitLoss;
+  portfolio.openPositions = portfolio.openPositions.filter(p => p.id !== position.id);
+  portfolio.closedTrades.push(closedTrade);
+  recordEvent(portfolio, 'fill', isShort ? -gross : gross, {
+    symbol: position.symbol,
+    description: `${isShort ? 'Bought back' : 'Sold'} ${describeContract(position)} @ $${exitPremium.toFixed(2)}`
+  });
+  if (fill) {
+    recordFees(portfolio, fill, position.symbol, `closing ${describeContract(position)}`);
   }
   
-  const position = portfolio.openPositions[positionIndex];
+  return closedTrade;
+}
+
+// Close option at the quoted `exitPremium`; the fill lands per the slippage model, never
+// past `limitPrice`
+async function closeOption(positionId, exitPremium, { limitPrice } = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    
+    const position = portfolio.openPositions.find(p => p.id === positionId);
+    
+    if (!position) {
+      throw new Error('Position not found');
+    }
+    if (position.type !== 'option') {
+      throw new Error('Position is not an option');
+    }
+    if (position.strategyId) {
+      throw new Error('This option is a strategy leg - close the whole strategy instead');
+    }
+    
+    const fill = await priceFill(portfolio, {
+      kind: 'option',
+      side: position.side === 'short' ? 'buy' : 'sell',
+      quantity: position.contracts,
+      price: exitPremium,
+      limitPrice
+    });
+    const closedTrade = closeOptionPosition(portfolio, position, fill.price, 'closed', fill);
+    
+    await savePortfolio(portfolio);
+    
+    return { success: true, trade: closedTrade, newBalance: portfolio.balance };
+  });
+}
+
+// Once a strategy has no option legs left, mark it closed with its realized P/L and release
+// any remaining shares (e.g. a covered call whose call expired) as an ordinary holding
+function finishStrategy(portfolio, strategyId) {
+  const record = portfolio.strategies.find(s => s.id === strategyId);
+  const remaining = portfolio.openPositions.filter(p => p.strategyId === strategyId);
+  
+  if (!record || remaining.some(p => p.type === 'option')) return;
   
-  if (position.type !== 'option') {
-    throw new Error('Position is not an option');
+  for (const lot of remaining) {
+    delete lot.strategyId;
   }
   
-  const proceeds = exitPremium * 100 * position.contracts;
-  const profitLoss = proceeds - position.costBasis;
-  const percentReturn = (profitLoss / position.costBasis) * 100;
+  record.status = 'closed';
+  record.closedAt = new Date().toISOString();
+  record.realizedPL = portfolio.closedTrades
+    .filter(t => t.strategyId === strategyId)
+    .reduce((sum, t) => sum + t.profitLoss, 0);
+}
+
+// Close every leg of a strategy at current marks: option legs at their model premium,
+// a covered call's shares at the stock price. Each leg is charged its own slippage and fees.
+async function closeStrategy(strategyId, { getCurrentPrice, getVolatility } = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const record = portfolio.strategies.find(s => s.id === strategyId && s.status === 'open');
+    
+    if (!record) {
+      throw new Error('Open strategy not found');
+    }
+    
+    const legs = portfolio.openPositions.filter(p => p.strategyId === strategyId);
+    const valued = await valuePositions(legs, getCurrentPrice, { getVolatility });
+    
+    if (valued.some(leg => !(leg.currentPrice >= 0))) {
+      throw new Error(`No current price for ${record.symbol} - try again shortly`);
+    }
+    
+    const trades = [];
+    for (const leg of valued) {
+      const position = legs.find(p => p.id === leg.id);
+      if (position.type === 'stock') {
+        const fill = await priceFill(portfolio, { kind: 'stock', side: 'sell', symbol: position.symbol, quantity: position.shares, price: leg.currentPrice });
+        trades.push(closeLongLots(portfolio, position.symbol, position.shares, fill.price, {
+          method: 'specific',
+          lotId: position.id,
+          allowPledged: true,
+          fill
+        }));
+      } else {
+        const fill = await priceFill(portfolio, {
+          kind: 'option',
+          side: position.side === 'short' ? 'buy' : 'sell',
+          quantity: position.contracts,
+          price: leg.currentPrice
+        });
+        trades.push(closeOptionPosition(portfolio, position, fill.price, 'closed', fill));
+      }
+    }
+    
+    // Tag stock trades too so the realized P/L covers every leg
+    for (const trade of trades) {
+      trade.strategyId = strategyId;
+    }
+    
+    finishStrategy(portfolio, strategyId);
+    await savePortfolio(portfolio);
+    
+    return { success: true, strategy: record, trades, newBalance: portfolio.balance };
+  });
+}
+
+// OPTION EXERCISE AND EXPIRATION
+// Closed option trades carry a closeReason:
+//   closed            - sold back / bought back (closeOption, closeStrategy)
+//   exercised         - exercised early by the user
+//   auto_exercised    - long option in the money at expiration, settled into shares
+//   assigned          - written option in the money at expiration, settled into shares
+//   cash_settled      - in the money, settled for its intrinsic value in cash
+//   expired_worthless - out of the money at expiration
+const OPTION_SETTLEMENTS = ['physical', 'cash'];
+
+// Ledger wording for each way an option settles
+const SETTLEMENT_LABELS = {
+  exercised: 'exercised',
+  auto_exercised: 'auto-exercised',
+  assigned: 'assigned',
+  cash_settled: 'cash-settled',
+  expired_worthless: 'expired worthless'
+};
+
+// Settle an option at its intrinsic value on an already-loaded portfolio. The option leg is
+// always closed at intrinsic value (received when long, paid when written); physical
+// settlement then trades the shares at the underlying price, which nets out to trading them
+// at the strike. Long calls and written puts receive shares, long puts and written calls
+// deliver them. Physical settlement falls back to cash when there isn't the cash or the
+// shares to deliver, unless `strict` is set, in which case it throws instead. Strategy legs
+// (other than covered calls) always settle in cash so no leg depends on another.
+async function settleOption(portfolio, position, underlyingPrice, { reason, settlement, strict = false, getCurrentPrice }) {
+  const shares = position.contracts * 100;
+  const isShort = position.side === 'short';
+  const intrinsic = optionPricing.intrinsicValue(position.optionType, underlyingPrice, position.strike);
+  const settlementValue = intrinsic * shares;
+  const now = new Date().toISOString();
+  const strategy = position.strategyId && portfolio.strategies.find(s => s.id === position.strategyId);
+  let closeReason = reason;
+  let stockTrade = null;
+  let stockPosition = null;
+  
+  if (strategy && strategy.strategy !== 'covered_call') {
+    settlement = 'cash';
+  }
+  
+  if (intrinsic > 0 && settlement === 'physical') {
+    const receivesShares = (position.optionType === 'call') !== isShort;
+    
+    let deliverable = true;
+    if (receivesShares && !isShort) {
+      // Written puts are already cash-secured, long calls need the cash now
+      try {
+        await checkBuyingPower(portfolio, position.strike * shares, getCurrentPrice);
+      } catch (err) {
+        if (strict) throw err;
+        deliverable = false;
+      }
+    } else if (!receivesShares && !isShort) {
+      const freeShares = longShares(portfolio, position.symbol) - pledgedShares(portfolio, position.symbol);
+      if (freeShares < shares) {
+        if (strict) {
+          throw new Error(`Exercising needs ${shares} shares of ${position.symbol} to deliver. Held: ${freeShares}`);
+        }
+        deliverable = false;
+      }
+    }
+    
+    if (!deliverable) {
+      closeReason = 'cash_settled';
+    } else if (receivesShares) {
+      stockPosition = {
+        id: `${position.id}-shares`,
+        type: 'stock',
+        side: 'long',
+        symbol: position.symbol,
+        shares,
+        entryPrice: underlyingPrice,
+        entryDate: now,
+        costBasis: shares * underlyingPrice,
+        exercisedFrom: position.id
+      };
+      portfolio.balance -= stockPosition.costBasis;
+      portfolio.openPositions.push(stockPosition);
+      recordEvent(portfolio, 'option_settlement', -stockPosition.costBasis, {
+        symbol: position.symbol,
+        description: `Received ${shares} ${position.symbol} @ $${underlyingPrice.toFixed(2)} on settlement`
+      });
+    } else {
+      // Written calls deliver their pledged shares (a covered call strategy, its own lot)
+      const lotId = strategy ? strategy.stockLotId : null;
+      stockTrade = closeLongLots(portfolio, position.symbol, shares, underlyingPrice, {
+        method: lotId ? 'specific' : 'fifo',
+        lotId,
+        allowPledged: isShort,
+        event: {
+          type: 'option_settlement',
+          description: `Delivered ${shares} ${position.symbol} @ $${underlyingPrice.toFixed(2)} on settlement`
+        }
+      });
+      stockTrade.exercisedFrom = position.id;
+    }
+    
+    if (deliverable && isShort) {
+      closeReason = 'assigned';
+    }
+  } else if (intrinsic > 0) {
+    closeReason = 'cash_settled';
+  } else {
+    closeReason = 'expired_worthless';
+  }
   
+  const profitLoss = isShort ? position.costBasis - settlementValue : settlementValue - position.costBasis;
   const closedTrade = {
     ...position,
-    exitPremium,
-    exitDate: new Date().toISOString(),
-    proceeds,
+    exitPremium: intrinsic,
+    exitDate: now,
+    underlyingPrice,
+    proceeds: settlementValue,
     profitLoss,
-    percentReturn
+    percentReturn: (profitLoss / position.costBasis) * 100,
+    closeReason
   };
   
-  portfolio.balance += proceeds;
+  portfolio.balance += isShort ? -settlementValue : settlementValue;
   portfolio.totalPL += profitLoss;
-  portfolio.openPositions.splice(positionIndex, 1);
+  portfolio.openPositions = portfolio.openPositions.filter(p => p.id !== position.id);
   portfolio.closedTrades.push(closedTrade);
+  recordEvent(portfolio, 'option_settlement', isShort ? -settlementValue : settlementValue, {
+    symbol: position.symbol,
+    description: `${describeContract(position)} ${SETTLEMENT_LABELS[closeReason]}${intrinsic > 0 ? ` @ $${intrinsic.toFixed(2)}` : ''}`
+  });
   
-  await savePortfolio(portfolio);
+  if (strategy) {
+    if (stockTrade) stockTrade.strategyId = strategy.id;
+    finishStrategy(portfolio, strategy.id);
+  }
   
-  return { success: true, trade: closedTrade, newBalance: portfolio.balance };
+  return { trade: closedTrade, stockPosition, stockTrade };
+}
+
+// Exercise an in-the-money option before expiration (American style)
+async function exerciseOption(positionId, { getCurrentPrice } = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const position = portfolio.openPositions.find(p => p.id === positionId);
+    
+    if (!position) {
+      throw new Error('Position not found');
+    }
+    if (position.type !== 'option') {
+      throw new Error('Position is not an option');
+    }
+    if (position.side === 'short') {
+      throw new Error('Only options you own can be exercised - written options are assigned at expiration');
+    }
+    if (position.strategyId) {
+      throw new Error('This option is a strategy leg - close the whole strategy instead');
+    }
+    
+    const underlyingPrice = await getCurrentPrice(position.symbol);
+    if (optionPricing.intrinsicValue(position.optionType, underlyingPrice, position.strike) <= 0) {
+      throw new Error(`${position.symbol} $${position.strike} ${position.optionType} is out of the money at $${underlyingPrice.toFixed(2)}`);
+    }
+    
+    const result = await settleOption(portfolio, position, underlyingPrice, {
+      reason: portfolio.optionSettlement === 'cash' ? 'cash_settled' : 'exercised',
+      settlement: portfolio.optionSettlement,
+      strict: true,
+      getCurrentPrice
+    });
+    
+    await savePortfolio(portfolio);
+    
+    return { success: true, ...result, newBalance: portfolio.balance };
+  });
+}
+
+// Settle every option whose expiration close has passed: in-the-money contracts are
+// auto-exercised or assigned (or cash-settled), the rest expire worthless. Returns the closed trades.
+async function settleExpiredOptions(getCurrentPrice, now = new Date()) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const expired = portfolio.openPositions.filter(
+      p => p.type === 'option' && marketCloseOn(p.expiration) <= now
+    );
+    
+    const settled = [];
+    for (const position of expired) {
+      let underlyingPrice;
+      try {
+        underlyingPrice = await getCurrentPrice(position.symbol);
+      } catch (err) {
+        // Leave it open and try again on the next run rather than guess a price
+        console.error(`Cannot settle ${position.symbol} option, no price:`, err.message);
+        continue;
+      }
+      
+      const result = await settleOption(portfolio, position, underlyingPrice, {
+        reason: 'auto_exercised',
+        settlement: portfolio.optionSettlement,
+        getCurrentPrice
+      });
+      settled.push(result.trade);
+    }
+    
+    if (settled.length > 0) {
+      await savePortfolio(portfolio);
+    }
+    
+    return settled;
+  });
 }
 
-// Get portfolio with current valuations
-async function getPortfolio(getCurrentPrice) {
+// CORPORATE ACTIONS
+// Stock splits and cash dividends reported by the market data provider, applied by the
+// corporate actions job (corporateActions.js). Each one that touches the portfolio is kept in
+// its corporateActions list - the record of what was adjusted, keyed so nothing is applied
+// twice:
+//   split    - lots bought before the split date get more shares at a lower price with the
+//              same cost basis; options get more contracts at a lower strike when the split
+//              is a whole number per contract; open orders are rescaled
+//   dividend - the shares held going into the ex-date are recorded, and the cash is
+//              credited on the pay date (or charged, for short positions)
+const DIVIDEND_LOOKBACK_DAYS = 90; // Positions closed this recently may still be owed a dividend
+
+const tradeDate = timestamp => newYorkDate(new Date(timestamp));
+
+// Symbols the corporate actions job should check: open positions, recently closed trades
+// and dividends still waiting for their pay date
+async function getCorporateActionSymbols(now = new Date()) {
   const portfolio = await loadPortfolio();
+  const since = new Date(now.getTime() - DIVIDEND_LOOKBACK_DAYS * DAY_MS).toISOString();
+  return [...new Set([
+    ...portfolio.openPositions.map(p => p.symbol),
+    ...portfolio.closedTrades.filter(t => t.exitDate >= since).map(t => t.symbol),
+    ...portfolio.corporateActions.filter(a => a.status === 'pending').map(a => a.symbol)
+  ])].sort();
+}
+
+// Apply a split to a loaded portfolio. Returns what changed, or null if nothing held was
+// affected. Reverse splits can leave fractional shares (no cash in lieu).
+function applySplit(portfolio, symbol, { date, fromFactor, toFactor }) {
+  const ratio = toFactor / fromFactor;
+  const beforeSplit = timestamp => tradeDate(timestamp) < date;
+  
+  const lots = portfolio.openPositions
+    .filter(p => p.type === 'stock' && p.symbol === symbol && beforeSplit(p.entryDate))
+    .map(lot => {
+      const change = { lotId: lot.id, sharesBefore: lot.shares, sharesAfter: lot.shares * ratio };
+      lot.shares *= ratio;
+      lot.entryPrice /= ratio;
+      return change;
+    });
+  
+  // Options only adjust when every contract becomes a whole number of contracts; others
+  // would need a non-standard deliverable, so they are left as they were and listed
+  const options = [];
+  const unadjustedOptions = [];
+  for (const option of portfolio.openPositions.filter(p => p.type === 'option' && p.symbol === symbol && beforeSplit(p.entryDate))) {
+    const contracts = option.contracts * ratio;
+    if (!Number.isInteger(contracts)) {
+      unadjustedOptions.push(option.id);
+      continue;
+    }
+    options.push({ positionId: option.id, contractsBefore: option.contracts, contractsAfter: contracts, strikeBefore: option.strike, strikeAfter: option.strike / ratio });
+    option.contracts = contracts;
+    option.strike /= ratio;
+    option.entryPremium /= ratio;
+    if (option.pledgedShares) option.pledgedShares *= ratio;
+  }
+  for (const record of portfolio.strategies.filter(r => r.status === 'open' && r.symbol === symbol && beforeSplit(r.openedAt))) {
+    if (!Number.isInteger(record.contracts * ratio)) continue;
+    record.contracts *= ratio;
+    record.breakevens = (record.breakevens || []).map(price => price / ratio);
+    if (record.pledgedShares) record.pledgedShares *= ratio;
+  }
+  
+  // Resting orders keep their dollar value: whole shares at split-adjusted prices
+  const orders = [];
+  for (const order of portfolio.orders.filter(o => o.status === 'open' && o.symbol === symbol && beforeSplit(o.createdAt))) {
+    const quantity = Math.floor(order.quantity * ratio);
+    orders.push({ orderId: order.id, quantityBefore: order.quantity, quantityAfter: quantity });
+    if (quantity < 1) {
+      order.status = 'cancelled';
+      order.cancelledAt = new Date().toISOString();
+      continue;
+    }
+    order.quantity = quantity;
+    for (const field of ['limitPrice', 'stopPrice', 'trailAmount', 'watermark']) {
+      if (order[field]) order[field] /= ratio;
+    }
+  }
+  
+  if (lots.length === 0 && options.length === 0 && unadjustedOptions.length === 0 && orders.length === 0) {
+    return null;
+  }
+  return { ratio, lots, options, unadjustedOptions, orders };
+}
+
+// Shares of a symbol held long and short going into an ex-date: lots bought before it that
+// were still open on it, whether they are still open or have been sold since. Splits after
+// the ex-date that were already applied to a lot are undone, so it counts the shares it
+// held on the ex-date.
+function sharesHeldOnExDate(portfolio, symbol, exDate) {
+  const held = { long: 0, short: 0 };
+  const add = (side, shares) => { held[side === 'short' ? 'short' : 'long'] += shares; };
+  
+  const laterSplits = portfolio.corporateActions
+    .filter(action => action.type === 'split' && action.symbol === symbol && action.effectiveDate > exDate);
+  // A sold lot only went through the splits applied while it was still open
+  const sharesBeforeSplits = (lotId, shares, soldAt = null) => laterSplits
+    .filter(split => split.lots.some(change => change.lotId === lotId) && (!soldAt || soldAt > split.appliedAt))
+    .reduce((count, split) => count * (split.fromFactor / split.toFactor), shares);
+  
+  for (const lot of portfolio.openPositions) {
+    if (lot.type === 'stock' && lot.symbol === symbol && tradeDate(lot.entryDate) < exDate) {
+      add(lot.side, sharesBeforeSplits(lot.id, lot.shares));
+    }
+  }
+  for (const trade of portfolio.closedTrades) {
+    if (trade.type !== 'stock' || trade.symbol !== symbol || tradeDate(trade.exitDate) < exDate) continue;
+    for (const lot of trade.lots || [{ shares: trade.shares, entryDate: trade.entryDate }]) {
+      if (tradeDate(lot.entryDate) < exDate) add(trade.side, sharesBeforeSplits(lot.lotId, lot.shares, trade.exitDate));
+    }
+  }
+  
+  return held;
+}
+
+// "100 shares", "50 shares sold short" or both, for dividend ledger entries
+function describeDividendShares(longShares, shortShares) {
+  return [longShares > 0 && `${longShares} shares`, shortShares > 0 && `${shortShares} shares sold short`]
+    .filter(Boolean)
+    .join(' and ');
+}
+
+// Apply a symbol's splits and dividends (see marketData.getCorporateActions) to the active
+// portfolio, oldest first, up to `today` (New York date). Returns the corporate action
+// records added or paid.
+async function applyCorporateActions(symbol, { splits = [], dividends = [] }, { today = newYorkDate() } = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const applied = new Set(portfolio.corporateActions.map(a => a.id));
+    const touched = [];
+    
+    const events = [
+      ...splits.map(split => ({ type: 'split', date: split.date, split })),
+      ...dividends.map(dividend => ({ type: 'dividend', date: dividend.exDate, dividend }))
+    ]
+      .filter(event => event.date <= today && !applied.has(`${event.type}-${symbol}-${event.date}`))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    
+    for (const event of events) {
+      const id = `${event.type}-${symbol}-${event.date}`;
+      
+      if (event.type === 'split') {
+        const { fromFactor, toFactor } = event.split;
+        if (!(fromFactor > 0 && toFactor > 0)) continue;
+        const change = applySplit(portfolio, symbol, event.split);
+        if (!change) continue;
+        
+        const record = { id, type: 'split', symbol, effectiveDate: event.date, status: 'applied', fromFactor, toFactor, ...change, appliedAt: new Date().toISOString() };
+        portfolio.corporateActions.push(record);
+        touched.push(record);
+        recordEvent(portfolio, 'split', 0, {
+          symbol,
+          description: `${toFactor}-for-${fromFactor} split of ${symbol}: ${change.lots.length} lot${change.lots.length === 1 ? '' : 's'}, ${change.options.length} option${change.options.length === 1 ? '' : 's'} and ${change.orders.length} order${change.orders.length === 1 ? '' : 's'} adjusted`
+        });
+        continue;
+      }
+      
+      const { amount, payDate } = event.dividend;
+      const held = sharesHeldOnExDate(portfolio, symbol, event.date);
+      if (!(amount > 0) || (held.long === 0 && held.short === 0)) continue;
+      
+      const record = {
+        id,
+        type: 'dividend',
+        symbol,
+        effectiveDate: event.date, // Ex-date
+        payDate: payDate || event.date,
+        status: 'pending',
+        amountPerShare: amount,
+        longShares: held.long,
+        shortShares: held.short,
+        amount: amount * (held.long - held.short), // Paid out to short sellers
+        recordedAt: new Date().toISOString()
+      };
+      portfolio.corporateActions.push(record);
+      touched.push(record);
+      recordEvent(portfolio, 'dividend', 0, {
+        symbol,
+        description: `${symbol} went ex-dividend $${amount.toFixed(4)}/share on ${describeDividendShares(held.long, held.short)}, payable ${record.payDate}`
+      });
+    }
+    
+    // Pay out every dividend whose pay date has come
+    for (const record of portfolio.corporateActions) {
+      if (record.type !== 'dividend' || record.symbol !== symbol || record.status !== 'pending' || record.payDate > today) continue;
+      
+      record.status = 'paid';
+      record.paidAt = new Date().toISOString();
+      portfolio.balance += record.amount;
+      if (!touched.includes(record)) touched.push(record);
+      recordEvent(portfolio, 'dividend', record.amount, {
+        symbol,
+        description: `${symbol} dividend of $${record.amountPerShare.toFixed(4)}/share on ${describeDividendShares(record.longShares, record.shortShares)}`
+      });
+    }
+    
+    if (touched.length > 0) {
+      await savePortfolio(portfolio);
+    }
+    return touched;
+  });
+}
+
+// ORDERS
+// Limit, stop, stop-limit and trailing-stop orders on stocks. They are stored with the
+// portfolio and filled by the order engine (orderEngine.js) when their price is reached.
+const ORDER_TYPES = ['limit', 'stop', 'stop_limit', 'trailing_stop'];
+const TIME_IN_FORCE = ['day', 'gtc'];
+
+// Ledger wording for an order, e.g. "sell 100 AAPL stop order"
+function describeOrder(order) {
+  return `${order.side} ${order.quantity} ${order.symbol} ${order.orderType.replace('_', ' ')} order`;
+}
+
+// Place a resting order
+async function placeOrder({ symbol, side, quantity, orderType, limitPrice, stopPrice, trailAmount, trailPercent, timeInForce = 'day' }) {
+  if (!['buy', 'sell'].includes(side)) {
+    throw new Error('Order side must be buy or sell');
+  }
+  if (!ORDER_TYPES.includes(orderType)) {
+    throw new Error(`Unknown order type: ${orderType}. Use one of ${ORDER_TYPES.join(', ')}`);
+  }
+  if (!TIME_IN_FORCE.includes(timeInForce)) {
+    throw new Error('Time in force must be day or gtc');
+  }
+  if (!(quantity > 0)) {
+    throw new Error('Order quantity must be greater than zero');
+  }
+  if (side === 'buy' && !Number.isInteger(quantity)) {
+    throw new Error('Order quantity must be a whole number of shares');
+  }
+  if ((orderType === 'limit' || orderType === 'stop_limit') && !(limitPrice > 0)) {
+    throw new Error(`A ${orderType} order needs a limit price`);
+  }
+  if ((orderType === 'stop' || orderType === 'stop_limit') && !(stopPrice > 0)) {
+    throw new Error(`A ${orderType} order needs a stop price`);
+  }
+  if (orderType === 'trailing_stop' && !(trailAmount > 0) && !(trailPercent > 0)) {
+    throw new Error('A trailing stop needs a trail amount or trail percent');
+  }
   
-  // Calculate current values for open positions
-  const openPositionsWithValues = await Promise.all(
-    portfolio.openPositions.map(async (position) => {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const now = new Date();
+    
+    const order = {
+      id: crypto.randomUUID(),
+      symbol,
+      side,
+      quantity,
+      orderType,
+      limitPrice: limitPrice || null,
+      stopPrice: stopPrice || null,
+      trailAmount: trailAmount || null,
+      trailPercent: trailPercent || null,
+      timeInForce,
+      status: 'open',
+      createdAt: now.toISOString(),
+      expiresAt: timeInForce === 'day' ? nextMarketClose(now).toISOString() : null
+    };
+    
+    portfolio.orders.push(order);
+    recordEvent(portfolio, 'order', 0, { symbol, description: `Placed ${describeOrder(order)}` });
+    await savePortfolio(portfolio);
+    
+    return { success: true, order };
+  });
+}
+
+// List orders, optionally only those with a given status
+async function getOrders(status) {
+  const portfolio = await loadPortfolio();
+  return status ? portfolio.orders.filter(o => o.status === status) : portfolio.orders;
+}
+
+// An order that can still change: found, and neither filled, cancelled nor expired
+function findOpenOrder(portfolio, orderId) {
+  const order = portfolio.orders.find(o => o.id === orderId);
+  
+  if (!order) {
+    throw new Error('Order not found');
+  }
+  if (order.status !== 'open') {
+    throw new Error(`Order is already ${order.status}`);
+  }
+  return order;
+}
+
+// Merge changes into an open order (used by the order engine for triggers and expiry)
+async function updateOrder(orderId, changes) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const order = findOpenOrder(portfolio, orderId);
+    
+    Object.assign(order, changes);
+    recordEvent(portfolio, 'order', 0, {
+      symbol: order.symbol,
+      description: changes.status ? `${describeOrder(order)} ${changes.status}` : `Updated ${describeOrder(order)}`
+    });
+    await savePortfolio(portfolio);
+    
+    return order;
+  });
+}
+
+// Persist where the order engine has trailed a trailing stop to. Booked as an
+// order_tracking event so replay keeps up without listing every move in the ledger.
+async function trackTrailingStop(orderId, { watermark, stopPrice }) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const order = findOpenOrder(portfolio, orderId);
+    
+    Object.assign(order, { watermark, stopPrice });
+    recordEvent(portfolio, 'order_tracking', 0, {
+      symbol: order.symbol,
+      description: `Trailing stop moved to $${stopPrice.toFixed(2)}`
+    });
+    await savePortfolio(portfolio);
+    
+    return order;
+  });
+}
+
+// Fill an open order at the order engine's quote `price`. The trade and the order's new
+// status are saved together, so an order cancelled in the meantime never fills and a filled
+// one is never left open. `updates` are the engine's changes to the order (e.g. a trailing
+// stop's last move). If the trade fails (e.g. not enough cash by the time the price was
+// reached) the order is rejected instead. Returns the order.
+async function fillOrder(orderId, price, { getCurrentPrice, getDayRange, updates = {} } = {}) {
+  return lockPortfolio(async () => {
+    let portfolio = await loadPortfolio();
+    let order = findOpenOrder(portfolio, orderId);
+    const limitPrice = ['limit', 'stop_limit'].includes(order.orderType) ? order.limitPrice : null;
+    
+    try {
+      Object.assign(order, updates);
+      if (order.side === 'buy') {
+        const position = await addLongLot(portfolio, order.symbol, order.quantity, price, { getCurrentPrice, getDayRange, limitPrice });
+        Object.assign(order, { tradeId: position.id, fillPrice: position.entryPrice });
+      } else {
+        const trade = await sellLongLots(portfolio, order.symbol, order.quantity, price, { getDayRange, limitPrice });
+        Object.assign(order, { tradeId: trade.id, fillPrice: trade.exitPrice });
+      }
+      order.status = 'filled';
+      order.filledAt = new Date().toISOString();
+      recordEvent(portfolio, 'order', 0, { symbol: order.symbol, description: `Filled ${describeOrder(order)} @ $${order.fillPrice.toFixed(2)}` });
+    } catch (err) {
+      // Start over from the saved state so nothing from the failed trade is kept
+      portfolio = await loadPortfolio();
+      order = findOpenOrder(portfolio, orderId);
+      Object.assign(order, updates, { status: 'rejected', rejectReason: err.message });
+      recordEvent(portfolio, 'order', 0, { symbol: order.symbol, description: `${describeOrder(order)} rejected: ${err.message}` });
+    }
+    await savePortfolio(portfolio);
+    
+    return order;
+  });
+}
+
+// Cancel an open order
+async function cancelOrder(orderId) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const order = findOpenOrder(portfolio, orderId);
+    
+    order.status = 'cancelled';
+    order.cancelledAt = new Date().toISOString();
+    recordEvent(portfolio, 'order', 0, { symbol: order.symbol, description: `Cancelled ${describeOrder(order)}` });
+    await savePortfolio(portfolio);
+    
+    return { success: true, order };
+  });
+}
+
+// Roll a strategy's valued legs up into one holding. Its cost basis is the net amount paid
+// (negative for a net credit), and averageCost is that per share of one contract.
+function buildStrategyHolding(key, record, legs, totalPortfolioValue) {
+  const costBasis = legs.reduce((sum, leg) => sum + (leg.side === 'short' ? -leg.costBasis : leg.costBasis), 0);
+  const currentValue = legs.reduce((sum, leg) => sum + leg.currentValue, 0);
+  const unrealizedPL = legs.reduce((sum, leg) => sum + leg.unrealizedPL, 0);
+  
+  return {
+    key,
+    symbol: record.symbol,
+    type: 'strategy',
+    strategyId: record.id,
+    strategy: record.strategy,
+    strategyLabel: optionStrategies.STRATEGY_LABELS[record.strategy],
+    expiration: record.expiration,
+    quantity: record.contracts,
+    averageCost: costBasis / (record.contracts * 100),
+    costBasis,
+    netPremium: record.netPremium,
+    maxProfit: record.maxProfit,
+    maxLoss: record.maxLoss,
+    breakevens: record.breakevens,
+    collateral: record.collateral,
+    currentPrice: null,
+    currentValue,
+    unrealizedPL,
+    unrealizedPercent: costBasis !== 0 ? (unrealizedPL / Math.abs(costBasis)) * 100 : 0,
+    weight: totalPortfolioValue > 0 ? (currentValue / totalPortfolioValue) * 100 : 0,
+    underlyingPrice: legs[0].underlyingPrice,
+    exposure: sumExposure(legs),
+    lots: legs
+  };
+}
+
+// Roll valued positions up into one holding per stock symbol (or per option contract),
+// with weighted average cost and portfolio weight. Each holding keeps its underlying lots.
+// Strategy legs are grouped into one holding per strategy.
+function buildHoldings(positions, totalPortfolioValue, strategies = []) {
+  const groups = new Map();
+  
+  for (const position of positions) {
+    let key;
+    if (position.strategyId) {
+      key = `strategy:${position.strategyId}`;
+    } else if (position.type === 'stock') {
+      key = `${position.symbol}:${positionSide(position)}`;
+    } else {
+      key = `${position.symbol}:${position.optionType}:${position.strike}:${position.expiration}:${positionSide(position)}`;
+    }
+    
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(position);
+  }
+  
+  return Array.from(groups.entries()).map(([key, lots]) => {
+    const first = lots[0];
+    const record = first.strategyId && strategies.find(s => s.id === first.strategyId);
+    if (record) {
+      return buildStrategyHolding(key, record, lots, totalPortfolioValue);
+    }
+    
+    const isStock = first.type === 'stock';
+    const quantity = lots.reduce((sum, lot) => sum + (isStock ? lot.shares : lot.contracts), 0);
+    const costBasis = lots.reduce((sum, lot) => sum + lot.costBasis, 0);
+    const currentValue = lots.reduce((sum, lot) => sum + lot.currentValue, 0);
+    const unrealizedPL = lots.reduce((sum, lot) => sum + lot.unrealizedPL, 0);
+    const exposure = sumExposure(lots);
+    
+    return {
+      key,
+      symbol: first.symbol,
+      type: first.type,
+      side: positionSide(first),
+      optionType: first.optionType,
+      strike: first.strike,
+      expiration: first.expiration,
+      quantity,
+      averageCost: isStock ? costBasis / quantity : costBasis / (quantity * 100),
+      costBasis,
+      currentPrice: first.currentPrice,
+      currentValue,
+      unrealizedPL,
+      unrealizedPercent: (unrealizedPL / costBasis) * 100,
+      weight: totalPortfolioValue > 0 ? (currentValue / totalPortfolioValue) * 100 : 0,
+      underlyingPrice: first.underlyingPrice,
+      volatility: first.volatility,
+      greeks: first.greeks,
+      exposure,
+      lots
+    };
+  });
+}
+
+// Mark an option to model value. Volatility comes from the implied volatility at entry,
+// then the underlying's historical volatility (getVolatility), then DEFAULT_VOLATILITY.
+// `greeks` are per share as quoted; `exposure` scales them to the position
+// (delta in share equivalents, theta in $/day, vega in $ per volatility point) and flips
+// their sign for written options, which are valued as a liability.
+async function valueOption(position, underlyingPrice, getVolatility) {
+  let volatility = position.impliedVolatility;
+  let volatilitySource = 'implied';
+  
+  if (!volatility && getVolatility) {
+    try {
+      volatility = await getVolatility(position.symbol);
+      volatilitySource = 'historical';
+    } catch (err) {
+      console.error(`Error getting volatility for ${position.symbol}:`, err.message);
+    }
+  }
+  if (!volatility) {
+    volatility = optionPricing.DEFAULT_VOLATILITY;
+    volatilitySource = 'default';
+  }
+  
+  const timeToExpiry = optionPricing.yearsToExpiry(position.expiration);
+  const { price, ...greeks } = optionPricing.priceOption({
+    type: position.optionType,
+    spot: underlyingPrice,
+    strike: position.strike,
+    timeToExpiry,
+    volatility
+  });
+  
+  const isShort = position.side === 'short';
+  const multiplier = (isShort ? -100 : 100) * position.contracts;
+  const currentValue = price * multiplier;
+  const unrealizedPL = isShort ? position.costBasis + currentValue : currentValue - position.costBasis;
+  
+  return {
+    ...position,
+    underlyingPrice,
+    currentPrice: price, // Model premium per share
+    currentValue,
+    unrealizedPL,
+    unrealizedPercent: (unrealizedPL / position.costBasis) * 100,
+    volatility,
+    volatilitySource,
+    daysToExpiry: timeToExpiry * 365,
+    greeks,
+    exposure: {
+      delta: greeks.delta * multiplier,
+      gamma: greeks.gamma * multiplier,
+      theta: greeks.theta * multiplier,
+      vega: greeks.vega * multiplier
+    }
+  };
+}
+
+// Attach current prices and values to positions. Short positions carry a negative value
+// (the cost to buy the shares back), so cash + sum of values is always account equity.
+async function valuePositions(positions, getCurrentPrice, { getVolatility } = {}) {
+  return Promise.all(
+    positions.map(async (position) => {
       try {
-        const currentPrice = await getCurrentPrice(position.symbol);
+        const currentPrice = getCurrentPrice
+          ? await getCurrentPrice(position.symbol)
+          : position.entryPrice;
         
-        if (position.type === 'stock') {
+        if (position.type === 'stock' && position.side === 'short') {
+          const buyBackCost = position.shares * currentPrice;
+          const unrealizedPL = position.costBasis - buyBackCost;
+          
+          return {
+            ...position,
+            currentPrice,
+            currentValue: -buyBackCost,
+            unrealizedPL,
+            unrealizedPercent: (unrealizedPL / position.costBasis) * 100,
+            exposure: { delta: -position.shares, gamma: 0, theta: 0, vega: 0 }
+          };
+        } else if (position.type === 'stock') {
           const currentValue = position.shares * currentPrice;
           const unrealizedPL = currentValue - position.costBasis;
           const unrealizedPercent = (unrealizedPL / position.costBasis) * 100;
@@ -186,14 +2111,16 @@ async function getPortfolio(getCurrentPrice) {
             currentPrice,
             currentValue,
             unrealizedPL,
-            unrealizedPercent
+            unrealizedPercent,
+            exposure: { delta: position.shares, gamma: 0, theta: 0, vega: 0 }
           };
+        } else if (currentPrice) {
+          return valueOption(position, currentPrice, getVolatility);
         } else {
-          // For options, just show cost basis (simple mode)
+          // No underlying price to mark against, so hold the option at cost
           return {
             ...position,
-            underlyingPrice: currentPrice,
-            currentValue: position.costBasis,
+            currentValue: position.side === 'short' ? -position.costBasis : position.costBasis,
             unrealizedPL: 0,
             unrealizedPercent: 0
           };
@@ -202,45 +2129,651 @@ async function getPortfolio(getCurrentPrice) {
         console.error(`Error getting price for ${position.symbol}:`, err.message);
         return {
           ...position,
-          currentValue: position.costBasis,
+          currentValue: position.side === 'short' ? -position.costBasis : position.costBasis,
           unrealizedPL: 0,
           unrealizedPercent: 0
         };
       }
     })
   );
+}
+
+// Net Greeks across all positions (stock counts as delta 1 per share)
+function sumExposure(positions) {
+  return positions.reduce((totals, position) => {
+    const exposure = position.exposure || {};
+    return {
+      delta: totals.delta + (exposure.delta || 0),
+      gamma: totals.gamma + (exposure.gamma || 0),
+      theta: totals.theta + (exposure.theta || 0),
+      vega: totals.vega + (exposure.vega || 0)
+    };
+  }, { delta: 0, gamma: 0, theta: 0, vega: 0 });
+}
+
+// Get portfolio with current valuations. Also charges any short borrow fees that are due
+// and runs the margin call check. getVolatility(symbol) supplies historical volatility for
+// options that have no implied volatility of their own.
+async function getPortfolio(getCurrentPrice, { getVolatility } = {}) {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    
+    // Calculate current values for open positions
+    const openPositionsWithValues = await valuePositions(portfolio.openPositions, getCurrentPrice, { getVolatility });
+    
+    const borrowFeesCharged = accrueBorrowCosts(portfolio, openPositionsWithValues);
+    
+    const margin = computeMarginStatus(portfolio, openPositionsWithValues);
+    
+    // Record when a margin call starts and clear it once the account is back above maintenance
+    const marginCallChanged = margin.marginCall !== Boolean(portfolio.marginCallSince);
+    if (marginCallChanged) {
+      portfolio.marginCallSince = margin.marginCall ? new Date().toISOString() : null;
+      recordEvent(portfolio, 'account', 0, { description: margin.marginCall ? 'Margin call' : 'Margin call cleared' });
+      if (margin.marginCall) {
+        console.log(`⚠️ Margin call: equity $${margin.equity.toFixed(2)} is $${(-margin.maintenanceExcess).toFixed(2)} below maintenance`);
+      }
+    }
+    
+    if (borrowFeesCharged > 0 || marginCallChanged) {
+      await savePortfolio(portfolio);
+    }
+    
+    const totalPortfolioValue = portfolio.balance + 
+      openPositionsWithValues.reduce((sum, pos) => sum + pos.currentValue, 0);
+    
+    const totalUnrealizedPL = openPositionsWithValues.reduce(
+      (sum, pos) => sum + pos.unrealizedPL, 0
+    );
+    
+    const holdings = buildHoldings(openPositionsWithValues, totalPortfolioValue, portfolio.strategies);
+    const netExposure = sumExposure(openPositionsWithValues);
+    const { name } = findEntry(portfolio.id);
+    
+    return {
+      id: portfolio.id,
+      name,
+      balance: portfolio.balance,
+      openPositions: openPositionsWithValues,
+      holdings,
+      openOrders: portfolio.orders.filter(o => o.status === 'open'),
+      closedTrades: portfolio.closedTrades,
+      corporateActions: portfolio.corporateActions,
+      totalPL: portfolio.totalPL,
+      totalUnrealizedPL,
+      totalPortfolioValue,
+      startingCapital: portfolio.startingCapital,
+      totalReturn: totalPortfolioValue - portfolio.startingCapital,
+      totalReturnPercent: ((totalPortfolioValue - portfolio.startingCapital) / portfolio.startingCapital) * 100,
+      greeks: {
+        netDelta: netExposure.delta,
+        netGamma: netExposure.gamma,
+        netTheta: netExposure.theta,
+        netVega: netExposure.vega
+      },
+      accountType: portfolio.accountType,
+      marginSettings: portfolio.marginSettings,
+      optionSettlement: portfolio.optionSettlement,
+      benchmark: portfolio.benchmark,
+      feeSchedule: portfolio.feeSchedule,
+      slippage: portfolio.slippage,
+      createdAt: portfolio.createdAt,
+      margin: {
+        ...margin,
+        marginCallSince: portfolio.marginCallSince || null,
+        amountDue: margin.marginCall ? -margin.maintenanceExcess : 0
+      }
+    };
+  });
+}
+
+// Get the raw account (cash and positions, no market valuations)
+async function getAccount() {
+  return loadPortfolio();
+}
+
+// Returns of every portfolio side by side (archived ones included, flagged)
+async function comparePortfolios(getCurrentPrice, { getVolatility } = {}) {
+  const entries = await listPortfolios();
+
+  return Promise.all(entries.map(async entry => {
+    const valued = await usePortfolio(entry.id, () => getPortfolio(getCurrentPrice, { getVolatility }));
+    return {
+      ...entry,
+      balance: valued.balance,
+      totalPortfolioValue: valued.totalPortfolioValue,
+      totalReturn: valued.totalReturn,
+      totalReturnPercent: valued.totalReturnPercent,
+      realizedPL: valued.totalPL,
+      unrealizedPL: valued.totalUnrealizedPL,
+      openPositions: valued.holdings.length,
+      closedTrades: valued.closedTrades.length
+    };
+  }));
+}
+
+// Reset the active portfolio to its starting capital (other portfolios are untouched).
+// Its history stays in the ledger.
+async function resetPortfolio() {
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const previousBalance = portfolio.balance;
+    
+    Object.assign(portfolio, initializePortfolio(portfolio.startingCapital), {
+      benchmark: portfolio.benchmark,
+      feeSchedule: portfolio.feeSchedule,
+      slippage: portfolio.slippage,
+      marginCallSince: null
+    });
+    recordEvent(portfolio, 'reset', portfolio.balance - previousBalance, {
+      description: `Reset to $${portfolio.startingCapital.toFixed(2)} starting capital`
+    });
+    await savePortfolio(portfolio);
+    return portfolio;
+  });
+}
+
+// EQUITY HISTORY
+// Snapshots of cash, positions value and equity, taken by equitySnapshots.js
+
+// Look-back for each history range, in days (ytd and all are handled separately)
+const HISTORY_RANGES = { '1w': 7, '1m': 30, '3m': 91, '6m': 182, '1y': 365, ytd: null, all: null };
+
+// Value the active portfolio at current prices and store a snapshot of it
+async function recordSnapshot(getCurrentPrice, { getVolatility, reason = 'scheduled' } = {}) {
+  const valued = await getPortfolio(getCurrentPrice, { getVolatility });
+  const snapshot = {
+    takenAt: new Date().toISOString(),
+    reason,
+    cash: valued.balance,
+    positionsValue: valued.totalPortfolioValue - valued.balance,
+    equity: valued.totalPortfolioValue
+  };
+  
+  store.addSnapshot(valued.id, snapshot);
+  return snapshot;
+}
+
+// Whether the active portfolio has been snapshotted yet
+async function hasSnapshots() {
+  const portfolioId = portfolioScope.getStore() || await getActivePortfolioId();
+  return store.listSnapshots(portfolioId).length > 0;
+}
+
+// Highest equity the active portfolio has been snapshotted at (null before the first snapshot)
+async function getPeakEquity() {
+  const portfolioId = portfolioScope.getStore() || await getActivePortfolioId();
+  const snapshots = store.listSnapshots(portfolioId);
+  return snapshots.length > 0 ? snapshots.reduce((peak, s) => Math.max(peak, s.equity), -Infinity) : null;
+}
+
+// Daily benchmark bars for a comparison, or none if they can't be fetched - the equity
+// figures are still worth returning without them
+async function loadBenchmarkBars(symbol, getDailyHistory) {
+  if (!getDailyHistory) return [];
+  try {
+    return await getDailyHistory(symbol);
+  } catch (error) {
+    console.error(`Benchmark history error (${symbol}):`, error.message);
+    return [];
+  }
+}
+
+// The active portfolio's snapshots over `range`, each with the running peak equity and
+// the drawdown from it, plus the range's change and maximum drawdown. With
+// getDailyHistory(symbol), each snapshot also gets `benchmark`: what the starting equity
+// would be worth had it tracked the portfolio's benchmark instead (null without a close).
+async function getEquityHistory(range = 'all', { now = new Date(), getDailyHistory } = {}) {
+  if (!(range in HISTORY_RANGES)) {
+    throw new Error(`Unknown range: ${range}. Use one of ${Object.keys(HISTORY_RANGES).join(', ')}`);
+  }
+  
+  let since = null;
+  if (range === 'ytd') {
+    since = new Date(Date.UTC(now.getUTCFullYear(), 0, 1)).toISOString();
+  } else if (HISTORY_RANGES[range]) {
+    since = new Date(now.getTime() - HISTORY_RANGES[range] * DAY_MS).toISOString();
+  }
+  
+  const portfolio = await loadPortfolio();
+  const bars = await loadBenchmarkBars(portfolio.benchmark, getDailyHistory);
+  const snapshotDate = snapshot => newYorkDate(new Date(snapshot.takenAt));
+  
+  let peak = -Infinity;
+  let baseline = null; // First snapshot with a benchmark close: { equity, close }
+  const snapshots = store.listSnapshots(portfolio.id, { since }).map(snapshot => {
+    peak = Math.max(peak, snapshot.equity);
+    const drawdown = peak - snapshot.equity;
+    const close = performanceAnalytics.closeOn(bars, snapshotDate(snapshot));
+    if (close && !baseline) baseline = { equity: snapshot.equity, close };
+    return {
+      ...snapshot,
+      peak,
+      drawdown,
+      drawdownPercent: peak > 0 ? (drawdown / peak) * 100 : 0,
+      benchmark: close && baseline ? baseline.equity * (close / baseline.close) : null
+    };
+  });
+  
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const deepest = snapshots.reduce((max, s) => (s.drawdown > max.drawdown ? s : max), { drawdown: 0, drawdownPercent: 0 });
+  
+  return {
+    range,
+    benchmark: portfolio.benchmark,
+    snapshots,
+    startEquity: first ? first.equity : null,
+    endEquity: last ? last.equity : null,
+    change: first ? last.equity - first.equity : 0,
+    changePercent: first && first.equity > 0 ? ((last.equity - first.equity) / first.equity) * 100 : 0,
+    maxDrawdown: deepest.drawdown,
+    maxDrawdownPercent: deepest.drawdownPercent
+  };
+}
+
+// PERFORMANCE ANALYTICS
+
+const ASSET_TYPES = ['stock', 'option', 'strategy']; // 'strategy' = legs of multi-leg strategies
+
+// Ledger events that move money in or out of the account rather than earn it
+const EXTERNAL_FLOWS = ['deposit', 'withdrawal', 'reset'];
+
+// Trade statistics for the active portfolio's closed trades, narrowed by symbol, asset type
+// and exit date (from/to, inclusive), plus Sharpe, Sortino and max drawdown from its equity
+// snapshots over the same dates. The equity figures are account-wide - a single symbol's
+// trades have no equity curve of their own.
+async function getAnalytics({ symbol, assetType, from, to } = {}) {
+  if (assetType && !ASSET_TYPES.includes(assetType)) {
+    throw new Error(`Unknown asset type: ${assetType}. Use one of ${ASSET_TYPES.join(', ')}`);
+  }
+  const start = toTimestamp(from, 'from');
+  // A bare date means the whole day
+  const end = /^\d{4}-\d{2}-\d{2}$/.test(to || '') ? `${to}T23:59:59.999Z` : toTimestamp(to, 'to');
   
-  const totalPortfolioValue = portfolio.balance + 
-    openPositionsWithValues.reduce((sum, pos) => sum + pos.currentValue, 0);
+  const portfolio = await loadPortfolio();
+  const inRange = timestamp => (!start || timestamp >= start) && (!end || timestamp <= end);
   
-  const totalUnrealizedPL = openPositionsWithValues.reduce(
-    (sum, pos) => sum + pos.unrealizedPL, 0
+  const trades = portfolio.closedTrades.filter(trade =>
+    (!symbol || trade.symbol === symbol.toUpperCase()) &&
+    (!assetType || (assetType === 'strategy' ? Boolean(trade.strategyId) : trade.type === assetType)) &&
+    inRange(trade.exitDate)
   );
   
+  const snapshots = store.listSnapshots(portfolio.id, { since: start }).filter(s => inRange(s.takenAt));
+  
   return {
-    balance: portfolio.balance,
-    openPositions: openPositionsWithValues,
-    closedTrades: portfolio.closedTrades,
-    totalPL: portfolio.totalPL,
-    totalUnrealizedPL,
-    totalPortfolioValue,
-    totalReturn: totalPortfolioValue - 1000000,
-    totalReturnPercent: ((totalPortfolioValue - 1000000) / 1000000) * 100
+    filters: { symbol: symbol ? symbol.toUpperCase() : null, assetType: assetType || null, from: start, to: end },
+    symbols: [...new Set(portfolio.closedTrades.map(trade => trade.symbol))].sort(),
+    trades: performanceAnalytics.analyzeTrades(trades),
+    equity: performanceAnalytics.analyzeEquity(snapshots, externalFlows(portfolio.id))
   };
 }
 
-// Reset portfolio
-async function resetPortfolio() {
-  const newPortfolio = initializePortfolio();
-  await savePortfolio(newPortfolio);
-  return newPortfolio;
+// Deposits, withdrawals and resets from a portfolio's ledger, as { timestamp, amount }
+function externalFlows(portfolioId) {
+  return store.listEvents(portfolioId)
+    .filter(event => EXTERNAL_FLOWS.includes(event.type))
+    .map(event => ({ timestamp: event.timestamp, amount: event.amount }));
+}
+
+// The active portfolio against its benchmark since the portfolio was created: both
+// cumulative returns and the gap between them (percentage points), plus alpha, beta and
+// tracking error from its daily equity snapshots. The benchmark's return runs from its
+// close on the creation date (or the last close before it) to its current price; figures
+// that need prices the history doesn't reach are null.
+async function getBenchmarkPerformance({ getCurrentPrice, getVolatility, getDailyHistory }) {
+  const valued = await getPortfolio(getCurrentPrice, { getVolatility });
+  const bars = await loadBenchmarkBars(valued.benchmark, getDailyHistory);
+  
+  const startClose = performanceAnalytics.closeOn(bars, newYorkDate(new Date(valued.createdAt)));
+  let benchmarkReturnPercent = null;
+  if (startClose) {
+    const price = await getCurrentPrice(valued.benchmark);
+    benchmarkReturnPercent = ((price - startClose) / startClose) * 100;
+  }
+  
+  const snapshots = store.listSnapshots(valued.id, { since: valued.createdAt });
+  
+  return {
+    benchmark: valued.benchmark,
+    since: valued.createdAt,
+    portfolioReturnPercent: valued.totalReturnPercent,
+    benchmarkReturnPercent,
+    relativeReturnPercent: benchmarkReturnPercent === null ? null : valued.totalReturnPercent - benchmarkReturnPercent,
+    ...performanceAnalytics.compareToBenchmark(snapshots, bars, externalFlows(valued.id))
+  };
+}
+
+// TAX REPORT
+
+// Realized gains for a tax year (by New York date sold, defaulting to this year), split
+// short/long-term with wash sales applied - see taxReport.js
+async function getTaxReport(year = newYorkDate().slice(0, 4)) {
+  const taxYear = Number(year);
+  if (!Number.isInteger(taxYear) || taxYear < 1900 || taxYear > 9999) {
+    throw new Error('Year must be a four-digit year');
+  }
+  
+  const portfolio = await loadPortfolio();
+  return taxReport.buildTaxReport(portfolio.closedTrades, portfolio.openPositions, taxYear);
+}
+
+// The same report as a Form 8949 style CSV: { year, csv }
+async function getForm8949Csv(year) {
+  const report = await getTaxReport(year);
+  return { year: report.year, csv: taxReport.toForm8949Csv(report) };
+}
+
+// EXPORT AND IMPORT
+
+// CSV columns for each export (JSON exports carry every field). Options report contracts as
+// quantity and premiums as prices.
+const EXPORT_COLUMNS = {
+  positions: ['id', 'type', 'side', 'symbol', 'quantity', 'optionType', 'strike', 'expiration', 'entryPrice', 'entryDate', 'costBasis', 'fees', 'strategyId'],
+  trades: ['id', 'type', 'side', 'symbol', 'quantity', 'optionType', 'strike', 'expiration', 'entryDate', 'exitDate', 'entryPrice', 'exitPrice', 'costBasis', 'proceeds', 'fees', 'slippage', 'profitLoss', 'closeReason'],
+  ledger: ['seq', 'timestamp', 'type', 'symbol', 'description', 'amount', 'balance']
+};
+const EXPORT_DATASETS = Object.keys(EXPORT_COLUMNS);
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Flatten a position or trade into the export columns
+function exportRecord(record) {
+  return {
+    ...record,
+    side: record.side || 'long',
+    quantity: record.type === 'option' ? record.contracts : record.shares,
+    entryPrice: record.type === 'option' ? record.entryPremium : record.entryPrice,
+    exitPrice: record.type === 'option' ? record.exitPremium : record.exitPrice
+  };
+}
+
+// The active portfolio's open positions, closed trades or ledger as a file: { filename, content }
+async function exportData(dataset, format = 'csv') {
+  if (!EXPORT_DATASETS.includes(dataset)) {
+    throw new Error(`Unknown export: ${dataset}. Use one of ${EXPORT_DATASETS.join(', ')}`);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format}. Use csv or json`);
+  }
+  
+  const portfolio = await loadPortfolio();
+  const records = {
+    positions: () => portfolio.openPositions,
+    trades: () => portfolio.closedTrades,
+    ledger: () => store.listEvents(portfolio.id)
+  }[dataset]();
+  
+  const { name } = findEntry(portfolio.id);
+  const filename = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${dataset}-${newYorkDate()}.${format}`;
+  const content = format === 'json'
+    ? JSON.stringify(records, null, 2)
+    : tradeFiles.toCsv(EXPORT_COLUMNS[dataset], dataset === 'ledger' ? records : records.map(exportRecord));
+  
+  return { filename, content };
+}
+
+// Book one imported stock trade on a loaded portfolio. Imports only know the trade date, so
+// the trade is stamped with that day's close; fees go into the cost or come off the proceeds.
+async function applyImportedTrade(portfolio, { date, action, symbol, quantity, price, fees }, getCurrentPrice) {
+  const timestamp = marketCloseOn(date);
+  if (timestamp > new Date()) {
+    throw new Error(`Trade date ${date} is in the future`);
+  }
+  
+  if (action === 'buy') {
+    validateShareQuantity(quantity);
+    const cost = quantity * price + fees;
+    await checkBuyingPower(portfolio, cost, getCurrentPrice);
+    portfolio.openPositions.push({
+      id: crypto.randomUUID(),
+      type: 'stock',
+      side: 'long',
+      symbol,
+      shares: quantity,
+      entryPrice: price,
+      entryDate: timestamp.toISOString(),
+      costBasis: cost,
+      fees,
+      slippage: 0
+    });
+    portfolio.balance -= cost;
+    recordEvent(portfolio, 'fill', -quantity * price, { symbol, description: `Imported: bought ${quantity} ${symbol} @ $${price.toFixed(2)} on ${date}` });
+    recordFees(portfolio, { fees }, symbol, `buying ${quantity} ${symbol}`);
+  } else {
+    // The brokerage's own fees stand in for the fee schedule. Only shares bought by the
+    // trade date can have been sold on it.
+    const closedTrade = closeLongLots(portfolio, symbol, quantity, price, {
+      event: { description: `Imported: sold ${quantity} ${symbol} @ $${price.toFixed(2)} on ${date}` },
+      fill: { fees, slippage: 0 },
+      asOf: timestamp.toISOString()
+    });
+    closedTrade.exitDate = timestamp.toISOString();
+  }
+}
+
+// Import stock trades from a CSV (see tradeFiles.js for the formats) into the active
+// portfolio, oldest first. Each symbol is checked with getCurrentPrice and each buy against
+// the cash or buying power left by the trades before it. With dryRun nothing is saved and
+// the result previews the portfolio the import would leave; a real import is refused
+// unless every trade row would go through.
+async function importTrades(csv, { format = 'auto', dryRun = true, getCurrentPrice, getVolatility } = {}) {
+  const parsed = tradeFiles.parseTradeCsv(csv, format);
+  
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    const startingBalance = portfolio.balance;
+    const errors = [...parsed.errors];
+    
+    const unknownSymbols = new Set();
+    for (const symbol of new Set(parsed.trades.map(trade => trade.symbol))) {
+      try {
+        await getCurrentPrice(symbol);
+      } catch (error) {
+        unknownSymbols.add(symbol);
+      }
+    }
+    
+    const trades = [...parsed.trades].sort((a, b) => a.date.localeCompare(b.date) || a.row - b.row);
+    let applied = 0;
+    for (const trade of trades) {
+      try {
+        if (unknownSymbols.has(trade.symbol)) {
+          throw new Error(`Unknown symbol: ${trade.symbol}`);
+        }
+        await applyImportedTrade(portfolio, trade, getCurrentPrice);
+        bookEvents(portfolio, marketCloseOn(trade.date).toISOString()); // Replays as of the trade date
+        applied++;
+      } catch (error) {
+        errors.push({ row: trade.row, error: error.message });
+      }
+    }
+    errors.sort((a, b) => a.row - b.row);
+    
+    const positions = await valuePositions(portfolio.openPositions, getCurrentPrice, { getVolatility });
+    const totalPortfolioValue = portfolio.balance + positions.reduce((sum, pos) => sum + pos.currentValue, 0);
+    
+    if (!dryRun) {
+      if (errors.length > 0) {
+        throw new Error(`Import has ${errors.length} problem${errors.length === 1 ? '' : 's'} (first: row ${errors[0].row}: ${errors[0].error}). Run a dry run to see them all`);
+      }
+      if (applied === 0) {
+        throw new Error('No trades to import');
+      }
+      await savePortfolio(portfolio);
+    }
+    
+    return {
+      success: true,
+      dryRun,
+      format: parsed.format,
+      tradeCount: parsed.trades.length,
+      applied,
+      skipped: parsed.skipped,
+      errors,
+      startingBalance,
+      portfolio: {
+        balance: portfolio.balance,
+        totalPortfolioValue,
+        holdings: buildHoldings(positions, totalPortfolioValue, portfolio.strategies),
+        closedTrades: portfolio.closedTrades.length
+      }
+    };
+  });
+}
+
+// CASH AND LEDGER
+
+// Deposit or withdraw cash. Deposits and withdrawals also move startingCapital, so
+// totalReturn keeps measuring trading gains rather than money added.
+async function transferCash(type, amount) {
+  const value = Number(amount);
+  if (!(value > 0)) {
+    throw new Error('Amount must be greater than zero');
+  }
+  
+  return lockPortfolio(async () => {
+    const portfolio = await loadPortfolio();
+    
+    if (type === 'withdrawal') {
+      const available = portfolio.balance - reservedCash(portfolio);
+      if (value > available) {
+        throw new Error(`Insufficient funds. Available to withdraw: $${Math.max(0, available).toFixed(2)}`);
+      }
+    }
+    
+    const change = type === 'withdrawal' ? -value : value;
+    portfolio.balance += change;
+    portfolio.startingCapital += change;
+    recordEvent(portfolio, type, change, {
+      description: `${type === 'withdrawal' ? 'Withdrew' : 'Deposited'} $${value.toFixed(2)}`
+    });
+    await savePortfolio(portfolio);
+    
+    return { success: true, newBalance: portfolio.balance, startingCapital: portfolio.startingCapital };
+  });
+}
+
+const depositCash = amount => transferCash('deposit', amount);
+const withdrawCash = amount => transferCash('withdrawal', amount);
+
+// Ledger timestamps are compared as ISO strings, so normalize whatever date the caller gave
+function toTimestamp(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date or timestamp`);
+  }
+  return date.toISOString();
+}
+
+// The active portfolio's ledger, oldest first (each event shows the cash balance after it)
+async function getLedger({ until } = {}) {
+  const portfolioId = portfolioScope.getStore() || await getActivePortfolioId();
+  return store.listEvents(portfolioId, { until: toTimestamp(until, 'until') })
+    .filter(event => !ledger.HIDDEN_EVENT_TYPES.includes(event.type));
+}
+
+// Rebuild the active portfolio as it stood at `asOf` by replaying its ledger up to then.
+// With no `asOf` this replays everything, giving the current state.
+async function getStateAsOf(asOf) {
+  const until = toTimestamp(asOf, 'asOf');
+  const portfolioId = portfolioScope.getStore() || await getActivePortfolioId();
+  const events = store.listEvents(portfolioId, { until, includeChanges: true });
+  const state = ledger.replay(events);
+  
+  return {
+    id: portfolioId,
+    asOf: until || new Date().toISOString(),
+    eventCount: events.length,
+    lastEvent: events.length > 0 ? events[events.length - 1].timestamp : null,
+    balance: state.balance,
+    startingCapital: state.startingCapital,
+    totalPL: state.totalPL,
+    accountType: state.accountType,
+    openPositions: state.openPositions,
+    closedTrades: state.closedTrades,
+    openOrders: state.orders.filter(o => o.status === 'open'),
+    strategies: state.strategies,
+    corporateActions: state.corporateActions
+  };
+}
+
+// Replay every portfolio's ledger and compare it with the account tables. Returns
+// [{ id, name, differences }] for the portfolios whose tables have drifted from their ledger.
+async function verifyLedgers() {
+  const drifted = [];
+  for (const { id, name } of await listPortfolios()) {
+    const replayed = store.normalizeState(ledger.replay(store.listEvents(id, { includeChanges: true })));
+    const differences = ledger.compareStates(replayed, store.loadPortfolioState(id));
+    if (differences.length > 0) {
+      drifted.push({ id, name, differences });
+    }
+  }
+  return drifted;
 }
 
 module.exports = {
+  listPortfolios,
+  getActivePortfolioId,
+  createPortfolio,
+  renamePortfolio,
+  clonePortfolio,
+  archivePortfolio,
+  deletePortfolio,
+  setActivePortfolio,
+  usePortfolio,
+  importPortfolio,
+  comparePortfolios,
   buyStock,
   sellStock,
+  shortStock,
+  coverShort,
+  updateAccountSettings,
   buyOption,
+  writeOption,
+  validateOptionOrder,
   closeOption,
+  openStrategy,
+  closeStrategy,
+  STRATEGIES: optionStrategies.STRATEGIES,
+  exerciseOption,
+  settleExpiredOptions,
+  getCorporateActionSymbols,
+  applyCorporateActions,
+  OPTION_SETTLEMENTS,
   getPortfolio,
-  resetPortfolio
+  getAccount,
+  resetPortfolio,
+  depositCash,
+  withdrawCash,
+  getLedger,
+  getStateAsOf,
+  verifyLedgers,
+  EVENT_TYPES: ledger.EVENT_TYPES,
+  onLedgerEntries,
+  recordSnapshot,
+  hasSnapshots,
+  getEquityHistory,
+  getPeakEquity,
+  HISTORY_RANGES,
+  getAnalytics,
+  BENCHMARKS,
+  getBenchmarkPerformance,
+  getTaxReport,
+  getForm8949Csv,
+  exportData,
+  EXPORT_DATASETS,
+  importTrades,
+  IMPORT_FORMATS: tradeFiles.IMPORT_FORMATS,
+  ASSET_TYPES,
+  placeOrder,
+  getOrders,
+  updateOrder,
+  trackTrailingStop,
+  fillOrder,
+  cancelOrder,
+  ORDER_TYPES,
+  selectLots,
+  LOT_METHODS
 };
\ No newline at end of file
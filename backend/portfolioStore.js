@@ -0,0 +1,829 @@
+// Portfolio Storage (SQLite)
+// Accounts (one per named portfolio), open stock lots, open option positions, closed trades,
+// resting orders, option strategies and applied corporate actions each get a table. Columns hold the fields every row
+// has; anything type-specific (e.g. margin accruals, lot breakdowns of a sale) rides along
+// in a JSON `details` column. A portfolio is saved in a single transaction, so a crash
+// mid-write leaves the previous state intact. The schema is versioned with PRAGMA user_version.
+// Each account also has an append-only ledger of events (see ledger.js), written in the same
+// transaction as the state it produced. The ledger is what portfolios are loaded from; the
+// tables mirror it for queries and exports. Watchlists and price alerts are shared by every account.
+const path = require('path');
+const Database = require('better-sqlite3');
+const ledger = require('./ledger');
+
+const DB_FILE = process.env.PORTFOLIO_DB
+  ? path.resolve(process.env.PORTFOLIO_DB)
+  : path.join(__dirname, 'portfolio.db');
+
+// Schema migrations, applied in order. Never edit one that has shipped - add a new one.
+const MIGRATIONS = [
+  {
+    description: 'Initial schema',
+    sql: `
+      CREATE TABLE accounts (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        starting_capital REAL NOT NULL,
+        balance REAL NOT NULL,
+        total_pl REAL NOT NULL DEFAULT 0,
+        account_type TEXT NOT NULL DEFAULT 'cash',
+        margin_settings TEXT NOT NULL,
+        option_settlement TEXT NOT NULL DEFAULT 'physical',
+        margin_call_since TEXT,
+        archived INTEGER NOT NULL DEFAULT 0,
+        archived_at TEXT,
+        cloned_from TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE lots (
+        account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL DEFAULT 'long',
+        shares REAL NOT NULL,
+        entry_price REAL NOT NULL,
+        cost_basis REAL NOT NULL,
+        entry_date TEXT NOT NULL,
+        strategy_id TEXT,
+        details TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (account_id, id)
+      );
+
+      CREATE TABLE positions (
+        account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL DEFAULT 'long',
+        option_type TEXT NOT NULL,
+        strike REAL NOT NULL,
+        expiration TEXT NOT NULL,
+        contracts REAL NOT NULL,
+        entry_premium REAL NOT NULL,
+        cost_basis REAL NOT NULL,
+        entry_date TEXT NOT NULL,
+        strategy_id TEXT,
+        details TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (account_id, id)
+      );
+
+      CREATE TABLE trades (
+        account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        side TEXT,
+        entry_date TEXT,
+        exit_date TEXT NOT NULL,
+        cost_basis REAL,
+        profit_loss REAL NOT NULL,
+        close_reason TEXT,
+        strategy_id TEXT,
+        details TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (account_id, id)
+      );
+
+      CREATE TABLE orders (
+        account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        order_type TEXT NOT NULL,
+        quantity REAL NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        details TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (account_id, id)
+      );
+
+      CREATE TABLE strategies (
+        account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        strategy TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        expiration TEXT NOT NULL,
+        contracts REAL NOT NULL,
+        status TEXT NOT NULL,
+        opened_at TEXT NOT NULL,
+        details TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (account_id, id)
+      );
+
+      CREATE INDEX trades_by_exit ON trades (account_id, exit_date);
+      CREATE INDEX orders_by_status ON orders (account_id, status);
+    `
+  },
+  {
+    description: 'Append-only ledger',
+    sql: `
+      CREATE TABLE ledger (
+        account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        seq INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        occurred_at TEXT NOT NULL,
+        symbol TEXT,
+        description TEXT,
+        amount REAL NOT NULL,
+        balance REAL NOT NULL,
+        changes TEXT,
+        PRIMARY KEY (account_id, seq)
+      );
+
+      CREATE INDEX ledger_by_time ON ledger (account_id, occurred_at);
+
+      CREATE TRIGGER ledger_append_only BEFORE UPDATE ON ledger
+      BEGIN
+        SELECT RAISE(ABORT, 'The ledger is append-only');
+      END;
+    `,
+    // Accounts from before the ledger start it with their current state
+    up: database => {
+      for (const { id } of database.prepare('SELECT id FROM accounts').all()) {
+        const state = loadStateAtV1(database, id);
+        appendEvents(id, [{
+          type: 'import',
+          timestamp: new Date().toISOString(),
+          description: 'Opening balance (portfolio predates the ledger)',
+          amount: state.balance,
+          balance: state.balance,
+          changes: ledger.diffState(ledger.emptyState(), state)
+        }]);
+      }
+    }
+  },
+  {
+    description: 'Equity snapshots',
+    sql: `
+      CREATE TABLE snapshots (
+        account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        taken_at TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        cash REAL NOT NULL,
+        positions_value REAL NOT NULL,
+        equity REAL NOT NULL
+      );
+
+      CREATE INDEX snapshots_by_time ON snapshots (account_id, taken_at);
+    `
+  },
+  {
+    description: 'Benchmark per portfolio',
+    sql: `
+      ALTER TABLE accounts ADD COLUMN benchmark TEXT NOT NULL DEFAULT 'SPY';
+    `
+  },
+  {
+    description: 'Fee schedules and slippage',
+    sql: `
+      ALTER TABLE accounts ADD COLUMN fee_schedule TEXT;
+      ALTER TABLE accounts ADD COLUMN slippage TEXT;
+    `
+  },
+  {
+    description: 'Corporate actions',
+    sql: `
+      CREATE TABLE corporate_actions (
+        account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        effective_date TEXT NOT NULL,
+        status TEXT NOT NULL,
+        details TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (account_id, id)
+      );
+    `
+  },
+  {
+    description: 'Watchlists',
+    sql: `
+      CREATE TABLE watchlists (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE watchlist_symbols (
+        watchlist_id TEXT NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+        symbol TEXT NOT NULL,
+        added_at TEXT NOT NULL,
+        PRIMARY KEY (watchlist_id, symbol)
+      );
+    `
+  },
+  {
+    description: 'Alerts',
+    sql: `
+      CREATE TABLE alerts (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        symbol TEXT,
+        account_id TEXT REFERENCES accounts(id) ON DELETE CASCADE,
+        threshold REAL NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        triggered_at TEXT,
+        read_at TEXT,
+        details TEXT NOT NULL DEFAULT '{}'
+      );
+
+      CREATE INDEX alerts_by_status ON alerts (status);
+    `
+  }
+];
+
+// Row columns -> portfolio object fields for each table. `order` keeps lists in the
+// order the rest of the app expects (oldest first).
+const TABLES = {
+  lots: {
+    columns: {
+      id: 'id',
+      symbol: 'symbol',
+      side: 'side',
+      shares: 'shares',
+      entry_price: 'entryPrice',
+      cost_basis: 'costBasis',
+      entry_date: 'entryDate',
+      strategy_id: 'strategyId'
+    },
+    fixed: { type: 'stock' },
+    defaults: { side: 'long' }, // Lots from before short selling have no side
+    order: 'entry_date, rowid'
+  },
+  positions: {
+    columns: {
+      id: 'id',
+      symbol: 'symbol',
+      side: 'side',
+      option_type: 'optionType',
+      strike: 'strike',
+      expiration: 'expiration',
+      contracts: 'contracts',
+      entry_premium: 'entryPremium',
+      cost_basis: 'costBasis',
+      entry_date: 'entryDate',
+      strategy_id: 'strategyId'
+    },
+    fixed: { type: 'option' },
+    defaults: { side: 'long' },
+    order: 'entry_date, rowid'
+  },
+  trades: {
+    columns: {
+      id: 'id',
+      type: 'type',
+      symbol: 'symbol',
+      side: 'side',
+      entry_date: 'entryDate',
+      exit_date: 'exitDate',
+      cost_basis: 'costBasis',
+      profit_loss: 'profitLoss',
+      close_reason: 'closeReason',
+      strategy_id: 'strategyId'
+    },
+    order: 'exit_date, rowid'
+  },
+  orders: {
+    columns: {
+      id: 'id',
+      symbol: 'symbol',
+      side: 'side',
+      order_type: 'orderType',
+      quantity: 'quantity',
+      status: 'status',
+      created_at: 'createdAt'
+    },
+    order: 'created_at, rowid'
+  },
+  strategies: {
+    columns: {
+      id: 'id',
+      strategy: 'strategy',
+      symbol: 'symbol',
+      expiration: 'expiration',
+      contracts: 'contracts',
+      status: 'status',
+      opened_at: 'openedAt'
+    },
+    order: 'opened_at, rowid'
+  },
+  corporate_actions: {
+    columns: {
+      id: 'id',
+      type: 'type',
+      symbol: 'symbol',
+      effective_date: 'effectiveDate',
+      status: 'status'
+    },
+    order: 'effective_date, rowid'
+  }
+};
+
+// An account as the v1 schema holds it, for the ledger migration. Frozen at v1 on purpose:
+// loadPortfolioState reads tables and columns that later migrations add.
+function loadStateAtV1(database, accountId) {
+  const account = database.prepare('SELECT * FROM accounts WHERE id = ?').get(accountId);
+  const read = table => database
+    .prepare(`SELECT * FROM ${table} WHERE account_id = ? ORDER BY ${TABLES[table].order}`)
+    .all(accountId)
+    .map(row => fromRow(table, row));
+
+  return {
+    balance: account.balance,
+    startingCapital: account.starting_capital,
+    openPositions: [...read('lots'), ...read('positions')].sort((a, b) => a.entryDate.localeCompare(b.entryDate)),
+    closedTrades: read('trades'),
+    orders: read('orders'),
+    strategies: read('strategies'),
+    totalPL: account.total_pl,
+    accountType: account.account_type,
+    marginSettings: JSON.parse(account.margin_settings),
+    optionSettlement: account.option_settlement,
+    marginCallSince: account.margin_call_since
+  };
+}
+
+let db = null;
+
+// Open the database on first use and bring the schema up to date
+function getDb() {
+  if (db) return db;
+
+  db = new Database(DB_FILE);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
+
+function migrate(database) {
+  const current = database.pragma('user_version', { simple: true });
+
+  MIGRATIONS.slice(current).forEach((migration, i) => {
+    const version = current + i + 1;
+    database.transaction(() => {
+      database.exec(migration.sql);
+      if (migration.up) migration.up(database);
+      database.pragma(`user_version = ${version}`);
+    })();
+    console.log(`Portfolio store migrated to v${version}: ${migration.description}`);
+  });
+}
+
+// Row -> object: JSON details first, then the columns (null columns are left out so
+// optional fields stay undefined like they were in the JSON files)
+function fromRow(table, row) {
+  const { columns, fixed } = TABLES[table];
+  const record = { ...fixed, ...JSON.parse(row.details) };
+  for (const [column, field] of Object.entries(columns)) {
+    if (row[column] !== null) {
+      record[field] = row[column];
+    }
+  }
+  return record;
+}
+
+// Object -> column values, with every field that has no column packed into details
+function toRow(table, accountId, record) {
+  const { columns, fixed = {}, defaults = {} } = TABLES[table];
+  const details = { ...record };
+  const row = { account_id: accountId };
+
+  for (const [column, field] of Object.entries(columns)) {
+    row[column] = record[field] ?? defaults[field] ?? null;
+    delete details[field];
+  }
+  for (const field of Object.keys(fixed)) {
+    delete details[field];
+  }
+  row.details = JSON.stringify(details);
+  return row;
+}
+
+function readTable(table, accountId) {
+  return getDb()
+    .prepare(`SELECT * FROM ${table} WHERE account_id = ? ORDER BY ${TABLES[table].order}`)
+    .all(accountId)
+    .map(row => fromRow(table, row));
+}
+
+// Upsert every record and drop rows that are no longer in the list
+function writeTable(table, accountId, records) {
+  const database = getDb();
+  const columnNames = ['account_id', ...Object.keys(TABLES[table].columns), 'details'];
+  const updates = columnNames.filter(c => c !== 'account_id' && c !== 'id').map(c => `${c} = excluded.${c}`);
+
+  const upsert = database.prepare(`
+    INSERT INTO ${table} (${columnNames.join(', ')})
+    VALUES (${columnNames.map(c => `@${c}`).join(', ')})
+    ON CONFLICT (account_id, id) DO UPDATE SET ${updates.join(', ')}
+  `);
+  for (const record of records) {
+    upsert.run(toRow(table, accountId, record));
+  }
+
+  const ids = records.map(record => record.id);
+  database
+    .prepare(`DELETE FROM ${table} WHERE account_id = ? AND id NOT IN (SELECT value FROM json_each(?))`)
+    .run(accountId, JSON.stringify(ids));
+}
+
+// ACCOUNTS (the portfolio registry)
+
+function toAccount(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    startingCapital: row.starting_capital,
+    archived: Boolean(row.archived),
+    archivedAt: row.archived_at,
+    clonedFrom: row.cloned_from,
+    createdAt: row.created_at
+  };
+}
+
+function listAccounts() {
+  return getDb().prepare('SELECT * FROM accounts ORDER BY created_at, rowid').all().map(toAccount);
+}
+
+function getAccount(accountId) {
+  const row = getDb().prepare('SELECT * FROM accounts WHERE id = ?').get(accountId);
+  return row ? toAccount(row) : null;
+}
+
+function updateAccount(accountId, { name, archived, archivedAt }) {
+  getDb().prepare(`
+    UPDATE accounts SET
+      name = COALESCE(@name, name),
+      archived = COALESCE(@archived, archived),
+      archived_at = CASE WHEN @archived IS NULL THEN archived_at ELSE @archivedAt END
+    WHERE id = @id
+  `).run({
+    id: accountId,
+    name: name ?? null,
+    archived: archived === undefined ? null : Number(archived),
+    archivedAt: archivedAt ?? null
+  });
+  return getAccount(accountId);
+}
+
+// Open positions, orders and history go with the account (ON DELETE CASCADE)
+function deleteAccount(accountId) {
+  getDb().prepare('DELETE FROM accounts WHERE id = ?').run(accountId);
+}
+
+function getSetting(key) {
+  const row = getDb().prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+function setSetting(key, value) {
+  getDb()
+    .prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    .run(key, value);
+}
+
+function getActiveAccountId() {
+  return getSetting('active_account_id');
+}
+
+function setActiveAccountId(accountId) {
+  setSetting('active_account_id', accountId);
+}
+
+// PORTFOLIO STATE
+
+// Everything portfolioManager works with for one account, in the shape it expects
+function loadPortfolioState(accountId) {
+  const account = getDb().prepare('SELECT * FROM accounts WHERE id = ?').get(accountId);
+  if (!account) {
+    throw new Error(`Portfolio not found: ${accountId}`);
+  }
+
+  const openPositions = [...readTable('lots', accountId), ...readTable('positions', accountId)]
+    .sort((a, b) => a.entryDate.localeCompare(b.entryDate));
+
+  return {
+    id: account.id,
+    balance: account.balance,
+    startingCapital: account.starting_capital,
+    openPositions,
+    closedTrades: readTable('trades', accountId),
+    orders: readTable('orders', accountId),
+    strategies: readTable('strategies', accountId),
+    corporateActions: readTable('corporate_actions', accountId),
+    totalPL: account.total_pl,
+    accountType: account.account_type,
+    marginSettings: JSON.parse(account.margin_settings),
+    optionSettlement: account.option_settlement,
+    marginCallSince: account.margin_call_since,
+    benchmark: account.benchmark,
+    // Left out until set, so accounts from before fee schedules get the defaults
+    ...(account.fee_schedule && { feeSchedule: JSON.parse(account.fee_schedule) }),
+    ...(account.slippage && { slippage: JSON.parse(account.slippage) }),
+    createdAt: account.created_at
+  };
+}
+
+// LEDGER
+
+// Append events after the account's last one
+function appendEvents(accountId, events) {
+  const database = getDb();
+  const { last } = database.prepare('SELECT MAX(seq) AS last FROM ledger WHERE account_id = ?').get(accountId);
+  const insert = database.prepare(`
+    INSERT INTO ledger (account_id, seq, type, occurred_at, symbol, description, amount, balance, changes)
+    VALUES (@accountId, @seq, @type, @timestamp, @symbol, @description, @amount, @balance, @changes)
+  `);
+
+  events.forEach((event, i) => {
+    insert.run({
+      accountId,
+      seq: (last || 0) + i + 1,
+      type: event.type,
+      timestamp: event.timestamp,
+      symbol: event.symbol || null,
+      description: event.description || null,
+      amount: event.amount,
+      balance: event.balance,
+      changes: event.changes ? JSON.stringify(event.changes) : null
+    });
+  });
+}
+
+// An account's events in order, optionally only those up to `until` (ISO timestamp) or
+// after sequence number `afterSeq`. State changes are only parsed when asked for - the
+// ledger view doesn't need them.
+function listEvents(accountId, { until = null, afterSeq = 0, includeChanges = false } = {}) {
+  return getDb()
+    .prepare(`
+      SELECT * FROM ledger
+      WHERE account_id = @accountId AND seq > @afterSeq AND (@until IS NULL OR occurred_at <= @until)
+      ORDER BY seq
+    `)
+    .all({ accountId, until, afterSeq })
+    .map(row => ({
+      seq: row.seq,
+      type: row.type,
+      timestamp: row.occurred_at,
+      symbol: row.symbol,
+      description: row.description,
+      amount: row.amount,
+      balance: row.balance,
+      ...(includeChanges ? { changes: row.changes ? JSON.parse(row.changes) : null } : {})
+    }));
+}
+
+// EQUITY SNAPSHOTS
+
+function addSnapshot(accountId, { takenAt, reason, cash, positionsValue, equity }) {
+  getDb()
+    .prepare(`
+      INSERT INTO snapshots (account_id, taken_at, reason, cash, positions_value, equity)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `)
+    .run(accountId, takenAt, reason, cash, positionsValue, equity);
+}
+
+// An account's snapshots in time order, optionally only those from `since` (ISO timestamp) on
+function listSnapshots(accountId, { since = null } = {}) {
+  return getDb()
+    .prepare(`
+      SELECT * FROM snapshots
+      WHERE account_id = @accountId AND (@since IS NULL OR taken_at >= @since)
+      ORDER BY taken_at, rowid
+    `)
+    .all({ accountId, since })
+    .map(row => ({
+      takenAt: row.taken_at,
+      reason: row.reason,
+      cash: row.cash,
+      positionsValue: row.positions_value,
+      equity: row.equity
+    }));
+}
+
+// WATCHLISTS (shared by every portfolio)
+
+function toWatchlist(row) {
+  const symbols = getDb()
+    .prepare('SELECT symbol FROM watchlist_symbols WHERE watchlist_id = ? ORDER BY added_at, rowid')
+    .all(row.id)
+    .map(({ symbol }) => symbol);
+  return { id: row.id, name: row.name, symbols, createdAt: row.created_at };
+}
+
+function listWatchlists() {
+  return getDb().prepare('SELECT * FROM watchlists ORDER BY created_at, rowid').all().map(toWatchlist);
+}
+
+function getWatchlist(watchlistId) {
+  const row = getDb().prepare('SELECT * FROM watchlists WHERE id = ?').get(watchlistId);
+  return row ? toWatchlist(row) : null;
+}
+
+const createWatchlist = ({ id, name, createdAt }, symbols = []) => getDb().transaction(() => {
+  getDb().prepare('INSERT INTO watchlists (id, name, created_at) VALUES (?, ?, ?)').run(id, name, createdAt);
+  for (const symbol of symbols) {
+    addWatchlistSymbol(id, symbol, createdAt);
+  }
+  return getWatchlist(id);
+})();
+
+function renameWatchlist(watchlistId, name) {
+  getDb().prepare('UPDATE watchlists SET name = ? WHERE id = ?').run(name, watchlistId);
+  return getWatchlist(watchlistId);
+}
+
+// Symbols go with the list (ON DELETE CASCADE)
+function deleteWatchlist(watchlistId) {
+  getDb().prepare('DELETE FROM watchlists WHERE id = ?').run(watchlistId);
+}
+
+// Adding a symbol that is already on the list keeps its original position
+function addWatchlistSymbol(watchlistId, symbol, addedAt) {
+  getDb()
+    .prepare('INSERT INTO watchlist_symbols (watchlist_id, symbol, added_at) VALUES (?, ?, ?) ON CONFLICT DO NOTHING')
+    .run(watchlistId, symbol, addedAt);
+}
+
+function removeWatchlistSymbol(watchlistId, symbol) {
+  return getDb()
+    .prepare('DELETE FROM watchlist_symbols WHERE watchlist_id = ? AND symbol = ?')
+    .run(watchlistId, symbol).changes > 0;
+}
+
+// ALERTS
+// Price alerts have no account; position and drawdown alerts go with their account
+// (ON DELETE CASCADE). Fields without a column (note, triggered value, message) are in details.
+
+function toAlert(row) {
+  return {
+    ...JSON.parse(row.details),
+    id: row.id,
+    type: row.type,
+    symbol: row.symbol,
+    portfolioId: row.account_id,
+    threshold: row.threshold,
+    status: row.status,
+    createdAt: row.created_at,
+    triggeredAt: row.triggered_at,
+    readAt: row.read_at
+  };
+}
+
+// Newest first; `status` narrows to 'active' or 'triggered'
+function listAlerts({ status = null } = {}) {
+  return getDb()
+    .prepare('SELECT * FROM alerts WHERE @status IS NULL OR status = @status ORDER BY created_at DESC, rowid DESC')
+    .all({ status })
+    .map(toAlert);
+}
+
+function getAlert(alertId) {
+  const row = getDb().prepare('SELECT * FROM alerts WHERE id = ?').get(alertId);
+  return row ? toAlert(row) : null;
+}
+
+// Insert or replace an alert with all of its fields
+function saveAlert(alert) {
+  const { id, type, symbol, portfolioId, threshold, status, createdAt, triggeredAt, readAt, ...details } = alert;
+  getDb().prepare(`
+    INSERT INTO alerts (id, type, symbol, account_id, threshold, status, created_at, triggered_at, read_at, details)
+    VALUES (@id, @type, @symbol, @accountId, @threshold, @status, @createdAt, @triggeredAt, @readAt, @details)
+    ON CONFLICT (id) DO UPDATE SET
+      status = excluded.status,
+      triggered_at = excluded.triggered_at,
+      read_at = excluded.read_at,
+      details = excluded.details
+  `).run({
+    id,
+    type,
+    symbol: symbol || null,
+    accountId: portfolioId || null,
+    threshold,
+    status,
+    createdAt,
+    triggeredAt: triggeredAt || null,
+    readAt: readAt || null,
+    details: JSON.stringify(details)
+  });
+  return getAlert(id);
+}
+
+function deleteAlert(alertId) {
+  getDb().prepare('DELETE FROM alerts WHERE id = ?').run(alertId);
+}
+
+// Mark every triggered alert read
+function markAlertsRead(readAt) {
+  getDb().prepare("UPDATE alerts SET read_at = ? WHERE status = 'triggered' AND read_at IS NULL").run(readAt);
+}
+
+// Write an account's whole state, and the ledger events that produced it, in one transaction
+const savePortfolioState = (accountId, portfolio, events = []) => getDb().transaction(() => {
+  getDb().prepare(`
+    UPDATE accounts SET
+      balance = @balance,
+      starting_capital = @startingCapital,
+      total_pl = @totalPL,
+      account_type = @accountType,
+      margin_settings = @marginSettings,
+      option_settlement = @optionSettlement,
+      margin_call_since = @marginCallSince,
+      benchmark = @benchmark,
+      fee_schedule = @feeSchedule,
+      slippage = @slippage
+    WHERE id = @id
+  `).run({
+    id: accountId,
+    balance: portfolio.balance,
+    startingCapital: portfolio.startingCapital,
+    totalPL: portfolio.totalPL,
+    accountType: portfolio.accountType,
+    marginSettings: JSON.stringify(portfolio.marginSettings),
+    optionSettlement: portfolio.optionSettlement,
+    marginCallSince: portfolio.marginCallSince || null,
+    benchmark: portfolio.benchmark || 'SPY',
+    feeSchedule: portfolio.feeSchedule ? JSON.stringify(portfolio.feeSchedule) : null,
+    slippage: portfolio.slippage ? JSON.stringify(portfolio.slippage) : null
+  });
+
+  writeTable('lots', accountId, portfolio.openPositions.filter(p => p.type === 'stock'));
+  writeTable('positions', accountId, portfolio.openPositions.filter(p => p.type === 'option'));
+  writeTable('trades', accountId, portfolio.closedTrades);
+  writeTable('orders', accountId, portfolio.orders);
+  writeTable('strategies', accountId, portfolio.strategies);
+  writeTable('corporate_actions', accountId, portfolio.corporateActions || []);
+  appendEvents(accountId, events);
+})();
+
+// A state replayed from the ledger as the tables would hold it once saved (column defaults
+// filled in, positions in entry order) - the shape loadPortfolioState reads back
+function normalizeState(state) {
+  const roundTrip = (table, records = []) => records.map(record => fromRow(table, toRow(table, null, record)));
+  return {
+    ...state,
+    benchmark: state.benchmark || 'SPY',
+    openPositions: [
+      ...roundTrip('lots', state.openPositions.filter(p => p.type === 'stock')),
+      ...roundTrip('positions', state.openPositions.filter(p => p.type === 'option'))
+    ].sort((a, b) => a.entryDate.localeCompare(b.entryDate)),
+    closedTrades: roundTrip('trades', state.closedTrades),
+    orders: roundTrip('orders', state.orders),
+    strategies: roundTrip('strategies', state.strategies),
+    corporateActions: roundTrip('corporate_actions', state.corporateActions)
+  };
+}
+
+// Create an account row, its initial state and opening ledger events together
+const createAccount = (entry, portfolio, events = []) => getDb().transaction(() => {
+  getDb().prepare(`
+    INSERT INTO accounts (id, name, starting_capital, balance, margin_settings, archived, cloned_from, created_at)
+    VALUES (@id, @name, @startingCapital, @balance, @marginSettings, 0, @clonedFrom, @createdAt)
+  `).run({
+    id: entry.id,
+    name: entry.name,
+    startingCapital: entry.startingCapital,
+    balance: portfolio.balance,
+    marginSettings: JSON.stringify(portfolio.marginSettings),
+    clonedFrom: entry.clonedFrom || null,
+    createdAt: entry.createdAt
+  });
+  savePortfolioState(entry.id, portfolio, events);
+  return getAccount(entry.id);
+})();
+
+module.exports = {
+  DB_FILE,
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  getActiveAccountId,
+  setActiveAccountId,
+  loadPortfolioState,
+  savePortfolioState,
+  normalizeState,
+  listEvents,
+  addSnapshot,
+  listSnapshots,
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addWatchlistSymbol,
+  removeWatchlistSymbol,
+  listAlerts,
+  getAlert,
+  saveAlert,
+  deleteAlert,
+  markAlertsRead
+};
@@ -0,0 +1,149 @@
+// Shared Quote Cache
+// Every route reads quotes and profiles through here instead of calling marketData directly.
+// Entries remember when they were fetched and each caller says how old a copy it will accept,
+// so the engines can ask for fresher data than the routes. Concurrent requests for the same
+// symbol share a single upstream call.
+const marketData = require('./marketData');
+
+const QUOTE_TTL = parseInt(process.env.QUOTE_CACHE_TTL) || 60 * 1000; // 1 minute
+const PROFILE_TTL = 24 * 60 * 60 * 1000; // Company profiles barely change
+const CANDLE_TTL = 6 * 60 * 60 * 1000; // Daily bars only change once a day
+const CANDLE_LOOKBACK_DAYS = 90; // ~60 trading days, enough for historical volatility
+const HISTORY_LOOKBACK_DAYS = 5 * 365; // Benchmark comparisons go back to when a portfolio was created
+const CHAIN_TTL = 5 * 60 * 1000; // Option chains are large, so refresh them less often than quotes
+const CORPORATE_ACTIONS_TTL = 6 * 60 * 60 * 1000; // Splits and dividends are announced days ahead
+const CORPORATE_ACTIONS_AHEAD_DAYS = 90; // Declared dividends with ex-dates still to come
+
+const quotes = new Map(); // symbol -> { value, fetchedAt }
+const profiles = new Map();
+const candles = new Map();
+const candleHistories = new Map();
+const optionChains = new Map();
+const corporateActions = new Map();
+const inFlight = new Map(); // "quote:AAPL" -> pending promise
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  coalesced: 0, // requests that joined an in-flight fetch
+  staleServed: 0, // upstream failed, served an older entry instead
+  streamedTrades: 0 // live trades applied to cached quotes (see quoteStream.js)
+};
+
+async function cached(store, kind, symbol, ttl, fetcher) {
+  const entry = store.get(symbol);
+
+  if (entry && Date.now() - entry.fetchedAt < ttl) {
+    stats.hits++;
+    return entry.value;
+  }
+
+  const key = `${kind}:${symbol}`;
+  if (inFlight.has(key)) {
+    stats.coalesced++;
+    return inFlight.get(key);
+  }
+
+  stats.misses++;
+  const request = fetcher(symbol)
+    .then(value => {
+      store.set(symbol, { value, fetchedAt: Date.now() });
+      return value;
+    })
+    .catch(error => {
+      if (entry) {
+        stats.staleServed++;
+        return entry.value;
+      }
+      throw error;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, request);
+  return request;
+}
+
+// Get a quote, fetching it if the cached copy is older than `ttl` ms
+async function getQuote(symbol, ttl = QUOTE_TTL) {
+  return cached(quotes, 'quote', symbol, ttl, marketData.getQuote);
+}
+
+async function getProfile(symbol, ttl = PROFILE_TTL) {
+  return cached(profiles, 'profile', symbol, ttl, marketData.getProfile);
+}
+
+// Daily candles for the last CANDLE_LOOKBACK_DAYS calendar days
+async function getDailyCandles(symbol, ttl = CANDLE_TTL) {
+  return cached(candles, 'candles', symbol, ttl, sym => {
+    const to = Math.floor(Date.now() / 1000);
+    const from = to - CANDLE_LOOKBACK_DAYS * 24 * 60 * 60;
+    return marketData.getCandles(sym, from, to);
+  });
+}
+
+// Daily candles for the last HISTORY_LOOKBACK_DAYS calendar days
+async function getDailyHistory(symbol, ttl = CANDLE_TTL) {
+  return cached(candleHistories, 'history', symbol, ttl, sym => {
+    const to = Math.floor(Date.now() / 1000);
+    const from = to - HISTORY_LOOKBACK_DAYS * 24 * 60 * 60;
+    return marketData.getCandles(sym, from, to);
+  });
+}
+
+async function getOptionChain(symbol, ttl = CHAIN_TTL) {
+  return cached(optionChains, 'chain', symbol, ttl, marketData.getOptionChain);
+}
+
+// Splits and dividends from HISTORY_LOOKBACK_DAYS ago to CORPORATE_ACTIONS_AHEAD_DAYS ahead
+async function getCorporateActions(symbol, ttl = CORPORATE_ACTIONS_TTL) {
+  return cached(corporateActions, 'corporateActions', symbol, ttl, sym => {
+    const day = 24 * 60 * 60 * 1000;
+    const from = new Date(Date.now() - HISTORY_LOOKBACK_DAYS * day).toISOString().slice(0, 10);
+    const to = new Date(Date.now() + CORPORATE_ACTIONS_AHEAD_DAYS * day).toISOString().slice(0, 10);
+    return marketData.getCorporateActions(sym, from, to);
+  });
+}
+
+// Move a cached quote to a live trade price (Unix ms timestamp), widening the day's range if
+// needed. The entry keeps its fetch time, so the rest of the quote is still refreshed on schedule.
+// Returns the updated quote, or null if the symbol isn't cached.
+function applyTrade(symbol, price, timestamp) {
+  const entry = quotes.get(symbol);
+  if (!entry) return null;
+
+  stats.streamedTrades++;
+  entry.value = {
+    ...entry.value,
+    price,
+    high: Math.max(entry.value.high || price, price),
+    low: Math.min(entry.value.low || price, price),
+    timestamp: Math.floor(timestamp / 1000)
+  };
+  return entry.value;
+}
+
+function getStats() {
+  const lookups = stats.hits + stats.misses + stats.coalesced;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? Number(((stats.hits + stats.coalesced) / lookups).toFixed(3)) : 0,
+    cachedQuotes: quotes.size,
+    cachedProfiles: profiles.size,
+    cachedCandles: candles.size,
+    cachedCandleHistories: candleHistories.size,
+    cachedOptionChains: optionChains.size,
+    cachedCorporateActions: corporateActions.size,
+    inFlight: inFlight.size
+  };
+}
+
+module.exports = {
+  getQuote,
+  getProfile,
+  getDailyCandles,
+  getDailyHistory,
+  getOptionChain,
+  getCorporateActions,
+  applyTrade,
+  getStats
+};
@@ -0,0 +1,137 @@
+// Live Trade Stream
+// Keeps one upstream WebSocket that speaks Finnhub's trade protocol and shares it with every
+// browser: callers subscribe to the symbols they show, and each symbol is subscribed upstream
+// once however many callers want it. Trades update the shared quote cache before listeners
+// hear about them, so the rest of the app sees the live price too.
+//
+// Upstream: QUOTE_STREAM_URL if set (e.g. ws://localhost:4001 for mockTradeStream.js),
+// otherwise Finnhub's stream when FINNHUB_API_KEY is set. Without either, streaming is off
+// and callers fall back to polling the quote cache.
+//
+// Protocol: send { type: 'subscribe' | 'unsubscribe', symbol }; receive
+// { type: 'trade', data: [{ s: symbol, p: price, t: Unix ms, v: volume }] } and { type: 'ping' }
+const WebSocket = require('ws');
+const quoteCache = require('./quoteCache');
+
+const STREAM_URL = process.env.QUOTE_STREAM_URL
+  || (process.env.FINNHUB_API_KEY ? `wss://ws.finnhub.io?token=${process.env.FINNHUB_API_KEY}` : null);
+
+const RECONNECT_MIN = 1000;
+const RECONNECT_MAX = 60 * 1000;
+
+const listeners = new Map(); // symbol -> Set of listener(trade)
+let socket = null;
+let reconnectDelay = RECONNECT_MIN;
+let reconnectTimer = null;
+
+function isEnabled() {
+  return Boolean(STREAM_URL);
+}
+
+function send(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+// Several trades for a symbol can arrive in one message; only the latest matters to a price
+function handleMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (err) {
+    return;
+  }
+
+  if (message.type === 'error') {
+    console.log(`Trade stream error: ${message.msg}`);
+    return;
+  }
+  if (message.type !== 'trade' || !Array.isArray(message.data)) return;
+
+  const latest = new Map();
+  for (const trade of message.data) {
+    if (!(trade.p > 0)) continue;
+    const seen = latest.get(trade.s);
+    if (!seen || trade.t >= seen.t) latest.set(trade.s, trade);
+  }
+
+  for (const [symbol, trade] of latest) {
+    const quote = quoteCache.applyTrade(symbol, trade.p, trade.t);
+    const tick = { symbol, price: trade.p, timestamp: trade.t, volume: trade.v, quote };
+    for (const listener of listeners.get(symbol) || []) {
+      try {
+        listener(tick);
+      } catch (err) {
+        console.error('Trade stream listener error:', err.message);
+      }
+    }
+  }
+}
+
+function connect() {
+  if (socket || !STREAM_URL) return;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  socket = new WebSocket(STREAM_URL);
+
+  socket.on('open', () => {
+    reconnectDelay = RECONNECT_MIN;
+    console.log(`Trade stream connected (${listeners.size} symbols)`);
+    for (const symbol of listeners.keys()) {
+      send({ type: 'subscribe', symbol });
+    }
+  });
+
+  socket.on('message', handleMessage);
+
+  // Errors are followed by 'close', which handles the reconnect
+  socket.on('error', err => console.log(`Trade stream error: ${err.message}`));
+
+  socket.on('close', () => {
+    socket = null;
+    if (listeners.size === 0) return; // Reconnect when someone subscribes again
+    console.log(`Trade stream closed, reconnecting in ${reconnectDelay / 1000}s`);
+    reconnectTimer = setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX);
+  });
+}
+
+// Call listener(tick) with every trade in `symbols`. Returns a function that unsubscribes.
+function subscribe(symbols, listener) {
+  for (const symbol of symbols) {
+    if (!listeners.has(symbol)) {
+      listeners.set(symbol, new Set());
+      send({ type: 'subscribe', symbol });
+    }
+    listeners.get(symbol).add(listener);
+  }
+  if (!reconnectTimer) connect();
+
+  return () => {
+    for (const symbol of symbols) {
+      const set = listeners.get(symbol);
+      if (!set) continue;
+      set.delete(listener);
+      if (set.size === 0) {
+        listeners.delete(symbol);
+        send({ type: 'unsubscribe', symbol });
+      }
+    }
+  };
+}
+
+function getStats() {
+  return {
+    enabled: isEnabled(),
+    connected: Boolean(socket && socket.readyState === WebSocket.OPEN),
+    symbols: listeners.size
+  };
+}
+
+module.exports = {
+  isEnabled,
+  subscribe,
+  getStats
+};
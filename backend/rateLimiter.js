@@ -0,0 +1,75 @@
+// Token Bucket Rate Limiter
+// Callers await acquire() before each upstream request. Tokens refill continuously at
+// `perMinute` per minute, up to `burst` tokens, so short bursts go out immediately and
+// sustained traffic is paced to the provider's quota instead of failing with 429s.
+
+function createRateLimiter({ perMinute, burst = perMinute }) {
+  const refillPerMs = perMinute / 60000;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  const queue = []; // resolvers waiting for a token, in arrival order
+  let timer = null;
+
+  const stats = {
+    granted: 0,
+    throttled: 0, // requests that had to wait for a token
+    totalWaitMs: 0
+  };
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) * refillPerMs);
+    lastRefill = now;
+  }
+
+  // Hand out tokens to waiting callers, then sleep until the next token is due
+  function drain() {
+    timer = null;
+    refill();
+
+    while (queue.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      const waiter = queue.shift();
+      stats.granted++;
+      stats.totalWaitMs += Date.now() - waiter.queuedAt;
+      waiter.resolve();
+    }
+
+    if (queue.length > 0) {
+      timer = setTimeout(drain, Math.ceil((1 - tokens) / refillPerMs));
+    }
+  }
+
+  function acquire() {
+    refill();
+
+    if (queue.length === 0 && tokens >= 1) {
+      tokens -= 1;
+      stats.granted++;
+      return Promise.resolve();
+    }
+
+    stats.throttled++;
+    return new Promise(resolve => {
+      queue.push({ resolve, queuedAt: Date.now() });
+      if (!timer) {
+        drain();
+      }
+    });
+  }
+
+  function getStats() {
+    refill();
+    return {
+      perMinute,
+      burst,
+      availableTokens: Math.floor(tokens),
+      queued: queue.length,
+      ...stats
+    };
+  }
+
+  return { acquire, getStats };
+}
+
+module.exports = { createRateLimiter };
@@ -2,9 +2,22 @@
 require('dotenv').config(); // Loads .env file
 const express = require('express');
 const Anthropic = require('@anthropic-ai/sdk');
-const axios = require('axios');
 const cors = require('cors');
 const portfolio = require('./portfolioManager');
+const marketData = require('./marketData');
+const quoteCache = require('./quoteCache');
+const { toolDefinitions, createChatTools, TRADE_TOOLS, WATCHLIST_TOOLS, ALERT_TOOLS } = require('./chatTools');
+const { createOrderTickets } = require('./orderTickets');
+const orderEngine = require('./orderEngine');
+const optionExpiration = require('./optionExpiration');
+const equitySnapshots = require('./equitySnapshots');
+const corporateActions = require('./corporateActions');
+const watchlists = require('./watchlists');
+const alerts = require('./alerts');
+const alertEngine = require('./alertEngine');
+const quoteStream = require('./quoteStream');
+const { createOptionChains } = require('./optionChain');
+const { historicalVolatility } = require('./optionPricing');
 
 // Initialize Express app (your web server)
 const app = express();
@@ -17,71 +30,79 @@ const anthropic = new Anthropic({
 
 // Middleware (these run before your routes)
 app.use(cors()); // Allows frontend to connect
-app.use(express.json()); // Parses JSON from requests
+app.use(express.json({ limit: '5mb' })); // Parses JSON from requests (trade CSV imports can be large)
 
-// ROUTE 1: Fetch stock data from Finnhub (REAL-TIME!)
+// ROUTE 1: Fetch stock data from the market data providers (REAL-TIME!)
 async function fetchStockData(symbol) {
   try {
     // Fetch real-time quote
-    const quoteResponse = await axios.get('https://finnhub.io/api/v1/quote', {
-      params: {
-        symbol: symbol,
-        token: process.env.FINNHUB_API_KEY
-      }
-    });
+    const quote = await quoteCache.getQuote(symbol);
     
-    const quote = quoteResponse.data;
-    
-    // Check if we got valid data
-    if (quote.c === 0 || !quote.c) {
-      throw new Error(`No data found for symbol: ${symbol}`);
+    // Fetch company profile for additional info (quote is still useful without it)
+    let profile = {};
+    try {
+      profile = await quoteCache.getProfile(symbol);
+    } catch (err) {
+      console.log(`No profile for ${symbol}: ${err.message}`);
     }
     
-    // Fetch company profile for additional info
-    const profileResponse = await axios.get('https://finnhub.io/api/v1/stock/profile2', {
-      params: {
-        symbol: symbol,
-        token: process.env.FINNHUB_API_KEY
-      }
-    });
-    
-    const profile = profileResponse.data;
-    
     // Calculate change and change percent
-    const change = (quote.c - quote.pc).toFixed(2);
-    const changePercent = ((change / quote.pc) * 100).toFixed(2);
+    const change = (quote.price - quote.previousClose).toFixed(2);
+    const changePercent = ((change / quote.previousClose) * 100).toFixed(2);
     
     // Return formatted data
     return {
       symbol: symbol,
       companyName: profile.name || symbol,
-      price: quote.c, // current price
+      price: quote.price, // current price
       change: change,
       changePercent: `${changePercent}%`,
-      high: quote.h, // day high
-      low: quote.l, // day low
-      open: quote.o, // day open
-      previousClose: quote.pc, // previous close
-      timestamp: quote.t, // Unix timestamp
-      marketCap: profile.marketCapitalization ? `$${(profile.marketCapitalization / 1000).toFixed(2)}B` : 'N/A',
-      industry: profile.finnhubIndustry || 'N/A'
+      high: quote.high, // day high
+      low: quote.low, // day low
+      open: quote.open, // day open
+      previousClose: quote.previousClose, // previous close
+      timestamp: quote.timestamp, // Unix timestamp
+      marketCap: profile.marketCap ? `$${(profile.marketCap / 1000).toFixed(2)}B` : 'N/A',
+      industry: profile.industry || 'N/A'
     };
   } catch (error) {
     console.error('Error fetching stock data:', error.message);
-    if (error.response?.status === 429) {
+    if (error.rateLimited) {
       throw new Error('API rate limit exceeded. Please wait a moment and try again.');
     }
     throw new Error(error.message || 'Failed to fetch stock data. Check that the symbol is valid.');
   }
 }
 
-// Helper function to extract stock symbols from text
-function extractSymbols(text) {
-  const symbolMatches = text.match(/\b[A-Z]{1,5}\b/g);
-  return symbolMatches || [];
+// Fetch quotes for a list of symbols through the shared cache, skipping any that fail.
+// The cache and rate limiter handle pacing, so the requests can all go out at once.
+async function fetchQuoteSummaries(symbols, ttl) {
+  const results = await Promise.all(symbols.map(async (symbol) => {
+    try {
+      const quote = await quoteCache.getQuote(symbol, ttl);
+      if (!quote.price || quote.price <= 0) {
+        return null;
+      }
+      
+      const change = quote.price - quote.previousClose;
+      const changePercent = (change / quote.previousClose) * 100;
+      
+      return {
+        symbol,
+        quote,
+        change: change.toFixed(2),
+        changePercent: changePercent.toFixed(2)
+      };
+    } catch (err) {
+      console.log(`Skipping ${symbol}: ${err.message}`);
+      return null;
+    }
+  }));
+  
+  return results.filter(Boolean);
 }
 
-// Fetch market movers from Finnhub
+// Fetch market movers from the market data providers
 async function getMarketMovers() {
   try {
     // Get top gainers/losers from US market
@@ -91,51 +112,73 @@ async function getMarketMovers() {
     const sp500Symbols = ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'TSLA', 'BRK.B', 'UNH', 'JNJ', 
                           'V', 'XOM', 'WMT', 'JPM', 'PG', 'MA', 'CVX', 'HD', 'ABBV', 'LLY'];
     
-    const stocksData = [];
-    
-    for (const symbol of sp500Symbols) {
-      try {
-        const quote = await axios.get('https://finnhub.io/api/v1/quote', {
-          params: { symbol, token: process.env.FINNHUB_API_KEY }
-        });
-        
-        if (quote.data.c && quote.data.c > 0) {
-          const change = quote.data.c - quote.data.pc;
-          const changePercent = (change / quote.data.pc) * 100;
-          
-          stocksData.push({
-            symbol,
-            price: quote.data.c,
-            change: change.toFixed(2),
-            changePercent: changePercent.toFixed(2)
-          });
-        }
-        
-        // Rate limiting - wait 100ms between requests
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (err) {
-        console.log(`Skipping ${symbol}: ${err.message}`);
-      }
-    }
+    const stocksData = await fetchQuoteSummaries(sp500Symbols);
     
     // Sort by absolute change percent
-    return stocksData.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+    return stocksData
+      .map(({ quote, ...stock }) => ({ ...stock, price: quote.price }))
+      .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
   } catch (error) {
     throw new Error('Failed to fetch market movers');
   }
 }
 
-// Detect if query is asking for market screening/analysis
-function needsMarketData(query) {
-  const lowerQuery = query.toLowerCase();
-  const triggers = [
-    'top movers', 'biggest gainers', 'biggest losers', 'market movers',
-    'stocks moving', 'highest volume', 'most active', 'primed for',
-    'identify stocks', 'find stocks', 'which stocks', 'what stocks'
-  ];
-  return triggers.some(trigger => lowerQuery.includes(trigger));
+// Quotes for a watchlist, in the list's order. Symbols with no quote stay in with null prices
+// so the list doesn't jump around when one lookup fails.
+async function getWatchlistQuotes(symbols) {
+  const summaries = await fetchQuoteSummaries(symbols, CACHE_DURATION);
+  return symbols.map(symbol => {
+    const summary = summaries.find(s => s.symbol === symbol);
+    return summary
+      ? { symbol, price: summary.quote.price.toFixed(2), change: summary.change, changePercent: summary.changePercent }
+      : { symbol, price: null, change: null, changePercent: null };
+  });
+}
+
+// Current price lookup used when valuing portfolio positions
+async function getCurrentPrice(symbol) {
+  const quote = await quoteCache.getQuote(symbol);
+  return quote.price;
 }
 
+// Today's high and low, used by the range slippage model
+async function getDayRange(symbol) {
+  const quote = await quoteCache.getQuote(symbol);
+  return { high: quote.high, low: quote.low };
+}
+
+// Historical volatility of an underlying, used to mark options bought without an implied volatility
+async function getVolatility(symbol) {
+  const candles = await quoteCache.getDailyCandles(symbol);
+  return historicalVolatility(candles);
+}
+
+const orderTickets = createOrderTickets({ fetchStockData, getCurrentPrice, getVolatility, getDayRange });
+const optionChains = createOptionChains({ getCurrentPrice, getVolatility });
+const chatTools = createChatTools({ fetchStockData, getMarketMovers, getWatchlistQuotes, getCurrentPrice, getVolatility, orderTickets });
+
+const MAX_TOOL_ROUNDS = 8; // Safety cap on the model's tool loop
+
+const RESEARCH_SYSTEM_PROMPT = `You are a knowledgeable financial analyst assistant with access to real-time market data and a paper trading portfolio system.
+
+You have tools for looking up quotes, market movers and the portfolio, and for placing paper trades. Use them whenever you need data - never guess prices. When users ask you to find stocks, identify movers, or analyze market trends, call get_market_movers and get_quote.
+
+The user's watchlists are symbols they want to follow. Requests like "add PLTR to my watchlist" or "what's on my watchlist?" use the watchlist tools; adding or removing a symbol is not a trade and needs no confirmation.
+
+Requests like "tell me if NVDA drops below 150" or "alert me when my portfolio is down 10%" are alerts - use create_alert (not place_order, which trades). Alerts are created right away and need no confirmation.
+
+Only call a trading tool (${TRADE_TOOLS.join(', ')}) when the user clearly instructs you to place that trade. If the user is asking whether they should trade, give your analysis instead of trading. Option orders need a symbol, call/put, strike, expiration date, premium and number of contracts - ask for anything that is missing, and never make up an expiration. Conditional requests like "buy 50 AAPL if it drops to 180" are resting orders - use place_order, not buy_stock. Writing (selling to open) a single option uses sell_option; spreads, straddles, strangles, iron condors and covered calls are entered as one open_strategy order.
+
+Trading tools do NOT execute trades. They create a pending order ticket with an estimated price, cost and resulting cash balance, which the user must confirm with the Confirm button shown next to your reply. After creating a ticket:
+- Summarize the ticket and remind the user to confirm or cancel it (it expires in a few minutes)
+- Provide analysis of the trade (is it a good entry point? what to watch for?)
+- Be encouraging but realistic about the trade
+- Never say the trade has been executed
+
+If a ticket can't be created, explain why and suggest alternatives.
+
+You help users research stocks, understand market trends, and manage their paper trading portfolio. Maintain context from previous questions in the conversation. Be concise but thorough.`;
+
 // ROUTE 2: Main research endpoint with conversation history
 app.post('/api/research', async (req, res) => {
   try {
@@ -143,196 +186,80 @@ app.post('/api/research', async (req, res) => {
     
     console.log(`New query: ${query}`);
     
-    // Check if query needs market screening data
-    const needsScreening = needsMarketData(query);
+    // Build messages array for Claude
+    const messages = [];
     
-    // Extract stock symbols from the current query
-    const symbols = extractSymbols(query);
-    console.log(`Detected symbols: ${symbols.join(', ') || 'none'}`);
+    if (conversationHistory && conversationHistory.length > 0) {
+      messages.push(...conversationHistory);
+    }
     
-    let stockContext = '';
-    let stockDataArray = [];
-    let tradeExecuted = null;
+    messages.push({
+      role: 'user',
+      content: query
+    });
     
-    // Check if this is a trade command
-    const tradeMatch = query.match(/buy\s+(\d+)\s+(?:shares?\s+of\s+)?([A-Z]{1,5})/i);
-    const sellMatch = query.match(/sell\s+(?:my\s+)?([A-Z]{1,5})(?:\s+position)?/i);
-    const optionMatch = query.match(/buy\s+(\d+)\s+([A-Z]{1,5})\s+(\d+)\s+(call|put)s?\s+(?:at\s+)?\$?(\d+(?:\.\d+)?)/i);
+    const toolCalls = []; // Transcript of every tool the model ran, in order
+    let message;
     
-    if (tradeMatch) {
-      // BUY STOCK command detected
-      const [, quantity, symbol] = tradeMatch;
-      console.log(`Trade detected: BUY ${quantity} ${symbol}`);
-      
-      try {
-        const stockData = await fetchStockData(symbol);
-        const result = await portfolio.buyStock(symbol, parseInt(quantity), stockData.price);
-        
-        tradeExecuted = {
-          type: 'buy_stock',
-          symbol,
-          quantity: parseInt(quantity),
-          price: stockData.price,
-          cost: result.position.costBasis,
-          newBalance: result.newBalance
-        };
-        
-        stockDataArray.push(stockData);
-        stockContext = `\n\nTRADE EXECUTED: Bought ${quantity} shares of ${symbol} at ${stockData.price} (Total: ${result.position.costBasis.toFixed(2)}). New cash balance: ${result.newBalance.toFixed(2)}`;
-        
-      } catch (error) {
-        stockContext = `\n\nTRADE FAILED: ${error.message}`;
-      }
-      
-    } else if (sellMatch) {
-      // SELL STOCK command detected
-      const [, symbol] = sellMatch;
-      console.log(`Trade detected: SELL ${symbol}`);
+    // Let Claude call tools until it produces a final answer
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      message = await anthropic.messages.create({
+        model: 'claude-sonnet-4-5-20250929',
+        max_tokens: 2048,
+        system: RESEARCH_SYSTEM_PROMPT,
+        tools: toolDefinitions,
+        messages: messages
+      });
       
-      try {
-        const stockData = await fetchStockData(symbol);
-        const result = await portfolio.sellStock(symbol, stockData.price);
-        
-        tradeExecuted = {
-          type: 'sell_stock',
-          symbol,
-          shares: result.trade.shares,
-          entryPrice: result.trade.entryPrice,
-          exitPrice: result.trade.exitPrice,
-          profitLoss: result.trade.profitLoss,
-          percentReturn: result.trade.percentReturn,
-          newBalance: result.newBalance
-        };
-        
-        stockDataArray.push(stockData);
-        stockContext = `\n\nTRADE EXECUTED: Sold ${result.trade.shares} shares of ${symbol} at ${stockData.price}. P/L: ${result.trade.profitLoss >= 0 ? '+' : ''}${result.trade.profitLoss.toFixed(2)} (${result.trade.percentReturn >= 0 ? '+' : ''}${result.trade.percentReturn.toFixed(2)}%). New cash balance: ${result.newBalance.toFixed(2)}`;
-        
-      } catch (error) {
-        stockContext = `\n\nTRADE FAILED: ${error.message}`;
+      if (message.stop_reason !== 'tool_use') {
+        break;
       }
       
-    } else if (optionMatch) {
-      // BUY OPTION command detected
-      const [, contracts, symbol, strike, optionType, premium] = optionMatch;
-      console.log(`Trade detected: BUY ${contracts} ${symbol} ${strike} ${optionType} at ${premium}`);
+      messages.push({ role: 'assistant', content: message.content });
       
-      try {
-        const result = await portfolio.buyOption(
-          symbol, 
-          optionType.toLowerCase(), 
-          parseFloat(strike), 
-          '2026-01-01', // Default expiration
-          parseFloat(premium), 
-          parseInt(contracts)
-        );
+      const toolResults = [];
+      for (const block of message.content.filter(b => b.type === 'tool_use')) {
+        console.log(`Tool call: ${block.name} ${JSON.stringify(block.input)}`);
+        const { isError, result } = await chatTools.executeTool(block.name, block.input);
         
-        tradeExecuted = {
-          type: 'buy_option',
-          symbol,
-          contracts: parseInt(contracts),
-          strike: parseFloat(strike),
-          optionType: optionType.toLowerCase(),
-          premium: parseFloat(premium),
-          cost: result.position.costBasis,
-          newBalance: result.newBalance
-        };
-        
-        stockContext = `\n\nTRADE EXECUTED: Bought ${contracts} ${symbol} ${strike} ${optionType}(s) at ${premium} premium (Total: ${result.position.costBasis.toFixed(2)}). New cash balance: ${result.newBalance.toFixed(2)}`;
-        
-      } catch (error) {
-        stockContext = `\n\nTRADE FAILED: ${error.message}`;
-      }
-      
-    } else if (needsScreening && symbols.length === 0) {
-      // Market screening query
-      console.log('Query requires market screening data...');
-      const movers = await getMarketMovers();
-      
-      stockContext = '\n\nCurrent Top Market Movers (S&P 500 Sample):\n';
-      movers.slice(0, 10).forEach(stock => {
-        stockContext += `${stock.symbol}: ${stock.price} (${stock.changePercent > 0 ? '+' : ''}${stock.changePercent}%)\n`;
-      });
-      
-      if (movers.length > 0) {
-        const topMover = movers[0];
-        const fullData = await fetchStockData(topMover.symbol);
-        stockDataArray.push(fullData);
-      }
-    } else if (!tradeExecuted) {
-      // Regular stock query
-      for (const symbol of symbols.slice(0, 3)) {
-        try {
-          const data = await fetchStockData(symbol);
-          stockDataArray.push(data);
-        } catch (err) {
-          console.log(`Could not fetch data for ${symbol}: ${err.message}`);
-        }
-      }
-      
-      if (stockDataArray.length > 0) {
-        stockContext = '\n\nCurrent Stock Data:\n';
-        stockDataArray.forEach(stock => {
-          const timestamp = new Date(stock.timestamp * 1000).toLocaleString();
-          stockContext += `
-${stock.companyName} (${stock.symbol}):
-- Current Price: ${stock.price}
-- Change: ${stock.change} (${stock.changePercent})
-- Day High: ${stock.high} | Day Low: ${stock.low}
-- Previous Close: ${stock.previousClose}
-- Market Cap: ${stock.marketCap}
-- Industry: ${stock.industry}
-- Last Updated: ${timestamp}
-`;
+        toolCalls.push({ tool: block.name, input: block.input, result, isError });
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: block.id,
+          content: JSON.stringify(result),
+          is_error: isError
         });
       }
+      
+      messages.push({ role: 'user', content: toolResults });
     }
     
-    // Build messages array for Claude
-    const messages = [];
-    
-    if (conversationHistory && conversationHistory.length > 0) {
-      messages.push(...conversationHistory);
-    }
-    
-    const userMessage = stockContext 
-      ? `${query}${stockContext}`
-      : query;
+    const analysis = message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n\n') || 'I ran out of steps before finishing - please try a more specific request.';
     
-    messages.push({
-      role: 'user',
-      content: userMessage
-    });
-    
-    // Call Claude API with full conversation history
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 2048,
-      system: `You are a knowledgeable financial analyst assistant with access to real-time market data via Finnhub API and a paper trading portfolio system.
-
-When users ask you to find stocks, identify movers, or analyze market trends, you HAVE ACCESS to that data - it will be provided in the stock data context.
-
-When users request trades (buy/sell stocks or options), the system will AUTOMATICALLY execute them and provide you with the results in the context. You should:
-- Confirm the trade was executed successfully
-- Provide analysis of the trade (is it a good entry point? what to watch for?)
-- Give the user relevant information about the stock/option they just traded
-- Be encouraging but realistic about the trade
-
-If a trade fails, explain why and suggest alternatives.
-
-You help users research stocks, understand market trends, and manage their paper trading portfolio. When stock data is provided, analyze it carefully. Maintain context from previous questions in the conversation. Be concise but thorough.`,
-      messages: messages
-    });
+    // Stock cards come from quote lookups; order tickets come from the trading tools
+    const stockDataArray = toolCalls
+      .filter(call => call.tool === 'get_quote' && !call.isError)
+      .map(call => call.result);
+    const orderTicketList = toolCalls
+      .filter(call => TRADE_TOOLS.includes(call.tool) && !call.isError)
+      .map(call => call.result);
     
     // Send response back to frontend
     res.json({
       success: true,
       stockData: stockDataArray.length > 0 ? stockDataArray[0] : null,
       allStockData: stockDataArray,
-      analysis: message.content[0].text,
-      tradeExecuted: tradeExecuted,
+      analysis,
+      orderTickets: orderTicketList,
+      watchlistsChanged: toolCalls.some(call => WATCHLIST_TOOLS.includes(call.tool) && !call.isError),
+      alertsChanged: toolCalls.some(call => ALERT_TOOLS.includes(call.tool) && !call.isError),
+      toolCalls,
       assistantMessage: {
         role: 'assistant',
-        content: message.content[0].text
+        content: analysis
       }
     });
     
@@ -345,22 +272,25 @@ You help users research stocks, understand market trends, and manage their paper
   }
 });
 
-// Cache for widget data to avoid rate limits
-let widgetCache = {
-  indexes: [],
-  movers: [],
-  lastUpdated: null
+// Cache for widget data - each widget tracks its own refresh time
+const widgetCache = {
+  indexes: { data: [], lastUpdated: null },
+  movers: { data: [], lastUpdated: null }
 };
 
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
+function isWidgetFresh(widget) {
+  return widget.lastUpdated && Date.now() - widget.lastUpdated < CACHE_DURATION;
+}
+
 // ROUTE 3: Get major market indexes
 app.get('/api/indexes', async (req, res) => {
   try {
     // Return cached data if less than 5 minutes old
-    if (widgetCache.indexes.length > 0 && widgetCache.lastUpdated && Date.now() - widgetCache.lastUpdated < CACHE_DURATION) {
+    if (widgetCache.indexes.data.length > 0 && isWidgetFresh(widgetCache.indexes)) {
       console.log('Returning cached index data');
-      return res.json({ success: true, indexes: widgetCache.indexes, cached: true });
+      return res.json({ success: true, indexes: widgetCache.indexes.data, cached: true });
     }
 
     console.log('Fetching fresh index data...');
@@ -372,34 +302,16 @@ app.get('/api/indexes', async (req, res) => {
       { symbol: 'IWM', name: 'Russell 2000' }  // Russell 2000 ETF
     ];
     
-    const indexData = [];
-    
-    for (const index of indexes) {
-      try {
-        const quote = await axios.get('https://finnhub.io/api/v1/quote', {
-          params: { symbol: index.symbol, token: process.env.FINNHUB_API_KEY }
-        });
-        
-        if (quote.data.c) {
-          const change = quote.data.c - quote.data.pc;
-          const changePercent = (change / quote.data.pc) * 100;
-          
-          indexData.push({
-            name: index.name,
-            symbol: index.symbol,
-            price: quote.data.c.toFixed(2),
-            change: change.toFixed(2),
-            changePercent: changePercent.toFixed(2)
-          });
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 200)); // Slower rate
-      } catch (err) {
-        console.log(`Error fetching ${index.name}: ${err.message}`);
-      }
-    }
+    const summaries = await fetchQuoteSummaries(indexes.map(index => index.symbol), CACHE_DURATION);
+    const indexData = summaries.map(summary => ({
+      name: indexes.find(index => index.symbol === summary.symbol).name,
+      symbol: summary.symbol,
+      price: summary.quote.price.toFixed(2),
+      change: summary.change,
+      changePercent: summary.changePercent
+    }));
     
-    widgetCache.indexes = indexData;
+    widgetCache.indexes = { data: indexData, lastUpdated: Date.now() };
     res.json({ success: true, indexes: indexData, cached: false });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -410,9 +322,9 @@ app.get('/api/indexes', async (req, res) => {
 app.get('/api/top-movers', async (req, res) => {
   try {
     // Return cached data if less than 5 minutes old
-    if (widgetCache.lastUpdated && Date.now() - widgetCache.lastUpdated < CACHE_DURATION) {
+    if (isWidgetFresh(widgetCache.movers)) {
       console.log('Returning cached movers data');
-      return res.json({ success: true, movers: widgetCache.movers, cached: true });
+      return res.json({ success: true, movers: widgetCache.movers.data, cached: true });
     }
 
     console.log('Fetching fresh top movers data...');
@@ -435,39 +347,15 @@ app.get('/api/top-movers', async (req, res) => {
       'GME', 'AMC', 'PLTR', 'COIN', 'RIVN'
     ];
     
-    const stocksData = [];
-    
-    for (const symbol of russell1000Symbols) {
-      try {
-        const quote = await axios.get('https://finnhub.io/api/v1/quote', {
-          params: { symbol, token: process.env.FINNHUB_API_KEY }
-        });
-        
-        if (quote.data.c && quote.data.c > 0) {
-          const change = quote.data.c - quote.data.pc;
-          const changePercent = (change / quote.data.pc) * 100;
-          
-          stocksData.push({
-            symbol,
-            price: quote.data.c.toFixed(2),
-            change: change.toFixed(2),
-            changePercent: changePercent.toFixed(2)
-          });
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 200)); // Slower rate
-      } catch (err) {
-        console.log(`Skipping ${symbol}: ${err.message}`);
-      }
-    }
+    const stocksData = await fetchQuoteSummaries(russell1000Symbols, CACHE_DURATION);
     
     // Sort by absolute change percent and get top 10
     const topMovers = stocksData
       .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent))
-      .slice(0, 10);
+      .slice(0, 10)
+      .map(({ quote, ...stock }) => ({ ...stock, price: quote.price.toFixed(2) }));
     
-    widgetCache.movers = topMovers;
-    widgetCache.lastUpdated = Date.now();
+    widgetCache.movers = { data: topMovers, lastUpdated: Date.now() };
     
     res.json({ success: true, movers: topMovers, cached: false });
   } catch (error) {
@@ -475,9 +363,108 @@ app.get('/api/top-movers', async (req, res) => {
   }
 });
 
+// ROUTE 5: Option chain for a symbol (?expiration=YYYY-MM-DD, defaults to the nearest)
+app.get('/api/options/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const chain = await optionChains.getOptionChain(symbol, req.query.expiration);
+    res.json({ success: true, ...chain });
+  } catch (error) {
+    console.error('Error fetching option chain:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// SERVER-SENT EVENTS
+// Start a text/event-stream response and return send(event, data). `onClose` runs when the
+// browser disconnects; sends after that are dropped.
+const EVENT_STREAM_HEARTBEAT = 25 * 1000; // Keeps proxies from closing an idle stream
+
+function openEventStream(req, res, onClose) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform: dev proxies mustn't buffer it for compression
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  let open = true;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT);
+  req.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, data) => {
+    if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+const MAX_STREAM_SYMBOLS = 100;
+const STREAM_POLL_INTERVAL = 60 * 1000; // Without a trade stream, cached quotes are re-sent this often
+
+// Live prices for the symbols a page shows (?symbols=AAPL,MSFT) as Server-Sent Events: a "quote"
+// event per symbol from the quote cache right away, then one per trade from the shared upstream
+// stream (see quoteStream.js), or per poll of the cache when there is no stream.
+// Each event is { symbol, price, change, changePercent, timestamp (Unix ms) }.
+app.get('/api/quotes/stream', (req, res) => {
+  const symbols = [...new Set(String(req.query.symbols || '')
+    .split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(Boolean))];
+  if (symbols.length === 0 || symbols.length > MAX_STREAM_SYMBOLS) {
+    return res.status(400).json({ success: false, error: `Pass between 1 and ${MAX_STREAM_SYMBOLS} symbols` });
+  }
+
+  const previousCloses = new Map(); // Daily change is measured from these
+  let unsubscribe = () => {};
+  let poll = null;
+  const send = openEventStream(req, res, () => {
+    unsubscribe();
+    clearInterval(poll);
+  });
+
+  const sendQuote = (symbol, price, timestamp) => {
+    const previousClose = previousCloses.get(symbol);
+    send('quote', {
+      symbol,
+      price,
+      change: previousClose ? price - previousClose : null,
+      changePercent: previousClose ? ((price - previousClose) / previousClose) * 100 : null,
+      timestamp
+    });
+  };
+
+  const sendCachedQuotes = () => Promise.all(symbols.map(async symbol => {
+    try {
+      const quote = await quoteCache.getQuote(symbol);
+      previousCloses.set(symbol, quote.previousClose);
+      sendQuote(symbol, quote.price, quote.timestamp * 1000);
+    } catch (err) {
+      console.log(`Quote stream skipping ${symbol}: ${err.message}`);
+    }
+  }));
+
+  sendCachedQuotes();
+  if (quoteStream.isEnabled()) {
+    unsubscribe = quoteStream.subscribe(symbols, tick => sendQuote(tick.symbol, tick.price, tick.timestamp));
+  } else {
+    poll = setInterval(sendCachedQuotes, STREAM_POLL_INTERVAL);
+  }
+});
+
 // Health check endpoint (test if server is running)
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running with Finnhub real-time data!' });
+  res.json({
+    status: 'ok',
+    message: 'Server is running with real-time market data!',
+    providers: marketData.getProviderNames(),
+    quoteCache: quoteCache.getStats(),
+    quoteStream: quoteStream.getStats(),
+    rateLimits: marketData.getRateLimitStats()
+  });
 });
 
 // PORTFOLIO ROUTES
@@ -485,10 +472,7 @@ app.get('/api/health', (req, res) => {
 // Get current portfolio
 app.get('/api/portfolio', async (req, res) => {
   try {
-    const portfolioData = await portfolio.getPortfolio(async (symbol) => {
-      const stockData = await fetchStockData(symbol);
-      return stockData.price;
-    });
+    const portfolioData = await portfolio.getPortfolio(getCurrentPrice, { getVolatility });
     res.json({ success: true, portfolio: portfolioData });
   } catch (error) {
     console.error('Error fetching portfolio:', error);
@@ -496,18 +480,38 @@ app.get('/api/portfolio', async (req, res) => {
   }
 });
 
-// Execute a trade (buy stock or option)
+// Execute a trade (buy stock, buy or write an option, open an option strategy,
+// sell short or buy to cover)
 app.post('/api/portfolio/trade', async (req, res) => {
   try {
-    const { action, symbol, quantity, price, optionDetails } = req.body;
+    const { action, symbol, quantity, price, optionDetails, strategyDetails } = req.body;
     
     let result;
     
     if (action === 'buy_stock') {
-      result = await portfolio.buyStock(symbol, quantity, price);
+      result = await portfolio.buyStock(symbol, quantity, price, { getCurrentPrice, getDayRange });
+    } else if (action === 'short_stock') {
+      result = await portfolio.shortStock(symbol, quantity, price, { getCurrentPrice, getDayRange });
+    } else if (action === 'cover_short') {
+      result = await portfolio.coverShort(symbol, quantity, price, { getDayRange });
     } else if (action === 'buy_option') {
       const { type, strike, expiration, premium } = optionDetails;
-      result = await portfolio.buyOption(symbol, type, strike, expiration, premium, quantity);
+      const underlyingPrice = await getCurrentPrice(symbol).catch(() => null);
+      result = await portfolio.buyOption(symbol, type, strike, expiration, premium, quantity, { underlyingPrice });
+    } else if (action === 'sell_option') {
+      const { type, strike, expiration, premium } = optionDetails;
+      const underlyingPrice = await getCurrentPrice(symbol).catch(() => null);
+      result = await portfolio.writeOption(symbol, type, strike, expiration, premium, quantity, {
+        underlyingPrice,
+        getCurrentPrice
+      });
+    } else if (action === 'open_strategy') {
+      // strategyDetails: { strategy, expiration, legs: [{ side, optionType, strike, premium }] }
+      const underlyingPrice = await getCurrentPrice(symbol).catch(() => null);
+      result = await portfolio.openStrategy(
+        { ...strategyDetails, symbol, contracts: quantity },
+        { underlyingPrice, getCurrentPrice, getDayRange }
+      );
     } else {
       throw new Error('Invalid action');
     }
@@ -522,16 +526,23 @@ app.post('/api/portfolio/trade', async (req, res) => {
 // Close a position
 app.post('/api/portfolio/close', async (req, res) => {
   try {
-    const { symbol, positionId, currentPrice, exitPremium } = req.body;
+    const { symbol, positionId, strategyId, currentPrice, exitPremium, quantity, lotMethod, lotId } = req.body;
     
     let result;
     
-    if (positionId && exitPremium !== undefined) {
+    if (strategyId) {
+      // Closing every leg of an option strategy at current marks
+      result = await portfolio.closeStrategy(strategyId, { getCurrentPrice, getVolatility });
+    } else if (positionId && exitPremium !== undefined) {
       // Closing an option
       result = await portfolio.closeOption(positionId, exitPremium);
     } else if (symbol && currentPrice) {
-      // Closing a stock position
-      result = await portfolio.sellStock(symbol, currentPrice);
+      // Closing all or part of a stock position (quantity defaults to every share held)
+      result = await portfolio.sellStock(symbol, quantity, currentPrice, {
+        method: lotMethod || (lotId ? 'specific' : 'fifo'),
+        lotId,
+        getDayRange
+      });
     } else {
       throw new Error('Invalid close parameters');
     }
@@ -543,7 +554,117 @@ app.post('/api/portfolio/close', async (req, res) => {
   }
 });
 
-// Reset portfolio
+// Exercise an in-the-money option now (settles into shares or cash per the account setting)
+app.post('/api/portfolio/options/:id/exercise', async (req, res) => {
+  try {
+    const result = await portfolio.exerciseOption(req.params.id, { getCurrentPrice });
+    res.json(result);
+  } catch (error) {
+    console.error('Error exercising option:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Create a pending order ticket from the UI (e.g. clicking a bid or ask in the option chain).
+// Takes the same action names and order fields as the chat trading tools.
+app.post('/api/portfolio/tickets', async (req, res) => {
+  try {
+    const { action, order } = req.body;
+    
+    if (!TRADE_TOOLS.includes(action)) {
+      throw new Error(`Unsupported order action: ${action}`);
+    }
+    
+    const ticket = await orderTickets.createTicket(action, order || {});
+    res.json({ success: true, ticket });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Confirm or cancel a pending order ticket
+app.post('/api/portfolio/tickets/:id', async (req, res) => {
+  try {
+    const { action } = req.body;
+    
+    if (action === 'confirm') {
+      const { ticket, tradeExecuted } = await orderTickets.confirmTicket(req.params.id);
+      res.json({ success: true, ticket, tradeExecuted });
+    } else if (action === 'cancel') {
+      const ticket = orderTickets.cancelTicket(req.params.id);
+      res.json({ success: true, ticket });
+    } else {
+      throw new Error('Invalid ticket action');
+    }
+  } catch (error) {
+    console.error('Error handling order ticket:', error);
+    res.status(error.status || 400).json({ success: false, error: error.message });
+  }
+});
+
+// ORDER ROUTES
+
+// List orders (?status=open|filled|cancelled|expired|rejected)
+app.get('/api/orders', async (req, res) => {
+  try {
+    const orders = await portfolio.getOrders(req.query.status);
+    res.json({ success: true, orders });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Place a limit, stop, stop-limit or trailing-stop order
+app.post('/api/orders', async (req, res) => {
+  try {
+    const result = await portfolio.placeOrder(req.body);
+    res.json(result);
+  } catch (error) {
+    console.error('Error placing order:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel an open order
+app.post('/api/orders/:id/cancel', async (req, res) => {
+  try {
+    const result = await portfolio.cancelOrder(req.params.id);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Get cash/margin account settings
+app.get('/api/portfolio/account', async (req, res) => {
+  try {
+    const account = await portfolio.getAccount();
+    res.json({
+      success: true,
+      accountType: account.accountType,
+      marginSettings: account.marginSettings,
+      optionSettlement: account.optionSettlement,
+      benchmark: account.benchmark,
+      feeSchedule: account.feeSchedule,
+      slippage: account.slippage
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Switch account type or change margin requirements / borrow rate / option settlement /
+// benchmark / fee schedule / slippage
+app.post('/api/portfolio/account', async (req, res) => {
+  try {
+    const result = await portfolio.updateAccountSettings(req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Reset the active portfolio to its starting capital
 app.post('/api/portfolio/reset', async (req, res) => {
   try {
     const newPortfolio = await portfolio.resetPortfolio();
@@ -553,11 +674,397 @@ app.post('/api/portfolio/reset', async (req, res) => {
   }
 });
 
+// Check every portfolio for splits and dividends now instead of waiting for the daily run
+app.post('/api/corporate-actions/run', async (req, res) => {
+  try {
+    const applied = await corporateActions.runCorporateActions();
+    res.json({ success: true, applied });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Equity snapshots over a range (?range=1w|1m|3m|6m|1y|ytd|all, defaults to all)
+app.get('/api/portfolio/history', async (req, res) => {
+  try {
+    const history = await portfolio.getEquityHistory(req.query.range || 'all', {
+      getDailyHistory: quoteCache.getDailyHistory
+    });
+    res.json({ success: true, history });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Trade statistics and risk-adjusted returns (?symbol=&assetType=stock|option|strategy&from=&to=)
+app.get('/api/portfolio/analytics', async (req, res) => {
+  try {
+    const { symbol, assetType, from, to } = req.query;
+    const analytics = await portfolio.getAnalytics({ symbol, assetType, from, to });
+    res.json({ success: true, analytics });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Returns since creation against the portfolio's benchmark, with alpha, beta and tracking error
+app.get('/api/portfolio/benchmark', async (req, res) => {
+  try {
+    const benchmark = await portfolio.getBenchmarkPerformance({
+      getCurrentPrice,
+      getVolatility,
+      getDailyHistory: quoteCache.getDailyHistory
+    });
+    res.json({ success: true, benchmark });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Realized gains for a tax year, short/long-term with wash sales (?year=, defaults to this year)
+app.get('/api/portfolio/tax-report', async (req, res) => {
+  try {
+    const report = await portfolio.getTaxReport(req.query.year);
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// The tax report as a Form 8949 style CSV download
+app.get('/api/portfolio/tax-report/form-8949.csv', async (req, res) => {
+  try {
+    const { year, csv } = await portfolio.getForm8949Csv(req.query.year);
+    res.attachment(`form-8949-${year}.csv`).type('text/csv').send(csv);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// EXPORT AND IMPORT ROUTES
+
+// Download open positions, closed trades or the ledger (?dataset=positions|trades|ledger&format=csv|json)
+app.get('/api/portfolio/export', async (req, res) => {
+  try {
+    const { filename, content } = await portfolio.exportData(req.query.dataset, req.query.format || 'csv');
+    res.attachment(filename).send(content);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Import formats the trade CSV import recognizes
+app.get('/api/portfolio/import/formats', (req, res) => {
+  const formats = Object.entries(portfolio.IMPORT_FORMATS).map(([id, format]) => ({ id, label: format.label }));
+  res.json({ success: true, formats });
+});
+
+// Import stock trades from CSV: { csv, format: 'auto'|'standard'|'schwab'|..., dryRun }.
+// Dry runs (the default) only preview the result.
+app.post('/api/portfolio/import', async (req, res) => {
+  try {
+    const { csv, format, dryRun } = req.body;
+    const result = await portfolio.importTrades(csv, {
+      format: format || 'auto',
+      dryRun: dryRun !== false,
+      getCurrentPrice,
+      getVolatility
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// LEDGER ROUTES
+
+// Deposit or withdraw cash: { type: 'deposit'|'withdrawal', amount }
+app.post('/api/portfolio/cash', async (req, res) => {
+  try {
+    const { type, amount } = req.body;
+    if (!['deposit', 'withdrawal'].includes(type)) {
+      throw new Error('Type must be deposit or withdrawal');
+    }
+    const result = type === 'deposit'
+      ? await portfolio.depositCash(amount)
+      : await portfolio.withdrawCash(amount);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Ledger events with the running cash balance (?until=timestamp to stop early)
+app.get('/api/portfolio/ledger', async (req, res) => {
+  try {
+    const events = await portfolio.getLedger({ until: req.query.until });
+    res.json({ success: true, events });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Portfolio state rebuilt from the ledger as of a timestamp (?asOf=, defaults to now)
+app.get('/api/portfolio/ledger/state', async (req, res) => {
+  try {
+    const state = await portfolio.getStateAsOf(req.query.asOf);
+    res.json({ success: true, state });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// NAMED PORTFOLIO ROUTES
+// The routes above always work on the active portfolio
+
+// List portfolios (including archived ones) and which one is active
+app.get('/api/portfolios', async (req, res) => {
+  try {
+    const portfolios = await portfolio.listPortfolios();
+    res.json({ success: true, portfolios, activePortfolioId: await portfolio.getActivePortfolioId() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a portfolio with its own starting capital
+app.post('/api/portfolios', async (req, res) => {
+  try {
+    const { name, startingCapital } = req.body;
+    const created = await portfolio.createPortfolio({ name, startingCapital });
+    res.json({ success: true, portfolio: created });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Returns of every portfolio side by side
+app.get('/api/portfolios/compare', async (req, res) => {
+  try {
+    const portfolios = await portfolio.comparePortfolios(getCurrentPrice, { getVolatility });
+    res.json({ success: true, portfolios });
+  } catch (error) {
+    console.error('Error comparing portfolios:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Make a portfolio the one every portfolio route and chat trade uses
+app.post('/api/portfolios/:id/activate', async (req, res) => {
+  try {
+    const active = await portfolio.setActivePortfolio(req.params.id);
+    res.json({ success: true, portfolio: active });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/portfolios/:id/rename', async (req, res) => {
+  try {
+    const renamed = await portfolio.renamePortfolio(req.params.id, req.body.name);
+    res.json({ success: true, portfolio: renamed });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Copy a portfolio's positions and history into a new portfolio
+app.post('/api/portfolios/:id/clone', async (req, res) => {
+  try {
+    const clone = await portfolio.clonePortfolio(req.params.id, { name: req.body.name });
+    res.json({ success: true, portfolio: clone });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Archive ({ archived: true }) or restore ({ archived: false }) a portfolio
+app.post('/api/portfolios/:id/archive', async (req, res) => {
+  try {
+    const archived = await portfolio.archivePortfolio(req.params.id, req.body.archived !== false);
+    res.json({ success: true, portfolio: archived });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/portfolios/:id', async (req, res) => {
+  try {
+    const deleted = await portfolio.deletePortfolio(req.params.id);
+    res.json({ success: true, portfolio: deleted });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// WATCHLIST ROUTES
+// Shared by every portfolio
+
+app.get('/api/watchlists', async (req, res) => {
+  try {
+    res.json({ success: true, watchlists: await watchlists.listWatchlists() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a watchlist ({ name, symbols })
+app.post('/api/watchlists', async (req, res) => {
+  try {
+    const { name, symbols } = req.body;
+    const watchlist = await watchlists.createWatchlist({ name, symbols: Array.isArray(symbols) ? symbols : [] });
+    res.json({ success: true, watchlist });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/watchlists/:id/rename', async (req, res) => {
+  try {
+    const watchlist = await watchlists.renameWatchlist(req.params.id, req.body.name);
+    res.json({ success: true, watchlist });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/watchlists/:id', async (req, res) => {
+  try {
+    const watchlist = await watchlists.deleteWatchlist(req.params.id);
+    res.json({ success: true, watchlist });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/watchlists/:id/symbols', async (req, res) => {
+  try {
+    const watchlist = await watchlists.addSymbol(req.params.id, req.body.symbol);
+    res.json({ success: true, watchlist });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/watchlists/:id/symbols/:symbol', async (req, res) => {
+  try {
+    const watchlist = await watchlists.removeSymbol(req.params.id, req.params.symbol);
+    res.json({ success: true, watchlist });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Price and daily change of every symbol on a watchlist
+app.get('/api/watchlists/:id/quotes', async (req, res) => {
+  try {
+    const watchlist = (await watchlists.listWatchlists()).find(w => w.id === req.params.id);
+    if (!watchlist) {
+      return res.status(400).json({ success: false, error: `Watchlist not found: ${req.params.id}` });
+    }
+    res.json({ success: true, quotes: await getWatchlistQuotes(watchlist.symbols) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ALERT ROUTES
+
+// Every alert, newest first (?status=active|triggered), and how many triggered ones are unread
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const list = await alerts.listAlerts({ status: req.query.status || null });
+    const unread = (await alerts.listAlerts({ status: 'triggered' })).filter(a => !a.readAt).length;
+    res.json({ success: true, alerts: list, unread });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create an alert ({ type, symbol, threshold, portfolioId, note } - see alerts.js)
+app.post('/api/alerts', async (req, res) => {
+  try {
+    const alert = await alerts.createAlert(req.body);
+    res.json({ success: true, alert });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Triggered alerts as they fire, as Server-Sent Events ("alert" events with the alert as data)
+const alertStreams = new Set(); // send functions of the open streams
+
+alerts.onAlertTriggered(alert => {
+  for (const send of alertStreams) {
+    send('alert', alert);
+  }
+});
+
+app.get('/api/alerts/stream', (req, res) => {
+  const send = openEventStream(req, res, () => alertStreams.delete(send));
+  alertStreams.add(send);
+});
+
+app.post('/api/alerts/read', async (req, res) => {
+  try {
+    await alerts.markAllRead();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/alerts/:id/read', async (req, res) => {
+  try {
+    const alert = await alerts.markRead(req.params.id);
+    res.json({ success: true, alert });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/alerts/:id', async (req, res) => {
+  try {
+    const alert = await alerts.deleteAlert(req.params.id);
+    res.json({ success: true, alert });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📊 Ready to research stocks with REAL-TIME data!`);
-  console.log(`💡 Using Finnhub API for live market prices`);
+  console.log(`💡 Market data providers: ${marketData.getProviderNames().join(' → ')}`);
   console.log(`💬 Conversation history enabled!`);
   console.log(`🔍 Market screening enabled!`);
+  
+  console.log(quoteStream.isEnabled()
+    ? `📡 Live trades streamed to the browser from one upstream connection`
+    : `📡 No trade stream configured (QUOTE_STREAM_URL or FINNHUB_API_KEY) - live quotes poll the cache`);
+  
+  orderEngine.start();
+  console.log(`📋 Order engine polling open orders`);
+  
+  optionExpiration.start();
+  console.log(`⏰ Option expiration job scheduled after each market close`);
+  
+  alertEngine.start();
+  console.log(`🔔 Alert engine checking price and portfolio alerts`);
+  
+  corporateActions.start();
+  console.log(`🏦 Splits and dividends applied after each market close`);
+  
+  equitySnapshots.start();
+  console.log(`📈 Equity snapshots scheduled after each market close and trade`);
+  
+  // Exports and reports read the account tables; make sure they still match what the ledger replays to
+  portfolio.verifyLedgers()
+    .then(drifted => {
+      for (const { name, differences } of drifted) {
+        console.warn(`⚠️  Portfolio "${name}" differs from its ledger: ${differences.join(', ')}`);
+      }
+    })
+    .catch(error => console.error('Ledger check error:', error.message));
 });
\ No newline at end of file
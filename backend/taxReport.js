@@ -0,0 +1,288 @@
+// Realized Gains Tax Report
+// Breaks closed trades into Form 8949 style rows (one per lot sold), classifies each as
+// short-term or long-term by holding period, and applies the wash sale rule: a loss on a
+// sale is disallowed when the same security was bought within 30 days before or after it,
+// and the disallowed amount is added to the basis of those replacement shares instead.
+// Pure functions - portfolioManager supplies the trades and open lots.
+const { newYorkDate } = require('./marketHours');
+const { csvCell } = require('./tradeFiles');
+
+const WASH_SALE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+// YYYY-MM-DD arithmetic in whole calendar days
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Held for more than one year. Short sales and written options are always short-term.
+function holdingTerm(acquired, sold, side) {
+  if (side === 'short') return 'short';
+  const anniversary = `${parseInt(acquired.slice(0, 4)) + 1}${acquired.slice(4)}`;
+  return sold > anniversary ? 'long' : 'short';
+}
+
+// What counts as the same security for wash sales: the stock, or the exact option contract
+function securityKey(position) {
+  return position.type === 'option'
+    ? `${position.symbol} ${position.expiration} ${position.strike} ${position.optionType}`
+    : position.symbol;
+}
+
+function describeSecurity(position, quantity) {
+  return position.type === 'option'
+    ? `${quantity} ${position.symbol} ${position.expiration} $${position.strike} ${position.optionType}${quantity === 1 ? '' : 's'}`
+    : `${quantity} sh ${position.symbol}`;
+}
+
+// One sale per lot a closed trade consumed. Proceeds and cost are what was received and
+// paid, net of fees - for shorts the proceeds come first. Each lot takes its share of the
+// closing fees. Trades from before lots were tracked count as a single lot.
+function toSales(trade) {
+  const sold = newYorkDate(new Date(trade.exitDate));
+  const short = trade.side === 'short';
+
+  if (trade.type === 'option') {
+    return [{
+      lotId: trade.id,
+      quantity: trade.contracts,
+      proceeds: short ? trade.costBasis : trade.proceeds,
+      costBasis: short ? trade.proceeds : trade.costBasis,
+      acquired: newYorkDate(new Date(trade.entryDate)),
+      sold
+    }];
+  }
+
+  const lots = trade.lots || [{ lotId: trade.id, shares: trade.shares, entryDate: trade.entryDate, costBasis: trade.costBasis }];
+  return lots.map(lot => {
+    const marketValue = lot.shares * trade.exitPrice;
+    const exitFees = (trade.exitFees || 0) * (lot.shares / trade.shares);
+    return {
+      lotId: lot.lotId,
+      quantity: lot.shares,
+      proceeds: short ? lot.costBasis : marketValue - exitFees,
+      costBasis: short ? marketValue + exitFees + (lot.borrowCost || 0) : lot.costBasis,
+      acquired: newYorkDate(new Date(lot.entryDate)),
+      sold
+    };
+  });
+}
+
+// Every purchase (long lot or long option) that was ever made, whether sold since or still
+// open, keyed by lot id: { lotId, key, symbol, acquired, quantity }
+function collectPurchases(closedTrades, openPositions) {
+  const purchases = new Map();
+  const add = (lotId, position, entryDate, quantity) => {
+    const purchase = purchases.get(lotId) || {
+      lotId,
+      key: securityKey(position),
+      symbol: position.symbol,
+      acquired: newYorkDate(new Date(entryDate)),
+      quantity: 0
+    };
+    purchase.quantity += quantity;
+    purchases.set(lotId, purchase);
+  };
+
+  for (const trade of closedTrades) {
+    if (trade.side === 'short') continue;
+    for (const sale of toSales(trade)) {
+      add(sale.lotId, trade, (trade.lots || []).find(lot => lot.lotId === sale.lotId)?.entryDate || trade.entryDate, sale.quantity);
+    }
+  }
+  for (const position of openPositions) {
+    if (position.side === 'short') continue;
+    add(position.id, position, position.entryDate, position.type === 'option' ? position.contracts : position.shares);
+  }
+
+  return purchases;
+}
+
+// All realized sales with wash sale adjustments applied, oldest first, plus the basis
+// adjustments still sitting in open lots. Sales are worked through in date order so a
+// replacement lot's added basis is in place before it is sold (and can wash again).
+function computeSales(closedTrades, openPositions = []) {
+  const purchases = collectPurchases(closedTrades, openPositions);
+  for (const purchase of purchases.values()) {
+    purchase.held = purchase.quantity; // Not yet sold
+    purchase.replacing = 0;            // Already used as a replacement for an earlier loss
+    purchase.adjustment = 0;           // Disallowed loss added to the unsold quantity's basis
+  }
+
+  const sales = closedTrades
+    .flatMap(trade => toSales(trade).map(sale => ({ ...sale, trade })))
+    .sort((a, b) => a.sold.localeCompare(b.sold) || a.trade.exitDate.localeCompare(b.trade.exitDate));
+
+  const rows = [];
+  const washSales = [];
+
+  for (const sale of sales) {
+    const { trade } = sale;
+    const side = trade.side === 'short' ? 'short' : 'long';
+    const purchase = side === 'long' ? purchases.get(sale.lotId) : null;
+
+    // Carry in any disallowed loss the sold quantity picked up as a replacement
+    let basisAdjustment = 0;
+    if (purchase && purchase.held > 0) {
+      basisAdjustment = purchase.adjustment * Math.min(1, sale.quantity / purchase.held);
+      purchase.adjustment -= basisAdjustment;
+      purchase.held -= sale.quantity;
+    }
+
+    const costBasis = sale.costBasis + basisAdjustment;
+    const loss = sale.proceeds - costBasis;
+    const row = {
+      tradeId: trade.id,
+      lotId: sale.lotId,
+      symbol: trade.symbol,
+      assetType: trade.type,
+      description: describeSecurity(trade, sale.quantity),
+      quantity: sale.quantity,
+      dateAcquired: sale.acquired,
+      dateSold: sale.sold,
+      term: holdingTerm(sale.acquired, sale.sold, side),
+      proceeds: round(sale.proceeds),
+      costBasis: round(costBasis),
+      basisAdjustment: round(basisAdjustment),
+      adjustmentCode: '',
+      adjustment: 0,
+      gain: round(sale.proceeds - costBasis)
+    };
+
+    // Wash sale: long positions only, replaced within 30 days either side of a losing sale
+    if (side === 'long' && loss < 0) {
+      const key = securityKey(trade);
+      const from = addDays(sale.sold, -WASH_SALE_DAYS);
+      const to = addDays(sale.sold, WASH_SALE_DAYS);
+      const candidates = [...purchases.values()]
+        .filter(p => p.key === key && p.lotId !== sale.lotId && p.acquired >= from && p.acquired <= to)
+        .sort((a, b) => a.acquired.localeCompare(b.acquired));
+
+      let remaining = sale.quantity;
+      const replacements = [];
+      for (const candidate of candidates) {
+        if (remaining <= 0) break;
+        // Bought before the sale: only what was still held counts
+        const available = Math.min(candidate.quantity - candidate.replacing, candidate.acquired <= sale.sold ? candidate.held : candidate.quantity);
+        const quantity = Math.min(remaining, available);
+        if (quantity <= 0) continue;
+
+        const disallowed = -loss * (quantity / sale.quantity);
+        candidate.replacing += quantity;
+        candidate.adjustment += disallowed;
+        remaining -= quantity;
+        replacements.push({ lotId: candidate.lotId, dateAcquired: candidate.acquired, quantity, basisAdded: round(disallowed) });
+      }
+
+      if (replacements.length > 0) {
+        const disallowed = replacements.reduce((sum, r) => sum + r.basisAdded, 0);
+        row.adjustmentCode = 'W';
+        row.adjustment = round(disallowed);
+        row.gain = round(row.gain + disallowed);
+        washSales.push({
+          tradeId: trade.id,
+          symbol: trade.symbol,
+          description: row.description,
+          dateSold: row.dateSold,
+          loss: round(loss),
+          disallowed: round(disallowed),
+          replacements
+        });
+      }
+    }
+
+    rows.push(row);
+  }
+
+  const openAdjustments = openPositions
+    .filter(position => purchases.get(position.id)?.adjustment >= 0.005)
+    .map(position => ({
+      lotId: position.id,
+      symbol: position.symbol,
+      description: describeSecurity(position, position.type === 'option' ? position.contracts : position.shares),
+      costBasis: round(position.costBasis),
+      basisAdjustment: round(purchases.get(position.id).adjustment),
+      adjustedBasis: round(position.costBasis + purchases.get(position.id).adjustment)
+    }));
+
+  return { rows, washSales, openAdjustments };
+}
+
+function summarize(rows) {
+  const total = field => round(rows.reduce((sum, row) => sum + row[field], 0));
+  return {
+    count: rows.length,
+    proceeds: total('proceeds'),
+    costBasis: total('costBasis'),
+    adjustment: total('adjustment'),
+    gain: total('gain')
+  };
+}
+
+// The report for one tax year (by date sold). Wash sales are worked out across every year,
+// since a December loss can be washed by a January purchase.
+function buildTaxReport(closedTrades, openPositions, year) {
+  const { rows, washSales, openAdjustments } = computeSales(closedTrades, openPositions);
+  const inYear = row => row.dateSold.startsWith(`${year}-`);
+  const yearRows = rows.filter(inYear);
+  const shortTerm = yearRows.filter(row => row.term === 'short');
+  const longTerm = yearRows.filter(row => row.term === 'long');
+
+  return {
+    year,
+    years: [...new Set(rows.map(row => parseInt(row.dateSold.slice(0, 4))))].sort((a, b) => b - a),
+    shortTerm: { ...summarize(shortTerm), rows: shortTerm },
+    longTerm: { ...summarize(longTerm), rows: longTerm },
+    total: summarize(yearRows),
+    washSales: washSales.filter(inYear),
+    openAdjustments
+  };
+}
+
+// CSV laid out like Form 8949: Part I (short-term) then Part II (long-term), columns (a)-(h)
+const CSV_COLUMNS = [
+  '(a) Description of property',
+  '(b) Date acquired',
+  '(c) Date sold or disposed of',
+  '(d) Proceeds',
+  '(e) Cost or other basis',
+  '(f) Code(s) from instructions',
+  '(g) Amount of adjustment',
+  '(h) Gain or (loss)'
+];
+
+const csvDate = date => `${date.slice(5, 7)}/${date.slice(8, 10)}/${date.slice(0, 4)}`; // MM/DD/YYYY
+const csvAmount = value => value.toFixed(2);
+
+function toForm8949Csv(report) {
+  const lines = [];
+  const part = (title, section) => {
+    lines.push(csvCell(title), CSV_COLUMNS.map(csvCell).join(','));
+    for (const row of section.rows) {
+      lines.push([
+        row.description,
+        csvDate(row.dateAcquired),
+        csvDate(row.dateSold),
+        csvAmount(row.proceeds),
+        csvAmount(row.costBasis),
+        row.adjustmentCode,
+        row.adjustment ? csvAmount(row.adjustment) : '',
+        csvAmount(row.gain)
+      ].map(csvCell).join(','));
+    }
+    lines.push(['Totals', '', '', csvAmount(section.proceeds), csvAmount(section.costBasis), '', csvAmount(section.adjustment), csvAmount(section.gain)].map(csvCell).join(','));
+    lines.push('');
+  };
+
+  lines.push(csvCell(`Form 8949 - Sales and Other Dispositions of Capital Assets - Tax year ${report.year}`), '');
+  part('Part I - Short-Term (held one year or less)', report.shortTerm);
+  part('Part II - Long-Term (held more than one year)', report.longTerm);
+  return lines.join('\n');
+}
+
+module.exports = {
+  WASH_SALE_DAYS,
+  computeSales,
+  buildTaxReport,
+  toForm8949Csv
+};
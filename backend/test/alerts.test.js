@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+process.env.PORTFOLIO_DB = path.join(dir, 'portfolio.db');
+const alerts = require('../alerts');
+const portfolio = require('../portfolioManager');
+const store = require('../portfolioStore');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('alerts are validated when created', async () => {
+  await assert.rejects(alerts.createAlert({ type: 'price_sideways', symbol: 'AAPL', threshold: 1 }), /Unknown alert type/);
+  await assert.rejects(alerts.createAlert({ type: 'price_above', symbol: 'AAPL', threshold: 0 }), /non-zero number/);
+  await assert.rejects(alerts.createAlert({ type: 'price_below', symbol: 'AAPL', threshold: -5 }), /greater than zero/);
+  await assert.rejects(alerts.createAlert({ type: 'portfolio_drawdown', threshold: 100 }), /less than 100%/);
+  await assert.rejects(alerts.createAlert({ type: 'price_above', symbol: '$$$', threshold: 5 }), /Invalid symbol/);
+  await assert.rejects(alerts.createAlert({ type: 'portfolio_drawdown', threshold: 10, portfolioId: 'nope' }), /Portfolio not found: nope/);
+});
+
+test('thresholds trigger in the direction of the alert', () => {
+  assert.equal(alerts.isTriggered({ type: 'price_above', threshold: 200 }, 200), true);
+  assert.equal(alerts.isTriggered({ type: 'price_below', threshold: 200 }, 200.5), false);
+  assert.equal(alerts.isTriggered({ type: 'percent_change', threshold: -3 }, -3.2), true);
+  assert.equal(alerts.isTriggered({ type: 'percent_change', threshold: -3 }, 2), false);
+  assert.equal(alerts.isTriggered({ type: 'position_pl', threshold: 10 }, 9.9), false);
+  assert.equal(alerts.isTriggered({ type: 'portfolio_drawdown', threshold: 10 }, 12), true);
+});
+
+test('a triggered alert is stored once, reaches the listeners and can be marked read', async () => {
+  const heard = [];
+  alerts.onAlertTriggered(alert => heard.push(alert.id));
+
+  const alert = await alerts.createAlert({ type: 'price_above', symbol: ' nvda ', threshold: 150 });
+  assert.equal(alert.description, 'NVDA above $150.00');
+
+  const fired = await alerts.triggerAlert(alert.id, 151.5);
+  assert.equal(fired.status, 'triggered');
+  assert.equal(fired.message, 'NVDA above $150.00 (now $151.50)');
+  assert.deepEqual(heard, [alert.id]);
+  assert.deepEqual((await alerts.listAlerts({ status: 'active' })).map(a => a.id), []);
+
+  await assert.rejects(alerts.markRead((await alerts.createAlert({ type: 'price_below', symbol: 'NVDA', threshold: 100 })).id), /Only triggered alerts/);
+  assert.ok((await alerts.markRead(alert.id)).readAt);
+});
+
+test('portfolio alerts store the portfolio id and show its current name', async () => {
+  const { id } = await portfolio.createPortfolio({ name: 'Swing', startingCapital: 10000 });
+  const alert = await alerts.createAlert({ type: 'portfolio_drawdown', threshold: 10, portfolioId: id });
+  assert.equal(alert.description, 'Swing down 10% from its peak');
+
+  const stored = store.getAlert(alert.id);
+  assert.equal(stored.portfolioId, id);
+  assert.equal(stored.portfolioName, undefined);
+  assert.equal(stored.description, undefined);
+
+  await portfolio.renamePortfolio(id, 'Momentum');
+  const shown = (await alerts.listAlerts()).find(a => a.id === alert.id);
+  assert.equal(shown.description, 'Momentum down 10% from its peak');
+
+  const fired = await alerts.triggerAlert(alert.id, 12.5);
+  assert.equal(fired.message, 'Momentum down 10% from its peak (now 12.5% below the peak)');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corporate-actions-'));
+process.env.PORTFOLIO_DB = path.join(dir, 'portfolio.db');
+const portfolio = require('../portfolioManager');
+const store = require('../portfolioStore');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const state = () => store.loadPortfolioState(store.getActiveAccountId());
+const lotsOf = symbol => state().openPositions.filter(p => p.type === 'stock' && p.symbol === symbol);
+
+test('a split adjusts lots held before it and is applied once', async () => {
+  await portfolio.buyStock('AAPL', 10, 200);
+  const actions = { splits: [{ date: '2030-01-05', fromFactor: 1, toFactor: 2 }] };
+
+  const [record] = await portfolio.applyCorporateActions('AAPL', actions, { today: '2030-01-06' });
+  assert.equal(record.type, 'split');
+  assert.deepEqual(lotsOf('AAPL').map(lot => [lot.shares, lot.entryPrice]), [[20, 100]]);
+
+  assert.deepEqual(await portfolio.applyCorporateActions('AAPL', actions, { today: '2030-01-07' }), []);
+  assert.deepEqual(lotsOf('AAPL').map(lot => lot.shares), [20]);
+});
+
+test('a dividend is recorded at the ex-date and paid on the pay date', async () => {
+  const actions = { dividends: [{ exDate: '2030-02-03', payDate: '2030-02-14', amount: 0.25 }] };
+  const before = state().balance;
+
+  const [pending] = await portfolio.applyCorporateActions('AAPL', actions, { today: '2030-02-03' });
+  assert.equal(pending.status, 'pending');
+  assert.equal(pending.longShares, 20);
+  assert.equal(pending.amount, 5);
+
+  const [paid] = await portfolio.applyCorporateActions('AAPL', actions, { today: '2030-02-14' });
+  assert.equal(paid.status, 'paid');
+  assert.equal(state().balance, before + 5);
+});
+
+test('a dividend found after a later split pays on the shares held on its ex-date', async t => {
+  const at = date => t.mock.timers.setTime(new Date(`${date}T15:00:00Z`).getTime());
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2030-01-02T15:00:00Z') });
+
+  await portfolio.buyStock('MSFT', 10, 400);
+  at('2030-01-10');
+  await portfolio.sellStock('MSFT', 4, 410);
+  at('2030-02-02');
+  await portfolio.applyCorporateActions('MSFT', { splits: [{ date: '2030-02-01', fromFactor: 1, toFactor: 2 }] }, { today: '2030-02-02' });
+  assert.deepEqual(lotsOf('MSFT').map(lot => lot.shares), [12]);
+
+  // The provider only reports the January dividend after the split went through
+  at('2030-02-03');
+  const [dividend] = await portfolio.applyCorporateActions('MSFT', {
+    splits: [{ date: '2030-02-01', fromFactor: 1, toFactor: 2 }],
+    dividends: [{ exDate: '2030-01-05', payDate: '2030-02-10', amount: 0.5 }]
+  }, { today: '2030-02-03' });
+  assert.equal(dividend.longShares, 10); // 6 still held (12 after the split) and 4 sold before it
+  assert.equal(dividend.amount, 5);
+});
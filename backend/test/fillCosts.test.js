@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceFill, updateFeeSchedule, updateSlippage } = require('../fillCosts');
+
+test('without a fee schedule or slippage model a fill is free at the quote', () => {
+  assert.deepEqual(priceFill({ kind: 'stock', side: 'buy', quantity: 10, price: 100 }), {
+    price: 100,
+    slippage: 0,
+    commission: 0,
+    regulatoryFees: 0,
+    fees: 0
+  });
+});
+
+test('commissions add per-unit, per-order and percentage charges with a minimum', () => {
+  const schedule = { perShare: 0.005, perContract: 0.65, perOrder: 1, minimum: 1.5 };
+
+  assert.equal(priceFill({ kind: 'stock', side: 'buy', quantity: 10, price: 50 }, schedule).commission, 1.5);
+  assert.equal(priceFill({ kind: 'stock', side: 'buy', quantity: 400, price: 50 }, schedule).commission, 3);
+  assert.equal(priceFill({ kind: 'stock', side: 'buy', quantity: 100, price: 50 }, { ...schedule, percent: 0.1 }).commission, 6.5);
+  assert.equal(priceFill({ kind: 'option', side: 'buy', quantity: 3, price: 2 }, schedule).commission, 2.95);
+});
+
+test('regulatory fees apply to sales only, with the FINRA fee capped per trade', () => {
+  const schedule = { regulatoryFees: true };
+
+  assert.equal(priceFill({ kind: 'stock', side: 'buy', quantity: 100, price: 50 }, schedule).regulatoryFees, 0);
+
+  const sale = priceFill({ kind: 'stock', side: 'sell', quantity: 100, price: 50 }, schedule);
+  assert.equal(sale.regulatoryFees, 0.16); // SEC 0.14 + TAF 0.02
+  assert.equal(sale.fees, 0.16);
+
+  assert.equal(priceFill({ kind: 'stock', side: 'sell', quantity: 100000, price: 1 }, schedule).regulatoryFees, 11.08); // SEC 2.78 + TAF 8.30
+});
+
+test('fixed slippage fills basis points worse than the quote on either side', () => {
+  const slippage = { model: 'fixed', bps: 10 };
+
+  const buy = priceFill({ kind: 'stock', side: 'buy', quantity: 10, price: 100 }, {}, slippage);
+  assert.equal(buy.price, 100.1);
+  assert.equal(buy.slippage, 1);
+
+  assert.equal(priceFill({ kind: 'stock', side: 'sell', quantity: 10, price: 100 }, {}, slippage).price, 99.9);
+});
+
+test('range slippage uses the day range for stocks and falls back to bps without one', () => {
+  const slippage = { model: 'range', rangeFraction: 0.25, bps: 50 };
+  const dayRange = { high: 104, low: 100 };
+
+  assert.equal(priceFill({ kind: 'stock', side: 'buy', quantity: 1, price: 102, dayRange }, {}, slippage).price, 103);
+  assert.equal(priceFill({ kind: 'stock', side: 'buy', quantity: 1, price: 100 }, {}, slippage).price, 100.5);
+
+  const option = priceFill({ kind: 'option', side: 'buy', quantity: 1, price: 2, dayRange }, {}, slippage);
+  assert.equal(option.price, 2.01);
+  assert.equal(option.slippage, 1);
+});
+
+test('slippage never pushes a limit order past its limit', () => {
+  const slippage = { model: 'fixed', bps: 10 };
+
+  assert.equal(priceFill({ kind: 'stock', side: 'buy', quantity: 1, price: 100, limitPrice: 100.05 }, {}, slippage).price, 100.05);
+  assert.equal(priceFill({ kind: 'stock', side: 'sell', quantity: 1, price: 100, limitPrice: 99.95 }, {}, slippage).price, 99.95);
+});
+
+test('fee schedule and slippage changes are validated', () => {
+  assert.deepEqual(updateFeeSchedule({ perOrder: 1 }, { perShare: '0.01', regulatoryFees: 1 }), {
+    perShare: 0.01,
+    perContract: 0,
+    perOrder: 1,
+    percent: 0,
+    minimum: 0,
+    regulatoryFees: true
+  });
+  assert.throws(() => updateFeeSchedule({}, { perOrder: -1 }), /perOrder must be zero or more/);
+  assert.throws(() => updateFeeSchedule({}, { rebate: 1 }), /Unknown fee setting: rebate/);
+  assert.throws(() => updateFeeSchedule({}, { percent: 11 }), /cannot be more than 10%/);
+
+  assert.deepEqual(updateSlippage({}, { model: 'fixed', bps: 5 }), { model: 'fixed', bps: 5, rangeFraction: 0 });
+  assert.throws(() => updateSlippage({}, { model: 'random' }), /Slippage model must be one of/);
+  assert.throws(() => updateSlippage({}, { bps: 2000 }), /between 0 and 1000 bps/);
+  assert.throws(() => updateSlippage({}, { rangeFraction: 1.5 }), /between 0 and 1/);
+});
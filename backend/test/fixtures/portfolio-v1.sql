@@ -0,0 +1,117 @@
+-- A portfolio database as the first schema version (user_version 1) left it, from before the
+-- ledger and every later migration. Used to check that old databases still upgrade.
+CREATE TABLE accounts (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  starting_capital REAL NOT NULL,
+  balance REAL NOT NULL,
+  total_pl REAL NOT NULL DEFAULT 0,
+  account_type TEXT NOT NULL DEFAULT 'cash',
+  margin_settings TEXT NOT NULL,
+  option_settlement TEXT NOT NULL DEFAULT 'physical',
+  margin_call_since TEXT,
+  archived INTEGER NOT NULL DEFAULT 0,
+  archived_at TEXT,
+  cloned_from TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE settings (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+
+CREATE TABLE lots (
+  account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  side TEXT NOT NULL DEFAULT 'long',
+  shares REAL NOT NULL,
+  entry_price REAL NOT NULL,
+  cost_basis REAL NOT NULL,
+  entry_date TEXT NOT NULL,
+  strategy_id TEXT,
+  details TEXT NOT NULL DEFAULT '{}',
+  PRIMARY KEY (account_id, id)
+);
+
+CREATE TABLE positions (
+  account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  side TEXT NOT NULL DEFAULT 'long',
+  option_type TEXT NOT NULL,
+  strike REAL NOT NULL,
+  expiration TEXT NOT NULL,
+  contracts REAL NOT NULL,
+  entry_premium REAL NOT NULL,
+  cost_basis REAL NOT NULL,
+  entry_date TEXT NOT NULL,
+  strategy_id TEXT,
+  details TEXT NOT NULL DEFAULT '{}',
+  PRIMARY KEY (account_id, id)
+);
+
+CREATE TABLE trades (
+  account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  side TEXT,
+  entry_date TEXT,
+  exit_date TEXT NOT NULL,
+  cost_basis REAL,
+  profit_loss REAL NOT NULL,
+  close_reason TEXT,
+  strategy_id TEXT,
+  details TEXT NOT NULL DEFAULT '{}',
+  PRIMARY KEY (account_id, id)
+);
+
+CREATE TABLE orders (
+  account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  side TEXT NOT NULL,
+  order_type TEXT NOT NULL,
+  quantity REAL NOT NULL,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  details TEXT NOT NULL DEFAULT '{}',
+  PRIMARY KEY (account_id, id)
+);
+
+CREATE TABLE strategies (
+  account_id TEXT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  strategy TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  expiration TEXT NOT NULL,
+  contracts REAL NOT NULL,
+  status TEXT NOT NULL,
+  opened_at TEXT NOT NULL,
+  details TEXT NOT NULL DEFAULT '{}',
+  PRIMARY KEY (account_id, id)
+);
+
+CREATE INDEX trades_by_exit ON trades (account_id, exit_date);
+CREATE INDEX orders_by_status ON orders (account_id, status);
+
+INSERT INTO settings (key, value) VALUES ('active_account_id', 'acct-1');
+
+INSERT INTO accounts (id, name, starting_capital, balance, total_pl, account_type, margin_settings, option_settlement, created_at)
+VALUES ('acct-1', 'Legacy', 100000, 87650, 150, 'margin', '{"initialMargin":0.5,"maintenanceMargin":0.25,"borrowRate":0.05}', 'physical', '2025-06-02T14:00:00.000Z');
+
+INSERT INTO lots (account_id, id, symbol, side, shares, entry_price, cost_basis, entry_date, details)
+VALUES ('acct-1', 'lot-1', 'AAPL', 'long', 50, 200, 10000, '2025-06-03T15:00:00.000Z', '{"fees":0}');
+
+INSERT INTO positions (account_id, id, symbol, side, option_type, strike, expiration, contracts, entry_premium, cost_basis, entry_date)
+VALUES ('acct-1', 'opt-1', 'MSFT', 'long', 'call', 500, '2025-12-19', 2, 12.5, 2500, '2025-06-04T15:00:00.000Z');
+
+INSERT INTO trades (account_id, id, type, symbol, side, entry_date, exit_date, cost_basis, profit_loss, details)
+VALUES ('acct-1', 'trade-1', 'stock', 'NVDA', 'long', '2025-06-03T15:00:00.000Z', '2025-06-10T15:00:00.000Z', 1000, 150, '{"shares":10,"entryPrice":100,"exitPrice":115,"proceeds":1150}');
+
+INSERT INTO orders (account_id, id, symbol, side, order_type, quantity, status, created_at, details)
+VALUES ('acct-1', 'order-1', 'AAPL', 'sell', 'limit', 10, 'open', '2025-06-05T15:00:00.000Z', '{"limitPrice":250,"timeInForce":"gtc"}');
+
+PRAGMA user_version = 1;
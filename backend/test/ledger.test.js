@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ledger = require('../ledger');
+
+const state = (balance, fields = {}) => ({ ...ledger.emptyState(), balance, ...fields });
+
+test('entries carry the running balance and only the last one carries the changes', () => {
+  const before = state(1000);
+  const after = state(890, { openPositions: [{ id: 'lot-1', type: 'stock', symbol: 'AAPL', shares: 1 }] });
+
+  const entries = ledger.buildEntries(before, after, [
+    { type: 'fill', amount: -100, symbol: 'AAPL' },
+    { type: 'fee', amount: -10, symbol: 'AAPL' }
+  ], '2026-01-02T15:00:00.000Z');
+
+  assert.deepEqual(entries.map(entry => [entry.type, entry.balance, entry.changes === null]), [['fill', 900, true], ['fee', 890, false]]);
+  assert.deepEqual(ledger.replay(entries), after);
+});
+
+test('a change with no event is booked as an account event', () => {
+  const [entry] = ledger.buildEntries(state(1000), state(1000, { benchmark: 'QQQ' }));
+
+  assert.equal(entry.type, 'account');
+  assert.deepEqual(entry.changes, { account: { benchmark: 'QQQ' } });
+  assert.deepEqual(ledger.buildEntries(state(1000), state(1000)), []);
+});
+
+test('cash that moved without an event fails the save', () => {
+  assert.throws(
+    () => ledger.buildEntries(state(1000), state(950), [{ type: 'fee', amount: -20 }]),
+    /Cash moved by -\$30.00 with no ledger event to account for it/
+  );
+});
+
+test('replayed and saved states are compared record by record', () => {
+  const saved = state(500, { orders: [{ id: 'o-1', status: 'open' }, { id: 'o-2', status: 'filled' }] });
+  const replayed = state(500, { orders: [{ id: 'o-1', status: 'open', note: null }] });
+
+  assert.deepEqual(ledger.compareStates(replayed, saved), ['orders o-2']);
+  assert.deepEqual(ledger.compareStates(saved, saved), []);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  blackScholes,
+  binomialPrice,
+  priceOption,
+  impliedVolatility,
+  historicalVolatility,
+  yearsToExpiry
+} = require('../optionPricing');
+
+const close = (actual, expected, tolerance = 1e-3) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+const atTheMoney = { spot: 100, strike: 100, timeToExpiry: 1, rate: 0.05, volatility: 0.2 };
+
+test('Black-Scholes matches the textbook at-the-money values', () => {
+  const call = blackScholes({ ...atTheMoney, type: 'call' });
+  const put = blackScholes({ ...atTheMoney, type: 'put' });
+
+  close(call.price, 10.4506);
+  close(put.price, 5.5735);
+  close(call.delta, 0.6368);
+  close(put.delta, -0.3632);
+  close(call.gamma, 0.018762);
+  close(call.vega, 0.37524);
+  close(call.theta, -6.414 / 365, 1e-4);
+});
+
+test('Black-Scholes prices satisfy put-call parity', () => {
+  const inputs = { spot: 95, strike: 105, timeToExpiry: 0.4, rate: 0.03, volatility: 0.35 };
+  const call = blackScholes({ ...inputs, type: 'call' }).price;
+  const put = blackScholes({ ...inputs, type: 'put' }).price;
+
+  close(call - put, inputs.spot - inputs.strike * Math.exp(-inputs.rate * inputs.timeToExpiry), 1e-6);
+});
+
+test('expired options are worth their intrinsic value', () => {
+  assert.deepEqual(blackScholes({ type: 'call', spot: 110, strike: 100, timeToExpiry: 0, volatility: 0.3 }),
+    { price: 10, delta: 1, gamma: 0, theta: 0, vega: 0 });
+  assert.equal(blackScholes({ type: 'put', spot: 110, strike: 100, timeToExpiry: 0, volatility: 0.3 }).price, 0);
+  assert.equal(binomialPrice({ type: 'put', spot: 90, strike: 100, timeToExpiry: 0, volatility: 0.3 }), 10);
+});
+
+test('the binomial tree converges to Black-Scholes for calls', () => {
+  close(binomialPrice({ ...atTheMoney, type: 'call' }), 10.4506, 0.02);
+});
+
+test('American puts are worth at least their European value and intrinsic value', () => {
+  const deep = { spot: 70, strike: 100, timeToExpiry: 1, rate: 0.05, volatility: 0.2 };
+  const american = priceOption({ ...deep, type: 'put' });
+  const european = priceOption({ ...deep, type: 'put', style: 'european' });
+
+  assert.ok(american.price > european.price);
+  assert.ok(american.price >= 30);
+  close(american.delta, -1, 1e-9); // Deep enough to exercise now
+});
+
+test('implied volatility recovers the volatility a premium was priced at', () => {
+  for (const type of ['call', 'put']) {
+    const premium = priceOption({ ...atTheMoney, type, volatility: 0.42 }).price;
+    close(impliedVolatility({ ...atTheMoney, type, premium }), 0.42, 1e-4);
+  }
+});
+
+test('implied volatility is null for premiums no volatility can produce', () => {
+  assert.equal(impliedVolatility({ ...atTheMoney, type: 'call', premium: 0 }), null);
+  assert.equal(impliedVolatility({ ...atTheMoney, type: 'call', premium: 150 }), null);
+  assert.equal(impliedVolatility({ ...atTheMoney, timeToExpiry: 0, type: 'call', premium: 5 }), null);
+});
+
+test('historical volatility annualizes daily log returns', () => {
+  assert.equal(historicalVolatility(Array.from({ length: 5 }, () => ({ close: 100 }))), null);
+
+  const steady = Array.from({ length: 30 }, (_, i) => ({ close: 100 * Math.pow(1.01, i) }));
+  close(historicalVolatility(steady), 0, 1e-9);
+
+  // Alternating +1% / -1% days: daily sd ~0.01, so ~0.01 * sqrt(252) a year
+  const choppy = Array.from({ length: 41 }, (_, i) => ({ close: i % 2 === 0 ? 100 : 101 }));
+  close(historicalVolatility(choppy), Math.log(1.01) * Math.sqrt(252) * Math.sqrt(40 / 39), 1e-6);
+});
+
+test('time to expiry runs to 4pm New York on the expiration date', () => {
+  close(yearsToExpiry('2025-06-20', new Date('2025-06-20T19:00:00Z')), 1 / (365 * 24), 1e-9);
+  assert.equal(yearsToExpiry('2025-06-20', new Date('2025-06-21T00:00:00Z')), 0);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-engine-'));
+process.env.PORTFOLIO_DB = path.join(dir, 'portfolio.db');
+const { evaluateOrder, evaluateOpenOrders } = require('../orderEngine');
+const portfolio = require('../portfolioManager');
+const quoteCache = require('../quoteCache');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const order = fields => ({ symbol: 'AAPL', quantity: 10, status: 'open', ...fields });
+
+test('limit orders fill at or through their limit', () => {
+  const buy = order({ side: 'buy', orderType: 'limit', limitPrice: 100 });
+  const sell = order({ side: 'sell', orderType: 'limit', limitPrice: 100 });
+
+  assert.equal(evaluateOrder(buy, 100.01).fill, false);
+  assert.equal(evaluateOrder(buy, 100).fill, true);
+  assert.equal(evaluateOrder(sell, 99.99).fill, false);
+  assert.equal(evaluateOrder(sell, 101).fill, true);
+});
+
+test('stop orders fill once the price crosses the stop', () => {
+  const sellStop = order({ side: 'sell', orderType: 'stop', stopPrice: 90 });
+  const buyStop = order({ side: 'buy', orderType: 'stop', stopPrice: 110 });
+
+  assert.equal(evaluateOrder(sellStop, 90.5).fill, false);
+  assert.equal(evaluateOrder(sellStop, 90).fill, true);
+  assert.equal(evaluateOrder(buyStop, 109).fill, false);
+  assert.equal(evaluateOrder(buyStop, 111).fill, true);
+});
+
+test('a stop-limit order triggers at its stop, then rests as a limit order', () => {
+  const stopLimit = order({ side: 'sell', orderType: 'stop_limit', stopPrice: 90, limitPrice: 89 });
+
+  assert.deepEqual(evaluateOrder(stopLimit, 95), { fill: false, updates: {} });
+
+  // Gapped below the limit: triggered but not filled
+  const gapped = evaluateOrder(stopLimit, 88);
+  assert.equal(gapped.fill, false);
+  assert.ok(gapped.updates.triggeredAt);
+
+  const triggered = { ...stopLimit, triggeredAt: gapped.updates.triggeredAt };
+  assert.equal(evaluateOrder(triggered, 88.5).fill, false);
+  assert.equal(evaluateOrder(triggered, 89.5).fill, true);
+});
+
+test('a trailing stop follows the best price and fills when the price falls back by the trail', () => {
+  let trailing = order({ side: 'sell', orderType: 'trailing_stop', trailPercent: 10 });
+
+  let result = evaluateOrder(trailing, 100);
+  assert.deepEqual(result, { fill: false, updates: { watermark: 100, stopPrice: 90 } });
+  trailing = { ...trailing, ...result.updates };
+
+  result = evaluateOrder(trailing, 120);
+  assert.deepEqual(result.updates, { watermark: 120, stopPrice: 108 });
+  trailing = { ...trailing, ...result.updates };
+
+  // Falling back doesn't lower the stop, so there is nothing to save
+  assert.deepEqual(evaluateOrder(trailing, 110), { fill: false, updates: {} });
+
+  assert.equal(evaluateOrder(trailing, 108).fill, true);
+});
+
+test('a buy trailing stop trails a fixed amount above the lowest price', () => {
+  const trailing = order({ side: 'buy', orderType: 'trailing_stop', trailAmount: 5, watermark: 50 });
+
+  assert.deepEqual(evaluateOrder(trailing, 48), { fill: false, updates: { watermark: 48, stopPrice: 53 } });
+  assert.equal(evaluateOrder(trailing, 55).fill, true);
+});
+
+// A Tuesday during the regular session, with every quote at `price`
+function tradingAt(t, price, beforeQuote = async () => {}) {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-20T15:00:00Z') });
+  t.mock.method(quoteCache, 'getQuote', async symbol => {
+    await beforeQuote(symbol);
+    return { symbol, price, high: price, low: price };
+  });
+}
+
+const findOrder = async id => (await portfolio.getOrders()).find(o => o.id === id);
+
+test('the engine fills a reached order and saves the trade with the order', async t => {
+  tradingAt(t, 99);
+  const { order } = await portfolio.placeOrder({ symbol: 'AAPL', side: 'buy', quantity: 10, orderType: 'limit', limitPrice: 100, timeInForce: 'gtc' });
+
+  await evaluateOpenOrders();
+
+  const filled = await findOrder(order.id);
+  assert.equal(filled.status, 'filled');
+  assert.equal(filled.fillPrice, 99);
+  assert.ok(filled.tradeId);
+  assert.deepEqual(await portfolio.verifyLedgers(), []);
+});
+
+test('an order cancelled while the engine waits on its quote does not fill', async t => {
+  let orderId;
+  tradingAt(t, 150, () => portfolio.cancelOrder(orderId));
+  const { order } = await portfolio.placeOrder({ symbol: 'MSFT', side: 'buy', quantity: 5, orderType: 'limit', limitPrice: 200, timeInForce: 'gtc' });
+  orderId = order.id;
+  const balance = (await portfolio.getPortfolio(async () => 150)).balance;
+
+  await evaluateOpenOrders();
+
+  assert.equal((await findOrder(order.id)).status, 'cancelled');
+  assert.equal((await portfolio.getPortfolio(async () => 150)).balance, balance);
+});
+
+test('a filled or cancelled order cannot be filled, expired or trailed again', async t => {
+  tradingAt(t, 99);
+  const { order } = await portfolio.placeOrder({ symbol: 'AAPL', side: 'sell', quantity: 5, orderType: 'stop', stopPrice: 90, timeInForce: 'gtc' });
+  await portfolio.cancelOrder(order.id);
+
+  await assert.rejects(portfolio.fillOrder(order.id, 89), /Order is already cancelled/);
+  await assert.rejects(portfolio.updateOrder(order.id, { status: 'expired' }), /Order is already cancelled/);
+  await assert.rejects(portfolio.trackTrailingStop(order.id, { watermark: 100, stopPrice: 95 }), /Order is already cancelled/);
+  assert.equal((await findOrder(order.id)).status, 'cancelled');
+});
+
+test('an order the account cannot cover is rejected without moving cash or shares', async t => {
+  tradingAt(t, 50);
+  const { order } = await portfolio.placeOrder({ symbol: 'TSLA', side: 'sell', quantity: 5, orderType: 'limit', limitPrice: 40, timeInForce: 'gtc' });
+  const before = await portfolio.getPortfolio(async () => 50);
+
+  await evaluateOpenOrders();
+
+  const rejected = await findOrder(order.id);
+  assert.equal(rejected.status, 'rejected');
+  assert.match(rejected.rejectReason, /No open long position found for TSLA/);
+  const after = await portfolio.getPortfolio(async () => 50);
+  assert.equal(after.balance, before.balance);
+  assert.equal(after.openPositions.length, before.openPositions.length);
+  assert.deepEqual(await portfolio.verifyLedgers(), []);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-manager-'));
+process.env.PORTFOLIO_DB = path.join(dir, 'portfolio.db');
+const portfolio = require('../portfolioManager');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const getCurrentPrice = async () => 100;
+
+// Run `fn` against a new portfolio with the given account settings
+let created = 0;
+async function withPortfolio(settings, fn) {
+  const { id } = await portfolio.createPortfolio({ name: `Test ${++created}`, startingCapital: 100000 });
+  return portfolio.usePortfolio(id, async () => {
+    await portfolio.updateAccountSettings(settings);
+    return fn();
+  });
+}
+
+test('strategy legs and covered call shares fill per the slippage model', async () => {
+  await withPortfolio({ slippage: { model: 'fixed', bps: 100 } }, async () => {
+    const { strategy, positions, newBalance } = await portfolio.openStrategy({
+      strategy: 'vertical',
+      symbol: 'AAPL',
+      expiration: '2030-01-18',
+      contracts: 1,
+      legs: [
+        { side: 'long', optionType: 'call', strike: 100, premium: 5 },
+        { side: 'short', optionType: 'call', strike: 110, premium: 2 }
+      ]
+    }, { underlyingPrice: 100, getCurrentPrice });
+
+    assert.deepEqual(positions.map(p => [p.side, p.entryPremium, p.slippage]), [['long', 5.05, 5], ['short', 1.98, 2]]);
+    assert.equal(strategy.netPremium, -307);
+    assert.equal(newBalance, 100000 - 307);
+  });
+
+  await withPortfolio({ slippage: { model: 'fixed', bps: 100 } }, async () => {
+    const { positions, newBalance } = await portfolio.openStrategy({
+      strategy: 'covered_call',
+      symbol: 'NVDA',
+      expiration: '2030-01-18',
+      contracts: 1,
+      legs: [{ side: 'short', optionType: 'call', strike: 110, premium: 2 }]
+    }, { underlyingPrice: 100, getCurrentPrice });
+
+    const shares = positions.find(p => p.type === 'stock');
+    assert.equal(shares.entryPrice, 101);
+    assert.equal(shares.slippage, 100);
+    assert.equal(newBalance, 100000 + 198 - 10100);
+  });
+  assert.deepEqual(await portfolio.verifyLedgers(), []);
+});
+
+test('imported sells only use shares bought by their trade date', async () => {
+  await withPortfolio({}, async () => {
+    await portfolio.buyStock('AAPL', 10, 100);
+
+    const early = await portfolio.importTrades('date,action,symbol,quantity,price\n2026-03-05,sell,AAPL,5,110\n', { getCurrentPrice });
+    assert.deepEqual(early.errors, [{ row: 2, error: 'No open long position found for AAPL' }]);
+
+    const csv = 'date,action,symbol,quantity,price\n2026-03-02,buy,AAPL,4,90\n2026-03-05,sell,AAPL,6,110\n';
+    const { errors } = await portfolio.importTrades(csv, { getCurrentPrice });
+    assert.deepEqual(errors, [{ row: 3, error: 'Cannot sell 6 shares of AAPL. Available: 4' }]);
+  });
+});
+
+test('imported buys need a whole number of shares', async () => {
+  await withPortfolio({}, async () => {
+    const { errors } = await portfolio.importTrades('date,action,symbol,quantity,price\n2026-03-02,buy,AAPL,2.5,90\n', { getCurrentPrice });
+    assert.deepEqual(errors, [{ row: 2, error: 'Share quantity must be a whole number' }]);
+  });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Start from a copy of a v1 database; the store migrates it when first opened
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-store-'));
+const dbFile = path.join(dir, 'portfolio.db');
+const v1 = new Database(dbFile);
+v1.exec(fs.readFileSync(path.join(__dirname, 'fixtures', 'portfolio-v1.sql'), 'utf8'));
+v1.close();
+
+process.env.PORTFOLIO_DB = dbFile;
+const store = require('../portfolioStore');
+const ledger = require('../ledger');
+const portfolio = require('../portfolioManager');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a v1 database migrates to the current schema with its data intact', () => {
+  const state = store.loadPortfolioState('acct-1');
+
+  assert.equal(state.balance, 87650);
+  assert.equal(state.accountType, 'margin');
+  assert.equal(state.benchmark, 'SPY');
+  assert.deepEqual(state.openPositions.map(p => [p.id, p.type, p.symbol]), [['lot-1', 'stock', 'AAPL'], ['opt-1', 'option', 'MSFT']]);
+  assert.deepEqual(state.closedTrades.map(t => [t.id, t.profitLoss, t.exitPrice]), [['trade-1', 150, 115]]);
+  assert.deepEqual(state.orders.map(o => [o.id, o.limitPrice]), [['order-1', 250]]);
+  assert.deepEqual(state.corporateActions, []);
+  assert.equal(store.getActiveAccountId(), 'acct-1');
+
+  const database = new Database(dbFile, { readonly: true });
+  const version = database.pragma('user_version', { simple: true });
+  const tables = database.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+  database.close();
+  assert.ok(version >= 2);
+  for (const table of ['lots', 'positions', 'trades', 'orders', 'ledger', 'snapshots', 'corporate_actions']) {
+    assert.ok(tables.includes(table), `missing table ${table}`);
+  }
+});
+
+test('the migrated ledger opens with the v1 state and replays to the tables', async () => {
+  const events = store.listEvents('acct-1', { includeChanges: true });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'import');
+  assert.equal(events[0].balance, 87650);
+  assert.deepEqual(ledger.replay(events).openPositions.map(p => p.id), ['lot-1', 'opt-1']);
+  assert.deepEqual(await portfolio.verifyLedgers(), []);
+});
+
+test('a migrated portfolio keeps trading and its ledger keeps up', async () => {
+  await portfolio.usePortfolio('acct-1', () => portfolio.sellStock('AAPL', 20, 210));
+
+  const state = store.loadPortfolioState('acct-1');
+  assert.equal(state.openPositions.find(p => p.id === 'lot-1').shares, 30);
+  assert.equal(state.balance, 87650 + 20 * 210);
+  assert.deepEqual(await portfolio.verifyLedgers(), []);
+});
+
+test('portfolios are loaded by replaying the ledger, which the tables only mirror', async () => {
+  const database = new Database(dbFile);
+  database.prepare("UPDATE accounts SET balance = 1 WHERE id = 'acct-1'").run();
+  database.close();
+
+  const loaded = await portfolio.usePortfolio('acct-1', () => portfolio.getPortfolio(async () => 200));
+  assert.equal(loaded.balance, 87650 + 20 * 210);
+  assert.deepEqual(await portfolio.verifyLedgers(), [{ id: 'acct-1', name: 'Legacy', differences: ['balance'] }]);
+});
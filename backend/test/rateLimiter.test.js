@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../rateLimiter');
+
+test('a full bucket grants a burst immediately', async () => {
+  const limiter = createRateLimiter({ perMinute: 60, burst: 3 });
+  await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+  const stats = limiter.getStats();
+  assert.equal(stats.granted, 3);
+  assert.equal(stats.throttled, 0);
+  assert.equal(stats.availableTokens, 0);
+});
+
+test('callers beyond the burst wait for tokens to refill, in arrival order', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = createRateLimiter({ perMinute: 60, burst: 1 }); // One token a second
+
+  const order = [];
+  await limiter.acquire();
+  const second = limiter.acquire().then(() => order.push('second'));
+  const third = limiter.acquire().then(() => order.push('third'));
+  assert.equal(limiter.getStats().queued, 2);
+
+  t.mock.timers.tick(999);
+  await Promise.resolve();
+  assert.deepEqual(order, []);
+
+  t.mock.timers.tick(1);
+  await second;
+  assert.deepEqual(order, ['second']);
+
+  t.mock.timers.tick(1000);
+  await third;
+  assert.deepEqual(order, ['second', 'third']);
+
+  const stats = limiter.getStats();
+  assert.equal(stats.granted, 3);
+  assert.equal(stats.throttled, 2);
+  assert.equal(stats.queued, 0);
+  assert.equal(stats.totalWaitMs, 3000);
+});
+
+test('tokens refill up to the burst size and no further', t => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const limiter = createRateLimiter({ perMinute: 120, burst: 5 });
+
+  for (let i = 0; i < 5; i++) limiter.acquire();
+  assert.equal(limiter.getStats().availableTokens, 0);
+
+  t.mock.timers.tick(1000);
+  assert.equal(limiter.getStats().availableTokens, 2);
+
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(limiter.getStats().availableTokens, 5);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSales, buildTaxReport } = require('../taxReport');
+
+// Lots and trades dated YYYY-MM-DD, at a time of day that is the same date in New York
+function lot(lotId, shares, price, date) {
+  return { lotId, shares, entryPrice: price, entryDate: `${date}T15:00:00.000Z`, costBasis: shares * price };
+}
+
+function sale(id, symbol, exitPrice, date, lots) {
+  const shares = lots.reduce((sum, l) => sum + l.shares, 0);
+  const costBasis = lots.reduce((sum, l) => sum + l.costBasis, 0);
+  return {
+    id,
+    type: 'stock',
+    symbol,
+    shares,
+    entryDate: lots[0].entryDate,
+    exitDate: `${date}T15:00:00.000Z`,
+    exitPrice,
+    exitFees: 0,
+    costBasis,
+    proceeds: shares * exitPrice,
+    lots
+  };
+}
+
+function openLot(id, symbol, shares, price, date) {
+  return { id, type: 'stock', side: 'long', symbol, shares, entryPrice: price, entryDate: `${date}T15:00:00.000Z`, costBasis: shares * price };
+}
+
+test('a gain is reported as is', () => {
+  const { rows, washSales } = computeSales([sale('t1', 'AAPL', 120, '2025-03-03', [lot('L1', 10, 100, '2025-01-02')])]);
+
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].proceeds, 1200);
+  assert.equal(rows[0].costBasis, 1000);
+  assert.equal(rows[0].gain, 200);
+  assert.equal(rows[0].term, 'short');
+  assert.equal(rows[0].adjustmentCode, '');
+  assert.deepEqual(washSales, []);
+});
+
+test('holding for more than a year is long-term', () => {
+  const { rows } = computeSales([
+    sale('t1', 'AAPL', 120, '2025-01-02', [lot('L1', 10, 100, '2024-01-02')]),
+    sale('t2', 'AAPL', 120, '2025-01-03', [lot('L2', 10, 100, '2024-01-02')])
+  ]);
+
+  assert.deepEqual(rows.map(row => row.term), ['short', 'long']);
+});
+
+test('a loss replaced within 30 days is disallowed and carried into the replacement', () => {
+  const trades = [
+    sale('t1', 'AAPL', 90, '2025-03-03', [lot('L1', 10, 100, '2025-01-02')]),
+    sale('t2', 'AAPL', 110, '2025-05-01', [lot('L2', 10, 95, '2025-03-20')])
+  ];
+  const { rows, washSales } = computeSales(trades);
+
+  assert.equal(rows[0].adjustmentCode, 'W');
+  assert.equal(rows[0].adjustment, 100);
+  assert.equal(rows[0].gain, 0);
+  assert.equal(washSales.length, 1);
+  assert.deepEqual(washSales[0].replacements, [{ lotId: 'L2', dateAcquired: '2025-03-20', quantity: 10, basisAdded: 100 }]);
+
+  // The replacement's basis carries the disallowed loss
+  assert.equal(rows[1].basisAdjustment, 100);
+  assert.equal(rows[1].costBasis, 1050);
+  assert.equal(rows[1].gain, 50);
+});
+
+test('a partial replacement only disallows its share of the loss', () => {
+  const { rows, openAdjustments } = computeSales(
+    [sale('t1', 'AAPL', 90, '2025-03-03', [lot('L1', 10, 100, '2025-01-02')])],
+    [openLot('L2', 'AAPL', 4, 95, '2025-02-20')]
+  );
+
+  assert.equal(rows[0].adjustment, 40);
+  assert.equal(rows[0].gain, -60);
+  assert.deepEqual(openAdjustments.map(a => [a.lotId, a.basisAdjustment, a.adjustedBasis]), [['L2', 40, 420]]);
+});
+
+test('purchases more than 30 days away or in another symbol do not wash', () => {
+  const { rows, washSales } = computeSales(
+    [sale('t1', 'AAPL', 90, '2025-03-03', [lot('L1', 10, 100, '2025-01-02')])],
+    [openLot('L2', 'AAPL', 10, 95, '2025-04-03'), openLot('L3', 'MSFT', 10, 95, '2025-03-04')]
+  );
+
+  assert.equal(rows[0].gain, -100);
+  assert.deepEqual(washSales, []);
+});
+
+test('a December loss washed by a January purchase shows in the year it was sold', () => {
+  const trades = [sale('t1', 'AAPL', 90, '2024-12-20', [lot('L1', 10, 100, '2024-06-03')])];
+  const report = buildTaxReport(trades, [openLot('L2', 'AAPL', 10, 92, '2025-01-06')], 2024);
+
+  assert.equal(report.total.count, 1);
+  assert.equal(report.total.adjustment, 100);
+  assert.equal(report.washSales.length, 1);
+  assert.deepEqual(report.years, [2024]);
+});
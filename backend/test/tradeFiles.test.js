@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv, parseTradeCsv } = require('../tradeFiles');
+
+test('parseCsv handles quoted commas, quotes, line breaks and blank rows', () => {
+  const rows = parseCsv('a,"b, c","say ""hi"""\r\n\r\n"multi\nline",2,3\n');
+  assert.deepEqual(rows, [['a', 'b, c', 'say "hi"'], ['multi\nline', '2', '3']]);
+});
+
+test('toCsv quotes only the cells that need it and round-trips through parseCsv', () => {
+  const csv = toCsv(['name', 'note'], [{ name: 'AAPL', note: 'split 4:1, "big"' }, { name: 'MSFT', note: null }]);
+  assert.equal(csv, 'name,note\nAAPL,"split 4:1, ""big"""\nMSFT,');
+  assert.deepEqual(parseCsv(csv), [['name', 'note'], ['AAPL', 'split 4:1, "big"'], ['MSFT', '']]);
+});
+
+test('the standard format imports with or without a fees column', () => {
+  const withFees = parseTradeCsv('date,action,symbol,quantity,price,fees\n2025-03-14,buy,MSFT,2,400,1.25\n');
+  assert.equal(withFees.format, 'standard');
+  assert.equal(withFees.trades[0].fees, 1.25);
+
+  const { format, trades, errors } = parseTradeCsv('date,action,symbol,quantity,price\n2025-03-14,Buy,aapl,10,"$1,234.50"\n03/17/2025,sell,AAPL,-4,1300\n');
+  assert.equal(format, 'standard');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(trades, [
+    { row: 2, date: '2025-03-14', action: 'buy', symbol: 'AAPL', quantity: 10, price: 1234.5, fees: 0 },
+    { row: 3, date: '2025-03-17', action: 'sell', symbol: 'AAPL', quantity: 4, price: 1300, fees: 0 }
+  ]);
+});
+
+test('auto-detect finds a brokerage header below its preamble and skips non-trades', () => {
+  const csv = [
+    '"Transactions for account XXXX-1234"',
+    'Date,Action,Symbol,Description,Quantity,Price,Fees & Comm,Amount',
+    '03/14/2025 as of 03/13/2025,Buy,NVDA,NVIDIA CORP,5,$120.00,$0.65,-$600.65',
+    '03/15/2025,Qualified Dividend,NVDA,NVIDIA CORP,,,,$0.20',
+    '03/20/2025,Sell,NVDA,NVIDIA CORP,5,$130.00,($0.70),$649.30'
+  ].join('\n');
+  const { format, trades, skipped, errors } = parseTradeCsv(csv);
+
+  assert.equal(format, 'schwab');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(skipped, [{ row: 4, reason: 'Not a trade: Qualified Dividend' }]);
+  assert.deepEqual(trades.map(t => [t.row, t.date, t.action, t.quantity, t.price, t.fees]), [
+    [3, '2025-03-14', 'buy', 5, 120, 0.65],
+    [5, '2025-03-20', 'sell', 5, 130, 0.7]
+  ]);
+});
+
+test('fidelity actions and split fee columns are read', () => {
+  const csv = 'Run Date,Action,Symbol,Quantity,Price ($),Commission ($),Fees ($)\n'
+    + '01/06/2025,YOU BOUGHT APPLE INC (AAPL),AAPL,10,240,0,0.05\n'
+    + '01/07/2025,DIVIDEND RECEIVED,AAPL,,,,\n';
+  const { format, trades, skipped } = parseTradeCsv(csv);
+
+  assert.equal(format, 'fidelity');
+  assert.deepEqual(trades.map(t => [t.action, t.fees]), [['buy', 0.05]]);
+  assert.equal(skipped.length, 1);
+});
+
+test('bad rows are reported with their row numbers', () => {
+  const { trades, errors } = parseTradeCsv('date,action,symbol,quantity,price,fees\nsoon,buy,AAPL,1,10,0\n2025-01-02,buy,,1,10,0\n2025-01-02,sell,AAPL,0,10,0\n');
+  assert.equal(trades.length, 0);
+  assert.deepEqual(errors, [
+    { row: 2, error: 'Unrecognized date: soon' },
+    { row: 3, error: 'Invalid symbol: (blank)' },
+    { row: 4, error: 'Quantity and price must be greater than zero' }
+  ]);
+});
+
+test('unrecognized files and unknown formats are rejected', () => {
+  assert.throws(() => parseTradeCsv('when,what\n2025-01-02,buy\n'), /Could not recognize the file/);
+  assert.throws(() => parseTradeCsv('date,action,symbol,quantity,price\n', 'schwab'), /No header row found for the schwab format/);
+  assert.throws(() => parseTradeCsv('', 'etrade'), /Unknown import format: etrade/);
+});
@@ -0,0 +1,196 @@
+// Trade Files
+// CSV reading and writing for portfolio exports and trade imports. Imports understand this
+// app's own trade format plus the transaction history exports of a few brokerages; the
+// format is detected from the header row unless one is named.
+//
+// Imported trade: { row, date (YYYY-MM-DD), action ('buy'|'sell'), symbol, quantity, price, fees }
+
+// Quote a CSV cell when it contains a comma, quote or line break
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text from rows of objects, one column per entry in `columns`
+function toCsv(columns, rows) {
+  return [
+    columns.map(csvCell).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+  ].join('\n');
+}
+
+// Rows of cells from CSV text (quoted cells may contain commas, quotes and line breaks)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// "$1,234.50", "(12.00)", "-3" -> number (null when blank or not a number)
+function parseAmount(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = parseFloat(text.replace(/[$,()\s+-]/g, ''));
+  if (isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+// "2025-03-14", "03/14/2025", "3/14/25", "03/14/2025 as of 03/13/2025" -> "2025-03-14"
+function parseDate(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+// Column mappings. `columns` maps each field to the header it comes from; `action` turns a
+// row's action text into 'buy' or 'sell' (anything else - dividends, transfers, interest -
+// is skipped). Quantities are taken as positive whatever sign the brokerage uses. Fees are
+// optional in every format: files without a fees column import with no fees.
+const buyOrSell = text => ({ buy: 'buy', sell: 'sell' }[text.toLowerCase()]);
+
+const IMPORT_FORMATS = {
+  standard: {
+    label: 'This app (date, action, symbol, quantity, price, optional fees)',
+    columns: { date: 'date', action: 'action', symbol: 'symbol', quantity: 'quantity', price: 'price', fees: 'fees' },
+    action: buyOrSell
+  },
+  schwab: {
+    label: 'Charles Schwab transaction history',
+    columns: { date: 'Date', action: 'Action', symbol: 'Symbol', quantity: 'Quantity', price: 'Price', fees: 'Fees & Comm' },
+    action: buyOrSell
+  },
+  fidelity: {
+    label: 'Fidelity account history',
+    columns: { date: 'Run Date', action: 'Action', symbol: 'Symbol', quantity: 'Quantity', price: 'Price ($)', fees: ['Commission ($)', 'Fees ($)'] },
+    action: text => (/^YOU BOUGHT/i.test(text) ? 'buy' : /^YOU SOLD/i.test(text) ? 'sell' : undefined)
+  },
+  robinhood: {
+    label: 'Robinhood account activity',
+    columns: { date: 'Activity Date', action: 'Trans Code', symbol: 'Instrument', quantity: 'Quantity', price: 'Price' },
+    action: buyOrSell
+  }
+};
+
+const OPTIONAL_FIELDS = ['fees'];
+
+const headerList = header => (Array.isArray(header) ? header : [header]);
+
+// Whether a header row has every required column a format reads
+function matchesFormat(cells, format) {
+  const headers = cells.map(cell => cell.trim());
+  return Object.entries(format.columns)
+    .filter(([field]) => !OPTIONAL_FIELDS.includes(field))
+    .flatMap(([, header]) => headerList(header))
+    .every(header => headers.includes(header));
+}
+
+// Parse a trade CSV. Brokerage exports often start with a few lines of account details, so
+// the header is the first row that matches the format (or any format, when detecting).
+// Returns { format, trades, skipped: [{ row, reason }], errors: [{ row, error }] } where
+// `row` numbers the file's non-blank rows from 1, header and preamble included.
+function parseTradeCsv(text, formatName = 'auto') {
+  if (formatName !== 'auto' && !IMPORT_FORMATS[formatName]) {
+    throw new Error(`Unknown import format: ${formatName}. Use auto or one of ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+  }
+
+  const rows = parseCsv(String(text || ''));
+  const candidates = formatName === 'auto' ? Object.keys(IMPORT_FORMATS) : [formatName];
+  let headerIndex = -1;
+  let name = null;
+  for (let i = 0; i < rows.length && headerIndex < 0; i++) {
+    name = candidates.find(candidate => matchesFormat(rows[i], IMPORT_FORMATS[candidate])) || null;
+    if (name) headerIndex = i;
+  }
+  if (headerIndex < 0) {
+    throw new Error(formatName === 'auto'
+      ? 'Could not recognize the file. Expected a header row with date, action, symbol, quantity and price columns (fees optional)'
+      : `No header row found for the ${formatName} format`);
+  }
+
+  const format = IMPORT_FORMATS[name];
+  const headers = rows[headerIndex].map(cell => cell.trim());
+  const trades = [];
+  const skipped = [];
+  const errors = [];
+
+  rows.slice(headerIndex + 1).forEach((cells, i) => {
+    const row = headerIndex + i + 2;
+    const read = field => headerList(format.columns[field] || [])
+      .map(header => (cells[headers.indexOf(header)] || '').trim());
+
+    const [actionText] = read('action');
+    const action = format.action(actionText);
+    if (!action) {
+      skipped.push({ row, reason: actionText ? `Not a trade: ${actionText}` : 'No action' });
+      return;
+    }
+
+    const date = parseDate(read('date')[0]);
+    const symbol = read('symbol')[0].toUpperCase();
+    const quantity = Math.abs(parseAmount(read('quantity')[0]) || 0);
+    const price = parseAmount(read('price')[0]);
+    const fees = read('fees').reduce((sum, value) => sum + Math.abs(parseAmount(value) || 0), 0);
+
+    if (!date) {
+      errors.push({ row, error: `Unrecognized date: ${read('date')[0] || '(blank)'}` });
+    } else if (!/^[A-Z][A-Z0-9.-]{0,9}$/.test(symbol)) {
+      errors.push({ row, error: `Invalid symbol: ${symbol || '(blank)'}` });
+    } else if (!(quantity > 0) || !(price > 0)) {
+      errors.push({ row, error: 'Quantity and price must be greater than zero' });
+    } else {
+      trades.push({ row, date, action, symbol, quantity, price, fees });
+    }
+  });
+
+  return { format: name, trades, skipped, errors };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  csvCell,
+  toCsv,
+  parseCsv,
+  parseTradeCsv
+};
@@ -0,0 +1,112 @@
+// Watchlists
+// Named lists of symbols to keep an eye on, stored with the portfolios (see portfolioStore)
+// but shared by all of them. A default list is created the first time watchlists are
+// read, so "my watchlist" always means something. Lists keep symbols in the order added.
+const crypto = require('crypto');
+const store = require('./portfolioStore');
+
+const DEFAULT_WATCHLIST_NAME = 'My Watchlist';
+const MAX_SYMBOLS = 50;
+
+function normalizeSymbol(symbol) {
+  const normalized = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+  if (!/^[A-Z][A-Z0-9.-]{0,9}$/.test(normalized)) {
+    throw new Error(`Invalid symbol: ${normalized || '(blank)'}`);
+  }
+  return normalized;
+}
+
+function validateWatchlistName(name, exceptId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Watchlist name is required');
+  }
+  if (trimmed.length > 50) {
+    throw new Error('Watchlist name must be 50 characters or fewer');
+  }
+  if (store.listWatchlists().some(w => w.id !== exceptId && w.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A watchlist named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+function findWatchlist(watchlistId) {
+  const watchlist = store.getWatchlist(watchlistId);
+  if (!watchlist) {
+    throw new Error(`Watchlist not found: ${watchlistId}`);
+  }
+  return watchlist;
+}
+
+async function listWatchlists() {
+  const watchlists = store.listWatchlists();
+  if (watchlists.length > 0) return watchlists;
+  return [await createWatchlist({ name: DEFAULT_WATCHLIST_NAME })];
+}
+
+async function createWatchlist({ name, symbols = [] }) {
+  const normalized = [...new Set(symbols.map(normalizeSymbol))];
+  if (normalized.length > MAX_SYMBOLS) {
+    throw new Error(`A watchlist can hold at most ${MAX_SYMBOLS} symbols`);
+  }
+
+  return store.createWatchlist({
+    id: crypto.randomUUID(),
+    name: validateWatchlistName(name),
+    createdAt: new Date().toISOString()
+  }, normalized);
+}
+
+async function renameWatchlist(watchlistId, name) {
+  findWatchlist(watchlistId);
+  return store.renameWatchlist(watchlistId, validateWatchlistName(name, watchlistId));
+}
+
+async function deleteWatchlist(watchlistId) {
+  const watchlist = findWatchlist(watchlistId);
+  store.deleteWatchlist(watchlistId);
+  return watchlist;
+}
+
+async function addSymbol(watchlistId, symbol) {
+  const watchlist = findWatchlist(watchlistId);
+  const normalized = normalizeSymbol(symbol);
+  if (!watchlist.symbols.includes(normalized) && watchlist.symbols.length >= MAX_SYMBOLS) {
+    throw new Error(`A watchlist can hold at most ${MAX_SYMBOLS} symbols`);
+  }
+
+  store.addWatchlistSymbol(watchlistId, normalized, new Date().toISOString());
+  return store.getWatchlist(watchlistId);
+}
+
+async function removeSymbol(watchlistId, symbol) {
+  const watchlist = findWatchlist(watchlistId);
+  const normalized = normalizeSymbol(symbol);
+  if (!store.removeWatchlistSymbol(watchlistId, normalized)) {
+    throw new Error(`${normalized} is not on ${watchlist.name}`);
+  }
+  return store.getWatchlist(watchlistId);
+}
+
+// A list by id or name (any case) for chat requests; no name means the first list.
+// With `create`, a name that doesn't match any list starts a new one.
+async function resolveWatchlist(nameOrId, { create = false } = {}) {
+  const watchlists = await listWatchlists();
+  if (!nameOrId) return watchlists[0];
+
+  const wanted = String(nameOrId).trim().toLowerCase();
+  const match = watchlists.find(w => w.id === nameOrId || w.name.toLowerCase() === wanted);
+  if (match) return match;
+  if (create) return createWatchlist({ name: nameOrId });
+  throw new Error(`No watchlist named "${nameOrId}". Watchlists: ${watchlists.map(w => w.name).join(', ')}`);
+}
+
+module.exports = {
+  listWatchlists,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addSymbol,
+  removeSymbol,
+  resolveWatchlist
+};
@@ -1,8 +1,222 @@
 import React, { useState, useRef, useEffect } from 'react';
 import axios from 'axios';
-import { Send, TrendingUp, DollarSign, BarChart3, Loader2, RefreshCw, Activity, Briefcase, MessageSquare } from 'lucide-react';
+import { Send, TrendingUp, DollarSign, BarChart3, Loader2, RefreshCw, Activity, Briefcase, MessageSquare, ChevronRight, ChevronDown, Eye, X, Bell } from 'lucide-react';
 import './App.css';
 
+const ORDER_TYPE_LABELS = {
+  limit: 'Limit',
+  stop: 'Stop',
+  stop_limit: 'Stop Limit',
+  trailing_stop: 'Trailing Stop'
+};
+
+const formatOrderType = (orderType) => ORDER_TYPE_LABELS[orderType] || orderType;
+
+// Show the prices that matter for each order type
+const formatOrderPrice = (order) => {
+  if (order.orderType === 'limit') return `$${order.limitPrice.toFixed(2)}`;
+  if (order.orderType === 'stop') return `Stop $${order.stopPrice.toFixed(2)}`;
+  if (order.orderType === 'stop_limit') return `Stop $${order.stopPrice.toFixed(2)} / Limit $${order.limitPrice.toFixed(2)}`;
+  const trail = order.trailPercent ? `${order.trailPercent}%` : `$${order.trailAmount.toFixed(2)}`;
+  return order.stopPrice ? `Trail ${trail} (stop $${order.stopPrice.toFixed(2)})` : `Trail ${trail}`;
+};
+
+// Why an option trade was closed (set by the backend on closed option trades)
+const CLOSE_REASON_LABELS = {
+  exercised: 'Exercised',
+  auto_exercised: 'Auto-exercised',
+  assigned: 'Assigned',
+  cash_settled: 'Cash-settled',
+  expired_worthless: 'Expired worthless'
+};
+
+// Max profit / max loss of an option strategy (null means unlimited)
+const formatPayoffLimit = (value) => (
+  value === null ? 'Unlimited' : `$${value.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`
+);
+const formatLeg = (leg) => `${leg.side === 'short' ? 'Sell' : 'Buy'} ${leg.optionType} $${leg.strike} @ $${leg.premium.toFixed(2)}`;
+
+// Type column label for a holding, lot or closed trade
+const describePosition = (p) => {
+  if (p.type === 'strategy') return p.strategyLabel;
+  if (p.type === 'stock') return p.side === 'short' ? 'Short' : 'Stock';
+  return `${p.side === 'short' ? 'Short ' : ''}${p.optionType} Option $${p.strike}`;
+};
+
+// Only options bought outside a strategy can be exercised early
+const isExercisable = (p) => p.type === 'option' && p.side !== 'short' && !p.strategyId;
+
+// Position Greeks: delta in share equivalents, theta in dollars per day
+const formatGreek = (value) => (value == null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}`);
+const formatTheta = (value) => (!value ? '-' : `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`);
+
+// Option chain cells: per-share prices, IV as a percent, per-share delta
+const formatQuote = (value) => (value == null ? '-' : value.toFixed(2));
+const formatIV = (value) => (value == null ? '-' : `${(value * 100).toFixed(1)}%`);
+const formatDelta = (value) => (value == null ? '-' : value.toFixed(2));
+
+// Equity curve: history ranges offered and the SVG drawing size (it scales to the panel)
+const HISTORY_RANGES = ['1w', '1m', '3m', '6m', '1y', 'ytd', 'all'];
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 160;
+
+// Index ETFs a portfolio can be measured against (see backend/portfolioManager.js)
+const BENCHMARKS = ['SPY', 'QQQ', 'DIA', 'IWM'];
+
+// Fee schedule and slippage settings (see backend/fillCosts.js)
+const FEE_FIELDS = [
+  ['perShare', 'Per share $'],
+  ['perContract', 'Per contract $'],
+  ['perOrder', 'Per order $'],
+  ['percent', 'Percent %'],
+  ['minimum', 'Minimum $']
+];
+const SLIPPAGE_MODELS = { none: 'None', fixed: 'Fixed', range: 'Day range' };
+
+// One-line summary of a portfolio's fee schedule and slippage model
+const describeFillCosts = (schedule, slippage) => {
+  const fees = [
+    schedule.perShare > 0 && `$${schedule.perShare}/share`,
+    schedule.perContract > 0 && `$${schedule.perContract}/contract`,
+    schedule.perOrder > 0 && `$${schedule.perOrder.toFixed(2)}/order`,
+    schedule.percent > 0 && `${schedule.percent}%`,
+    schedule.minimum > 0 && `min $${schedule.minimum.toFixed(2)}`,
+    schedule.regulatoryFees && 'SEC/FINRA fees'
+  ].filter(Boolean);
+  const slip = slippage.model === 'fixed' ? `${slippage.bps} bps slippage`
+    : slippage.model === 'range' ? `${(slippage.rangeFraction * 100).toFixed(0)}% of day range slippage (${slippage.bps} bps fallback)`
+      : 'no slippage';
+  return `${fees.length > 0 ? fees.join(' · ') : 'Commission-free'} · ${slip}`;
+};
+
+// SVG geometry for the equity curve: the equity line, the area between it and the
+// running peak, which is the drawdown, and the benchmark scaled to the starting equity
+// (null when fewer than two snapshots have a benchmark value)
+const equityCurvePaths = (snapshots) => {
+  const times = snapshots.map(s => new Date(s.takenAt).getTime());
+  const values = snapshots.flatMap(s => (s.benchmark == null ? [s.equity, s.peak] : [s.equity, s.peak, s.benchmark]));
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const pad = (high - low) * 0.1 || Math.abs(high) * 0.01 || 1;
+  const x = (t) => ((t - times[0]) / (times[times.length - 1] - times[0] || 1)) * CHART_WIDTH;
+  const y = (v) => CHART_HEIGHT - ((v - low + pad) / (high - low + 2 * pad)) * CHART_HEIGHT;
+
+  const equity = snapshots.map((s, i) => `${x(times[i]).toFixed(1)},${y(s.equity).toFixed(1)}`);
+  const peak = snapshots.map((s, i) => `${x(times[i]).toFixed(1)},${y(s.peak).toFixed(1)}`);
+  const benchmark = snapshots
+    .map((s, i) => (s.benchmark == null ? null : `${x(times[i]).toFixed(1)},${y(s.benchmark).toFixed(1)}`))
+    .filter(Boolean);
+  return {
+    line: equity.join(' '),
+    drawdown: `M${peak.join(' L')} L${equity.slice().reverse().join(' L')} Z`,
+    benchmark: benchmark.length > 1 ? benchmark.join(' ') : null
+  };
+};
+
+// Analytics figures: dollars with sign, ratios, holding periods (hours under a day)
+const formatDollars = (value) => (
+  value == null ? '-' : `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`
+);
+const formatRatio = (value) => (value == null ? '-' : value.toFixed(2));
+const formatSignedPercent = (value) => (value == null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
+const formatHoldingPeriod = (days) => {
+  if (days == null) return '-';
+  return days < 1 ? `${(days * 24).toFixed(1)} hours` : `${days.toFixed(1)} days`;
+};
+
+const ASSET_TYPE_LABELS = { stock: 'Stocks', option: 'Options', strategy: 'Strategy legs' };
+const EMPTY_ANALYTICS_FILTERS = { symbol: '', assetType: '', from: '', to: '' };
+
+// Fetch a file through axios (a plain link would bypass the dev server proxy) and save it
+const downloadFile = async (url, params, filename) => {
+  const response = await axios.get(url, { params, responseType: 'blob' });
+  const href = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(href);
+};
+
+const EXPORT_DATASETS = { positions: 'Open Positions', trades: 'Closed Trades', ledger: 'Ledger' };
+
+// Ledger event types (see backend/ledger.js)
+const EVENT_TYPE_LABELS = {
+  deposit: 'Deposit',
+  withdrawal: 'Withdrawal',
+  fill: 'Fill',
+  fee: 'Fee',
+  dividend: 'Dividend',
+  split: 'Split',
+  option_settlement: 'Option Settlement',
+  reset: 'Reset',
+  order: 'Order',
+  account: 'Account',
+  import: 'Opening Balance'
+};
+
+// Alert types (see backend/alerts.js) and the unit each threshold is in
+const ALERT_TYPES = {
+  price_above: { label: 'Price above', unit: '$' },
+  price_below: { label: 'Price below', unit: '$' },
+  percent_change: { label: 'Day change', unit: '%' },
+  position_pl: { label: 'Position P/L', unit: '%' },
+  portfolio_drawdown: { label: 'Drawdown from peak', unit: '%' }
+};
+const CARD_ALERT_TYPES = ['price_above', 'price_below', 'percent_change', 'position_pl'];
+const EMPTY_ALERT_FORM = { type: 'price_above', symbol: '', threshold: '', note: '' };
+const TOAST_DURATION = 8000;
+
+// Live quotes streamed from the server (see /api/quotes/stream)
+const MAX_STREAM_SYMBOLS = 100;
+
+// A widget row (price and changePercent as strings, the way the REST widgets send them) with a live tick applied
+const withLiveQuote = (item, tick) => (tick ? {
+  ...item,
+  price: tick.price.toFixed(2),
+  change: tick.change == null ? item.change : tick.change.toFixed(2),
+  changePercent: tick.changePercent == null ? item.changePercent : tick.changePercent.toFixed(2)
+} : item);
+
+// A stock holding or lot revalued at a live price; options and strategies keep their model marks
+const withLivePrice = (position, tick) => {
+  if (!tick || position.type !== 'stock' || !position.currentPrice) return position;
+  const shares = (position.shares ?? position.quantity) * (position.side === 'short' ? -1 : 1);
+  const move = (tick.price - position.currentPrice) * shares;
+  const unrealizedPL = position.unrealizedPL + move;
+  return {
+    ...position,
+    currentPrice: tick.price,
+    currentValue: position.currentValue + move,
+    unrealizedPL,
+    unrealizedPercent: (unrealizedPL / Math.abs(position.costBasis)) * 100
+  };
+};
+
+// A price that flashes green or red when a live tick moves it; the key restarts the animation
+const LivePrice = ({ tick, className = '', children }) => (
+  <span key={tick?.seq || 0} className={`${className} ${tick?.direction ? `price-flash-${tick.direction}` : ''}`.trim()}>
+    {children}
+  </span>
+);
+
+// Corporate actions applied to the portfolio (see backend portfolioManager)
+const describeCorporateAction = (action) => {
+  if (action.type === 'split') {
+    const adjusted = [
+      action.lots.length && `${action.lots.length} lot${action.lots.length === 1 ? '' : 's'}`,
+      action.options.length && `${action.options.length} option${action.options.length === 1 ? '' : 's'}`,
+      action.orders.length && `${action.orders.length} order${action.orders.length === 1 ? '' : 's'}`
+    ].filter(Boolean);
+    return `${action.toFactor}-for-${action.fromFactor} split${adjusted.length ? `: ${adjusted.join(', ')} adjusted` : ''}`;
+  }
+  const shares = [
+    action.longShares && `${action.longShares} shares`,
+    action.shortShares && `${action.shortShares} short`
+  ].filter(Boolean).join(', ');
+  return `$${action.amountPerShare.toFixed(4)}/share on ${shares}`;
+};
+
 function App() {
   const [query, setQuery] = useState('');
   const [loading, setLoading] = useState(false);
@@ -14,6 +228,52 @@ function App() {
   const [activeView, setActiveView] = useState('chat');
   const [portfolio, setPortfolio] = useState(null);
   const [portfolioLoading, setPortfolioLoading] = useState(false);
+  const [expandedHoldings, setExpandedHoldings] = useState({});
+  const [accountError, setAccountError] = useState(null);
+  const [feeDraft, setFeeDraft] = useState(null); // { feeSchedule, slippage } while editing
+  const [positionError, setPositionError] = useState(null);
+  const [portfolios, setPortfolios] = useState([]);
+  const [activePortfolioId, setActivePortfolioId] = useState(null);
+  const [portfolioComparison, setPortfolioComparison] = useState([]);
+  const [portfolioError, setPortfolioError] = useState(null);
+  const [newPortfolioName, setNewPortfolioName] = useState('');
+  const [newPortfolioCapital, setNewPortfolioCapital] = useState('1000000');
+  const [optionChain, setOptionChain] = useState(null); // { messageIndex, symbol, data, loading, error }
+  const [chainContracts, setChainContracts] = useState(1);
+  const [portfolioTab, setPortfolioTab] = useState('overview'); // 'overview', 'ledger', 'analytics', 'taxes' or 'files'
+  const [ledgerEvents, setLedgerEvents] = useState([]);
+  const [ledgerAsOf, setLedgerAsOf] = useState('');
+  const [ledgerState, setLedgerState] = useState(null); // Portfolio rebuilt as of ledgerAsOf
+  const [ledgerError, setLedgerError] = useState(null);
+  const [cashAmount, setCashAmount] = useState('');
+  const [equityHistory, setEquityHistory] = useState(null);
+  const [historyRange, setHistoryRange] = useState('3m');
+  const [benchmarkPerformance, setBenchmarkPerformance] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
+  const [analyticsFilters, setAnalyticsFilters] = useState(EMPTY_ANALYTICS_FILTERS);
+  const [analyticsError, setAnalyticsError] = useState(null);
+  const [taxReport, setTaxReport] = useState(null);
+  const [taxYear, setTaxYear] = useState(String(new Date().getFullYear()));
+  const [taxError, setTaxError] = useState(null);
+  const [importFormats, setImportFormats] = useState([]);
+  const [importFormat, setImportFormat] = useState('auto');
+  const [importCsv, setImportCsv] = useState('');
+  const [importPreview, setImportPreview] = useState(null); // Result of the last dry run or import
+  const [importError, setImportError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [watchlists, setWatchlists] = useState([]);
+  const [activeWatchlistId, setActiveWatchlistId] = useState(null);
+  const [watchlistQuotes, setWatchlistQuotes] = useState([]);
+  const [watchlistSymbol, setWatchlistSymbol] = useState('');
+  const [newWatchlistName, setNewWatchlistName] = useState('');
+  const [watchlistError, setWatchlistError] = useState(null);
+  const [alertList, setAlertList] = useState([]);
+  const [unreadAlerts, setUnreadAlerts] = useState(0);
+  const [toasts, setToasts] = useState([]); // Alerts that just fired
+  const [alertForm, setAlertForm] = useState(EMPTY_ALERT_FORM);
+  const [alertDraft, setAlertDraft] = useState(null); // { messageIndex, symbol, type, threshold } for a stock card
+  const [alertError, setAlertError] = useState(null);
+  const [liveQuotes, setLiveQuotes] = useState({}); // symbol -> { price, change, changePercent, direction, seq }
   const messagesEndRef = useRef(null);
 
   const scrollToBottom = () => {
@@ -30,12 +290,101 @@ function App() {
     return () => clearInterval(interval);
   }, []);
 
+  useEffect(() => {
+    fetchPortfolios();
+  }, []);
+
+  useEffect(() => {
+    fetchWatchlists();
+  }, []);
+
+  // Alerts fired by the server's alert engine arrive over Server-Sent Events
+  useEffect(() => {
+    fetchAlerts();
+    const source = new EventSource('/api/alerts/stream');
+    source.addEventListener('alert', (e) => {
+      const alert = JSON.parse(e.data);
+      setToasts(prev => [...prev, alert]);
+      setTimeout(() => dismissToast(alert.id), TOAST_DURATION);
+      setAlertList(prev => [alert, ...prev.filter(a => a.id !== alert.id)]);
+      setUnreadAlerts(prev => prev + 1);
+    });
+    return () => source.close();
+  }, []);
+
+  useEffect(() => {
+    if (activeView === 'alerts') {
+      fetchAlerts();
+    }
+  }, [activeView]);
+
+  // Quotes for the selected watchlist, refreshed with the other widgets and whenever its symbols change
+  const activeWatchlist = watchlists.find(w => w.id === activeWatchlistId);
+  const activeWatchlistSymbols = activeWatchlist ? activeWatchlist.symbols.join(',') : '';
+  useEffect(() => {
+    if (!activeWatchlistId) return undefined;
+    fetchWatchlistQuotes(activeWatchlistId);
+    const interval = setInterval(() => fetchWatchlistQuotes(activeWatchlistId), 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [activeWatchlistId, activeWatchlistSymbols]);
+
+  // Stream live prices for every symbol on screen: index and mover widgets, the watchlist,
+  // stock cards in the chat and (on the Portfolio tab) stock holdings. A new set of symbols
+  // reconnects with the new list.
+  const streamSymbols = [...new Set([
+    ...indexes.map(index => index.symbol),
+    ...topMovers.map(stock => stock.symbol),
+    ...(activeWatchlist ? activeWatchlist.symbols : []),
+    ...messages.filter(message => message.stockData).map(message => message.stockData.symbol),
+    ...(activeView === 'portfolio' && portfolio ? portfolio.holdings.filter(h => h.type === 'stock').map(h => h.symbol) : [])
+  ])].sort().slice(0, MAX_STREAM_SYMBOLS).join(',');
+  useEffect(() => {
+    if (!streamSymbols) return undefined;
+    const source = new EventSource(`/api/quotes/stream?symbols=${encodeURIComponent(streamSymbols)}`);
+    source.addEventListener('quote', (e) => {
+      const quote = JSON.parse(e.data);
+      setLiveQuotes(prev => {
+        const last = prev[quote.symbol];
+        const moved = last && quote.price !== last.price;
+        return {
+          ...prev,
+          [quote.symbol]: {
+            ...quote,
+            direction: moved ? (quote.price > last.price ? 'up' : 'down') : last?.direction,
+            seq: (last?.seq || 0) + (moved ? 1 : 0)
+          }
+        };
+      });
+    });
+    return () => source.close();
+  }, [streamSymbols]);
+
   useEffect(() => {
     if (activeView === 'portfolio') {
       fetchPortfolio();
+      fetchComparison();
+      fetchBenchmark();
     }
   }, [activeView]);
 
+  useEffect(() => {
+    if (activeView === 'portfolio') {
+      fetchHistory(historyRange);
+    }
+  }, [activeView, historyRange]);
+
+  useEffect(() => {
+    if (activeView === 'portfolio' && portfolioTab === 'analytics') {
+      fetchAnalytics(analyticsFilters);
+    }
+  }, [activeView, portfolioTab, analyticsFilters]);
+
+  useEffect(() => {
+    if (activeView === 'portfolio' && portfolioTab === 'taxes') {
+      fetchTaxReport(taxYear);
+    }
+  }, [activeView, portfolioTab, taxYear]);
+
   const fetchMarketData = async () => {
     try {
       setWidgetsLoading(true);
@@ -70,6 +419,459 @@ function App() {
     }
   };
 
+  const fetchPortfolios = async () => {
+    try {
+      const response = await axios.get('/api/portfolios');
+      if (response.data.success) {
+        setPortfolios(response.data.portfolios);
+        setActivePortfolioId(response.data.activePortfolioId);
+      }
+    } catch (err) {
+      console.error('Error fetching portfolios:', err);
+    }
+  };
+
+  const fetchAlerts = async () => {
+    try {
+      const response = await axios.get('/api/alerts');
+      if (response.data.success) {
+        setAlertList(response.data.alerts);
+        setUnreadAlerts(response.data.unread);
+      }
+    } catch (err) {
+      console.error('Error fetching alerts:', err);
+    }
+  };
+
+  // Keep the selected list if it still exists, otherwise fall back to the first one
+  const fetchWatchlists = async () => {
+    try {
+      const response = await axios.get('/api/watchlists');
+      if (response.data.success) {
+        const lists = response.data.watchlists;
+        setWatchlists(lists);
+        setActiveWatchlistId(prev => (lists.some(w => w.id === prev) ? prev : lists[0]?.id ?? null));
+      }
+    } catch (err) {
+      console.error('Error fetching watchlists:', err);
+    }
+  };
+
+  const fetchWatchlistQuotes = async (watchlistId) => {
+    try {
+      const response = await axios.get(`/api/watchlists/${watchlistId}/quotes`);
+      if (response.data.success) {
+        setWatchlistQuotes(response.data.quotes);
+      }
+    } catch (err) {
+      console.error('Error fetching watchlist quotes:', err);
+    }
+  };
+
+  const fetchComparison = async () => {
+    try {
+      const response = await axios.get('/api/portfolios/compare');
+      if (response.data.success) {
+        setPortfolioComparison(response.data.portfolios);
+      }
+    } catch (err) {
+      console.error('Error comparing portfolios:', err);
+    }
+  };
+
+  const fetchHistory = async (range) => {
+    try {
+      const response = await axios.get('/api/portfolio/history', { params: { range } });
+      if (response.data.success) {
+        setEquityHistory(response.data.history);
+      }
+    } catch (err) {
+      console.error('Error fetching equity history:', err);
+    }
+  };
+
+  const fetchBenchmark = async () => {
+    try {
+      const response = await axios.get('/api/portfolio/benchmark');
+      if (response.data.success) {
+        setBenchmarkPerformance(response.data.benchmark);
+      }
+    } catch (err) {
+      console.error('Error fetching benchmark comparison:', err);
+    }
+  };
+
+  // Empty filters are left out of the query
+  const fetchAnalytics = async (filters) => {
+    try {
+      setAnalyticsError(null);
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await axios.get('/api/portfolio/analytics', { params });
+      setAnalytics(response.data.analytics);
+    } catch (err) {
+      setAnalyticsError(err.response?.data?.error || 'Failed to load analytics');
+    }
+  };
+
+  const fetchTaxReport = async (year) => {
+    try {
+      setTaxError(null);
+      const response = await axios.get('/api/portfolio/tax-report', { params: { year } });
+      setTaxReport(response.data.report);
+    } catch (err) {
+      setTaxError(err.response?.data?.error || 'Failed to load tax report');
+    }
+  };
+
+  const handleDownloadForm8949 = async () => {
+    try {
+      setTaxError(null);
+      await downloadFile('/api/portfolio/tax-report/form-8949.csv', { year: taxYear }, `form-8949-${taxYear}.csv`);
+    } catch (err) {
+      setTaxError('Failed to download Form 8949 CSV');
+    }
+  };
+
+  const handleExport = async (dataset, format) => {
+    try {
+      setImportError(null);
+      await downloadFile('/api/portfolio/export', { dataset, format }, `${dataset}.${format}`);
+    } catch (err) {
+      setImportError(`Failed to export ${EXPORT_DATASETS[dataset].toLowerCase()}`);
+    }
+  };
+
+  const fetchImportFormats = async () => {
+    try {
+      const response = await axios.get('/api/portfolio/import/formats');
+      if (response.data.success) {
+        setImportFormats(response.data.formats);
+      }
+    } catch (err) {
+      console.error('Error fetching import formats:', err);
+    }
+  };
+
+  // A new file or format needs a fresh preview before it can be imported
+  const handleImportFile = async (file) => {
+    setImportPreview(null);
+    setImportError(null);
+    setImportCsv(file ? await file.text() : '');
+  };
+
+  const handleImportFormat = (format) => {
+    setImportPreview(null);
+    setImportFormat(format);
+  };
+
+  // Dry run first; a real import refreshes everything the trades touch
+  const handleImport = async (dryRun) => {
+    try {
+      setImportError(null);
+      setImporting(true);
+      const response = await axios.post('/api/portfolio/import', { csv: importCsv, format: importFormat, dryRun });
+      setImportPreview(response.data);
+      if (!dryRun) {
+        fetchPortfolio();
+        fetchHistory(historyRange);
+      }
+    } catch (err) {
+      setImportError(err.response?.data?.error || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleAnalyticsFilter = (field, value) => {
+    setAnalyticsFilters(filters => ({ ...filters, [field]: value }));
+  };
+
+  const fetchLedger = async () => {
+    try {
+      const response = await axios.get('/api/portfolio/ledger');
+      if (response.data.success) {
+        setLedgerEvents(response.data.events);
+      }
+    } catch (err) {
+      console.error('Error fetching ledger:', err);
+    }
+  };
+
+  const handlePortfolioTab = (tab) => {
+    setPortfolioTab(tab);
+    if (tab === 'ledger') {
+      fetchLedger();
+    }
+    if (tab === 'files' && importFormats.length === 0) {
+      fetchImportFormats();
+    }
+  };
+
+  // Deposit or withdraw cash, then refresh the balance and the ledger
+  const handleCashTransfer = async (type) => {
+    try {
+      setLedgerError(null);
+      await axios.post('/api/portfolio/cash', { type, amount: parseFloat(cashAmount) });
+      setCashAmount('');
+      fetchPortfolio();
+      fetchLedger();
+    } catch (err) {
+      setLedgerError(err.response?.data?.error || `Failed to record ${type}`);
+    }
+  };
+
+  // Replay the ledger up to the chosen date and time (local time from the picker)
+  const handleLedgerAsOf = async () => {
+    try {
+      setLedgerError(null);
+      const asOf = new Date(ledgerAsOf).toISOString();
+      const response = await axios.get('/api/portfolio/ledger/state', { params: { asOf } });
+      setLedgerState(response.data.state);
+    } catch (err) {
+      setLedgerError(err.response?.data?.error || 'Failed to rebuild portfolio');
+    }
+  };
+
+  // Run a portfolio management request, then refresh the switcher, comparison and active portfolio
+  const managePortfolios = async (request, fallbackError) => {
+    try {
+      setPortfolioError(null);
+      await request();
+      await fetchPortfolios();
+      if (activeView === 'portfolio') {
+        fetchPortfolio();
+        fetchComparison();
+        fetchHistory(historyRange);
+        fetchBenchmark();
+      }
+      setLedgerState(null);
+      setImportPreview(null);
+      setFeeDraft(null);
+      if (portfolioTab === 'ledger') {
+        fetchLedger();
+      }
+      if (portfolioTab === 'taxes') {
+        fetchTaxReport(taxYear);
+      }
+      return true;
+    } catch (err) {
+      setPortfolioError(err.response?.data?.error || fallbackError);
+      return false;
+    }
+  };
+
+  const handleSwitchPortfolio = (portfolioId) => managePortfolios(
+    () => axios.post(`/api/portfolios/${portfolioId}/activate`),
+    'Failed to switch portfolio'
+  );
+
+  const handleCreatePortfolio = async () => {
+    const created = await managePortfolios(
+      () => axios.post('/api/portfolios', { name: newPortfolioName, startingCapital: parseFloat(newPortfolioCapital) }),
+      'Failed to create portfolio'
+    );
+    if (created) {
+      setNewPortfolioName('');
+    }
+  };
+
+  const handleRenamePortfolio = (p) => {
+    const name = window.prompt('Rename portfolio', p.name);
+    if (!name || name === p.name) return;
+    managePortfolios(() => axios.post(`/api/portfolios/${p.id}/rename`, { name }), 'Failed to rename portfolio');
+  };
+
+  const handleClonePortfolio = (p) => {
+    const name = window.prompt('Name for the copy', `${p.name} (copy)`);
+    if (!name) return;
+    managePortfolios(() => axios.post(`/api/portfolios/${p.id}/clone`, { name }), 'Failed to clone portfolio');
+  };
+
+  const handleArchivePortfolio = (p) => managePortfolios(
+    () => axios.post(`/api/portfolios/${p.id}/archive`, { archived: !p.archived }),
+    `Failed to ${p.archived ? 'restore' : 'archive'} portfolio`
+  );
+
+  const handleDeletePortfolio = (p) => {
+    if (!window.confirm(`Delete "${p.name}" and all of its trade history? This cannot be undone.`)) return;
+    managePortfolios(() => axios.delete(`/api/portfolios/${p.id}`), 'Failed to delete portfolio');
+  };
+
+  // Run a watchlist request, then reload the lists (and select the one it returned, if asked)
+  const manageWatchlists = async (request, fallbackError, { select = false } = {}) => {
+    try {
+      setWatchlistError(null);
+      const response = await request();
+      if (select) {
+        setActiveWatchlistId(response.data.watchlist.id);
+      }
+      await fetchWatchlists();
+      return true;
+    } catch (err) {
+      setWatchlistError(err.response?.data?.error || fallbackError);
+      return false;
+    }
+  };
+
+  const handleAddToWatchlist = async () => {
+    const added = await manageWatchlists(
+      () => axios.post(`/api/watchlists/${activeWatchlistId}/symbols`, { symbol: watchlistSymbol }),
+      'Failed to add symbol'
+    );
+    if (added) setWatchlistSymbol('');
+  };
+
+  const handleRemoveFromWatchlist = (e, symbol) => {
+    e.stopPropagation(); // Don't also analyze the symbol
+    manageWatchlists(() => axios.delete(`/api/watchlists/${activeWatchlistId}/symbols/${symbol}`), 'Failed to remove symbol');
+  };
+
+  const handleCreateWatchlist = async () => {
+    const created = await manageWatchlists(
+      () => axios.post('/api/watchlists', { name: newWatchlistName }),
+      'Failed to create watchlist',
+      { select: true }
+    );
+    if (created) setNewWatchlistName('');
+  };
+
+  const handleDeleteWatchlist = () => {
+    if (!activeWatchlist || !window.confirm(`Delete the watchlist "${activeWatchlist.name}"?`)) return;
+    manageWatchlists(() => axios.delete(`/api/watchlists/${activeWatchlist.id}`), 'Failed to delete watchlist');
+  };
+
+  // Run an alert request, then reload the inbox
+  const manageAlerts = async (request, fallbackError) => {
+    try {
+      setAlertError(null);
+      await request();
+      await fetchAlerts();
+      return true;
+    } catch (err) {
+      setAlertError(err.response?.data?.error || fallbackError);
+      return false;
+    }
+  };
+
+  const handleCreateAlert = async () => {
+    const created = await manageAlerts(() => axios.post('/api/alerts', alertForm), 'Failed to create alert');
+    if (created) setAlertForm(EMPTY_ALERT_FORM);
+  };
+
+  // Alert from a stock card in the chat
+  const handleCardAlert = async () => {
+    const { symbol, type, threshold } = alertDraft;
+    const created = await manageAlerts(() => axios.post('/api/alerts', { symbol, type, threshold }), 'Failed to create alert');
+    if (created) setAlertDraft(null);
+  };
+
+  const handleMarkAlertRead = (alertId) => {
+    manageAlerts(() => axios.post(`/api/alerts/${alertId}/read`), 'Failed to mark alert read');
+  };
+
+  const handleMarkAllAlertsRead = () => {
+    manageAlerts(() => axios.post('/api/alerts/read'), 'Failed to mark alerts read');
+  };
+
+  const handleDeleteAlert = (alertId) => {
+    manageAlerts(() => axios.delete(`/api/alerts/${alertId}`), 'Failed to delete alert');
+  };
+
+  const dismissToast = (alertId) => {
+    setToasts(prev => prev.filter(t => t.id !== alertId));
+  };
+
+  const handleCancelOrder = async (orderId) => {
+    try {
+      await axios.post(`/api/orders/${orderId}/cancel`);
+      fetchPortfolio();
+    } catch (err) {
+      console.error('Error cancelling order:', err);
+    }
+  };
+
+  const handleAccountType = async (accountType) => {
+    try {
+      setAccountError(null);
+      await axios.post('/api/portfolio/account', { accountType });
+      fetchPortfolio();
+    } catch (err) {
+      setAccountError(err.response?.data?.error || 'Failed to update account');
+    }
+  };
+
+  const handleOptionSettlement = async (optionSettlement) => {
+    try {
+      setAccountError(null);
+      await axios.post('/api/portfolio/account', { optionSettlement });
+      fetchPortfolio();
+    } catch (err) {
+      setAccountError(err.response?.data?.error || 'Failed to update account');
+    }
+  };
+
+  // The benchmark line on the equity curve and the comparison figures both change with it
+  const handleBenchmark = async (benchmark) => {
+    try {
+      setAccountError(null);
+      await axios.post('/api/portfolio/account', { benchmark });
+      fetchPortfolio();
+      fetchBenchmark();
+      fetchHistory(historyRange);
+    } catch (err) {
+      setAccountError(err.response?.data?.error || 'Failed to update account');
+    }
+  };
+
+  const handleSaveFees = async () => {
+    try {
+      setAccountError(null);
+      await axios.post('/api/portfolio/account', feeDraft);
+      setFeeDraft(null);
+      fetchPortfolio();
+    } catch (err) {
+      setAccountError(err.response?.data?.error || 'Failed to update fees');
+    }
+  };
+
+  const updateFeeDraft = (section, field, value) => {
+    setFeeDraft(prev => ({ ...prev, [section]: { ...prev[section], [field]: value } }));
+  };
+
+  const handleRunCorporateActions = async () => {
+    try {
+      setPositionError(null);
+      await axios.post('/api/corporate-actions/run');
+      fetchPortfolio();
+    } catch (err) {
+      setPositionError(err.response?.data?.error || 'Failed to check corporate actions');
+    }
+  };
+
+  const handleCloseStrategy = async (strategyId) => {
+    try {
+      setPositionError(null);
+      await axios.post('/api/portfolio/close', { strategyId });
+      fetchPortfolio();
+    } catch (err) {
+      setPositionError(err.response?.data?.error || 'Failed to close strategy');
+    }
+  };
+
+  const handleExercise = async (positionId) => {
+    try {
+      setPositionError(null);
+      await axios.post(`/api/portfolio/options/${positionId}/exercise`);
+      fetchPortfolio();
+    } catch (err) {
+      setPositionError(err.response?.data?.error || 'Failed to exercise option');
+    }
+  };
+
+  const toggleHolding = (key) => {
+    setExpandedHoldings(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
   const handleResearch = async () => {
     if (!query.trim()) return;
 
@@ -97,10 +899,17 @@ function App() {
           content: response.data.analysis,
           stockData: response.data.stockData,
           allStockData: response.data.allStockData,
-          tradeExecuted: response.data.tradeExecuted,
+          orderTickets: response.data.orderTickets,
+          toolCalls: response.data.toolCalls,
           timestamp: new Date()
         };
         setMessages(prev => [...prev, assistantMessage]);
+        if (response.data.watchlistsChanged) {
+          fetchWatchlists();
+        }
+        if (response.data.alertsChanged) {
+          fetchAlerts();
+        }
         
         setConversationHistory(prev => [
           ...prev,
@@ -108,10 +917,6 @@ function App() {
           response.data.assistantMessage
         ]);
         
-        // If a trade was executed, refresh portfolio in background
-        if (response.data.tradeExecuted && activeView === 'portfolio') {
-          fetchPortfolio();
-        }
       }
     } catch (err) {
       console.error('Error:', err);
@@ -126,6 +931,96 @@ function App() {
     }
   };
 
+  // Replace one order ticket (and optionally the trade badge) inside a chat message
+  const updateTicket = (messageIndex, ticket, tradeExecuted) => {
+    setMessages(prev => prev.map((message, i) => {
+      if (i !== messageIndex) return message;
+      return {
+        ...message,
+        orderTickets: message.orderTickets.map(t => (t.id === ticket.id ? ticket : t)),
+        tradeExecuted: tradeExecuted || message.tradeExecuted
+      };
+    }));
+  };
+
+  const handleTicketAction = async (messageIndex, ticket, action) => {
+    updateTicket(messageIndex, { ...ticket, status: action === 'confirm' ? 'executing' : 'cancelling' });
+    
+    try {
+      const response = await axios.post(`/api/portfolio/tickets/${ticket.id}`, { action });
+      if (response.data.success) {
+        updateTicket(messageIndex, response.data.ticket, response.data.tradeExecuted);
+      }
+    } catch (err) {
+      console.error('Error updating order ticket:', err);
+      const status = err.response?.status === 410 ? 'expired' : 'failed';
+      updateTicket(messageIndex, { ...ticket, status, error: err.response?.data?.error || 'Failed to reach server' });
+    }
+  };
+
+  // Load the option chain under a stock card (expiration defaults to the nearest)
+  const handleOpenChain = async (messageIndex, symbol, expiration) => {
+    setOptionChain(prev => ({
+      messageIndex,
+      symbol,
+      data: prev?.messageIndex === messageIndex ? prev.data : null,
+      loading: true,
+      error: null
+    }));
+    
+    try {
+      const response = await axios.get(`/api/options/${symbol}`, { params: { expiration } });
+      if (response.data.success) {
+        setOptionChain({ messageIndex, symbol, data: response.data, loading: false, error: null });
+      }
+    } catch (err) {
+      console.error('Error fetching option chain:', err);
+      setOptionChain(prev => ({ ...prev, loading: false, error: err.response?.data?.error || 'Failed to load option chain' }));
+    }
+  };
+
+  // Clicking an ask buys at the ask, clicking a bid writes at the bid. Either way the order
+  // goes on a pending ticket in the same message, just like a ticket from chat.
+  const handleChainQuote = async (action, optionType, strike, premium) => {
+    const { messageIndex, data } = optionChain;
+    setOptionChain(prev => ({ ...prev, error: null }));
+    
+    try {
+      const response = await axios.post('/api/portfolio/tickets', {
+        action,
+        order: {
+          symbol: data.symbol,
+          option_type: optionType,
+          strike,
+          expiration: data.expiration,
+          premium,
+          contracts: chainContracts
+        }
+      });
+      if (response.data.success) {
+        setMessages(prev => prev.map((message, i) => (
+          i === messageIndex
+            ? { ...message, orderTickets: [...(message.orderTickets || []), response.data.ticket] }
+            : message
+        )));
+      }
+    } catch (err) {
+      console.error('Error creating order ticket:', err);
+      setOptionChain(prev => ({ ...prev, error: err.response?.data?.error || 'Failed to create order ticket' }));
+    }
+  };
+
+  // Bid / ask cells are buttons when there is a price to trade at
+  const chainQuoteCell = (action, optionType, strike, premium) => (
+    <td>
+      {premium > 0 ? (
+        <button onClick={() => handleChainQuote(action, optionType, strike, premium)} className={`chain-quote chain-${action === 'buy_option' ? 'ask' : 'bid'}`}>
+          {formatQuote(premium)}
+        </button>
+      ) : '-'}
+    </td>
+  );
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -136,8 +1031,13 @@ function App() {
   const handleClearChat = () => {
     setMessages([]);
     setConversationHistory([]);
+    setOptionChain(null);
   };
 
+  const equityCurve = equityHistory && equityHistory.snapshots.length > 1
+    ? equityCurvePaths(equityHistory.snapshots)
+    : null;
+
   return (
     <div className="app-container">
       <div className="main-layout">
@@ -151,6 +1051,18 @@ function App() {
               </div>
             </div>
             <div className="header-actions">
+              {portfolios.length > 0 && (
+                <select
+                  value={activePortfolioId || ''}
+                  onChange={(e) => handleSwitchPortfolio(e.target.value)}
+                  className="portfolio-switcher"
+                  title="Active portfolio - chat trades and the portfolio view use this one"
+                >
+                  {portfolios.filter(p => !p.archived).map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+              )}
               <button 
                 onClick={() => setActiveView('chat')} 
                 className={`view-toggle ${activeView === 'chat' ? 'active' : ''}`}
@@ -165,6 +1077,14 @@ function App() {
                 <Briefcase size={16} />
                 Portfolio
               </button>
+              <button 
+                onClick={() => setActiveView('alerts')} 
+                className={`view-toggle ${activeView === 'alerts' ? 'active' : ''}`}
+              >
+                <Bell size={16} />
+                Alerts
+                {unreadAlerts > 0 && <span className="alert-badge">{unreadAlerts}</span>}
+              </button>
               {messages.length > 0 && activeView === 'chat' && (
                 <button onClick={handleClearChat} className="clear-button">
                   <RefreshCw size={16} />
@@ -216,19 +1136,165 @@ function App() {
                                 <>
                                   <div className="trade-detail">
                                     <span className="trade-label">Action:</span>
-                                    <span className="trade-value">BUY {message.tradeExecuted.quantity} shares</span>
+                                    <span className="trade-value">BUY {message.tradeExecuted.quantity} shares</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Symbol:</span>
+                                    <span className="trade-value">{message.tradeExecuted.symbol}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Price:</span>
+                                    <span className="trade-value">${message.tradeExecuted.price.toFixed(2)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Total Cost:</span>
+                                    <span className="trade-value">${message.tradeExecuted.cost.toFixed(2)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">New Balance:</span>
+                                    <span className="trade-value">${message.tradeExecuted.newBalance.toLocaleString('en-US', {minimumFractionDigits: 2})}</span>
+                                  </div>
+                                </>
+                              )}
+                              {message.tradeExecuted.type === 'sell_stock' && (
+                                <>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Action:</span>
+                                    <span className="trade-value">SELL {message.tradeExecuted.shares} shares</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Symbol:</span>
+                                    <span className="trade-value">{message.tradeExecuted.symbol}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Exit Price:</span>
+                                    <span className="trade-value">${message.tradeExecuted.exitPrice.toFixed(2)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">P/L:</span>
+                                    <span className={`trade-value ${message.tradeExecuted.profitLoss >= 0 ? 'positive' : 'negative'}`}>
+                                      {message.tradeExecuted.profitLoss >= 0 ? '+' : ''}${message.tradeExecuted.profitLoss.toFixed(2)} ({message.tradeExecuted.percentReturn.toFixed(2)}%)
+                                    </span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">New Balance:</span>
+                                    <span className="trade-value">${message.tradeExecuted.newBalance.toLocaleString('en-US', {minimumFractionDigits: 2})}</span>
+                                  </div>
+                                </>
+                              )}
+                              {message.tradeExecuted.type === 'short_stock' && (
+                                <>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Action:</span>
+                                    <span className="trade-value">SHORT {message.tradeExecuted.quantity} shares</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Symbol:</span>
+                                    <span className="trade-value">{message.tradeExecuted.symbol}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Price:</span>
+                                    <span className="trade-value">${message.tradeExecuted.price.toFixed(2)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Proceeds:</span>
+                                    <span className="trade-value">${message.tradeExecuted.proceeds.toFixed(2)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">New Balance:</span>
+                                    <span className="trade-value">${message.tradeExecuted.newBalance.toLocaleString('en-US', {minimumFractionDigits: 2})}</span>
+                                  </div>
+                                </>
+                              )}
+                              {message.tradeExecuted.type === 'cover_short' && (
+                                <>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Action:</span>
+                                    <span className="trade-value">COVER {message.tradeExecuted.shares} shares</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Symbol:</span>
+                                    <span className="trade-value">{message.tradeExecuted.symbol}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Cover Price:</span>
+                                    <span className="trade-value">${message.tradeExecuted.exitPrice.toFixed(2)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">P/L:</span>
+                                    <span className={`trade-value ${message.tradeExecuted.profitLoss >= 0 ? 'positive' : 'negative'}`}>
+                                      {message.tradeExecuted.profitLoss >= 0 ? '+' : ''}${message.tradeExecuted.profitLoss.toFixed(2)} ({message.tradeExecuted.percentReturn.toFixed(2)}%)
+                                    </span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">New Balance:</span>
+                                    <span className="trade-value">${message.tradeExecuted.newBalance.toLocaleString('en-US', {minimumFractionDigits: 2})}</span>
+                                  </div>
+                                </>
+                              )}
+                              {message.tradeExecuted.type === 'close_option' && (
+                                <>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Action:</span>
+                                    <span className="trade-value">CLOSE {message.tradeExecuted.contracts} {message.tradeExecuted.optionType}(s)</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Symbol:</span>
+                                    <span className="trade-value">{message.tradeExecuted.symbol} ${message.tradeExecuted.strike}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Exit Premium:</span>
+                                    <span className="trade-value">${message.tradeExecuted.exitPremium.toFixed(2)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">P/L:</span>
+                                    <span className={`trade-value ${message.tradeExecuted.profitLoss >= 0 ? 'positive' : 'negative'}`}>
+                                      {message.tradeExecuted.profitLoss >= 0 ? '+' : ''}${message.tradeExecuted.profitLoss.toFixed(2)} ({message.tradeExecuted.percentReturn.toFixed(2)}%)
+                                    </span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">New Balance:</span>
+                                    <span className="trade-value">${message.tradeExecuted.newBalance.toLocaleString('en-US', {minimumFractionDigits: 2})}</span>
+                                  </div>
+                                </>
+                              )}
+                              {message.tradeExecuted.type === 'place_order' && (
+                                <>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Order Placed:</span>
+                                    <span className="trade-value">{message.tradeExecuted.side.toUpperCase()} {message.tradeExecuted.quantity} {message.tradeExecuted.symbol}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Type:</span>
+                                    <span className="trade-value">{formatOrderType(message.tradeExecuted.orderType)} ({message.tradeExecuted.timeInForce.toUpperCase()})</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Price:</span>
+                                    <span className="trade-value">{formatOrderPrice(message.tradeExecuted)}</span>
+                                  </div>
+                                </>
+                              )}
+                              {message.tradeExecuted.type === 'sell_option' && (
+                                <>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Action:</span>
+                                    <span className="trade-value">WRITE {message.tradeExecuted.contracts} {message.tradeExecuted.optionType}(s)</span>
                                   </div>
                                   <div className="trade-detail">
                                     <span className="trade-label">Symbol:</span>
-                                    <span className="trade-value">{message.tradeExecuted.symbol}</span>
+                                    <span className="trade-value">{message.tradeExecuted.symbol} ${message.tradeExecuted.strike} exp {message.tradeExecuted.expiration}</span>
                                   </div>
                                   <div className="trade-detail">
-                                    <span className="trade-label">Price:</span>
-                                    <span className="trade-value">${message.tradeExecuted.price.toFixed(2)}</span>
+                                    <span className="trade-label">Credit:</span>
+                                    <span className="trade-value">${message.tradeExecuted.credit.toFixed(2)}</span>
                                   </div>
                                   <div className="trade-detail">
-                                    <span className="trade-label">Total Cost:</span>
-                                    <span className="trade-value">${message.tradeExecuted.cost.toFixed(2)}</span>
+                                    <span className="trade-label">Covered By:</span>
+                                    <span className="trade-value">
+                                      {message.tradeExecuted.pledgedShares > 0
+                                        ? `${message.tradeExecuted.pledgedShares} shares`
+                                        : `$${message.tradeExecuted.collateral.toLocaleString('en-US', {minimumFractionDigits: 2})} cash`}
+                                    </span>
                                   </div>
                                   <div className="trade-detail">
                                     <span className="trade-label">New Balance:</span>
@@ -236,24 +1302,36 @@ function App() {
                                   </div>
                                 </>
                               )}
-                              {message.tradeExecuted.type === 'sell_stock' && (
+                              {message.tradeExecuted.type === 'open_strategy' && (
                                 <>
                                   <div className="trade-detail">
-                                    <span className="trade-label">Action:</span>
-                                    <span className="trade-value">SELL {message.tradeExecuted.shares} shares</span>
+                                    <span className="trade-label">Strategy:</span>
+                                    <span className="trade-value">{message.tradeExecuted.contracts}x {message.tradeExecuted.symbol} {message.tradeExecuted.strategyLabel}</span>
                                   </div>
                                   <div className="trade-detail">
-                                    <span className="trade-label">Symbol:</span>
-                                    <span className="trade-value">{message.tradeExecuted.symbol}</span>
+                                    <span className="trade-label">{message.tradeExecuted.netPremium >= 0 ? 'Net Credit:' : 'Net Debit:'}</span>
+                                    <span className="trade-value">${Math.abs(message.tradeExecuted.netPremium).toFixed(2)}</span>
                                   </div>
                                   <div className="trade-detail">
-                                    <span className="trade-label">Exit Price:</span>
-                                    <span className="trade-value">${message.tradeExecuted.exitPrice.toFixed(2)}</span>
+                                    <span className="trade-label">Max Profit / Loss:</span>
+                                    <span className="trade-value">{formatPayoffLimit(message.tradeExecuted.maxProfit)} / {formatPayoffLimit(message.tradeExecuted.maxLoss)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">New Balance:</span>
+                                    <span className="trade-value">${message.tradeExecuted.newBalance.toLocaleString('en-US', {minimumFractionDigits: 2})}</span>
+                                  </div>
+                                </>
+                              )}
+                              {message.tradeExecuted.type === 'close_strategy' && (
+                                <>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Closed:</span>
+                                    <span className="trade-value">{message.tradeExecuted.contracts}x {message.tradeExecuted.symbol} {message.tradeExecuted.strategyLabel}</span>
                                   </div>
                                   <div className="trade-detail">
                                     <span className="trade-label">P/L:</span>
                                     <span className={`trade-value ${message.tradeExecuted.profitLoss >= 0 ? 'positive' : 'negative'}`}>
-                                      {message.tradeExecuted.profitLoss >= 0 ? '+' : ''}${message.tradeExecuted.profitLoss.toFixed(2)} ({message.tradeExecuted.percentReturn.toFixed(2)}%)
+                                      {message.tradeExecuted.profitLoss >= 0 ? '+' : ''}${message.tradeExecuted.profitLoss.toFixed(2)}
                                     </span>
                                   </div>
                                   <div className="trade-detail">
@@ -290,7 +1368,138 @@ function App() {
                           </div>
                         )}
                         
-                        {/* Stock Data Card */}
+                        {/* Pending Order Tickets */}
+                        {message.orderTickets && message.orderTickets.map(ticket => (
+                          <div key={ticket.id} className={`order-ticket ticket-${ticket.status}`}>
+                            <div className="order-ticket-header">
+                              📝 Order Ticket
+                              <span className="ticket-status">{ticket.status}</span>
+                            </div>
+                            <div className="trade-badge-body">
+                              <div className="trade-detail">
+                                <span className="trade-label">Action:</span>
+                                <span className="trade-value">
+                                  {ticket.side.toUpperCase()} {ticket.quantity} {ticket.assetType === 'stock' ? 'shares' : ticket.assetType === 'strategy' ? `x ${ticket.strategyLabel}` : `${ticket.optionType}(s)`}
+                                </span>
+                              </div>
+                              {ticket.portfolioName && (
+                                <div className="trade-detail">
+                                  <span className="trade-label">Portfolio:</span>
+                                  <span className="trade-value">{ticket.portfolioName}</span>
+                                </div>
+                              )}
+                              <div className="trade-detail">
+                                <span className="trade-label">Symbol:</span>
+                                <span className="trade-value">
+                                  {ticket.symbol}
+                                  {ticket.assetType === 'option' && ` $${ticket.strike}`}
+                                  {ticket.assetType !== 'stock' && ` exp ${ticket.expiration}`}
+                                </span>
+                              </div>
+                              {ticket.legs && (
+                                <div className="trade-detail">
+                                  <span className="trade-label">Legs:</span>
+                                  <span className="trade-value ticket-legs">
+                                    {ticket.legs.map((leg, i) => <span key={i}>{formatLeg(leg)}</span>)}
+                                    {ticket.stockShares > 0 && <span>Buy {ticket.stockShares} shares</span>}
+                                  </span>
+                                </div>
+                              )}
+                              {ticket.maxLoss !== undefined && (
+                                <>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Max Profit / Loss:</span>
+                                    <span className="trade-value">{formatPayoffLimit(ticket.maxProfit)} / {formatPayoffLimit(ticket.maxLoss)}</span>
+                                  </div>
+                                  <div className="trade-detail">
+                                    <span className="trade-label">Breakevens:</span>
+                                    <span className="trade-value">{ticket.breakevens.map(b => `$${b.toFixed(2)}`).join(' / ') || '-'}</span>
+                                  </div>
+                                </>
+                              )}
+                              {(ticket.collateral > 0 || ticket.pledgedShares > 0) && (
+                                <div className="trade-detail">
+                                  <span className="trade-label">Collateral:</span>
+                                  <span className="trade-value">
+                                    {[
+                                      ticket.collateral > 0 && `$${ticket.collateral.toLocaleString('en-US', {minimumFractionDigits: 2})} cash`,
+                                      ticket.pledgedShares > 0 && `${ticket.pledgedShares} shares pledged`
+                                    ].filter(Boolean).join(' + ')}
+                                  </span>
+                                </div>
+                              )}
+                              {ticket.orderType && (
+                                <div className="trade-detail">
+                                  <span className="trade-label">Order Type:</span>
+                                  <span className="trade-value">{formatOrderType(ticket.orderType)} ({ticket.timeInForce.toUpperCase()})</span>
+                                </div>
+                              )}
+                              {ticket.lotMethod && (
+                                <div className="trade-detail">
+                                  <span className="trade-label">Lots:</span>
+                                  <span className="trade-value">{ticket.lotMethod.toUpperCase()} ({ticket.lotIds.length} lot{ticket.lotIds.length === 1 ? '' : 's'})</span>
+                                </div>
+                              )}
+                              <div className="trade-detail">
+                                <span className="trade-label">{ticket.assetType === 'stock' ? 'Est. Price:' : ticket.assetType === 'strategy' ? 'Net Price:' : 'Premium:'}</span>
+                                <span className="trade-value">${ticket.estimatedPrice.toFixed(2)}</span>
+                              </div>
+                              {ticket.estimatedFees > 0 && (
+                                <div className="trade-detail">
+                                  <span className="trade-label">Est. Fees:</span>
+                                  <span className="trade-value">${ticket.estimatedFees.toFixed(2)}</span>
+                                </div>
+                              )}
+                              <div className="trade-detail">
+                                <span className="trade-label">{ticket.estimatedCost !== undefined ? 'Est. Cost:' : 'Est. Proceeds:'}</span>
+                                <span className="trade-value">
+                                  ${(ticket.estimatedCost !== undefined ? ticket.estimatedCost : ticket.estimatedProceeds).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                                </span>
+                              </div>
+                              <div className="trade-detail">
+                                <span className="trade-label">Cash After:</span>
+                                <span className={`trade-value ${ticket.cashAfter < 0 ? 'negative' : ''}`}>
+                                  ${ticket.cashAfter.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                                </span>
+                              </div>
+                              {ticket.status === 'pending' && (
+                                <>
+                                  <div className="ticket-expiry">Expires at {new Date(ticket.expiresAt).toLocaleTimeString()}</div>
+                                  <div className="ticket-actions">
+                                    <button onClick={() => handleTicketAction(index, ticket, 'confirm')} className="ticket-confirm">
+                                      Confirm
+                                    </button>
+                                    <button onClick={() => handleTicketAction(index, ticket, 'cancel')} className="ticket-cancel">
+                                      Cancel
+                                    </button>
+                                  </div>
+                                </>
+                              )}
+                              {ticket.error && (
+                                <div className="ticket-error">⚠️ {ticket.error}</div>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                        
+                        {/* Tool Call Transcript */}
+                        {message.toolCalls && message.toolCalls.length > 0 && (
+                          <details className="tool-transcript">
+                            <summary>{message.toolCalls.length} tool call{message.toolCalls.length === 1 ? '' : 's'}</summary>
+                            {message.toolCalls.map((call, i) => (
+                              <div key={i} className={`tool-call ${call.isError ? 'tool-call-error' : ''}`}>
+                                <span className="tool-call-status">{call.isError ? '⚠️' : '✓'}</span>
+                                <span className="tool-call-name">{call.tool}</span>
+                                <span className="tool-call-input">{JSON.stringify(call.input)}</span>
+                                {call.isError && (
+                                  <div className="tool-call-message">{call.result.error}</div>
+                                )}
+                              </div>
+                            ))}
+                          </details>
+                        )}
+                        
+                        {/* Stock Data Card (price and change follow the live stream) */}
                         {message.stockData && (
                           <div className="stock-card">
                             <div className="stock-header">
@@ -298,10 +1507,16 @@ function App() {
                                 <div className="stock-symbol">{message.stockData.symbol}</div>
                                 <div className="company-name">{message.stockData.companyName}</div>
                               </div>
-                              <div className={parseFloat(message.stockData.change) >= 0 ? 'stock-change positive' : 'stock-change negative'}>
-                                <div className="stock-price">${message.stockData.price}</div>
-                                <div className="stock-change-text">{message.stockData.change} ({message.stockData.changePercent})</div>
-                              </div>
+                              {(() => {
+                                const tick = liveQuotes[message.stockData.symbol];
+                                const card = withLiveQuote(message.stockData, tick);
+                                return (
+                                  <div className={parseFloat(card.change) >= 0 ? 'stock-change positive' : 'stock-change negative'}>
+                                    <LivePrice tick={tick} className="stock-price">${card.price}</LivePrice>
+                                    <div className="stock-change-text">{card.change} ({parseFloat(card.changePercent).toFixed(2)}%)</div>
+                                  </div>
+                                );
+                              })()}
                             </div>
                             <div className="stock-metrics">
                               <div className="metric">
@@ -317,6 +1532,135 @@ function App() {
                                 <span className="metric-value">${message.stockData.low}</span>
                               </div>
                             </div>
+                            <div className="stock-card-actions">
+                              <button
+                                onClick={() => (optionChain?.messageIndex === index ? setOptionChain(null) : handleOpenChain(index, message.stockData.symbol))}
+                                className="row-action-button"
+                              >
+                                {optionChain?.messageIndex === index ? 'Hide Option Chain' : 'Option Chain'}
+                              </button>
+                              <button
+                                onClick={() => (alertDraft?.messageIndex === index
+                                  ? setAlertDraft(null)
+                                  : setAlertDraft({ messageIndex: index, symbol: message.stockData.symbol, type: 'price_above', threshold: String(message.stockData.price) }))}
+                                className="row-action-button"
+                              >
+                                {alertDraft?.messageIndex === index ? 'Cancel Alert' : 'Set Alert'}
+                              </button>
+                            </div>
+                            
+                            {/* Alert form */}
+                            {alertDraft?.messageIndex === index && (
+                              <div className="account-settings card-alert-form">
+                                <select
+                                  value={alertDraft.type}
+                                  onChange={(e) => setAlertDraft(prev => ({ ...prev, type: e.target.value }))}
+                                  className="portfolio-input"
+                                >
+                                  {CARD_ALERT_TYPES.map(type => (
+                                    <option key={type} value={type}>{ALERT_TYPES[type].label}</option>
+                                  ))}
+                                </select>
+                                <input
+                                  type="number"
+                                  step="any"
+                                  value={alertDraft.threshold}
+                                  onChange={(e) => setAlertDraft(prev => ({ ...prev, threshold: e.target.value }))}
+                                  className="portfolio-input"
+                                />
+                                <span className="cell-detail">{ALERT_TYPES[alertDraft.type].unit}</span>
+                                <button onClick={handleCardAlert} disabled={!alertDraft.threshold} className="row-action-button">
+                                  Create Alert
+                                </button>
+                                {alertError && <span className="ticket-error">⚠️ {alertError}</span>}
+                              </div>
+                            )}
+                            
+                            {/* Option Chain */}
+                            {optionChain?.messageIndex === index && (
+                              <div className="option-chain">
+                                {optionChain.data && (
+                                  <div className="option-chain-controls">
+                                    <select
+                                      value={optionChain.data.expiration}
+                                      onChange={(e) => handleOpenChain(index, optionChain.symbol, e.target.value)}
+                                      className="chain-select"
+                                    >
+                                      {optionChain.data.expirations.map(expiration => (
+                                        <option key={expiration} value={expiration}>{expiration}</option>
+                                      ))}
+                                    </select>
+                                    <span className="cell-detail">
+                                      {optionChain.data.daysToExpiry}d · {optionChain.data.source === 'model' ? 'Model prices' : 'Market quotes'}
+                                    </span>
+                                    <label className="chain-contracts">
+                                      Contracts
+                                      <input
+                                        type="number"
+                                        min="1"
+                                        value={chainContracts}
+                                        onChange={(e) => setChainContracts(Math.max(1, parseInt(e.target.value) || 1))}
+                                      />
+                                    </label>
+                                  </div>
+                                )}
+                                {optionChain.error && <div className="ticket-error">⚠️ {optionChain.error}</div>}
+                                {optionChain.loading ? (
+                                  <div className="loading-indicator">
+                                    <Loader2 className="icon-spin" />
+                                    <span>Loading option chain...</span>
+                                  </div>
+                                ) : optionChain.data && (
+                                  <div className="chain-table">
+                                    <table>
+                                      <thead>
+                                        <tr>
+                                          <th colSpan="5">Calls</th>
+                                          <th></th>
+                                          <th colSpan="5">Puts</th>
+                                        </tr>
+                                        <tr>
+                                          <th>Delta</th>
+                                          <th>IV</th>
+                                          <th>Last</th>
+                                          <th>Bid</th>
+                                          <th>Ask</th>
+                                          <th>Strike</th>
+                                          <th>Bid</th>
+                                          <th>Ask</th>
+                                          <th>Last</th>
+                                          <th>IV</th>
+                                          <th>Delta</th>
+                                        </tr>
+                                      </thead>
+                                      <tbody>
+                                        {optionChain.data.strikes.map(row => {
+                                          const call = row.call || {};
+                                          const put = row.put || {};
+                                          const callInTheMoney = row.strike < optionChain.data.underlyingPrice;
+                                          return (
+                                            <tr key={row.strike}>
+                                              <td className={callInTheMoney ? 'chain-itm' : ''}>{formatDelta(call.delta)}</td>
+                                              <td className={callInTheMoney ? 'chain-itm' : ''}>{formatIV(call.impliedVolatility)}</td>
+                                              <td className={callInTheMoney ? 'chain-itm' : ''}>{formatQuote(call.last)}</td>
+                                              {chainQuoteCell('sell_option', 'call', row.strike, call.bid)}
+                                              {chainQuoteCell('buy_option', 'call', row.strike, call.ask)}
+                                              <td className="chain-strike">${row.strike}</td>
+                                              {chainQuoteCell('sell_option', 'put', row.strike, put.bid)}
+                                              {chainQuoteCell('buy_option', 'put', row.strike, put.ask)}
+                                              <td className={callInTheMoney ? '' : 'chain-itm'}>{formatQuote(put.last)}</td>
+                                              <td className={callInTheMoney ? '' : 'chain-itm'}>{formatIV(put.impliedVolatility)}</td>
+                                              <td className={callInTheMoney ? '' : 'chain-itm'}>{formatDelta(put.delta)}</td>
+                                            </tr>
+                                          );
+                                        })}
+                                      </tbody>
+                                    </table>
+                                  </div>
+                                )}
+                                <div className="cell-detail">Click a bid to write the option or an ask to buy it</div>
+                              </div>
+                            )}
                           </div>
                         )}
                         
@@ -380,6 +1724,58 @@ function App() {
                 </div>
               ) : portfolio ? (
                 <>
+                  <div className="equity-curve">
+                    <div className="equity-curve-header">
+                      <span className="summary-label">Equity Curve</span>
+                      {equityCurve && (
+                        <span className="account-settings-detail">
+                          <span className={equityHistory.change >= 0 ? 'positive' : 'negative'}>
+                            {equityHistory.change >= 0 ? '+' : '-'}${Math.abs(equityHistory.change).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})} ({equityHistory.changePercent.toFixed(2)}%)
+                          </span>
+                          {' · '}Max drawdown <span className="negative">
+                            -${equityHistory.maxDrawdown.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})} ({equityHistory.maxDrawdownPercent.toFixed(2)}%)
+                          </span>
+                        </span>
+                      )}
+                      {equityCurve?.benchmark && (
+                        <span className="equity-legend">
+                          <span className="equity-legend-line" /> Portfolio
+                          <span className="equity-legend-line benchmark" /> {equityHistory.benchmark}
+                        </span>
+                      )}
+                      <div className="equity-ranges">
+                        {HISTORY_RANGES.map(range => (
+                          <button
+                            key={range}
+                            onClick={() => setHistoryRange(range)}
+                            className={`view-toggle ${historyRange === range ? 'active' : ''}`}
+                          >
+                            {range.toUpperCase()}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    {equityCurve ? (
+                      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="equity-chart">
+                        <path d={equityCurve.drawdown} className="equity-drawdown" />
+                        {equityCurve.benchmark && (
+                          <polyline points={equityCurve.benchmark} className="equity-benchmark" />
+                        )}
+                        <polyline points={equityCurve.line} className="equity-line" />
+                      </svg>
+                    ) : (
+                      <div className="empty-section">
+                        <p>Not enough snapshots in this range yet - equity is recorded after each trade and market close</p>
+                      </div>
+                    )}
+                    {equityCurve && (
+                      <div className="equity-axis">
+                        <span>{new Date(equityHistory.snapshots[0].takenAt).toLocaleDateString()}</span>
+                        <span>{new Date(equityHistory.snapshots[equityHistory.snapshots.length - 1].takenAt).toLocaleDateString()}</span>
+                      </div>
+                    )}
+                  </div>
+
                   <div className="portfolio-summary">
                     <div className="summary-card">
                       <span className="summary-label">Cash Balance</span>
@@ -395,6 +1791,15 @@ function App() {
                         {portfolio.totalReturn >= 0 ? '+' : ''}${portfolio.totalReturn.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
                         <span className="summary-percent"> ({portfolio.totalReturnPercent.toFixed(2)}%)</span>
                       </span>
+                      {benchmarkPerformance?.benchmarkReturnPercent != null && (
+                        <span className="cell-detail">
+                          vs {benchmarkPerformance.benchmark} {formatSignedPercent(benchmarkPerformance.benchmarkReturnPercent)}
+                          {' · '}
+                          <span className={benchmarkPerformance.relativeReturnPercent >= 0 ? 'positive' : 'negative'}>
+                            {formatSignedPercent(benchmarkPerformance.relativeReturnPercent)} relative
+                          </span>
+                        </span>
+                      )}
                     </div>
                     <div className="summary-card">
                       <span className="summary-label">Realized P/L</span>
@@ -402,97 +1807,1074 @@ function App() {
                         {portfolio.totalPL >= 0 ? '+' : ''}${portfolio.totalPL.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
                       </span>
                     </div>
+                    {portfolio.holdings.some(h => h.type === 'option') && (
+                      <>
+                        <div className="summary-card">
+                          <span className="summary-label">Net Delta</span>
+                          <span className="summary-value">{formatGreek(portfolio.greeks.netDelta)} sh</span>
+                        </div>
+                        <div className="summary-card">
+                          <span className="summary-label">Net Theta</span>
+                          <span className={`summary-value ${portfolio.greeks.netTheta >= 0 ? 'positive' : 'negative'}`}>
+                            {portfolio.greeks.netTheta >= 0 ? '+' : '-'}${Math.abs(portfolio.greeks.netTheta).toFixed(2)}/day
+                          </span>
+                        </div>
+                      </>
+                    )}
+                    {portfolio.accountType === 'margin' && (
+                      <>
+                        <div className="summary-card">
+                          <span className="summary-label">Buying Power</span>
+                          <span className="summary-value">${portfolio.margin.buyingPower.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</span>
+                        </div>
+                        <div className="summary-card">
+                          <span className="summary-label">Margin Used</span>
+                          <span className="summary-value">${portfolio.margin.marginUsed.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</span>
+                        </div>
+                        <div className="summary-card">
+                          <span className="summary-label">Maintenance Excess</span>
+                          <span className={`summary-value ${portfolio.margin.maintenanceExcess >= 0 ? 'positive' : 'negative'}`}>
+                            ${portfolio.margin.maintenanceExcess.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                          </span>
+                        </div>
+                      </>
+                    )}
                   </div>
 
-                  <div className="portfolio-section">
-                    <h2 className="section-title">Open Positions ({portfolio.openPositions.length})</h2>
-                    {portfolio.openPositions.length === 0 ? (
-                      <div className="empty-portfolio">
-                        <Briefcase size={48} className="empty-icon" />
-                        <p>No open positions</p>
-                        <p className="empty-hint">Use chat to trade: "Buy 100 shares of AAPL"</p>
-                      </div>
+                  {portfolio.margin.marginCall && (
+                    <div className="margin-call-banner">
+                      ⚠️ Margin call: deposit or sell ${portfolio.margin.amountDue.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})} to get back above the {(portfolio.marginSettings.maintenanceMargin * 100).toFixed(0)}% maintenance requirement.
+                    </div>
+                  )}
+
+                  <div className="account-settings">
+                    <span className="summary-label">Account Type</span>
+                    <button
+                      onClick={() => handleAccountType('cash')}
+                      className={`view-toggle ${portfolio.accountType === 'cash' ? 'active' : ''}`}
+                    >
+                      Cash
+                    </button>
+                    <button
+                      onClick={() => handleAccountType('margin')}
+                      className={`view-toggle ${portfolio.accountType === 'margin' ? 'active' : ''}`}
+                    >
+                      Margin
+                    </button>
+                    {portfolio.accountType === 'margin' && (
+                      <span className="account-settings-detail">
+                        Initial {(portfolio.marginSettings.initialMargin * 100).toFixed(0)}% · Maintenance {(portfolio.marginSettings.maintenanceMargin * 100).toFixed(0)}% · Borrow {(portfolio.marginSettings.borrowRate * 100).toFixed(2)}%/yr
+                      </span>
+                    )}
+                    <span className="summary-label">Option Exercise</span>
+                    <button
+                      onClick={() => handleOptionSettlement('physical')}
+                      className={`view-toggle ${portfolio.optionSettlement === 'physical' ? 'active' : ''}`}
+                    >
+                      Shares
+                    </button>
+                    <button
+                      onClick={() => handleOptionSettlement('cash')}
+                      className={`view-toggle ${portfolio.optionSettlement === 'cash' ? 'active' : ''}`}
+                    >
+                      Cash
+                    </button>
+                    <span className="summary-label">Benchmark</span>
+                    {BENCHMARKS.map(symbol => (
+                      <button
+                        key={symbol}
+                        onClick={() => handleBenchmark(symbol)}
+                        className={`view-toggle ${portfolio.benchmark === symbol ? 'active' : ''}`}
+                      >
+                        {symbol}
+                      </button>
+                    ))}
+                    {accountError && <span className="ticket-error">⚠️ {accountError}</span>}
+                  </div>
+
+                  <div className="account-settings">
+                    <span className="summary-label">Fees</span>
+                    {feeDraft ? (
+                      <>
+                        {FEE_FIELDS.map(([field, label]) => (
+                          <label key={field} className="fee-field">
+                            {label}
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={feeDraft.feeSchedule[field]}
+                              onChange={(e) => updateFeeDraft('feeSchedule', field, e.target.value)}
+                            />
+                          </label>
+                        ))}
+                        <label className="fee-field">
+                          <input
+                            type="checkbox"
+                            checked={feeDraft.feeSchedule.regulatoryFees}
+                            onChange={(e) => updateFeeDraft('feeSchedule', 'regulatoryFees', e.target.checked)}
+                          />
+                          SEC/FINRA fees on sales
+                        </label>
+                        <span className="summary-label">Slippage</span>
+                        {Object.entries(SLIPPAGE_MODELS).map(([model, label]) => (
+                          <button
+                            key={model}
+                            onClick={() => updateFeeDraft('slippage', 'model', model)}
+                            className={`view-toggle ${feeDraft.slippage.model === model ? 'active' : ''}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                        {feeDraft.slippage.model !== 'none' && (
+                          <label className="fee-field">
+                            Bps
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={feeDraft.slippage.bps}
+                              onChange={(e) => updateFeeDraft('slippage', 'bps', e.target.value)}
+                            />
+                          </label>
+                        )}
+                        {feeDraft.slippage.model === 'range' && (
+                          <label className="fee-field">
+                            Range fraction
+                            <input
+                              type="number"
+                              min="0"
+                              max="1"
+                              step="0.05"
+                              value={feeDraft.slippage.rangeFraction}
+                              onChange={(e) => updateFeeDraft('slippage', 'rangeFraction', e.target.value)}
+                            />
+                          </label>
+                        )}
+                        <button onClick={handleSaveFees} className="row-action-button">Save</button>
+                        <button onClick={() => setFeeDraft(null)} className="row-action-button">Cancel</button>
+                      </>
                     ) : (
-                      <div className="positions-table">
-                        <table>
-                          <thead>
-                            <tr>
-                              <th>Symbol</th>
-                              <th>Type</th>
-                              <th>Quantity</th>
-                              <th>Entry Price</th>
-                              <th>Current Price</th>
-                              <th>Current Value</th>
-                              <th>P/L</th>
-                              <th>Return %</th>
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {portfolio.openPositions.map((pos, i) => (
-                              <tr key={i}>
-                                <td className="symbol-cell">{pos.symbol}</td>
-                                <td>{pos.type === 'stock' ? 'Stock' : `${pos.optionType} Option`}</td>
-                                <td>{pos.type === 'stock' ? pos.shares : `${pos.contracts}c`}</td>
-                                <td>${pos.type === 'stock' ? pos.entryPrice.toFixed(2) : pos.entryPremium.toFixed(2)}</td>
-                                <td>${pos.currentPrice ? pos.currentPrice.toFixed(2) : '-'}</td>
-                                <td>${pos.currentValue.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
-                                <td className={pos.unrealizedPL >= 0 ? 'positive' : 'negative'}>
-                                  {pos.unrealizedPL >= 0 ? '+' : ''}${pos.unrealizedPL.toFixed(2)}
-                                </td>
-                                <td className={pos.unrealizedPercent >= 0 ? 'positive' : 'negative'}>
-                                  {pos.unrealizedPercent >= 0 ? '+' : ''}{pos.unrealizedPercent.toFixed(2)}%
-                                </td>
-                              </tr>
-                            ))}
-                          </tbody>
-                        </table>
-                      </div>
+                      <>
+                        <span className="account-settings-detail">{describeFillCosts(portfolio.feeSchedule, portfolio.slippage)}</span>
+                        <button
+                          onClick={() => setFeeDraft({ feeSchedule: portfolio.feeSchedule, slippage: portfolio.slippage })}
+                          className="row-action-button"
+                        >
+                          Edit
+                        </button>
+                      </>
                     )}
                   </div>
 
-                  <div className="portfolio-section">
-                    <h2 className="section-title">Trade History ({portfolio.closedTrades.length})</h2>
-                    {portfolio.closedTrades.length === 0 ? (
-                      <div className="empty-section">
-                        <p>No closed trades yet</p>
+                  <div className="portfolio-tabs">
+                    <button
+                      onClick={() => handlePortfolioTab('overview')}
+                      className={`view-toggle ${portfolioTab === 'overview' ? 'active' : ''}`}
+                    >
+                      Overview
+                    </button>
+                    <button
+                      onClick={() => handlePortfolioTab('ledger')}
+                      className={`view-toggle ${portfolioTab === 'ledger' ? 'active' : ''}`}
+                    >
+                      Ledger
+                    </button>
+                    <button
+                      onClick={() => handlePortfolioTab('analytics')}
+                      className={`view-toggle ${portfolioTab === 'analytics' ? 'active' : ''}`}
+                    >
+                      Analytics
+                    </button>
+                    <button
+                      onClick={() => handlePortfolioTab('taxes')}
+                      className={`view-toggle ${portfolioTab === 'taxes' ? 'active' : ''}`}
+                    >
+                      Taxes
+                    </button>
+                    <button
+                      onClick={() => handlePortfolioTab('files')}
+                      className={`view-toggle ${portfolioTab === 'files' ? 'active' : ''}`}
+                    >
+                      Import / Export
+                    </button>
+                  </div>
+
+                  {portfolioTab === 'overview' && (
+                    <>
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Open Positions ({portfolio.holdings.length})</h2>
+                      {positionError && <div className="ticket-error">⚠️ {positionError}</div>}
+                      {portfolio.holdings.length === 0 ? (
+                        <div className="empty-portfolio">
+                          <Briefcase size={48} className="empty-icon" />
+                          <p>No open positions</p>
+                          <p className="empty-hint">Use chat to trade: "Buy 100 shares of AAPL"</p>
+                        </div>
+                      ) : (
+                        <div className="positions-table">
+                          <table>
+                            <thead>
+                              <tr>
+                                <th>Symbol</th>
+                                <th>Type</th>
+                                <th>Quantity</th>
+                                <th>Avg Cost</th>
+                                <th>Current Price</th>
+                                <th>Market Value</th>
+                                <th>P/L</th>
+                                <th>Return %</th>
+                                <th>Weight</th>
+                                <th>Delta</th>
+                                <th>Theta/Day</th>
+                                <th></th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {portfolio.holdings.map(h => withLivePrice(h, liveQuotes[h.symbol])).map(holding => (
+                                <React.Fragment key={holding.key}>
+                                  <tr className="holding-row" onClick={() => toggleHolding(holding.key)}>
+                                    <td className="symbol-cell">
+                                      {expandedHoldings[holding.key] ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                                      {holding.symbol}
+                                      {holding.lots.length > 1 && <span className="lot-count">{holding.lots.length} lots</span>}
+                                    </td>
+                                    <td>
+                                      {describePosition(holding)}
+                                      {holding.type === 'option' && (
+                                        <span className="cell-detail">
+                                          Exp {holding.expiration}{holding.volatility ? ` · IV ${(holding.volatility * 100).toFixed(1)}%` : ''}
+                                        </span>
+                                      )}
+                                      {holding.type === 'strategy' && (
+                                        <span className="cell-detail">
+                                          Exp {holding.expiration} · Max {formatPayoffLimit(holding.maxProfit)} / -{formatPayoffLimit(holding.maxLoss)}
+                                          {holding.breakevens.length > 0 && ` · BE ${holding.breakevens.map(b => `$${b.toFixed(2)}`).join(' / ')}`}
+                                        </span>
+                                      )}
+                                    </td>
+                                    <td>{holding.type === 'stock' ? holding.quantity : `${holding.quantity}${holding.type === 'strategy' ? 'x' : 'c'}`}</td>
+                                    <td>
+                                      ${Math.abs(holding.averageCost).toFixed(2)}
+                                      {holding.type === 'strategy' && (holding.netPremium >= 0 ? ' cr' : ' db')}
+                                    </td>
+                                    <td>
+                                      <LivePrice tick={holding.type === 'stock' ? liveQuotes[holding.symbol] : null}>
+                                        ${holding.currentPrice ? holding.currentPrice.toFixed(2) : '-'}
+                                      </LivePrice>
+                                    </td>
+                                    <td>${holding.currentValue.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
+                                    <td className={holding.unrealizedPL >= 0 ? 'positive' : 'negative'}>
+                                      {holding.unrealizedPL >= 0 ? '+' : ''}${holding.unrealizedPL.toFixed(2)}
+                                    </td>
+                                    <td className={holding.unrealizedPercent >= 0 ? 'positive' : 'negative'}>
+                                      {holding.unrealizedPercent >= 0 ? '+' : ''}{holding.unrealizedPercent.toFixed(2)}%
+                                    </td>
+                                    <td>{holding.weight.toFixed(1)}%</td>
+                                    <td>{formatGreek(holding.exposure?.delta)}</td>
+                                    <td>{formatTheta(holding.exposure?.theta)}</td>
+                                    <td>
+                                      {holding.lots.length === 1 && isExercisable(holding.lots[0]) && (
+                                        <button
+                                          onClick={(e) => { e.stopPropagation(); handleExercise(holding.lots[0].id); }}
+                                          className="row-action-button"
+                                        >
+                                          Exercise
+                                        </button>
+                                      )}
+                                      {holding.type === 'strategy' && (
+                                        <button
+                                          onClick={(e) => { e.stopPropagation(); handleCloseStrategy(holding.strategyId); }}
+                                          className="row-action-button"
+                                        >
+                                          Close
+                                        </button>
+                                      )}
+                                    </td>
+                                  </tr>
+                                  {expandedHoldings[holding.key] && holding.lots.map(lot => withLivePrice(lot, liveQuotes[lot.symbol])).map(pos => (
+                                    <tr key={pos.id} className="lot-row">
+                                      <td className="date-cell">{pos.strategyId ? 'Leg' : 'Lot'} {new Date(pos.entryDate).toLocaleDateString()}</td>
+                                      <td>{describePosition(pos)}</td>
+                                      <td>{pos.type === 'stock' ? pos.shares : `${pos.contracts}c`}</td>
+                                      <td>${pos.type === 'stock' ? pos.entryPrice.toFixed(2) : pos.entryPremium.toFixed(2)}</td>
+                                      <td>${pos.currentPrice ? pos.currentPrice.toFixed(2) : '-'}</td>
+                                      <td>${pos.currentValue.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
+                                      <td className={pos.unrealizedPL >= 0 ? 'positive' : 'negative'}>
+                                        {pos.unrealizedPL >= 0 ? '+' : ''}${pos.unrealizedPL.toFixed(2)}
+                                      </td>
+                                      <td className={pos.unrealizedPercent >= 0 ? 'positive' : 'negative'}>
+                                        {pos.unrealizedPercent >= 0 ? '+' : ''}{pos.unrealizedPercent.toFixed(2)}%
+                                      </td>
+                                      <td></td>
+                                      <td>{formatGreek(pos.exposure?.delta)}</td>
+                                      <td>{formatTheta(pos.exposure?.theta)}</td>
+                                      <td>
+                                        {isExercisable(pos) && (
+                                          <button onClick={() => handleExercise(pos.id)} className="row-action-button">Exercise</button>
+                                        )}
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </React.Fragment>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Open Orders ({portfolio.openOrders.length})</h2>
+                      {portfolio.openOrders.length === 0 ? (
+                        <div className="empty-section">
+                          <p>No open orders. Try "Buy 50 AAPL if it drops to 180"</p>
+                        </div>
+                      ) : (
+                        <div className="positions-table">
+                          <table>
+                            <thead>
+                              <tr>
+                                <th>Symbol</th>
+                                <th>Side</th>
+                                <th>Quantity</th>
+                                <th>Type</th>
+                                <th>Price</th>
+                                <th>TIF</th>
+                                <th>Placed</th>
+                                <th></th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {portfolio.openOrders.map(order => (
+                                <tr key={order.id}>
+                                  <td className="symbol-cell">{order.symbol}</td>
+                                  <td className={order.side === 'buy' ? 'positive' : 'negative'}>{order.side.toUpperCase()}</td>
+                                  <td>{order.quantity}</td>
+                                  <td>{formatOrderType(order.orderType)}{order.triggeredAt ? ' (triggered)' : ''}</td>
+                                  <td>{formatOrderPrice(order)}</td>
+                                  <td>{order.timeInForce.toUpperCase()}</td>
+                                  <td className="date-cell">{new Date(order.createdAt).toLocaleString()}</td>
+                                  <td>
+                                    <button onClick={() => handleCancelOrder(order.id)} className="row-action-button">Cancel</button>
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Trade History ({portfolio.closedTrades.length})</h2>
+                      {portfolio.closedTrades.length === 0 ? (
+                        <div className="empty-section">
+                          <p>No closed trades yet</p>
+                        </div>
+                      ) : (
+                        <div className="positions-table">
+                          <table>
+                            <thead>
+                              <tr>
+                                <th>Symbol</th>
+                                <th>Type</th>
+                                <th>Quantity</th>
+                                <th>Entry</th>
+                                <th>Exit</th>
+                                <th>P/L</th>
+                                <th>Return %</th>
+                                <th>Date Closed</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {portfolio.closedTrades.slice().reverse().map((trade, i) => (
+                                <tr key={i}>
+                                  <td className="symbol-cell">{trade.symbol}</td>
+                                  <td>
+                                    {describePosition(trade)}
+                                    {CLOSE_REASON_LABELS[trade.closeReason] && (
+                                      <span className="cell-detail">{CLOSE_REASON_LABELS[trade.closeReason]}</span>
+                                    )}
+                                    {trade.exercisedFrom && <span className="cell-detail">From exercise</span>}
+                                    {trade.strategyId && <span className="cell-detail">Strategy leg</span>}
+                                  </td>
+                                  <td>{trade.type === 'stock' ? trade.shares : `${trade.contracts}c`}</td>
+                                  <td>${trade.type === 'stock' ? trade.entryPrice.toFixed(2) : trade.entryPremium.toFixed(2)}</td>
+                                  <td>${trade.type === 'stock' ? trade.exitPrice.toFixed(2) : trade.exitPremium.toFixed(2)}</td>
+                                  <td className={trade.profitLoss >= 0 ? 'positive' : 'negative'}>
+                                    {trade.profitLoss >= 0 ? '+' : ''}${trade.profitLoss.toFixed(2)}
+                                    {trade.fees > 0 && <span className="cell-detail">after {formatDollars(trade.fees)} fees</span>}
+                                  </td>
+                                  <td className={trade.percentReturn >= 0 ? 'positive' : 'negative'}>
+                                    {trade.percentReturn >= 0 ? '+' : ''}{trade.percentReturn.toFixed(2)}%
+                                  </td>
+                                  <td className="date-cell">{new Date(trade.exitDate).toLocaleDateString()}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Corporate Actions ({portfolio.corporateActions.length})</h2>
+                      <div className="account-settings">
+                        <button onClick={handleRunCorporateActions} className="row-action-button">
+                          Check splits &amp; dividends
+                        </button>
+                      </div>
+                      {portfolio.corporateActions.length === 0 ? (
+                        <div className="empty-section">
+                          <p>No splits or dividends on your holdings yet</p>
+                        </div>
+                      ) : (
+                        <div className="positions-table">
+                          <table>
+                            <thead>
+                              <tr>
+                                <th>Symbol</th>
+                                <th>Type</th>
+                                <th>Details</th>
+                                <th>Cash</th>
+                                <th>Date</th>
+                                <th>Status</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {portfolio.corporateActions.slice().reverse().map(action => (
+                                <tr key={action.id}>
+                                  <td className="symbol-cell">{action.symbol}</td>
+                                  <td>{EVENT_TYPE_LABELS[action.type]}</td>
+                                  <td>
+                                    {describeCorporateAction(action)}
+                                    {action.unadjustedOptions?.length > 0 && (
+                                      <span className="cell-detail">{action.unadjustedOptions.length} option(s) not adjusted</span>
+                                    )}
+                                  </td>
+                                  <td className={action.amount > 0 ? 'positive' : action.amount < 0 ? 'negative' : ''}>
+                                    {action.type === 'dividend' ? formatDollars(action.amount) : '-'}
+                                  </td>
+                                  <td className="date-cell">
+                                    {action.type === 'dividend' ? `Ex ${action.effectiveDate}` : action.effectiveDate}
+                                    {action.payDate && <span className="cell-detail">Pay {action.payDate}</span>}
+                                  </td>
+                                  <td>{action.status === 'pending' ? 'Pending' : action.status === 'paid' ? 'Paid' : 'Applied'}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Portfolios ({portfolios.length})</h2>
+                      <div className="account-settings">
+                        <input
+                          type="text"
+                          value={newPortfolioName}
+                          onChange={(e) => setNewPortfolioName(e.target.value)}
+                          placeholder="New portfolio name"
+                          className="portfolio-input"
+                        />
+                        <input
+                          type="number"
+                          min="1"
+                          value={newPortfolioCapital}
+                          onChange={(e) => setNewPortfolioCapital(e.target.value)}
+                          title="Starting capital"
+                          className="portfolio-input"
+                        />
+                        <button onClick={handleCreatePortfolio} disabled={!newPortfolioName.trim()} className="row-action-button">
+                          Create
+                        </button>
+                        {portfolioError && <span className="ticket-error">⚠️ {portfolioError}</span>}
                       </div>
-                    ) : (
                       <div className="positions-table">
                         <table>
                           <thead>
                             <tr>
-                              <th>Symbol</th>
-                              <th>Type</th>
-                              <th>Quantity</th>
-                              <th>Entry</th>
-                              <th>Exit</th>
-                              <th>P/L</th>
+                              <th>Name</th>
+                              <th>Starting Capital</th>
+                              <th>Value</th>
+                              <th>Return</th>
                               <th>Return %</th>
-                              <th>Date Closed</th>
+                              <th>Realized P/L</th>
+                              <th>Positions</th>
+                              <th></th>
                             </tr>
                           </thead>
                           <tbody>
-                            {portfolio.closedTrades.slice().reverse().map((trade, i) => (
-                              <tr key={i}>
-                                <td className="symbol-cell">{trade.symbol}</td>
-                                <td>{trade.type === 'stock' ? 'Stock' : `${trade.optionType} Option`}</td>
-                                <td>{trade.type === 'stock' ? trade.shares : `${trade.contracts}c`}</td>
-                                <td>${trade.type === 'stock' ? trade.entryPrice.toFixed(2) : trade.entryPremium.toFixed(2)}</td>
-                                <td>${trade.type === 'stock' ? trade.exitPrice.toFixed(2) : trade.exitPremium.toFixed(2)}</td>
-                                <td className={trade.profitLoss >= 0 ? 'positive' : 'negative'}>
-                                  {trade.profitLoss >= 0 ? '+' : ''}${trade.profitLoss.toFixed(2)}
+                            {portfolioComparison.map(p => (
+                              <tr key={p.id} className={p.archived ? 'archived-row' : ''}>
+                                <td className="symbol-cell">
+                                  {p.name}
+                                  {p.id === activePortfolioId && <span className="lot-count">active</span>}
+                                  {p.archived && <span className="lot-count">archived</span>}
+                                </td>
+                                <td>${p.startingCapital.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
+                                <td>${p.totalPortfolioValue.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
+                                <td className={p.totalReturn >= 0 ? 'positive' : 'negative'}>
+                                  {p.totalReturn >= 0 ? '+' : ''}${p.totalReturn.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                                </td>
+                                <td className={p.totalReturnPercent >= 0 ? 'positive' : 'negative'}>
+                                  {p.totalReturnPercent >= 0 ? '+' : ''}{p.totalReturnPercent.toFixed(2)}%
+                                </td>
+                                <td className={p.realizedPL >= 0 ? 'positive' : 'negative'}>
+                                  {p.realizedPL >= 0 ? '+' : ''}${p.realizedPL.toFixed(2)}
                                 </td>
-                                <td className={trade.percentReturn >= 0 ? 'positive' : 'negative'}>
-                                  {trade.percentReturn >= 0 ? '+' : ''}{trade.percentReturn.toFixed(2)}%
+                                <td>{p.openPositions}</td>
+                                <td className="row-actions">
+                                  {p.id !== activePortfolioId && !p.archived && (
+                                    <button onClick={() => handleSwitchPortfolio(p.id)} className="row-action-button">Switch</button>
+                                  )}
+                                  <button onClick={() => handleRenamePortfolio(p)} className="row-action-button">Rename</button>
+                                  <button onClick={() => handleClonePortfolio(p)} className="row-action-button">Clone</button>
+                                  {p.id !== activePortfolioId && (
+                                    <>
+                                      <button onClick={() => handleArchivePortfolio(p)} className="row-action-button">
+                                        {p.archived ? 'Restore' : 'Archive'}
+                                      </button>
+                                      <button onClick={() => handleDeletePortfolio(p)} className="row-action-button">Delete</button>
+                                    </>
+                                  )}
                                 </td>
-                                <td className="date-cell">{new Date(trade.exitDate).toLocaleDateString()}</td>
                               </tr>
                             ))}
                           </tbody>
                         </table>
                       </div>
-                    )}
-                  </div>
+                    </div>
+                    </>
+                  )}
+
+                  {portfolioTab === 'analytics' && (
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Performance Analytics</h2>
+                      <div className="account-settings">
+                        <select
+                          value={analyticsFilters.symbol}
+                          onChange={(e) => handleAnalyticsFilter('symbol', e.target.value)}
+                          className="portfolio-input"
+                        >
+                          <option value="">All symbols</option>
+                          {(analytics?.symbols || []).map(symbol => (
+                            <option key={symbol} value={symbol}>{symbol}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={analyticsFilters.assetType}
+                          onChange={(e) => handleAnalyticsFilter('assetType', e.target.value)}
+                          className="portfolio-input"
+                        >
+                          <option value="">All assets</option>
+                          {Object.entries(ASSET_TYPE_LABELS).map(([type, label]) => (
+                            <option key={type} value={type}>{label}</option>
+                          ))}
+                        </select>
+                        <span className="summary-label">From</span>
+                        <input
+                          type="date"
+                          value={analyticsFilters.from}
+                          onChange={(e) => handleAnalyticsFilter('from', e.target.value)}
+                          className="portfolio-input"
+                        />
+                        <span className="summary-label">To</span>
+                        <input
+                          type="date"
+                          value={analyticsFilters.to}
+                          onChange={(e) => handleAnalyticsFilter('to', e.target.value)}
+                          className="portfolio-input"
+                        />
+                        <button onClick={() => setAnalyticsFilters(EMPTY_ANALYTICS_FILTERS)} className="row-action-button">
+                          Clear
+                        </button>
+                        {analyticsError && <span className="ticket-error">⚠️ {analyticsError}</span>}
+                      </div>
+
+                      {analytics && (
+                        <>
+                          <div className="portfolio-summary analytics-grid">
+                            <div className="summary-card">
+                              <span className="summary-label">Closed Trades</span>
+                              <span className="summary-value">{analytics.trades.tradeCount}</span>
+                              <span className="cell-detail">{analytics.trades.winCount} won · {analytics.trades.lossCount} lost</span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Win Rate</span>
+                              <span className="summary-value">
+                                {analytics.trades.winRate == null ? '-' : `${analytics.trades.winRate.toFixed(1)}%`}
+                              </span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Profit Factor</span>
+                              <span className="summary-value">
+                                {analytics.trades.profitFactor == null
+                                  ? (analytics.trades.winCount > 0 ? '∞' : '-')
+                                  : analytics.trades.profitFactor.toFixed(2)}
+                              </span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Expectancy</span>
+                              <span className={`summary-value ${analytics.trades.expectancy >= 0 ? 'positive' : 'negative'}`}>
+                                {formatDollars(analytics.trades.expectancy)}
+                              </span>
+                              <span className="cell-detail">per trade · net {formatDollars(analytics.trades.netProfit)}</span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Average Win / Loss</span>
+                              <span className="summary-value">
+                                <span className="positive">{formatDollars(analytics.trades.averageWin)}</span>
+                                {' / '}
+                                <span className="negative">{formatDollars(analytics.trades.averageLoss)}</span>
+                              </span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Average Holding Period</span>
+                              <span className="summary-value">{formatHoldingPeriod(analytics.trades.averageHoldingDays)}</span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Largest Win</span>
+                              <span className="summary-value positive">{formatDollars(analytics.trades.largestWin?.profitLoss)}</span>
+                              {analytics.trades.largestWin && (
+                                <span className="cell-detail">
+                                  {analytics.trades.largestWin.symbol} · {new Date(analytics.trades.largestWin.exitDate).toLocaleDateString()}
+                                </span>
+                              )}
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Largest Loss</span>
+                              <span className="summary-value negative">{formatDollars(analytics.trades.largestLoss?.profitLoss)}</span>
+                              {analytics.trades.largestLoss && (
+                                <span className="cell-detail">
+                                  {analytics.trades.largestLoss.symbol} · {new Date(analytics.trades.largestLoss.exitDate).toLocaleDateString()}
+                                </span>
+                              )}
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Streaks</span>
+                              <span className="summary-value">
+                                {analytics.trades.longestWinStreak}W / {analytics.trades.longestLossStreak}L
+                              </span>
+                              <span className="cell-detail">
+                                {analytics.trades.currentStreak.type
+                                  ? `Current: ${analytics.trades.currentStreak.length} ${analytics.trades.currentStreak.type}${analytics.trades.currentStreak.length === 1 ? '' : (analytics.trades.currentStreak.type === 'win' ? 's' : 'es')}`
+                                  : 'No current streak'}
+                              </span>
+                            </div>
+                          </div>
+
+                          <h3 className="analytics-subtitle">Risk-Adjusted Returns (whole account)</h3>
+                          <div className="portfolio-summary analytics-grid">
+                            <div className="summary-card">
+                              <span className="summary-label">Sharpe Ratio</span>
+                              <span className="summary-value">{formatRatio(analytics.equity.sharpeRatio)}</span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Sortino Ratio</span>
+                              <span className="summary-value">{formatRatio(analytics.equity.sortinoRatio)}</span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Max Drawdown</span>
+                              <span className="summary-value negative">
+                                {formatDollars(-analytics.equity.maxDrawdown)}
+                              </span>
+                              <span className="cell-detail">{analytics.equity.maxDrawdownPercent.toFixed(2)}% from peak</span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Equity History</span>
+                              <span className="summary-value">{analytics.equity.tradingDays} days</span>
+                              <span className="cell-detail">Ratios need at least 3 days of snapshots</span>
+                            </div>
+                          </div>
+
+                          {benchmarkPerformance && (
+                            <>
+                              <h3 className="analytics-subtitle">
+                                vs {benchmarkPerformance.benchmark} since {new Date(benchmarkPerformance.since).toLocaleDateString()}
+                              </h3>
+                              <div className="portfolio-summary analytics-grid">
+                                <div className="summary-card">
+                                  <span className="summary-label">Relative Return</span>
+                                  <span className={`summary-value ${benchmarkPerformance.relativeReturnPercent >= 0 ? 'positive' : 'negative'}`}>
+                                    {formatSignedPercent(benchmarkPerformance.relativeReturnPercent)}
+                                  </span>
+                                  <span className="cell-detail">
+                                    Portfolio {formatSignedPercent(benchmarkPerformance.portfolioReturnPercent)} · {benchmarkPerformance.benchmark} {formatSignedPercent(benchmarkPerformance.benchmarkReturnPercent)}
+                                  </span>
+                                </div>
+                                <div className="summary-card">
+                                  <span className="summary-label">Alpha</span>
+                                  <span className={`summary-value ${benchmarkPerformance.alpha >= 0 ? 'positive' : 'negative'}`}>
+                                    {formatSignedPercent(benchmarkPerformance.alpha)}
+                                  </span>
+                                  <span className="cell-detail">annualized</span>
+                                </div>
+                                <div className="summary-card">
+                                  <span className="summary-label">Beta</span>
+                                  <span className="summary-value">{formatRatio(benchmarkPerformance.beta)}</span>
+                                </div>
+                                <div className="summary-card">
+                                  <span className="summary-label">Tracking Error</span>
+                                  <span className="summary-value">
+                                    {benchmarkPerformance.trackingError == null ? '-' : `${benchmarkPerformance.trackingError.toFixed(2)}%`}
+                                  </span>
+                                  <span className="cell-detail">{benchmarkPerformance.observations} daily returns compared</span>
+                                </div>
+                              </div>
+                            </>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {portfolioTab === 'taxes' && (
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Realized Gains</h2>
+                      <div className="account-settings">
+                        <span className="summary-label">Tax Year</span>
+                        <select
+                          value={taxYear}
+                          onChange={(e) => setTaxYear(e.target.value)}
+                          className="portfolio-input"
+                        >
+                          {[...new Set([new Date().getFullYear(), ...(taxReport?.years || [])])].sort((a, b) => b - a).map(year => (
+                            <option key={year} value={String(year)}>{year}</option>
+                          ))}
+                        </select>
+                        <button onClick={handleDownloadForm8949} className="row-action-button">
+                          Download Form 8949 CSV
+                        </button>
+                        {taxError && <span className="ticket-error">⚠️ {taxError}</span>}
+                      </div>
+
+                      {taxReport && (
+                        <>
+                          <div className="portfolio-summary analytics-grid">
+                            <div className="summary-card">
+                              <span className="summary-label">Short-Term Gain</span>
+                              <span className={`summary-value ${taxReport.shortTerm.gain >= 0 ? 'positive' : 'negative'}`}>
+                                {formatDollars(taxReport.shortTerm.gain)}
+                              </span>
+                              <span className="cell-detail">{taxReport.shortTerm.count} sales · held one year or less</span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Long-Term Gain</span>
+                              <span className={`summary-value ${taxReport.longTerm.gain >= 0 ? 'positive' : 'negative'}`}>
+                                {formatDollars(taxReport.longTerm.gain)}
+                              </span>
+                              <span className="cell-detail">{taxReport.longTerm.count} sales · held more than one year</span>
+                            </div>
+                            <div className="summary-card">
+                              <span className="summary-label">Wash Sale Losses Disallowed</span>
+                              <span className="summary-value">{formatDollars(taxReport.total.adjustment)}</span>
+                              <span className="cell-detail">{taxReport.washSales.length} wash sales · added to replacement basis</span>
+                            </div>
+                          </div>
+
+                          {taxReport.total.count === 0 ? (
+                            <div className="empty-section">
+                              <p>No sales in {taxReport.year}</p>
+                            </div>
+                          ) : (
+                            <div className="positions-table">
+                              <table>
+                                <thead>
+                                  <tr>
+                                    <th>Description</th>
+                                    <th>Term</th>
+                                    <th>Acquired</th>
+                                    <th>Sold</th>
+                                    <th>Proceeds</th>
+                                    <th>Cost Basis</th>
+                                    <th>Adjustment</th>
+                                    <th>Gain/Loss</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {[...taxReport.shortTerm.rows, ...taxReport.longTerm.rows].map(row => (
+                                    <tr key={`${row.tradeId}-${row.lotId}`}>
+                                      <td>{row.description}</td>
+                                      <td>{row.term === 'long' ? 'Long' : 'Short'}</td>
+                                      <td className="date-cell">{row.dateAcquired}</td>
+                                      <td className="date-cell">{row.dateSold}</td>
+                                      <td>{formatDollars(row.proceeds)}</td>
+                                      <td>
+                                        {formatDollars(row.costBasis)}
+                                        {row.basisAdjustment > 0 && (
+                                          <span className="cell-detail">incl. {formatDollars(row.basisAdjustment)} washed loss</span>
+                                        )}
+                                      </td>
+                                      <td>{row.adjustmentCode ? `${row.adjustmentCode} ${formatDollars(row.adjustment)}` : '-'}</td>
+                                      <td className={row.gain >= 0 ? 'positive' : 'negative'}>{formatDollars(row.gain)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          )}
+
+                          {taxReport.washSales.length > 0 && (
+                            <>
+                              <h3 className="analytics-subtitle">Wash Sales</h3>
+                              <div className="positions-table">
+                                <table>
+                                  <thead>
+                                    <tr>
+                                      <th>Sold</th>
+                                      <th>Description</th>
+                                      <th>Loss</th>
+                                      <th>Disallowed</th>
+                                      <th>Replacement Purchases</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {taxReport.washSales.map(wash => (
+                                      <tr key={`${wash.tradeId}-${wash.description}`}>
+                                        <td className="date-cell">{wash.dateSold}</td>
+                                        <td>{wash.description}</td>
+                                        <td className="negative">{formatDollars(wash.loss)}</td>
+                                        <td>{formatDollars(wash.disallowed)}</td>
+                                        <td>
+                                          {wash.replacements.map(r => (
+                                            <span key={r.lotId} className="cell-detail">
+                                              {r.quantity} bought {r.dateAcquired} · +{formatDollars(r.basisAdded)} basis
+                                            </span>
+                                          ))}
+                                        </td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </div>
+                            </>
+                          )}
+
+                          {taxReport.openAdjustments.length > 0 && (
+                            <>
+                              <h3 className="analytics-subtitle">Open Lots Carrying Washed Losses</h3>
+                              <div className="positions-table">
+                                <table>
+                                  <thead>
+                                    <tr>
+                                      <th>Lot</th>
+                                      <th>Cost Basis</th>
+                                      <th>Washed Loss</th>
+                                      <th>Tax Basis</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {taxReport.openAdjustments.map(lot => (
+                                      <tr key={lot.lotId}>
+                                        <td>{lot.description}</td>
+                                        <td>{formatDollars(lot.costBasis)}</td>
+                                        <td>{formatDollars(lot.basisAdjustment)}</td>
+                                        <td>{formatDollars(lot.adjustedBasis)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </div>
+                            </>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {portfolioTab === 'files' && (
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Export</h2>
+                      <div className="account-settings">
+                        {Object.entries(EXPORT_DATASETS).map(([dataset, label]) => (
+                          <React.Fragment key={dataset}>
+                            <span className="summary-label">{label}</span>
+                            <button onClick={() => handleExport(dataset, 'csv')} className="row-action-button">CSV</button>
+                            <button onClick={() => handleExport(dataset, 'json')} className="row-action-button">JSON</button>
+                          </React.Fragment>
+                        ))}
+                      </div>
+
+                      <h2 className="section-title">Import Trades</h2>
+                      <div className="account-settings">
+                        <input
+                          type="file"
+                          accept=".csv,text/csv"
+                          onChange={(e) => handleImportFile(e.target.files[0])}
+                          className="portfolio-input"
+                        />
+                        <select
+                          value={importFormat}
+                          onChange={(e) => handleImportFormat(e.target.value)}
+                          className="portfolio-input"
+                        >
+                          <option value="auto">Detect format</option>
+                          {importFormats.map(format => (
+                            <option key={format.id} value={format.id}>{format.label}</option>
+                          ))}
+                        </select>
+                        <button onClick={() => handleImport(true)} disabled={!importCsv || importing} className="row-action-button">
+                          Preview
+                        </button>
+                        <button
+                          onClick={() => handleImport(false)}
+                          disabled={importing || !importPreview?.dryRun || importPreview.errors.length > 0 || importPreview.applied === 0}
+                          className="row-action-button"
+                        >
+                          Import {importPreview?.dryRun ? `${importPreview.applied} trades` : ''}
+                        </button>
+                        {importError && <span className="ticket-error">⚠️ {importError}</span>}
+                      </div>
+                      <p className="account-settings-detail">
+                        Stock buys and sells are imported in date order; other rows (dividends, transfers) are skipped. Nothing changes until you import a clean preview.
+                      </p>
+
+                      {importPreview && (
+                        <>
+                          <div className="ledger-as-of">
+                            {importPreview.dryRun ? 'Preview' : 'Imported'} ({importPreview.format} format):
+                            {' '}{importPreview.applied} of {importPreview.tradeCount} trades
+                            {' · '}{importPreview.skipped.length} rows skipped
+                            {' · '}cash ${importPreview.startingBalance.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                            {' → '}${importPreview.portfolio.balance.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                            {' · '}portfolio value ${importPreview.portfolio.totalPortfolioValue.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                            {' · '}{importPreview.portfolio.closedTrades} closed trades
+                          </div>
+
+                          {importPreview.errors.length > 0 && (
+                            <div className="positions-table">
+                              <table>
+                                <thead>
+                                  <tr>
+                                    <th>Row</th>
+                                    <th>Problem</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {importPreview.errors.map(problem => (
+                                    <tr key={`${problem.row}-${problem.error}`}>
+                                      <td>{problem.row}</td>
+                                      <td className="negative">{problem.error}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          )}
+
+                          <div className="positions-table">
+                            <table>
+                              <thead>
+                                <tr>
+                                  <th>Symbol</th>
+                                  <th>Quantity</th>
+                                  <th>Cost Basis</th>
+                                  <th>Current Value</th>
+                                  <th>Unrealized P/L</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {importPreview.portfolio.holdings.map(holding => (
+                                  <tr key={holding.key}>
+                                    <td className="symbol-cell">{holding.symbol}</td>
+                                    <td>{holding.quantity}</td>
+                                    <td>{formatDollars(holding.costBasis)}</td>
+                                    <td>{formatDollars(holding.currentValue)}</td>
+                                    <td className={holding.unrealizedPL >= 0 ? 'positive' : 'negative'}>{formatDollars(holding.unrealizedPL)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {portfolioTab === 'ledger' && (
+                    <div className="portfolio-section">
+                      <h2 className="section-title">Ledger ({ledgerEvents.length})</h2>
+                      <div className="account-settings">
+                        <input
+                          type="number"
+                          min="0"
+                          value={cashAmount}
+                          onChange={(e) => setCashAmount(e.target.value)}
+                          placeholder="Amount"
+                          className="portfolio-input"
+                        />
+                        <button onClick={() => handleCashTransfer('deposit')} disabled={!(parseFloat(cashAmount) > 0)} className="row-action-button">
+                          Deposit
+                        </button>
+                        <button onClick={() => handleCashTransfer('withdrawal')} disabled={!(parseFloat(cashAmount) > 0)} className="row-action-button">
+                          Withdraw
+                        </button>
+                        <span className="summary-label">As of</span>
+                        <input
+                          type="datetime-local"
+                          value={ledgerAsOf}
+                          onChange={(e) => setLedgerAsOf(e.target.value)}
+                          className="portfolio-input"
+                        />
+                        <button onClick={handleLedgerAsOf} disabled={!ledgerAsOf} className="row-action-button">
+                          Rebuild
+                        </button>
+                        {ledgerState && (
+                          <button onClick={() => setLedgerState(null)} className="row-action-button">Clear</button>
+                        )}
+                        {ledgerError && <span className="ticket-error">⚠️ {ledgerError}</span>}
+                      </div>
+
+                      {ledgerState && (
+                        <div className="ledger-as-of">
+                          As of {new Date(ledgerState.asOf).toLocaleString()} ({ledgerState.eventCount} events):
+                          cash ${ledgerState.balance.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                          {' · '}{ledgerState.openPositions.length} open positions
+                          {' · '}{ledgerState.openOrders.length} open orders
+                          {' · '}{ledgerState.closedTrades.length} closed trades
+                          {' · '}realized P/L <span className={ledgerState.totalPL >= 0 ? 'positive' : 'negative'}>
+                            {ledgerState.totalPL >= 0 ? '+' : ''}${ledgerState.totalPL.toFixed(2)}
+                          </span>
+                        </div>
+                      )}
+
+                      {ledgerEvents.length === 0 ? (
+                        <div className="empty-section">
+                          <p>No ledger events yet</p>
+                        </div>
+                      ) : (
+                        <div className="positions-table">
+                          <table>
+                            <thead>
+                              <tr>
+                                <th>Date</th>
+                                <th>Type</th>
+                                <th>Description</th>
+                                <th>Amount</th>
+                                <th>Balance</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {ledgerEvents.slice().reverse().map(event => (
+                                <tr key={event.seq} className={ledgerState && event.timestamp > ledgerState.asOf ? 'archived-row' : ''}>
+                                  <td className="date-cell">{new Date(event.timestamp).toLocaleString()}</td>
+                                  <td>{EVENT_TYPE_LABELS[event.type] || event.type}</td>
+                                  <td>{event.description}</td>
+                                  <td className={event.amount > 0 ? 'positive' : event.amount < 0 ? 'negative' : ''}>
+                                    {event.amount === 0 ? '-' : `${event.amount > 0 ? '+' : '-'}$${Math.abs(event.amount).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`}
+                                  </td>
+                                  <td>${event.balance.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </>
               ) : (
                 <div className="portfolio-error">
@@ -502,6 +2884,151 @@ function App() {
               )}
             </div>
           )}
+
+          {activeView === 'alerts' && (
+            <div className="portfolio-view">
+              <div className="portfolio-section">
+                <h2 className="section-title">New Alert</h2>
+                <div className="account-settings">
+                  <select
+                    value={alertForm.type}
+                    onChange={(e) => setAlertForm(prev => ({ ...prev, type: e.target.value }))}
+                    className="portfolio-input"
+                  >
+                    {Object.entries(ALERT_TYPES).map(([type, { label }]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                  {alertForm.type !== 'portfolio_drawdown' && (
+                    <input
+                      type="text"
+                      value={alertForm.symbol}
+                      onChange={(e) => setAlertForm(prev => ({ ...prev, symbol: e.target.value.toUpperCase() }))}
+                      placeholder="Symbol"
+                      className="portfolio-input"
+                    />
+                  )}
+                  <input
+                    type="number"
+                    step="any"
+                    value={alertForm.threshold}
+                    onChange={(e) => setAlertForm(prev => ({ ...prev, threshold: e.target.value }))}
+                    placeholder={ALERT_TYPES[alertForm.type].unit === '$' ? 'Price' : 'Percent'}
+                    className="portfolio-input"
+                  />
+                  <input
+                    type="text"
+                    value={alertForm.note}
+                    onChange={(e) => setAlertForm(prev => ({ ...prev, note: e.target.value }))}
+                    placeholder="Note (optional)"
+                    className="portfolio-input"
+                  />
+                  <button onClick={handleCreateAlert} disabled={!alertForm.threshold} className="row-action-button">
+                    Create
+                  </button>
+                  {alertError && <span className="ticket-error">⚠️ {alertError}</span>}
+                </div>
+                <p className="cell-detail">
+                  Day change and position P/L take a negative percent for a drop. Position and drawdown alerts watch the active portfolio.
+                </p>
+              </div>
+
+              <div className="portfolio-section">
+                <h2 className="section-title">Inbox ({alertList.filter(a => a.status === 'triggered').length})</h2>
+                {unreadAlerts > 0 && (
+                  <div className="account-settings">
+                    <button onClick={handleMarkAllAlertsRead} className="row-action-button">
+                      Mark all read
+                    </button>
+                  </div>
+                )}
+                {alertList.every(a => a.status !== 'triggered') ? (
+                  <div className="empty-section">
+                    <p>No alerts have fired yet</p>
+                  </div>
+                ) : (
+                  <div className="positions-table">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Alert</th>
+                          <th>Type</th>
+                          <th>Triggered</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {alertList
+                          .filter(a => a.status === 'triggered')
+                          .sort((a, b) => b.triggeredAt.localeCompare(a.triggeredAt))
+                          .map(alert => (
+                            <tr key={alert.id} className={alert.readAt ? '' : 'unread-row'}>
+                              <td>
+                                {alert.message}
+                                {alert.note && <span className="cell-detail">{alert.note}</span>}
+                              </td>
+                              <td>{ALERT_TYPES[alert.type]?.label || alert.type}</td>
+                              <td className="date-cell">{new Date(alert.triggeredAt).toLocaleString()}</td>
+                              <td>
+                                <div className="row-actions">
+                                  {!alert.readAt && (
+                                    <button onClick={() => handleMarkAlertRead(alert.id)} className="row-action-button">
+                                      Mark read
+                                    </button>
+                                  )}
+                                  <button onClick={() => handleDeleteAlert(alert.id)} className="row-action-button">
+                                    Delete
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              <div className="portfolio-section">
+                <h2 className="section-title">Active Alerts ({alertList.filter(a => a.status === 'active').length})</h2>
+                {alertList.every(a => a.status !== 'active') ? (
+                  <div className="empty-section">
+                    <p>No active alerts. Create one above, from a stock card, or ask in chat</p>
+                  </div>
+                ) : (
+                  <div className="positions-table">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Watching for</th>
+                          <th>Type</th>
+                          <th>Created</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {alertList.filter(a => a.status === 'active').map(alert => (
+                          <tr key={alert.id}>
+                            <td>
+                              {alert.description}
+                              {alert.note && <span className="cell-detail">{alert.note}</span>}
+                            </td>
+                            <td>{ALERT_TYPES[alert.type]?.label || alert.type}</td>
+                            <td className="date-cell">{new Date(alert.createdAt).toLocaleDateString()}</td>
+                            <td>
+                              <button onClick={() => handleDeleteAlert(alert.id)} className="row-action-button">
+                                Delete
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="sidebar-widgets">
@@ -517,11 +3044,11 @@ function App() {
               {widgetsLoading && indexes.length === 0 ? (
                 <div className="widget-loading">Loading...</div>
               ) : (
-                indexes.map((index, i) => (
+                indexes.map(item => withLiveQuote(item, liveQuotes[item.symbol])).map((index, i) => (
                   <div key={i} className="index-item">
                     <div className="index-info">
                       <span className="index-name">{index.name}</span>
-                      <span className="index-price">{index.price}</span>
+                      <LivePrice tick={liveQuotes[index.symbol]} className="index-price">{index.price}</LivePrice>
                     </div>
                     <span className={`index-change ${parseFloat(index.changePercent) >= 0 ? 'positive' : 'negative'}`}>
                       {parseFloat(index.changePercent) >= 0 ? '+' : ''}{index.changePercent}%
@@ -532,6 +3059,88 @@ function App() {
             </div>
           </div>
 
+          <div className="widget">
+            <div className="widget-header">
+              <Eye size={18} />
+              <h3>Watchlist</h3>
+              <button
+                onClick={() => activeWatchlistId && fetchWatchlistQuotes(activeWatchlistId)}
+                className="refresh-icon"
+                disabled={!activeWatchlistId}
+              >
+                <RefreshCw size={14} />
+              </button>
+            </div>
+            <div className="widget-content">
+              <div className="watchlist-controls">
+                <select
+                  value={activeWatchlistId || ''}
+                  onChange={(e) => setActiveWatchlistId(e.target.value)}
+                  className="portfolio-input"
+                >
+                  {watchlists.map(w => (
+                    <option key={w.id} value={w.id}>{w.name} ({w.symbols.length})</option>
+                  ))}
+                </select>
+                <button onClick={handleDeleteWatchlist} disabled={!activeWatchlist} className="row-action-button">
+                  Delete
+                </button>
+              </div>
+              <div className="watchlist-controls">
+                <input
+                  type="text"
+                  value={watchlistSymbol}
+                  onChange={(e) => setWatchlistSymbol(e.target.value.toUpperCase())}
+                  onKeyDown={(e) => e.key === 'Enter' && watchlistSymbol.trim() && handleAddToWatchlist()}
+                  placeholder="Add symbol"
+                  className="portfolio-input"
+                />
+                <button onClick={handleAddToWatchlist} disabled={!activeWatchlistId || !watchlistSymbol.trim()} className="row-action-button">
+                  Add
+                </button>
+              </div>
+              <div className="watchlist-controls">
+                <input
+                  type="text"
+                  value={newWatchlistName}
+                  onChange={(e) => setNewWatchlistName(e.target.value)}
+                  placeholder="New watchlist"
+                  className="portfolio-input"
+                />
+                <button onClick={handleCreateWatchlist} disabled={!newWatchlistName.trim()} className="row-action-button">
+                  Create
+                </button>
+              </div>
+              {watchlistError && <div className="ticket-error">⚠️ {watchlistError}</div>}
+              {activeWatchlist && activeWatchlist.symbols.length === 0 ? (
+                <div className="widget-loading">Add symbols here or ask in chat, e.g. "add PLTR to my watchlist"</div>
+              ) : (
+                activeWatchlist && activeWatchlist.symbols.map(symbol => {
+                  const quote = withLiveQuote(watchlistQuotes.find(q => q.symbol === symbol) || { symbol }, liveQuotes[symbol]);
+                  const changePercent = quote.changePercent != null ? parseFloat(quote.changePercent) : null;
+                  return (
+                    <div key={symbol} className="mover-item" onClick={() => setQuery(`Analyze ${symbol}`)}>
+                      <div className="mover-info">
+                        <span className="mover-symbol">{symbol}</span>
+                        <LivePrice tick={liveQuotes[symbol]} className="mover-price">{quote.price != null ? `$${quote.price}` : '-'}</LivePrice>
+                      </div>
+                      <span className={`mover-change ${changePercent == null ? '' : changePercent >= 0 ? 'positive' : 'negative'}`}>
+                        {changePercent == null ? '-' : `${changePercent >= 0 ? '+' : ''}${quote.changePercent}%`}
+                      </span>
+                      <button
+                        onClick={(e) => handleRemoveFromWatchlist(e, symbol)}
+                        className="refresh-icon"
+                        title={`Remove ${symbol}`}
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                  );
+                })
+              )}
+            </div>
+          </div>
+
           <div className="widget">
             <div className="widget-header">
               <TrendingUp size={18} />
@@ -542,12 +3151,12 @@ function App() {
               {widgetsLoading && topMovers.length === 0 ? (
                 <div className="widget-loading">Loading...</div>
               ) : (
-                topMovers.map((stock, i) => (
+                topMovers.map(item => withLiveQuote(item, liveQuotes[item.symbol])).map((stock, i) => (
                   <div key={i} className="mover-item" onClick={() => setQuery(`Analyze ${stock.symbol}`)}>
                     <div className="mover-rank">{i + 1}</div>
                     <div className="mover-info">
                       <span className="mover-symbol">{stock.symbol}</span>
-                      <span className="mover-price">${stock.price}</span>
+                      <LivePrice tick={liveQuotes[stock.symbol]} className="mover-price">${stock.price}</LivePrice>
                     </div>
                     <span className={`mover-change ${parseFloat(stock.changePercent) >= 0 ? 'positive' : 'negative'}`}>
                       {parseFloat(stock.changePercent) >= 0 ? '+' : ''}{stock.changePercent}%
@@ -559,6 +3168,37 @@ function App() {
           </div>
         </div>
       </div>
+
+      {toasts.length > 0 && (
+        <div className="toast-stack">
+          {toasts.map(alert => (
+            <div
+              key={alert.id}
+              className="toast"
+              onClick={() => {
+                dismissToast(alert.id);
+                setActiveView('alerts');
+              }}
+            >
+              <Bell size={16} />
+              <div className="toast-body">
+                <span className="toast-title">Alert triggered</span>
+                <span>{alert.message}</span>
+                {alert.note && <span className="cell-detail">{alert.note}</span>}
+              </div>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  dismissToast(alert.id);
+                }}
+                className="refresh-icon"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }